@@ -28,7 +28,7 @@ export default defineConfig([
     },
   },
   {
-    files: ['server.js', 'server-eventsource.js'],
+    files: ['server.js', 'server-eventsource.js', 'server/**/*.js'],
     languageOptions: {
       globals: globals.node,
     },
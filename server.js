@@ -1,12 +1,20 @@
 /**
  * GoMarble MCP Bridge Server
- * Uses EventSource for proper SSE lifecycle management.
+ * Keeps a pool of long-lived MCP sessions to GoMarble (SSE) and exposes plain REST endpoints to the app.
  */
 
 import express from 'express';
 import cors from 'cors';
 import { readFileSync } from 'fs';
-import { EventSource } from 'eventsource';
+import { timingSafeEqual } from 'crypto';
+import { McpPool } from './server/mcpPool.js';
+import { createSessionFactory, defaultTransportFor } from './server/mcpTransports.js';
+import { McpDiagnostics } from './server/mcpDiagnostics.js';
+import { CallLog } from './server/callLog.js';
+import { startRecording, stopRecording, getRecordingStatus, recordToolResponse, listFixtures, loadFixture } from './server/fixtures.js';
+import { recordSnapshot, getEntityHistory, getVerdictHistory, listHistoryAccounts, toStoredPoint } from './server/historyStore.js';
+import { getSecret, setSecret, secretStatus, SECRETS } from './server/secretStore.js';
+import { authenticate, requireRole, hasRole, mountAuthRoutes, bootstrapAdmin, hasUsers } from './server/auth.js';
 
 // Load .env file (server-side doesn't have Vite's env loading)
 try {
@@ -37,258 +45,371 @@ const app = express();
 const isProduction = process.env.NODE_ENV === 'production';
 app.use(cors(isProduction ? {} : {
   origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:5180', 'http://localhost:4173'],
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
+  credentials: true,
 }));
-app.use(express.json());
+// History snapshots carry daily rows for every entity, well past the 100kb default
+app.use(express.json({ limit: '10mb' }));
 
 const PORT = process.env.PORT || 3456;
 
+// ─── Auth ────────────────────────────────────────────────────────────────────
+
+// Login/session routes are public; every other /api route needs at least a viewer session
+// (stricter routes add their own requireRole). See server/auth.js for what each role can do.
+bootstrapAdmin();
+app.use(authenticate);
+mountAuthRoutes(app);
+app.use('/api', requireRole('viewer'));
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString(), service: 'Meta Media Buying Tool' });
 });
 const GOMARBLE_SSE = 'https://apps.gomarble.ai/mcp-api/sse';
-let API_KEY = process.env.VITE_GOMARBLE_API_KEY || '';
-
-// ─── MCP Session using EventSource ──────────────────────────────────────────
-
-async function mcpSessionCall(toolName, toolArgs, timeoutMs = 60000) {
-  let es = null;
-  let timer = null;
-
-  return new Promise((resolveOuter, rejectOuter) => {
-    let settled = false;
-    function settle(fn, val) {
-      if (settled) return;
-      settled = true;
-      if (es) { es.close(); es = null; }
-      if (timer) { clearTimeout(timer); timer = null; }
-      fn(val);
-    }
 
-    timer = setTimeout(() => settle(rejectOuter, new Error('Session timeout')), timeoutMs);
+// Upstream MCP server. Defaults to GoMarble; any MCP server exposing the same tools works.
+// MCP_TRANSPORT: sse | http (Streamable HTTP) | auto — defaults to sse for …/sse URLs, http otherwise.
+const MCP_URL = process.env.MCP_URL || GOMARBLE_SSE;
+const MCP_TRANSPORT = process.env.MCP_TRANSPORT || defaultTransportFor(MCP_URL);
+
+// ─── MCP Session Pool ────────────────────────────────────────────────────────
+
+// Structured record of every tool call, served at /api/mcp/log and /metrics
+const callLog = new CallLog({ size: Number(process.env.MCP_LOG_SIZE) || 500 });
+
+// Sessions stay open and are shared by concurrent calls; see server/mcpPool.js
+const pool = new McpPool({
+  createSession: createSessionFactory({
+    url: MCP_URL,
+    transport: MCP_TRANSPORT,
+    getApiKey: () => getSecret('gomarble'),
+    protocolVersion: process.env.MCP_PROTOCOL_VERSION,
+  }),
+  maxSessions: Number(process.env.MCP_POOL_SIZE) || 2,
+  concurrency: Number(process.env.MCP_CONCURRENCY) || 4,
+  callTimeoutMs: Number(process.env.MCP_CALL_TIMEOUT_MS) || 60000,
+  callLog,
+});
 
-    // Response handlers keyed by JSON-RPC id
-    const pending = new Map();
-    let msgUrl = null;
-    let phase = 'connecting'; // connecting → initializing → calling → done
+// Probes the upstream on a throwaway session, so a wedged pool can't make it look healthy
+const diagnostics = new McpDiagnostics({
+  createSession: pool.createSession,
+  url: MCP_URL,
+  hasApiKey: () => !!getSecret('gomarble'),
+  onTools: names => callLog.setKnownTools(names),
+});
 
-    // Create EventSource with auth headers
-    es = new EventSource(GOMARBLE_SSE, {
-      fetch: (url, init) => fetch(url, {
-        ...init,
-        headers: { ...init?.headers, 'Authorization': `Bearer ${API_KEY}` },
-      }),
-    });
+// ─── REST API ────────────────────────────────────────────────────────────────
 
-    // Handle endpoint event
-    es.addEventListener('endpoint', (event) => {
-      msgUrl = `https://apps.gomarble.ai${event.data}`;
-      console.log(`[MCP] Endpoint: ${msgUrl}`);
-      phase = 'initializing';
+// Tools that only read the ad account; anything else (budget, status, creative changes) needs buyer
+const READ_ONLY_TOOL = /^facebook_(list|get|analyze|fetch|search)_/;
 
-      // Start the initialize → notify → call chain
-      doInitialize().catch(err => settle(rejectOuter, err));
-    });
+app.post('/api/mcp/tool', async (req, res) => {
+  const { name, arguments: args, cache } = req.body;
+  if (!name) return res.status(400).json({ error: 'Missing tool name' });
+  if (!READ_ONLY_TOOL.test(name) && !hasRole(req.user, 'buyer')) {
+    return res.status(403).json({ error: `${name} changes the ad account and requires the buyer role` });
+  }
 
-    // Handle message events (JSON-RPC responses)
-    es.addEventListener('message', (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        if (data.id != null && pending.has(data.id)) {
-          const { resolve } = pending.get(data.id);
-          pending.delete(data.id);
-          resolve(data);
-        }
-      } catch { /* invalid JSON */ }
+  try {
+    console.log(`[API] ${name}...`);
+    const result = await pool.callTool(name, args, {
+      log: { source: 'app', user: req.user.email, cache: cache === 'miss' ? 'miss' : null },
     });
+    console.log(`[API] ${name} ✅`);
+    recordToolResponse(name, args, result);
+    res.json(result);
+  } catch (err) {
+    console.error(`[API] ${name} ❌:`, err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    es.addEventListener('error', (event) => {
-      if (phase === 'connecting') {
-        settle(rejectOuter, new Error(`SSE connection failed: ${event.message || 'unknown'}`));
-      }
-      // After connecting, errors during the session are handled by the call chain
-    });
+app.get('/api/mcp/tools', async (req, res) => {
+  try {
+    const result = await pool.listTools();
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // POST a JSON-RPC message and wait for response via SSE
-    function postRpc(id, method, params) {
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          pending.delete(id);
-          reject(new Error(`Timeout waiting for ${method} response`));
-        }, 30000);
-
-        pending.set(id, {
-          resolve: (data) => { clearTimeout(timeout); resolve(data); },
-        });
-
-        fetch(msgUrl, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${API_KEY}` },
-          body: JSON.stringify({ jsonrpc: '2.0', id, method, params }),
-        }).then(r => {
-          if (r.status !== 200 && r.status !== 202) {
-            r.text().then(body => {
-              clearTimeout(timeout);
-              pending.delete(id);
-              reject(new Error(`POST ${r.status}: ${body}`));
-            });
-          }
-        }).catch(err => {
-          clearTimeout(timeout);
-          pending.delete(id);
-          reject(err);
-        });
-      });
-    }
+// Real upstream health: initialize + tools/list on a fresh session. The result is reused
+// for a minute; ?probe=1 forces a new one.
+const PROBE_MAX_AGE_MS = 60 * 1000;
+
+app.get('/api/mcp/status', async (req, res) => {
+  const probe = await diagnostics.probe({ maxAgeMs: req.query.probe ? 0 : PROBE_MAX_AGE_MS });
+  res.json({
+    connected: probe.ok,
+    initialized: probe.latencyMs.initialize != null,
+    upstream: { url: MCP_URL, transport: pool.createSession.transport() },
+    probe,
+    lastSuccess: diagnostics.lastSuccess,
+    lastFailure: diagnostics.lastFailure,
+    pool: pool.status(),
+  });
+});
 
-    // Send fire-and-forget notification
-    function notify(method) {
-      fetch(msgUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${API_KEY}` },
-        body: JSON.stringify({ jsonrpc: '2.0', method }),
-      }).catch(() => {});
-    }
+// Sample insights call for one account: { accountId }
+app.post('/api/mcp/diagnostics/insights', async (req, res) => {
+  res.json(await diagnostics.testInsights(pool, req.body?.accountId));
+});
 
-    async function doInitialize() {
-      // Poll for transport readiness
-      const start = Date.now();
-      let delay = 500;
-      let lastErr = null;
-
-      while (Date.now() - start < 20000) {
-        await new Promise(r => setTimeout(r, delay));
-        try {
-          const resp = await postRpc(1, 'initialize', {
-            protocolVersion: '2024-11-05',
-            capabilities: {},
-            clientInfo: { name: 'meta-ads-dashboard', version: '1.0.0' },
-          });
-
-          // Check for error in response
-          if (resp.error) {
-            throw new Error(`MCP error ${resp.error.code}: ${resp.error.message}`);
-          }
-
-          console.log(`[MCP] Initialized after ${Date.now() - start}ms`);
-
-          // Send notification
-          notify('notifications/initialized');
-          await new Promise(r => setTimeout(r, 500));
-
-          // Make the actual tool call
-          phase = 'calling';
-          const isToolsList = toolName === '__tools_list__';
-          const result = await postRpc(2,
-            isToolsList ? 'tools/list' : 'tools/call',
-            isToolsList ? {} : { name: toolName, arguments: toolArgs || {} }
-          );
-
-          if (result.error) {
-            settle(rejectOuter, new Error(`MCP error ${result.error.code}: ${result.error.message}`));
-            return;
-          }
-
-          // Parse result
-          phase = 'done';
-          if (result.result?.content) {
-            const tc = result.result.content.find(c => c.type === 'text');
-            if (tc) {
-              try { settle(resolveOuter, JSON.parse(tc.text)); }
-              catch { settle(resolveOuter, { data: tc.text }); }
-              return;
-            }
-          }
-          settle(resolveOuter, result.result || result);
-          return;
-
-        } catch (err) {
-          lastErr = err;
-          const isTransport = err.message.includes('No transport found') || err.message.includes('POST 400');
-          if (isTransport) {
-            console.log(`[MCP] Transport not ready after ${Date.now() - start}ms, polling...`);
-            delay = Math.min(delay * 1.5, 3000);
-            continue;
-          }
-          // Non-transport error during init
-          throw err;
-        }
-      }
-      throw lastErr || new Error('Transport never became ready');
-    }
+// ─── Call Log ────────────────────────────────────────────────────────────────
+
+// Last N tool calls, newest first: ?limit=100&tool=facebook_get_adaccount_insights&errors=1
+app.get('/api/mcp/log', (req, res) => {
+  const limit = Math.min(Number(req.query.limit) || 100, callLog.size);
+  res.json({
+    entries: callLog.list({ limit, tool: req.query.tool || undefined, errorsOnly: !!req.query.errors }),
+    summary: callLog.summary(),
+  });
+});
+
+// The browser answers most requests from its cache without calling the bridge; it reports
+// those hits here in batches: { hits: [{ tool, args, at }] }
+app.post('/api/mcp/log', (req, res) => {
+  const hits = (Array.isArray(req.body?.hits) ? req.body.hits.slice(0, 500) : []).filter(h => typeof h?.tool === 'string');
+  hits.forEach(h => {
+    const at = typeof h.at === 'string' && !Number.isNaN(Date.parse(h.at)) ? h.at : undefined;
+    callLog.record({ tool: h.tool, args: h.args, cache: 'hit', at, source: 'app', user: req.user.email });
   });
+  res.json({ status: 'ok', recorded: hits.length });
+});
+
+// Prometheus scrape endpoint. Outside /api so scrapers don't need a login: send
+// Authorization: Bearer $METRICS_TOKEN, or be signed in.
+function bearerMatches(header, token) {
+  // Constant-time compare, so response timing doesn't give the token away byte by byte
+  const given = Buffer.from(String(header || ''));
+  const expected = Buffer.from(`Bearer ${token}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
 }
 
-// Retry wrapper: retries entire session from scratch
-async function mcpToolCall(toolName, toolArgs, maxRetries = 3) {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await mcpSessionCall(toolName, toolArgs);
-    } catch (err) {
-      const isTransient = err.message.includes('No transport found') ||
-        err.message.includes('POST 400') ||
-        err.message.includes('SSE') ||
-        err.message.includes('Transport never');
-      if (isTransient && attempt < maxRetries - 1) {
-        const delay = 3000 * (attempt + 1);
-        console.log(`[MCP] Session failed: ${err.message.slice(0, 80)}. Retrying in ${delay}ms (${attempt + 2}/${maxRetries})...`);
-        await new Promise(r => setTimeout(r, delay));
-        continue;
-      }
-      throw err;
-    }
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!req.user && !(token && bearerMatches(req.headers.authorization, token))) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
   }
-}
+  const status = pool.status();
+  const probe = diagnostics.lastProbe;
+  res.type('text/plain; version=0.0.4').send(callLog.metrics([
+    { name: 'mcp_pool_sessions_ready', help: 'Ready upstream MCP sessions in the pool.', value: status.ready },
+    { name: 'mcp_pool_calls_active', help: 'Tool calls in flight.', value: status.active },
+    { name: 'mcp_pool_calls_queued', help: 'Tool calls waiting for a concurrency slot.', value: status.queued },
+    ...(probe ? [{ name: 'mcp_upstream_up', help: 'Whether the last upstream probe succeeded.', value: probe.ok ? 1 : 0 }] : []),
+  ]));
+});
 
-function mcpToolsList() {
-  return mcpToolCall('__tools_list__', null);
-}
+// ─── Record / Replay Fixtures ────────────────────────────────────────────────
 
-// ─── REST API ────────────────────────────────────────────────────────────────
+app.get('/api/mcp/recording', (req, res) => {
+  res.json(getRecordingStatus());
+});
 
-// Queue to serialize MCP calls (GoMarble may limit concurrent sessions)
-let callQueue = Promise.resolve();
+// { name: 'client-x-oct' } starts recording live tool responses; { name: null } stops
+app.post('/api/mcp/recording', requireRole('admin'), (req, res) => {
+  try {
+    res.json(req.body?.name ? startRecording(req.body.name) : stopRecording());
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
-app.post('/api/mcp/tool', (req, res) => {
-  const { name, arguments: args } = req.body;
-  if (!name) return res.status(400).json({ error: 'Missing tool name' });
+app.get('/api/mcp/fixtures', (req, res) => {
+  res.json({ fixtures: listFixtures() });
+});
 
-  callQueue = callQueue.then(async () => {
-    try {
-      console.log(`[API] ${name}...`);
-      const result = await mcpToolCall(name, args);
-      console.log(`[API] ${name} ✅`);
-      res.json(result);
-    } catch (err) {
-      console.error(`[API] ${name} ❌:`, err.message);
-      res.status(500).json({ error: err.message });
+app.get('/api/mcp/fixtures/:name', (req, res) => {
+  try {
+    const fixture = loadFixture(req.params.name);
+    if (!fixture) return res.status(404).json({ error: `Fixture "${req.params.name}" not found` });
+    res.json(fixture);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+if (process.env.MCP_RECORD) startRecording(process.env.MCP_RECORD);
+
+// The frontend calls this after a failed tool call: sessions are health-checked so dead ones
+// are dropped before the retry. Keys are changed through /api/secrets, never here.
+app.post('/api/mcp/reconnect', async (req, res) => {
+  await pool.checkHealth();
+  res.json({ status: 'ok', pool: pool.status() });
+});
+
+// ─── Secrets ─────────────────────────────────────────────────────────────────
+
+// Write-only: the app sees whether each key is configured, never the key itself
+app.get('/api/secrets', (req, res) => {
+  res.json({ secrets: secretStatus() });
+});
+
+app.put('/api/secrets/:name', requireRole('admin'), (req, res) => {
+  const { name } = req.params;
+  if (!SECRETS[name]) return res.status(404).json({ error: `Unknown secret "${name}"` });
+  if (typeof req.body?.value !== 'string' || !req.body.value.trim()) return res.status(400).json({ error: 'Missing value' });
+  try {
+    setSecret(name, req.body.value);
+    // Open sessions authenticated with the old key
+    if (name === 'gomarble') pool.reset('API key changed');
+    res.json({ secrets: secretStatus() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/secrets/:name', requireRole('admin'), (req, res) => {
+  const { name } = req.params;
+  if (!SECRETS[name]) return res.status(404).json({ error: `Unknown secret "${name}"` });
+  try {
+    setSecret(name, null);
+    if (name === 'gomarble') pool.reset('API key removed');
+    res.json({ secrets: secretStatus() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// ─── AI Proxy ────────────────────────────────────────────────────────────────
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_MODEL = process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514';
+const AI_MAX_TOKENS = 4096;
+
+// Forwards a Messages API request with the server's key. Only the prompt fields are passed
+// through; the model and token ceiling are fixed here so the endpoint can't be used as an open relay.
+app.post('/api/ai/messages', async (req, res) => {
+  const apiKey = getSecret('anthropic');
+  if (!apiKey) return res.status(503).json({ error: 'Anthropic API key not configured' });
+
+  const { system, messages, max_tokens: maxTokens } = req.body || {};
+  if (!Array.isArray(messages) || messages.length === 0) return res.status(400).json({ error: 'Missing messages' });
+
+  try {
+    const response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify({
+        model: ANTHROPIC_MODEL,
+        max_tokens: Math.min(Number(maxTokens) || 1024, AI_MAX_TOKENS),
+        ...(system ? { system } : {}),
+        messages,
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      console.error(`[AI] Anthropic ${response.status}: ${data.error?.message || 'no body'}`);
+      return res.status(response.status).json({ error: data.error?.message || `Anthropic API error: ${response.status}` });
     }
-  });
+    res.json(data);
+  } catch (err) {
+    console.error('[AI] Anthropic request failed:', err.message);
+    res.status(502).json({ error: err.message });
+  }
 });
 
-app.get('/api/mcp/tools', async (req, res) => {
+// ─── History ─────────────────────────────────────────────────────────────────
+
+app.get('/api/history', (req, res) => {
   try {
-    const result = await mcpToolsList();
-    res.json(result);
+    res.json({ accounts: listHistoryAccounts() });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/mcp/status', (req, res) => {
-  res.json({ connected: true, initialized: true, hasApiKey: !!API_KEY });
+// Daily metrics per entity: ?level=adset&entityIds=1,2&since=YYYY-MM-DD&until=YYYY-MM-DD
+app.get('/api/history/:accountId', (req, res) => {
+  const { level, entityIds, since, until } = req.query;
+  try {
+    res.json(getEntityHistory(req.params.accountId, {
+      level,
+      entityIds: entityIds ? String(entityIds).split(',') : undefined,
+      since,
+      until,
+    }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
-app.post('/api/mcp/reconnect', (req, res) => {
-  if (req.body?.apiKey) {
-    API_KEY = req.body.apiKey;
-    console.log('[MCP] API key updated from frontend');
+app.get('/api/history/:accountId/verdicts', (req, res) => {
+  const { entityId, since, until } = req.query;
+  try {
+    res.json(getVerdictHistory(req.params.accountId, { entityId, since, until }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  res.json({ status: 'ok' });
 });
 
+// Writing history changes what the engine judges an account on, so it takes a buyer
+app.post('/api/history/snapshot', requireRole('buyer'), async (req, res) => {
+  try {
+    const result = await recordSnapshot(req.body || {});
+    console.log(`[History] ${req.body.accountId}: ${result.days} days, ${result.verdicts} verdicts recorded`);
+    res.json({ status: 'ok', ...result });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Scheduled snapshots: HISTORY_SNAPSHOT_ACCOUNTS=act_1,act_2 records the last 7 days of every level
+// every HISTORY_SNAPSHOT_INTERVAL_HOURS (default 24), so history accumulates without anyone opening the app.
+// Verdicts are only recorded by the app itself, since the decision engine runs client-side.
+const SNAPSHOT_ACCOUNTS = (process.env.HISTORY_SNAPSHOT_ACCOUNTS || '').split(',').map(s => s.trim()).filter(Boolean);
+const SNAPSHOT_INTERVAL_MS = (Number(process.env.HISTORY_SNAPSHOT_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+const SNAPSHOT_LEVELS = [
+  { level: 'account', idField: null, nameField: null, parentField: null },
+  { level: 'campaign', idField: 'campaign_id', nameField: 'campaign_name', parentField: null },
+  { level: 'adset', idField: 'adset_id', nameField: 'adset_name', parentField: 'campaign_id' },
+  { level: 'ad', idField: 'ad_id', nameField: 'ad_name', parentField: 'adset_id' },
+];
+
+async function snapshotAccount(accountId) {
+  const entities = {};
+  for (const { level, idField, nameField, parentField } of SNAPSHOT_LEVELS) {
+    const fields = ['spend', 'impressions', 'clicks', 'ctr', 'cpm', 'reach', 'frequency', 'actions', 'action_values', 'cost_per_action_type',
+      ...[idField, nameField, parentField].filter(Boolean)];
+    const result = await pool.callTool('facebook_get_adaccount_insights', {
+      act_id: accountId, fields, level, date_preset: 'last_7d', time_increment: 1,
+    }, { log: { source: 'snapshot' } });
+    (result?.data || []).forEach(row => {
+      const id = idField ? row[idField] : accountId;
+      if (!id || !row.date_start) return;
+      const entity = entities[id] || (entities[id] = {
+        id, type: level, name: nameField ? row[nameField] : null, parentId: parentField ? row[parentField] : null, daily: [],
+      });
+      entity.daily.push({ date: row.date_start, ...toStoredPoint(row) });
+    });
+  }
+  return recordSnapshot({ accountId, entities: Object.values(entities) });
+}
+
+async function runScheduledSnapshots() {
+  for (const accountId of SNAPSHOT_ACCOUNTS) {
+    try {
+      const result = await snapshotAccount(accountId);
+      console.log(`[History] Scheduled snapshot ${accountId}: ${result.days} days`);
+    } catch (err) {
+      console.error(`[History] Scheduled snapshot ${accountId} ❌:`, err.message);
+    }
+  }
+}
+
+if (SNAPSHOT_ACCOUNTS.length > 0 && getSecret('gomarble')) {
+  setTimeout(runScheduledSnapshots, 60 * 1000);
+  setInterval(runScheduledSnapshots, SNAPSHOT_INTERVAL_MS);
+}
+
 // Serve static frontend in production
 const distPath = join(__serverDirname, 'dist');
 if (existsSync(distPath)) {
@@ -306,6 +427,11 @@ if (existsSync(distPath)) {
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`\n🚀 GoMarble MCP Bridge on http://localhost:${PORT}`);
-  console.log(`   API Key: ${API_KEY ? '✅ configured' : '❌ missing'}`);
-  console.log(`   Mode: EventSource session per call\n`);
+  const keys = secretStatus();
+  console.log(`   API Key: ${keys.gomarble.configured ? `✅ configured (${keys.gomarble.source})` : '❌ missing'}`);
+  console.log(`   Auth: ${hasUsers() ? 'sign-in required' : 'no users yet — create the admin account from the app (or set ADMIN_EMAIL and ADMIN_PASSWORD)'}`);
+  console.log(`   Claude: ${keys.anthropic.configured ? `✅ configured (${keys.anthropic.source})` : 'not configured — AI features use local fallbacks'}`);
+  console.log(`   Upstream: ${MCP_URL} (${MCP_TRANSPORT})`);
+  console.log(`   Mode: pooled sessions (up to ${pool.maxSessions}, ${pool.concurrency} concurrent calls, ${pool.callTimeoutMs / 1000}s timeout)`);
+  console.log(`   History: ${SNAPSHOT_ACCOUNTS.length > 0 ? `${SNAPSHOT_ACCOUNTS.length} account(s) every ${SNAPSHOT_INTERVAL_MS / 3600000}h` : 'recorded on fetch'}\n`);
 });
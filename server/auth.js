@@ -0,0 +1,331 @@
+/**
+ * Users, Login Sessions and Roles
+ *
+ * Everything under /api is behind a login. Roles are ordered — each includes the ones below it:
+ *   viewer  read dashboards (read-only GoMarble tools, history, AI briefings)
+ *   buyer   + acknowledge and execute actions (GoMarble tools that change the account), record
+ *             history snapshots
+ *   admin   + API keys, data source, thresholds, fixtures and user management
+ *
+ * Users live in USERS_FILE (default data/users.json) with scrypt password hashes. Sessions are
+ * random tokens in an HttpOnly cookie, held in memory — a bridge restart signs everyone out.
+ *
+ * The first admin comes from ADMIN_EMAIL + ADMIN_PASSWORD, or from the setup form while no
+ * users exist (in production that form also needs AUTH_SETUP_TOKEN).
+ */
+
+import { mkdirSync, existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { randomBytes, scryptSync, timingSafeEqual, randomUUID } from 'crypto';
+
+const USERS_FILE = process.env.USERS_FILE
+  ? resolve(process.env.USERS_FILE)
+  : fileURLToPath(new URL('../data/users.json', import.meta.url));
+
+export const ROLES = ['viewer', 'buyer', 'admin'];
+
+const SESSION_COOKIE = 'mmbt_session';
+const SESSION_TTL_MS = (Number(process.env.AUTH_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 10;
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Failed-sign-in counters tracked at once; beyond it the oldest unlocked ones are dropped
+const MAX_TRACKED_LOGINS = 10000;
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+let users = loadUsers();
+const sessions = new Map();      // token → { userId, expiresAt }
+const failedLogins = new Map();  // email → { count, lockedUntil, expiresAt }, oldest first
+
+// ─── User Store ──────────────────────────────────────────────────────────────
+
+function loadUsers() {
+  if (!existsSync(USERS_FILE)) return [];
+  try {
+    return JSON.parse(readFileSync(USERS_FILE, 'utf-8')).users || [];
+  } catch (err) {
+    console.error(`[Auth] Could not read ${USERS_FILE}: ${err.message}`);
+    return [];
+  }
+}
+
+function saveUsers() {
+  mkdirSync(dirname(USERS_FILE), { recursive: true });
+  const tmp = `${USERS_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  renameSync(tmp, USERS_FILE);
+}
+
+function hashPassword(password) {
+  const salt = randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${scryptSync(password, salt, 64).toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(password, salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+const normalizeEmail = email => String(email || '').trim().toLowerCase();
+
+/**
+ * A user as the API returns it — never the password hash.
+ */
+function publicUser(user) {
+  const { passwordHash: _passwordHash, ...rest } = user;
+  return rest;
+}
+
+function validateUserFields({ email, role, password }, { partial = false } = {}) {
+  if (!partial || email !== undefined) {
+    if (!/^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email))) throw httpError(400, 'A valid email is required');
+  }
+  if (!partial || role !== undefined) {
+    if (!ROLES.includes(role)) throw httpError(400, `Role must be one of ${ROLES.join(', ')}`);
+  }
+  if (!partial || password !== undefined) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export function listUsers() {
+  return users.map(publicUser);
+}
+
+export function createUser({ email, name, role, password }) {
+  validateUserFields({ email, role, password });
+  const normalized = normalizeEmail(email);
+  if (users.some(u => u.email === normalized)) throw httpError(409, `${normalized} already has an account`);
+  const user = {
+    id: randomUUID(),
+    email: normalized,
+    name: String(name || '').trim() || normalized,
+    role,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+    lastLoginAt: null,
+  };
+  users.push(user);
+  saveUsers();
+  console.log(`[Auth] Created ${role} ${normalized}`);
+  return publicUser(user);
+}
+
+/**
+ * Change a user's name, role or password. The last admin can't be demoted.
+ */
+export function updateUser(id, { name, role, password }) {
+  const user = users.find(u => u.id === id);
+  if (!user) throw httpError(404, 'User not found');
+  validateUserFields({ role, password }, { partial: true });
+  if (role && role !== 'admin' && user.role === 'admin' && adminCount() === 1) {
+    throw httpError(400, 'Can\'t demote the last admin');
+  }
+  if (name !== undefined) user.name = String(name).trim() || user.email;
+  if (role) user.role = role;
+  if (password) {
+    user.passwordHash = hashPassword(password);
+    endSessionsFor(id);
+  }
+  saveUsers();
+  return publicUser(user);
+}
+
+export function deleteUser(id) {
+  const user = users.find(u => u.id === id);
+  if (!user) throw httpError(404, 'User not found');
+  if (user.role === 'admin' && adminCount() === 1) throw httpError(400, 'Can\'t delete the last admin');
+  users = users.filter(u => u.id !== id);
+  endSessionsFor(id);
+  saveUsers();
+  console.log(`[Auth] Deleted ${user.email}`);
+}
+
+const adminCount = () => users.filter(u => u.role === 'admin').length;
+
+export function hasUsers() {
+  return users.length > 0;
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no users exist yet.
+ */
+export function bootstrapAdmin() {
+  if (hasUsers() || !process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD) return null;
+  return createUser({ email: process.env.ADMIN_EMAIL, name: 'Admin', role: 'admin', password: process.env.ADMIN_PASSWORD });
+}
+
+// ─── Sessions ────────────────────────────────────────────────────────────────
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header.split(';').map(part => {
+    const eq = part.indexOf('=');
+    return eq > 0 ? [part.slice(0, eq).trim(), decodeURIComponent(part.slice(eq + 1).trim())] : [part.trim(), ''];
+  }));
+}
+
+function setSessionCookie(res, token, maxAgeMs) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: isProduction,
+    maxAge: maxAgeMs,
+    path: '/',
+  });
+}
+
+function startSession(res, user) {
+  const token = randomBytes(32).toString('hex');
+  sessions.set(token, { userId: user.id, expiresAt: Date.now() + SESSION_TTL_MS });
+  setSessionCookie(res, token, SESSION_TTL_MS);
+}
+
+function endSessionsFor(userId) {
+  for (const [token, session] of sessions) {
+    if (session.userId === userId) sessions.delete(token);
+  }
+}
+
+/**
+ * Middleware: attach req.user when the request carries a valid session cookie.
+ */
+export function authenticate(req, res, next) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (session && session.expiresAt > Date.now()) {
+    const user = users.find(u => u.id === session.userId);
+    if (user) {
+      req.user = publicUser(user);
+      req.sessionToken = token;
+    }
+  } else if (session) {
+    sessions.delete(token);
+  }
+  next();
+}
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Middleware: 401 without a session, 403 below `role`.
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Not signed in' });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires the ${role} role` });
+    next();
+  };
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+// Forget counters whose lockout is over or whose last failure is older than LOCKOUT_MS, then hold
+// the map to MAX_TRACKED_LOGINS — dropping accounts still locked out only as a last resort
+function pruneFailedLogins(now = Date.now()) {
+  for (const [email, attempts] of failedLogins) {
+    if (attempts.expiresAt <= now) failedLogins.delete(email);
+  }
+  for (const locked of [false, true]) {
+    for (const [email, attempts] of failedLogins) {
+      if (failedLogins.size <= MAX_TRACKED_LOGINS) return;
+      if ((attempts.lockedUntil > now) === locked) failedLogins.delete(email);
+    }
+  }
+}
+
+function login(email, password) {
+  const normalized = normalizeEmail(email);
+  pruneFailedLogins();
+  const attempts = failedLogins.get(normalized);
+  if (attempts?.lockedUntil > Date.now()) {
+    throw httpError(429, 'Too many failed sign-ins — try again in a few minutes');
+  }
+  const user = users.find(u => u.email === normalized);
+  if (!user || !verifyPassword(String(password || ''), user.passwordHash)) {
+    const count = (attempts?.count || 0) + 1;
+    const locked = count >= MAX_FAILED_LOGINS;
+    // Re-inserted so the map stays ordered by last failure
+    failedLogins.delete(normalized);
+    failedLogins.set(normalized, {
+      count: locked ? 0 : count,
+      lockedUntil: locked ? Date.now() + LOCKOUT_MS : 0,
+      expiresAt: Date.now() + LOCKOUT_MS,
+    });
+    console.warn(`[Auth] Failed sign-in for ${normalized}`);
+    throw httpError(401, 'Wrong email or password');
+  }
+  failedLogins.delete(normalized);
+  user.lastLoginAt = new Date().toISOString();
+  saveUsers();
+  return user;
+}
+
+const send = (res, fn) => {
+  try {
+    res.json(fn());
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+/**
+ * Mount /api/auth. Session, login, logout and first-run setup are public;
+ * user management needs admin.
+ */
+export function mountAuthRoutes(app) {
+  app.get('/api/auth/session', (req, res) => {
+    res.json({
+      user: req.user || null,
+      setupRequired: !hasUsers(),
+      setupNeedsToken: !hasUsers() && isProduction,
+    });
+  });
+
+  app.post('/api/auth/login', (req, res) => send(res, () => {
+    const user = login(req.body?.email, req.body?.password);
+    startSession(res, user);
+    console.log(`[Auth] ${user.email} signed in`);
+    return { user: publicUser(user) };
+  }));
+
+  app.post('/api/auth/logout', (req, res) => {
+    if (req.sessionToken) sessions.delete(req.sessionToken);
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ status: 'ok' });
+  });
+
+  // First run only: create the admin account and sign in as it
+  app.post('/api/auth/setup', (req, res) => send(res, () => {
+    if (hasUsers()) throw httpError(409, 'Setup is already complete');
+    if (isProduction && (!process.env.AUTH_SETUP_TOKEN || req.body?.setupToken !== process.env.AUTH_SETUP_TOKEN)) {
+      throw httpError(403, 'Setup needs AUTH_SETUP_TOKEN (or ADMIN_EMAIL and ADMIN_PASSWORD on the server)');
+    }
+    const user = createUser({ ...req.body, role: 'admin' });
+    startSession(res, users.find(u => u.id === user.id));
+    return { user };
+  }));
+
+  app.get('/api/auth/users', requireRole('admin'), (req, res) => send(res, () => ({ users: listUsers() })));
+  app.post('/api/auth/users', requireRole('admin'), (req, res) => send(res, () => ({ user: createUser(req.body || {}) })));
+  app.patch('/api/auth/users/:id', requireRole('admin'), (req, res) => send(res, () => ({ user: updateUser(req.params.id, req.body || {}) })));
+  app.delete('/api/auth/users/:id', requireRole('admin'), (req, res) => send(res, () => {
+    if (req.params.id === req.user.id) throw httpError(400, 'You can\'t delete your own account');
+    deleteUser(req.params.id);
+    return { status: 'ok' };
+  }));
+}
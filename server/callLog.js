@@ -0,0 +1,214 @@
+/**
+ * MCP Call Log and Metrics
+ *
+ * Every tool call the pool makes is recorded as one structured entry — tool, args hash,
+ * duration, time spent queued, retries, bytes and error — in an in-memory ring buffer
+ * (MCP_LOG_SIZE, default 500). The browser reports its own cache hits, so a refresh shows
+ * up as hits and misses side by side. Served at /api/mcp/log.
+ *
+ * Cumulative counters survive the ring buffer and are rendered in Prometheus text format
+ * for /metrics. They're kept per tool the upstream lists in tools/list; any other name (a typo,
+ * or a made-up name reported by a client) is counted as tool="other", so neither the counters
+ * nor the metric label sets grow without bound. Until a tools/list has been seen, the first
+ * MAX_TOOLS names get their own counters.
+ */
+
+import { createHash } from 'crypto';
+import { canonicalize } from './fixtures.js';
+
+// Histogram buckets for call duration, in seconds
+const DURATION_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const MAX_TOOLS = 50;
+const OTHER_TOOL = 'other';
+
+/**
+ * Short stable hash of a call's arguments, so identical requests can be spotted in the log.
+ */
+export function hashArgs(args) {
+  return createHash('sha1').update(canonicalize(args || {})).digest('hex').slice(0, 12);
+}
+
+export class CallLog {
+  /**
+   * @param {{ size?: number }} [options] - size: entries kept in the ring buffer
+   */
+  constructor({ size = 500 } = {}) {
+    this.size = size;
+    this.entries = [];
+    this.nextId = 1;
+    this.tools = new Map(); // tool → cumulative counters
+    this.knownTools = new Set(); // names from the upstream's tools/list
+  }
+
+  /**
+   * Remember the upstream's tool names (from a tools/list result).
+   * @param {string[]} names
+   */
+  setKnownTools(names) {
+    names.filter(name => typeof name === 'string').forEach(name => this.knownTools.add(name));
+    // Counters started before the list was known fold into "other" if the upstream doesn't have them
+    for (const [tool, t] of [...this.tools.entries()]) {
+      if (tool === OTHER_TOOL || this.knownTools.has(tool)) continue;
+      this.tools.delete(tool);
+      const other = this.tools.get(OTHER_TOOL);
+      if (!other) {
+        this.tools.set(OTHER_TOOL, t);
+        continue;
+      }
+      ['ok', 'error', 'hits', 'misses', 'retries', 'bytes', 'durationSum', 'queuedSum'].forEach(key => { other[key] += t[key]; });
+      t.buckets.forEach((n, i) => { other.buckets[i] += n; });
+    }
+  }
+
+  /**
+   * The counter a tool's calls are kept under.
+   */
+  counterFor(tool) {
+    if (this.knownTools.size > 0) return this.knownTools.has(tool) ? tool : OTHER_TOOL;
+    return this.tools.has(tool) || this.tools.size < MAX_TOOLS ? tool : OTHER_TOOL;
+  }
+
+  /**
+   * Record one call.
+   * @param {object} entry
+   * @param {string} entry.tool
+   * @param {object} [entry.args]
+   * @param {'miss'|'hit'|null} [entry.cache] - browser cache result; null for calls the bridge makes itself
+   * @param {number} [entry.durationMs]
+   * @param {number} [entry.queuedMs] - waiting for a free concurrency slot, included in durationMs
+   * @param {number} [entry.retries] - retries on a fresh session
+   * @param {number} [entry.bytes] - response size
+   * @param {string|null} [entry.error]
+   * @param {string} [entry.source] - 'app', 'snapshot', 'diagnostics', …
+   * @param {string|null} [entry.user]
+   */
+  record({ tool, args, cache = null, durationMs = 0, queuedMs = 0, retries = 0, bytes = 0, error = null, source = 'app', user = null, at }) {
+    const entry = {
+      id: this.nextId++,
+      at: at || new Date().toISOString(),
+      tool: String(tool).slice(0, 100),
+      argsHash: hashArgs(args),
+      account: args?.act_id || args?.account_id || null,
+      source,
+      user,
+      cache,
+      durationMs,
+      queuedMs,
+      retries,
+      bytes,
+      ok: !error,
+      error,
+    };
+    this.entries.push(entry);
+    if (this.entries.length > this.size) this.entries.shift();
+    this.count(entry);
+    return entry;
+  }
+
+  count(entry) {
+    const key = this.counterFor(entry.tool);
+    let t = this.tools.get(key);
+    if (!t) {
+      t = { ok: 0, error: 0, hits: 0, misses: 0, retries: 0, bytes: 0, durationSum: 0, queuedSum: 0, buckets: DURATION_BUCKETS.map(() => 0) };
+      this.tools.set(key, t);
+    }
+    if (entry.cache === 'hit') {
+      t.hits++;
+      return;
+    }
+    if (entry.cache === 'miss') t.misses++;
+    t[entry.ok ? 'ok' : 'error']++;
+    t.retries += entry.retries;
+    t.bytes += entry.bytes;
+    const seconds = entry.durationMs / 1000;
+    t.durationSum += seconds;
+    t.queuedSum += entry.queuedMs / 1000;
+    DURATION_BUCKETS.forEach((le, i) => { if (seconds <= le) t.buckets[i]++; });
+  }
+
+  /**
+   * Most recent entries first.
+   * @param {{ limit?: number, tool?: string, errorsOnly?: boolean }} [filter]
+   */
+  list({ limit = 100, tool, errorsOnly = false } = {}) {
+    const matching = this.entries.filter(e => (!tool || e.tool === tool) && (!errorsOnly || !e.ok));
+    return matching.slice(-limit).reverse();
+  }
+
+  /**
+   * Totals over the entries still in the buffer.
+   */
+  summary() {
+    const calls = this.entries.filter(e => e.cache !== 'hit');
+    const durations = calls.map(e => e.durationMs).sort((a, b) => a - b);
+    const hits = this.entries.length - calls.length;
+    const misses = calls.filter(e => e.cache === 'miss').length;
+    return {
+      entries: this.entries.length,
+      since: this.entries[0]?.at || null,
+      calls: calls.length,
+      errors: calls.filter(e => !e.ok).length,
+      retries: calls.reduce((sum, e) => sum + e.retries, 0),
+      bytes: calls.reduce((sum, e) => sum + e.bytes, 0),
+      cacheHitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      p50Ms: percentile(durations, 0.5),
+      p95Ms: percentile(durations, 0.95),
+      maxMs: durations[durations.length - 1] ?? null,
+    };
+  }
+
+  /**
+   * Prometheus text exposition of the cumulative counters plus any extra gauges.
+   * @param {Array<{ name: string, help: string, value: number }>} [gauges]
+   */
+  metrics(gauges = []) {
+    const lines = [];
+    const family = (name, type, help) => lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    const tools = [...this.tools.entries()];
+
+    family('mcp_tool_calls_total', 'counter', 'MCP tool calls made by the bridge, by outcome.');
+    tools.forEach(([tool, t]) => {
+      lines.push(`mcp_tool_calls_total{tool="${escapeLabel(tool)}",status="ok"} ${t.ok}`);
+      lines.push(`mcp_tool_calls_total{tool="${escapeLabel(tool)}",status="error"} ${t.error}`);
+    });
+
+    family('mcp_tool_call_duration_seconds', 'histogram', 'MCP tool call duration, including time queued for a slot.');
+    tools.forEach(([tool, t]) => {
+      const label = `tool="${escapeLabel(tool)}"`;
+      DURATION_BUCKETS.forEach((le, i) => lines.push(`mcp_tool_call_duration_seconds_bucket{${label},le="${le}"} ${t.buckets[i]}`));
+      lines.push(`mcp_tool_call_duration_seconds_bucket{${label},le="+Inf"} ${t.ok + t.error}`);
+      lines.push(`mcp_tool_call_duration_seconds_sum{${label}} ${round(t.durationSum)}`);
+      lines.push(`mcp_tool_call_duration_seconds_count{${label}} ${t.ok + t.error}`);
+    });
+
+    family('mcp_tool_queue_wait_seconds_total', 'counter', 'Time tool calls spent waiting for a free concurrency slot.');
+    tools.forEach(([tool, t]) => lines.push(`mcp_tool_queue_wait_seconds_total{tool="${escapeLabel(tool)}"} ${round(t.queuedSum)}`));
+
+    family('mcp_tool_retries_total', 'counter', 'Tool call retries on a fresh session after a session error.');
+    tools.forEach(([tool, t]) => lines.push(`mcp_tool_retries_total{tool="${escapeLabel(tool)}"} ${t.retries}`));
+
+    family('mcp_tool_response_bytes_total', 'counter', 'Bytes of tool responses received from the upstream.');
+    tools.forEach(([tool, t]) => lines.push(`mcp_tool_response_bytes_total{tool="${escapeLabel(tool)}"} ${t.bytes}`));
+
+    family('mcp_cache_requests_total', 'counter', 'Tool requests answered by the browser cache (hit) or sent to the bridge (miss).');
+    tools.forEach(([tool, t]) => {
+      lines.push(`mcp_cache_requests_total{tool="${escapeLabel(tool)}",result="hit"} ${t.hits}`);
+      lines.push(`mcp_cache_requests_total{tool="${escapeLabel(tool)}",result="miss"} ${t.misses}`);
+    });
+
+    gauges.forEach(({ name, help, value }) => {
+      family(name, 'gauge', help);
+      lines.push(`${name} ${value}`);
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+const round = n => Math.round(n * 1000) / 1000;
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
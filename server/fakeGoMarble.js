@@ -0,0 +1,463 @@
+/**
+ * Fake GoMarble MCP Server
+ *
+ * A local stand-in for apps.gomarble.ai so the real bridge → MCP code path (direct mode) runs
+ * on a laptop with no internet and no key. Implements the facebook_* tools the service layer
+ * calls and answers in the same shapes GoMarble does (string metrics, action arrays, budgets
+ * in minor units).
+ *
+ *   npm run fake-mcp
+ *   MCP_URL=http://localhost:3457/sse npm run server
+ *
+ * Both transports are served: legacy SSE at /sse (+ /messages) and Streamable HTTP at /mcp.
+ *
+ * Each account is backed by either
+ *   - a scenario from src/services/scenarios.js, generated for whatever date range is asked for, or
+ *   - a fixture recorded by the bridge (see fixtures.js), served back by tool + arguments.
+ *
+ * Configuration (env):
+ *   FAKE_MCP_PORT     port (default 3457)
+ *   FAKE_MCP_CONFIG   JSON file: { seed, latencyMs, accounts: [{ id, name, currency, timezone, scenario | fixture }] }
+ *   FAKE_MCP_API_KEY  when set, requests must send it as a Bearer token
+ */
+
+import express from 'express';
+import { readFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { generateScenarioAccount, createRng, hashSeed } from '../src/services/scenarioEngine.js';
+import { SCENARIOS } from '../src/services/scenarios.js';
+import { resolveDateRange, metaCurrencyOffset } from '../src/utils/normalize.js';
+import { canonicalize, loadFixture } from './fixtures.js';
+
+const PORT = Number(process.env.FAKE_MCP_PORT) || 3457;
+const PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+// Reported for accounts configured without one; date presets resolve in it too
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+const DEFAULT_CONFIG = {
+  seed: 1,
+  latencyMs: 0,
+  accounts: [
+    { id: 'act_123456789', name: 'Main Ecommerce Account', currency: 'USD', timezone: 'America/New_York', scenario: 'baseline' },
+    { id: 'act_234567891', name: 'Coastal Skincare Co.', currency: 'EUR', timezone: 'Europe/Dublin', scenario: 'creative_fatigue_rt' },
+    { id: 'act_345678912', name: 'Summit Home Services', currency: 'USD', timezone: 'America/Denver', scenario: 'leadgen' },
+    { id: 'act_456789123', name: 'Northwind Apparel', currency: 'GBP', timezone: 'Europe/London', scenario: 'q4_cpm_surge' },
+  ],
+};
+
+const config = process.env.FAKE_MCP_CONFIG
+  ? { ...DEFAULT_CONFIG, ...JSON.parse(readFileSync(process.env.FAKE_MCP_CONFIG, 'utf-8')) }
+  : DEFAULT_CONFIG;
+
+config.accounts.forEach(account => {
+  if (!account.fixture && !SCENARIOS[account.scenario]) {
+    throw new Error(`Account ${account.id}: unknown scenario "${account.scenario}" (have ${Object.keys(SCENARIOS).join(', ')})`);
+  }
+});
+
+// ─── Scenario Data ───────────────────────────────────────────────────────────
+
+const BREAKDOWN_VALUES = {
+  age: ['18-24', '25-34', '35-44', '45-54', '55-64', '65+'],
+  gender: ['female', 'male', 'unknown'],
+  country: ['US', 'CA', 'GB', 'AU'],
+  region: ['California', 'Texas', 'New York', 'Florida', 'Illinois'],
+  publisher_platform: ['facebook', 'instagram', 'audience_network', 'messenger'],
+  platform_position: ['feed', 'instagram_stories', 'instagram_reels', 'facebook_reels', 'right_hand_column'],
+  device_platform: ['mobile_app', 'mobile_web', 'desktop'],
+};
+
+const LEVEL_KEYS = {
+  campaign: ['campaign_id', 'campaign_name'],
+  adset: ['adset_id', 'adset_name', 'campaign_id', 'campaign_name'],
+  ad: ['ad_id', 'ad_name', 'adset_id', 'adset_name', 'campaign_id', 'campaign_name'],
+};
+
+const generated = new Map(); // `${accountId}:${since}:${until}` → generated tree
+
+function findAccount(actId) {
+  const id = String(actId || '').startsWith('act_') ? String(actId) : `act_${actId}`;
+  const account = config.accounts.find(a => a.id === id);
+  // Same wording Meta uses, so the bridge's diagnostics see a realistic error
+  if (!account) throw new Error(`Unsupported get request. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation.`);
+  return account;
+}
+
+function periodOf(account, args) {
+  if (args.time_range?.since && args.time_range?.until) return { since: args.time_range.since, until: args.time_range.until };
+  return resolveDateRange(args.date_preset || 'last_30d', null, { timeZone: account.timezone || DEFAULT_TIMEZONE });
+}
+
+function treeFor(account, range) {
+  const key = `${account.id}:${range.since}:${range.until}`;
+  if (!generated.has(key)) {
+    const { scenario: _scenario, fixture: _fixture, ...accountFields } = account;
+    generated.set(key, generateScenarioAccount(SCENARIOS[account.scenario], { account: accountFields, range, seed: config.seed }));
+  }
+  return generated.get(key);
+}
+
+// Meta returns metrics as strings
+const str = value => (value == null ? undefined : String(value));
+
+function toMetaRow(insights, ids) {
+  const reach = insights.reach || 0;
+  return {
+    ...ids,
+    spend: str(insights.spend),
+    impressions: str(insights.impressions),
+    clicks: str(insights.clicks),
+    reach: str(reach),
+    frequency: str(reach > 0 ? +(insights.impressions / reach).toFixed(4) : 0),
+    ctr: str(insights.ctr),
+    cpm: str(insights.cpm),
+    cpc: str(insights.clicks > 0 ? +(insights.spend / insights.clicks).toFixed(4) : undefined),
+    actions: stringifyValues(insights.actions),
+    action_values: stringifyValues(insights.action_values),
+    cost_per_action_type: stringifyValues(insights.cost_per_action_type),
+    ...(insights.purchase_roas ? { purchase_roas: [{ action_type: 'omni_purchase', value: str(insights.purchase_roas) }] } : {}),
+    ...(insights.video_15_sec_watched_actions != null
+      ? { video_thruplay_watched_actions: [{ action_type: 'video_view', value: str(insights.video_15_sec_watched_actions) }] }
+      : {}),
+    date_start: insights.date_start,
+    date_stop: insights.date_stop,
+  };
+}
+
+function stringifyValues(actions = []) {
+  return actions.map(a => Object.fromEntries(Object.entries(a).map(([k, v]) => [k, k === 'action_type' ? v : str(v)])));
+}
+
+// Each daily point becomes its own row, like time_increment=1
+function dailyRows(insights, ids) {
+  return (insights.daily || []).map(d => toMetaRow({ ...d, date_start: d.date, date_stop: d.date }, ids));
+}
+
+/**
+ * Entities at a level with the id/name columns Meta attaches to their rows.
+ */
+function entitiesAt(tree, level) {
+  if (level === 'account') return [{ insights: tree.account.insights, ids: { account_id: tree.account.id.replace(/^act_/, '') } }];
+  const out = [];
+  tree.campaigns.forEach(c => {
+    const campaignIds = { campaign_id: c.id, campaign_name: c.name };
+    if (level === 'campaign') out.push({ insights: c.insights, ids: campaignIds });
+    c.adSets.forEach(as => {
+      const adSetIds = { adset_id: as.id, adset_name: as.name, ...campaignIds };
+      if (level === 'adset') out.push({ insights: as.insights, ids: adSetIds });
+      if (level === 'ad') as.ads.forEach(ad => out.push({ insights: ad.insights, ids: { ad_id: ad.id, ad_name: ad.name, ...adSetIds } }));
+    });
+  });
+  return out;
+}
+
+function matchesFiltering(ids, filtering = []) {
+  return filtering.every(({ field, operator, value }) => {
+    const key = field.replace('.', '_');
+    if (!(key in ids)) return true;
+    const values = Array.isArray(value) ? value.map(String) : [String(value)];
+    return operator === 'NOT_IN' ? !values.includes(String(ids[key])) : values.includes(String(ids[key]));
+  });
+}
+
+/**
+ * Split an entity's aggregate across breakdown values with stable, uneven shares.
+ */
+function breakdownRows(insights, ids, breakdowns, seedKey) {
+  const field = breakdowns[breakdowns.length - 1];
+  const values = BREAKDOWN_VALUES[field] || ['unknown'];
+  const rng = createRng(hashSeed(`${seedKey}:${breakdowns.join(',')}`));
+  const weights = values.map(() => 0.3 + rng());
+  const total = weights.reduce((s, w) => s + w, 0);
+
+  return values.map((value, i) => {
+    const share = weights[i] / total;
+    // Later segments convert worse, so some land well outside target
+    const efficiency = 1.25 - i * (0.5 / values.length);
+    const scaleAction = (list, factor) => (list || []).map(a => Object.fromEntries(Object.entries(a)
+      .map(([k, v]) => [k, typeof v === 'number' ? +(v * factor).toFixed(2) : v])));
+    const spend = +(insights.spend * share).toFixed(2);
+    const actions = scaleAction(insights.actions, share * efficiency);
+    const actionValues = scaleAction(insights.action_values, share * efficiency);
+    const segment = Object.fromEntries(breakdowns.map(f => [f, f === field ? value : (String(value).startsWith('instagram') ? 'instagram' : 'facebook')]));
+    return {
+      ...toMetaRow({
+        ...insights,
+        spend,
+        impressions: Math.round(insights.impressions * share),
+        clicks: Math.round(insights.clicks * share),
+        reach: Math.round(insights.reach * share),
+        actions,
+        action_values: actionValues,
+        cost_per_action_type: [],
+        purchase_roas: null,
+        video_15_sec_watched_actions: null,
+      }, ids),
+      ...segment,
+    };
+  });
+}
+
+function scenarioInsights(account, args) {
+  const range = periodOf(account, args);
+  const tree = treeFor(account, range);
+  const level = args.level || 'account';
+  const entities = entitiesAt(tree, level).filter(e => matchesFiltering(e.ids, args.filtering));
+
+  if (args.breakdowns?.length) {
+    return { data: entities.flatMap(e => breakdownRows(e.insights, e.ids, args.breakdowns, `${account.id}:${JSON.stringify(e.ids)}:${range.since}`)) };
+  }
+  if (Number(args.time_increment) === 1) {
+    return { data: entities.flatMap(e => dailyRows(e.insights, e.ids)) };
+  }
+  return { data: entities.filter(e => e.insights.spend > 0).map(e => toMetaRow(e.insights, e.ids)) };
+}
+
+function findEntity(account, type, id) {
+  const tree = treeFor(account, resolveDateRange('last_30d', null, { timeZone: account.timezone || DEFAULT_TIMEZONE }));
+  for (const campaign of tree.campaigns) {
+    if (type === 'campaign' && campaign.id === id) return campaign;
+    for (const adSet of campaign.adSets) {
+      if (type === 'adset' && adSet.id === id) return adSet;
+      for (const ad of adSet.ads) if (type === 'ad' && ad.id === id) return ad;
+    }
+  }
+  return null;
+}
+
+const minorUnits = (budget, currency) => (budget == null ? '0' : String(Math.round(Number(budget) * metaCurrencyOffset(currency))));
+
+// ─── Recorded Fixtures ───────────────────────────────────────────────────────
+
+const DATE_ARGS = ['date_preset', 'time_range'];
+const fixtureCache = new Map();
+
+function withoutKeys(args, keys) {
+  return Object.fromEntries(Object.entries(args || {}).filter(([k]) => !keys.includes(k)));
+}
+
+/**
+ * Same call recorded with the same arguments (account ids ignored); failing that, the same
+ * call for any period, so relative presets still resolve days after recording.
+ */
+function fixtureResponse(account, tool, args) {
+  if (!fixtureCache.has(account.fixture)) {
+    const fixture = loadFixture(account.fixture);
+    if (!fixture) throw new Error(`Fixture "${account.fixture}" not found`);
+    fixtureCache.set(account.fixture, fixture.entries);
+  }
+  const entries = fixtureCache.get(account.fixture).filter(e => e.tool === tool);
+  const ignoreIds = ['act_id', 'account_id'];
+  const exact = canonicalize(withoutKeys(args, ignoreIds));
+  const loose = canonicalize(withoutKeys(args, [...ignoreIds, ...DATE_ARGS]));
+  const match = entries.find(e => canonicalize(withoutKeys(e.args, ignoreIds)) === exact)
+    || entries.find(e => canonicalize(withoutKeys(e.args, [...ignoreIds, ...DATE_ARGS])) === loose);
+  if (!match) throw new Error(`Fixture "${account.fixture}" has no recorded ${tool} call matching these arguments`);
+  return match.response;
+}
+
+// ─── Tools ───────────────────────────────────────────────────────────────────
+
+function accountSummary(account) {
+  return {
+    id: account.id,
+    account_id: account.id.replace(/^act_/, ''),
+    name: account.name || account.id,
+    currency: account.currency || 'USD',
+    timezone_name: account.timezone || DEFAULT_TIMEZONE,
+    account_status: 1,
+  };
+}
+
+// The first account is assumed when a details call doesn't say which account it belongs to
+const accountFor = args => findAccount(args.act_id || args.account_id || config.accounts[0].id);
+
+const TOOLS = {
+  facebook_list_ad_accounts: {
+    description: 'List ad accounts available to the token',
+    run: () => ({ data: config.accounts.map(accountSummary) }),
+  },
+  facebook_get_details_of_ad_account: {
+    description: 'Ad account details',
+    run: args => accountSummary(findAccount(args.act_id)),
+  },
+  facebook_get_adaccount_insights: {
+    description: 'Insights for an ad account at account, campaign, adset or ad level',
+    run: args => scenarioInsights(findAccount(args.act_id), args),
+  },
+  facebook_get_campaign_details: {
+    description: 'Campaign configuration',
+    run: args => {
+      const account = accountFor(args);
+      const campaign = findEntity(account, 'campaign', args.campaign_id);
+      if (!campaign) throw new Error(`Unknown campaign: ${args.campaign_id}`);
+      return {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        effective_status: campaign.status,
+        configured_status: campaign.status,
+        objective: campaign.objective,
+        buying_type: campaign.buying_type,
+        daily_budget: minorUnits(campaign.daily_budget, account.currency),
+        lifetime_budget: '0',
+      };
+    },
+  },
+  facebook_get_adset_details: {
+    description: 'Ad set configuration',
+    run: args => {
+      const account = accountFor(args);
+      const adSet = findEntity(account, 'adset', args.adset_id);
+      if (!adSet) throw new Error(`Unknown ad set: ${args.adset_id}`);
+      return {
+        id: adSet.id,
+        name: adSet.name,
+        campaign_id: adSet.campaign_id,
+        status: adSet.status,
+        effective_status: adSet.status,
+        configured_status: adSet.status,
+        daily_budget: minorUnits(adSet.daily_budget, account.currency),
+        lifetime_budget: '0',
+        bid_strategy: adSet.bid_strategy,
+        optimization_goal: adSet.optimization_goal,
+      };
+    },
+  },
+  facebook_analyze_ad_creative_by_id_or_url: {
+    description: 'Creative details for an ad or creative id',
+    run: args => {
+      const adId = args.ad_id || String(args.creative_id || '').replace(/^cr_/, '');
+      const ad = findEntity(accountFor(args), 'ad', adId);
+      if (!ad) throw new Error(`Unknown ad or creative: ${args.ad_id || args.creative_id}`);
+      return {
+        id: ad.creative?.id || `cr_${ad.id}`,
+        name: ad.name,
+        object_type: /video|reel|ugc/i.test(ad.name) ? 'VIDEO' : 'IMAGE',
+        title: ad.name.split(' - ').pop(),
+        body: `Creative for ${ad.name}`,
+      };
+    },
+  },
+};
+
+function callTool(name, args = {}) {
+  const tool = TOOLS[name];
+  if (!tool) {
+    const err = new Error(`Unknown tool: ${name}`);
+    err.code = -32602;
+    throw err;
+  }
+  // Fixture-backed accounts answer everything from the recording
+  const actId = args.act_id || args.account_id;
+  const account = actId ? config.accounts.find(a => a.id === (String(actId).startsWith('act_') ? actId : `act_${actId}`)) : null;
+  if (account?.fixture) return fixtureResponse(account, name, args);
+  return tool.run(args);
+}
+
+// ─── JSON-RPC ────────────────────────────────────────────────────────────────
+
+async function handleRpc(message) {
+  const { id, method, params } = message;
+  if (id == null) return null; // notification
+  const reply = result => ({ jsonrpc: '2.0', id, result });
+  const fail = (code, msg) => ({ jsonrpc: '2.0', id, error: { code, message: msg } });
+
+  if (config.latencyMs > 0) await new Promise(r => setTimeout(r, config.latencyMs));
+
+  switch (method) {
+    case 'initialize': {
+      const offered = params?.protocolVersion;
+      return reply({
+        protocolVersion: PROTOCOL_VERSIONS.includes(offered) ? offered : PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {} },
+        serverInfo: { name: 'fake-gomarble', version: '1.0.0' },
+      });
+    }
+    case 'ping':
+      return reply({});
+    case 'tools/list':
+      return reply({
+        tools: Object.entries(TOOLS).map(([name, tool]) => ({
+          name,
+          description: tool.description,
+          inputSchema: { type: 'object', additionalProperties: true },
+        })),
+      });
+    case 'tools/call':
+      try {
+        const result = callTool(params?.name, params?.arguments);
+        console.log(`[FakeMCP] ${params?.name} ✅`);
+        return reply({ content: [{ type: 'text', text: JSON.stringify(result) }] });
+      } catch (err) {
+        console.log(`[FakeMCP] ${params?.name} ❌ ${err.message}`);
+        if (err.code) return fail(err.code, err.message);
+        return reply({ content: [{ type: 'text', text: err.message }], isError: true });
+      }
+    default:
+      return fail(-32601, `Method not found: ${method}`);
+  }
+}
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+const app = express();
+app.use(express.json({ limit: '1mb' }));
+
+app.use((req, res, next) => {
+  const key = process.env.FAKE_MCP_API_KEY;
+  if (key && req.headers.authorization !== `Bearer ${key}`) return res.status(401).json({ error: 'Invalid API key' });
+  next();
+});
+
+// Legacy SSE transport: the stream announces where to POST, responses come back on the stream
+const sseStreams = new Map(); // sessionId → response
+
+app.get('/sse', (req, res) => {
+  const sessionId = randomUUID();
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+  res.write(`event: endpoint\ndata: /messages?sessionId=${sessionId}\n\n`);
+  sseStreams.set(sessionId, res);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    sseStreams.delete(sessionId);
+  });
+});
+
+app.post('/messages', async (req, res) => {
+  const stream = sseStreams.get(req.query.sessionId);
+  if (!stream) return res.status(400).send('No transport found for sessionId');
+  res.status(202).send('Accepted');
+  const response = await handleRpc(req.body);
+  if (response) stream.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+});
+
+// Streamable HTTP transport: one POST per message, JSON response
+const httpSessions = new Set();
+
+app.post('/mcp', async (req, res) => {
+  const sessionId = req.headers['mcp-session-id'];
+  if (req.body?.method === 'initialize') {
+    const newId = randomUUID();
+    httpSessions.add(newId);
+    res.setHeader('Mcp-Session-Id', newId);
+  } else if (!httpSessions.has(sessionId)) {
+    return res.status(404).json({ jsonrpc: '2.0', error: { code: -32001, message: 'Session not found' } });
+  }
+  const response = await handleRpc(req.body);
+  if (!response) return res.status(202).end();
+  res.json(response);
+});
+
+app.delete('/mcp', (req, res) => {
+  httpSessions.delete(req.headers['mcp-session-id']);
+  res.status(200).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`\n🧪 Fake GoMarble MCP on http://localhost:${PORT}`);
+  console.log(`   SSE: http://localhost:${PORT}/sse · Streamable HTTP: http://localhost:${PORT}/mcp`);
+  config.accounts.forEach(a => console.log(`   ${a.id} ${a.name || ''} — ${a.fixture ? `fixture "${a.fixture}"` : `scenario ${a.scenario}`}`));
+  console.log(`   Point the bridge at it: MCP_URL=http://localhost:${PORT}/sse npm run server\n`);
+});
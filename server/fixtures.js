@@ -0,0 +1,160 @@
+/**
+ * MCP Record / Replay Fixtures
+ *
+ * While a recording is active, every successful /api/mcp/tool response is written to
+ * FIXTURES_DIR/<name>/ with ad account ids swapped for stable placeholders. The app's
+ * "replay" mode serves a fixture back deterministically, so rule output can be debugged
+ * against a frozen copy of a real account and fixtures can be shared as plain files.
+ *
+ * Each entry is one file: { tool, args, response, recordedAt }.
+ * <name>/manifest.json holds { name, recordedAt, accounts: [placeholder ids] }.
+ */
+
+import { mkdirSync, existsSync, readFileSync, readdirSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+
+const FIXTURES_DIR = process.env.MCP_FIXTURES_DIR
+  ? resolve(process.env.MCP_FIXTURES_DIR)
+  : fileURLToPath(new URL('../fixtures', import.meta.url));
+
+let recording = null; // { name, dir, accounts: Map<realId, placeholderId> }
+
+function sanitizeName(name) {
+  const clean = String(name || '').trim().replace(/[^\w.-]/g, '-');
+  if (!clean || clean.startsWith('.')) throw new Error('Invalid fixture name');
+  return clean;
+}
+
+/**
+ * Start recording tool responses into a named fixture (appends if it already exists).
+ */
+export function startRecording(name) {
+  const clean = sanitizeName(name);
+  const dir = join(FIXTURES_DIR, clean);
+  mkdirSync(dir, { recursive: true });
+  recording = { name: clean, dir, accounts: new Map() };
+  writeManifest();
+  console.log(`[Fixtures] Recording to ${dir}`);
+  return getRecordingStatus();
+}
+
+export function stopRecording() {
+  if (recording) console.log(`[Fixtures] Stopped recording "${recording.name}"`);
+  recording = null;
+  return getRecordingStatus();
+}
+
+export function getRecordingStatus() {
+  return { recording: recording?.name || null };
+}
+
+// ─── Redaction ───────────────────────────────────────────────────────────────
+
+// Account ids show up as act_<digits>, bare <digits> (account_id) and inside nested payloads
+function registerAccount(rawId) {
+  const digits = String(rawId || '').replace(/^act_/, '');
+  if (!/^\d{5,}$/.test(digits) || recording.accounts.has(digits)) return;
+  // Placeholders stay numeric so code that parses act_ ids keeps working
+  const placeholder = String(100000000 + recording.accounts.size + 1);
+  recording.accounts.set(digits, placeholder);
+}
+
+function redact(value) {
+  let json = JSON.stringify(value ?? null);
+  for (const [real, placeholder] of recording.accounts) {
+    json = json.replace(new RegExp(`(?<![\\d])${real}(?![\\d])`, 'g'), placeholder);
+  }
+  return JSON.parse(json);
+}
+
+function collectAccountIds(toolName, args, response) {
+  if (args?.act_id) registerAccount(args.act_id);
+  if (args?.account_id) registerAccount(args.account_id);
+  if (toolName.includes('ad_account')) {
+    const rows = Array.isArray(response) ? response : (response?.data || response?.accounts || []);
+    (Array.isArray(rows) ? rows : [rows]).forEach(row => {
+      registerAccount(row?.id);
+      registerAccount(row?.account_id);
+    });
+  }
+}
+
+// ─── Recording ───────────────────────────────────────────────────────────────
+
+/**
+ * Canonical JSON (sorted keys) so the same call always maps to the same entry.
+ */
+export function canonicalize(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Save one tool response to the active fixture. No-op when not recording.
+ */
+export function recordToolResponse(toolName, args, response) {
+  if (!recording) return;
+  try {
+    collectAccountIds(toolName, args, response);
+    const redactedArgs = redact(args || {});
+    const hash = createHash('sha1').update(`${toolName}:${canonicalize(redactedArgs)}`).digest('hex').slice(0, 12);
+    writeFileSync(join(recording.dir, `${toolName}-${hash}.json`), JSON.stringify({
+      tool: toolName,
+      args: redactedArgs,
+      response: redact(response),
+      recordedAt: new Date().toISOString(),
+    }, null, 2));
+    writeManifest();
+  } catch (err) {
+    console.error(`[Fixtures] Could not record ${toolName}: ${err.message}`);
+  }
+}
+
+function writeManifest() {
+  const file = join(recording.dir, 'manifest.json');
+  const existing = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : {};
+  const accounts = new Set(existing.accounts || []);
+  recording.accounts.forEach(placeholder => accounts.add(`act_${placeholder}`));
+  writeFileSync(file, JSON.stringify({
+    name: recording.name,
+    recordedAt: existing.recordedAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    accounts: [...accounts],
+  }, null, 2));
+}
+
+// ─── Replay ──────────────────────────────────────────────────────────────────
+
+/**
+ * Fixtures available on disk.
+ */
+export function listFixtures() {
+  if (!existsSync(FIXTURES_DIR)) return [];
+  return readdirSync(FIXTURES_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory())
+    .map(d => {
+      const dir = join(FIXTURES_DIR, d.name);
+      const manifestFile = join(dir, 'manifest.json');
+      const manifest = existsSync(manifestFile) ? JSON.parse(readFileSync(manifestFile, 'utf-8')) : {};
+      const entryCount = readdirSync(dir).filter(f => f.endsWith('.json') && f !== 'manifest.json').length;
+      return { name: d.name, recordedAt: manifest.recordedAt || null, accounts: manifest.accounts || [], entryCount };
+    });
+}
+
+/**
+ * Every recorded entry in a fixture, ordered by recording time.
+ */
+export function loadFixture(name) {
+  const dir = join(FIXTURES_DIR, sanitizeName(name));
+  if (!existsSync(dir)) return null;
+  const entries = readdirSync(dir)
+    .filter(f => f.endsWith('.json') && f !== 'manifest.json')
+    .map(f => JSON.parse(readFileSync(join(dir, f), 'utf-8')))
+    .sort((a, b) => (a.recordedAt || '').localeCompare(b.recordedAt || ''));
+  return { name, entries };
+}
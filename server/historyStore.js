@@ -0,0 +1,239 @@
+/**
+ * Historical Snapshot Store
+ *
+ * Persists daily per-entity metrics and the verdicts the engine produced, so trend
+ * rules and charts can look back further than Meta's insights API allows.
+ * One JSON file per ad account under HISTORY_DIR:
+ *
+ *   {
+ *     accountId, currency, updatedAt,
+ *     entities: { [entityId]: { type, name, parentId, days: { 'YYYY-MM-DD': point } } },
+ *     verdicts: { 'YYYY-MM-DD': { [entityId]: { type, verdict, signals, spend, cpa, roas } } }
+ *   }
+ *
+ * A newer snapshot overwrites the same day — Meta keeps revising recent days as
+ * conversions attribute, so the latest fetch is the most accurate.
+ */
+
+import { mkdirSync, existsSync, readFileSync, readdirSync } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const HISTORY_DIR = process.env.HISTORY_DIR
+  ? resolve(process.env.HISTORY_DIR)
+  : fileURLToPath(new URL('../data/history', import.meta.url));
+const ENTITY_TYPES = ['account', 'campaign', 'adset', 'ad'];
+// Entity ids and dates key the stored maps, so only plain ids and real ISO dates get in
+const ENTITY_ID = /^[\w-]+$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Numeric fields kept per day; actions arrays are kept too so the client can re-apply its conversion mapping
+const POINT_NUMBERS = ['spend', 'impressions', 'clicks', 'reach', 'frequency', 'ctr', 'cpm', 'conversions', 'revenue', 'cpa', 'roas'];
+const POINT_ARRAYS = ['actions', 'action_values', 'cost_per_action_type'];
+
+// Accounts kept loaded in memory, least recently used evicted first (the files stay on disk)
+const MAX_LOADED_ACCOUNTS = Number(process.env.HISTORY_MAX_LOADED_ACCOUNTS) || 50;
+
+const accounts = new Map();   // accountId → loaded file contents, least recently used first
+const writeChains = new Map(); // accountId → promise of the last queued write
+
+mkdirSync(HISTORY_DIR, { recursive: true });
+
+function fileFor(accountId) {
+  // Account ids are act_<digits>; anything else is stripped so ids can't escape the directory
+  return join(HISTORY_DIR, `${String(accountId).replace(/[^\w-]/g, '_')}.json`);
+}
+
+// Prototype-less copy of a keyed map, so no key ("__proto__" included) resolves to Object.prototype
+function dict(source) {
+  return Object.assign(Object.create(null), source);
+}
+
+function load(accountId) {
+  if (accounts.has(accountId)) {
+    const cached = accounts.get(accountId);
+    accounts.delete(accountId);
+    accounts.set(accountId, cached);
+    return cached;
+  }
+  let data = { accountId, currency: null, updatedAt: null, entities: {}, verdicts: {} };
+  const file = fileFor(accountId);
+  if (existsSync(file)) {
+    try {
+      data = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (err) {
+      console.error(`[History] Could not read ${file}: ${err.message}`);
+    }
+  }
+  data.entities = dict(data.entities);
+  Object.values(data.entities).forEach(e => { e.days = dict(e.days); });
+  data.verdicts = dict(data.verdicts);
+  Object.keys(data.verdicts).forEach(date => { data.verdicts[date] = dict(data.verdicts[date]); });
+  accounts.set(accountId, data);
+  evict();
+  return data;
+}
+
+// Drop the least recently used accounts over the cap; one with a write still pending stays, so a
+// reload can't read the file from before that write
+function evict() {
+  for (const id of accounts.keys()) {
+    if (accounts.size <= MAX_LOADED_ACCOUNTS) return;
+    if (!writeChains.has(id)) accounts.delete(id);
+  }
+}
+
+// Writes are chained per account and go through a temp file, so a crash mid-write never truncates history
+function persist(accountId) {
+  const data = accounts.get(accountId);
+  const previous = writeChains.get(accountId) || Promise.resolve();
+  const next = previous.then(async () => {
+    const file = fileFor(accountId);
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, JSON.stringify(data));
+    await rename(tmp, file);
+  }).catch(err => console.error(`[History] Write failed for ${accountId}: ${err.message}`));
+  writeChains.set(accountId, next);
+  next.then(() => {
+    if (writeChains.get(accountId) !== next) return;
+    writeChains.delete(accountId);
+    evict();
+  });
+  return next;
+}
+
+/**
+ * Reduce a daily point (client daily point or raw Meta row with time_increment=1) to what we store.
+ */
+export function toStoredPoint(row) {
+  const point = {};
+  POINT_NUMBERS.forEach(key => {
+    if (row[key] != null && !isNaN(Number(row[key]))) point[key] = Number(row[key]);
+  });
+  POINT_ARRAYS.forEach(key => {
+    if (Array.isArray(row[key])) point[key] = row[key];
+  });
+  return point;
+}
+
+/**
+ * Record one snapshot.
+ * @param {object} snapshot
+ * @param {string} snapshot.accountId
+ * @param {string} [snapshot.currency]
+ * @param {Array<{id, type, name, parentId, daily: Array<{date}>}>} [snapshot.entities]
+ * @param {Array<{entityId, type, verdict, signals, spend, cpa, roas}>} [snapshot.verdicts]
+ * @param {string} [snapshot.recordedAt] - ISO timestamp; verdicts are filed under its date
+ * @returns {Promise<{days: number, verdicts: number}>}
+ */
+export async function recordSnapshot({ accountId, currency, entities = [], verdicts = [], recordedAt }) {
+  if (!accountId) throw new Error('accountId is required');
+  if (recordedAt != null && (!ISO_DATE.test(String(recordedAt)) || isNaN(Date.parse(recordedAt)))) {
+    throw new Error('recordedAt must be an ISO date');
+  }
+  const badId = [...entities.map(e => e?.id), ...verdicts.map(v => v?.entityId)]
+    .find(id => id != null && !ENTITY_ID.test(String(id)));
+  if (badId !== undefined) throw new Error(`Invalid entity id: ${String(badId).slice(0, 40)}`);
+  const data = load(accountId);
+  let days = 0;
+
+  entities.forEach(entity => {
+    if (!entity?.id || !ENTITY_TYPES.includes(entity.type)) return;
+    const stored = data.entities[entity.id] || { type: entity.type, days: Object.create(null) };
+    stored.name = entity.name || stored.name || null;
+    stored.parentId = entity.parentId || stored.parentId || null;
+    (entity.daily || []).forEach(day => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day?.date || '')) return;
+      stored.days[day.date] = toStoredPoint(day);
+      days++;
+    });
+    data.entities[entity.id] = stored;
+  });
+
+  const verdictDate = (recordedAt || new Date().toISOString()).slice(0, 10);
+  if (verdicts.length > 0) {
+    const forDay = data.verdicts[verdictDate] || Object.create(null);
+    verdicts.forEach(v => {
+      if (!v?.entityId) return;
+      forDay[v.entityId] = {
+        type: v.type || null,
+        verdict: v.verdict || 'MONITOR',
+        signals: (v.signals || []).map(s => ({ signal: s.signal, metric: s.metric, urgency: s.urgency, reason: s.reason })),
+        spend: v.spend ?? null,
+        cpa: v.cpa ?? null,
+        roas: v.roas ?? null,
+      };
+    });
+    data.verdicts[verdictDate] = forDay;
+  }
+
+  if (currency) data.currency = currency;
+  data.updatedAt = new Date().toISOString();
+  await persist(accountId);
+  return { days, verdicts: verdicts.length };
+}
+
+function inRange(date, since, until) {
+  return (!since || date >= since) && (!until || date <= until);
+}
+
+/**
+ * Daily history per entity, oldest day first.
+ * @param {string} accountId
+ * @param {{ level?: string, entityIds?: string[], since?: string, until?: string }} [options]
+ * @returns {{ accountId, currency, entities: Array<{id, type, name, parentId, daily: Array}> }}
+ */
+export function getEntityHistory(accountId, { level, entityIds, since, until } = {}) {
+  const data = load(accountId);
+  const entities = Object.entries(data.entities)
+    .filter(([id, e]) => (!level || e.type === level) && (!entityIds?.length || entityIds.includes(id)))
+    .map(([id, e]) => ({
+      id,
+      type: e.type,
+      name: e.name,
+      parentId: e.parentId,
+      daily: Object.keys(e.days).filter(d => inRange(d, since, until)).sort()
+        .map(date => ({ date, ...e.days[date] })),
+    }))
+    .filter(e => e.daily.length > 0);
+  return { accountId, currency: data.currency, entities };
+}
+
+/**
+ * Verdicts recorded per day, oldest first. Optionally for a single entity.
+ * @returns {{ accountId, days: Array<{ date, verdicts: object }> }}
+ */
+export function getVerdictHistory(accountId, { entityId, since, until } = {}) {
+  const data = load(accountId);
+  const days = Object.keys(data.verdicts).filter(d => inRange(d, since, until)).sort()
+    .map(date => {
+      const all = data.verdicts[date];
+      const verdicts = entityId ? (all[entityId] ? { [entityId]: all[entityId] } : {}) : all;
+      return { date, verdicts };
+    })
+    .filter(day => Object.keys(day.verdicts).length > 0);
+  return { accountId, days };
+}
+
+/**
+ * Accounts with stored history and the span of days they cover.
+ */
+export function listHistoryAccounts() {
+  const ids = readdirSync(HISTORY_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.slice(0, -'.json'.length));
+  return ids.map(id => {
+    const data = load(id);
+    const dates = Object.values(data.entities).flatMap(e => Object.keys(e.days)).sort();
+    return {
+      accountId: data.accountId || id,
+      currency: data.currency,
+      updatedAt: data.updatedAt,
+      entityCount: Object.keys(data.entities).length,
+      firstDay: dates[0] || null,
+      lastDay: dates[dates.length - 1] || null,
+      verdictDays: Object.keys(data.verdicts).length,
+    };
+  });
+}
@@ -0,0 +1,235 @@
+/**
+ * Upstream MCP Diagnostics
+ *
+ * The pool only knows whether it has a ready session right now. The probe answers
+ * "does the upstream actually work with this key?": it opens a throwaway session, runs
+ * initialize and tools/list, times each stage and keeps the last success and failure.
+ * Failures are classified (bad key, unreachable, transport not ready, …) with an
+ * explanation the Settings Connection Doctor shows as-is.
+ */
+
+// Tools the dashboard calls (see src/services/gomarble.js)
+export const REQUIRED_TOOLS = [
+  'facebook_list_ad_accounts',
+  'facebook_get_details_of_ad_account',
+  'facebook_get_adaccount_insights',
+  'facebook_get_campaign_details',
+  'facebook_get_adset_details',
+  'facebook_analyze_ad_creative_by_id_or_url',
+];
+
+const DIAGNOSES = [
+  {
+    code: 'bad_key',
+    match: /\b(401|403)\b|unauthori[sz]ed|forbidden|invalid (api )?key/i,
+    title: 'API key rejected',
+    explain: () => 'The upstream refused the API key. Copy a fresh key from GoMarble and rotate it in Settings → GoMarble API Key.',
+  },
+  {
+    code: 'unreachable',
+    match: /ENOTFOUND|EAI_AGAIN|ECONNREFUSED|ECONNRESET|ETIMEDOUT|fetch failed|certificate|socket hang up/i,
+    title: 'Upstream unreachable',
+    explain: ({ url }) => `The bridge couldn't reach ${url}. Check that the server has internet access, that MCP_URL is right and that GoMarble is up.`,
+  },
+  {
+    code: 'wrong_transport',
+    match: /Session needs SSE|HTTP 40[45]\b|status code \(40[45]\)/i,
+    title: 'Wrong URL or transport',
+    explain: ({ url, transport }) => `${url} didn't accept the ${transport} transport. Check MCP_URL, or set MCP_TRANSPORT=auto to negotiate.`,
+  },
+  {
+    code: 'protocol',
+    match: /Unsupported MCP protocol version/i,
+    title: 'Protocol version mismatch',
+    explain: () => 'The server answered with an MCP protocol version the bridge doesn\'t speak. Set MCP_PROTOCOL_VERSION to one it supports.',
+  },
+  {
+    code: 'transport_not_ready',
+    match: /No transport found|Transport never|POST 400|Session connect timeout|SSE connection|Session closed/i,
+    title: 'Transport not ready',
+    explain: () => 'A session opened but its message channel never became usable. This is usually transient on GoMarble\'s side — retry in a minute. If it keeps happening, try MCP_TRANSPORT=http or auto.',
+  },
+  {
+    code: 'timeout',
+    match: /Timeout after/i,
+    title: 'Upstream timed out',
+    explain: ({ stage }) => `The upstream didn't answer ${stage} in time. GoMarble may be overloaded; retry, or raise MCP_CALL_TIMEOUT_MS.`,
+  },
+];
+
+const ACCOUNT_ERRORS = /\(#100\)|\(#10\)|\(#200\)|\(#803\)|does not exist|Unsupported get request|not found|permission|access/i;
+
+/**
+ * Classify an error message from one stage of a probe or test call.
+ * @param {string} message
+ * @param {{ stage: string, url: string, transport: string, hasApiKey: boolean, accountId?: string }} context
+ * @returns {{ code: string, title: string, explanation: string }}
+ */
+export function diagnose(message, context) {
+  if (!context.hasApiKey && /\b401\b|unauthori[sz]ed/i.test(message)) {
+    return { code: 'missing_key', title: 'No API key', explanation: 'The bridge has no GoMarble API key. An admin can add one in Settings → GoMarble API Key.' };
+  }
+  if (context.stage === 'insights' && ACCOUNT_ERRORS.test(message)) {
+    return {
+      code: 'wrong_account',
+      title: 'Ad account not accessible',
+      explanation: `Meta didn't accept ${context.accountId}. Account IDs look like act_1234567890, and the account must be shared with the Facebook user connected to GoMarble.`,
+    };
+  }
+  const known = DIAGNOSES.find(d => d.match.test(message));
+  if (known) return { code: known.code, title: known.title, explanation: known.explain(context) };
+  return { code: 'unknown', title: 'Unexpected error', explanation: `The ${context.stage} step failed: ${message}` };
+}
+
+const now = () => new Date().toISOString();
+
+export class McpDiagnostics {
+  /**
+   * @param {object} options
+   * @param {Function} options.createSession - session factory (see createSessionFactory)
+   * @param {string} options.url - upstream URL, for explanations
+   * @param {() => boolean} options.hasApiKey
+   * @param {number} [options.timeoutMs] - per stage
+   * @param {(names: string[]) => void} [options.onTools] - called with the tool names a probe lists
+   */
+  constructor({ createSession, url, hasApiKey, timeoutMs = 20000, onTools = null }) {
+    this.createSession = createSession;
+    this.onTools = onTools;
+    this.url = url;
+    this.hasApiKey = hasApiKey;
+    this.timeoutMs = timeoutMs;
+    this.lastProbe = null;
+    this.lastSuccess = null;
+    this.lastFailure = null;
+    this.running = null;
+  }
+
+  context(stage, extra = {}) {
+    return { stage, url: this.url, transport: this.createSession.transport(), hasApiKey: this.hasApiKey(), ...extra };
+  }
+
+  /**
+   * Probe the upstream, reusing a result younger than maxAgeMs. Concurrent callers share one probe.
+   */
+  async probe({ maxAgeMs = 0 } = {}) {
+    if (this.lastProbe && Date.now() - Date.parse(this.lastProbe.at) <= maxAgeMs) return this.lastProbe;
+    if (!this.running) this.running = this.runProbe().finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  async runProbe() {
+    const start = Date.now();
+    const result = {
+      ok: false,
+      at: now(),
+      url: this.url,
+      transport: this.createSession.transport(),
+      protocolVersion: null,
+      latencyMs: { initialize: null, toolsList: null, total: null },
+      tools: [],
+      missingTools: [],
+      stage: 'initialize',
+      error: null,
+      diagnosis: null,
+    };
+
+    let session = null;
+    try {
+      session = await this.connect();
+      result.latencyMs.initialize = Date.now() - start;
+      result.transport = session.transport;
+      result.protocolVersion = session.protocolVersion;
+
+      result.stage = 'tools/list';
+      const listStart = Date.now();
+      const listed = await session.request('tools/list', {}, this.timeoutMs);
+      result.latencyMs.toolsList = Date.now() - listStart;
+      result.tools = (listed?.tools || []).map(t => ({ name: t.name, description: t.description || '' }));
+      const names = new Set(result.tools.map(t => t.name));
+      result.missingTools = REQUIRED_TOOLS.filter(name => !names.has(name));
+      this.onTools?.([...names]);
+
+      result.ok = true;
+      result.stage = null;
+    } catch (err) {
+      result.error = err.message;
+      result.diagnosis = diagnose(err.message, this.context(result.stage));
+    } finally {
+      session?.close('probe finished');
+    }
+    result.latencyMs.total = Date.now() - start;
+
+    this.lastProbe = result;
+    if (result.ok) {
+      this.lastSuccess = { at: result.at, latencyMs: result.latencyMs.total };
+      console.log(`[MCP] Probe ok: ${result.tools.length} tools, ${result.latencyMs.total}ms`);
+    } else {
+      this.lastFailure = { at: result.at, stage: result.stage, error: result.error, diagnosis: result.diagnosis };
+      console.warn(`[MCP] Probe failed at ${result.stage}: ${result.error}`);
+    }
+    return result;
+  }
+
+  /**
+   * Open a session outside the pool. In auto mode a rejected Streamable HTTP initialize
+   * switches the factory to SSE, so that case gets one more try.
+   */
+  async connect() {
+    const transport = this.createSession.transport();
+    try {
+      return await this.createSession({ onClose: () => {} }).connect(this.timeoutMs);
+    } catch (err) {
+      if (this.createSession.transport() === transport) throw err;
+      return this.createSession({ onClose: () => {} }).connect(this.timeoutMs);
+    }
+  }
+
+  /**
+   * Run a small facebook_get_adaccount_insights call through the pool to check the account is reachable.
+   * @param {import('./mcpPool.js').McpPool} pool
+   * @param {string} accountId
+   */
+  async testInsights(pool, accountId) {
+    const start = Date.now();
+    const result = { ok: false, at: now(), accountId, latencyMs: null, rows: 0, sample: null, error: null, diagnosis: null, warning: null };
+    const context = this.context('insights', { accountId });
+
+    if (!/^(act_)?\d+$/.test(String(accountId || ''))) {
+      result.error = `"${accountId || ''}" isn't an ad account ID`;
+      result.diagnosis = {
+        code: 'wrong_account',
+        title: 'Invalid account ID',
+        explanation: 'Ad account IDs are numeric, usually written act_1234567890. Find them in Meta Business Settings → Ad Accounts.',
+      };
+      return result;
+    }
+
+    try {
+      const response = await pool.callTool('facebook_get_adaccount_insights', {
+        act_id: String(accountId).startsWith('act_') ? accountId : `act_${accountId}`,
+        level: 'account',
+        date_preset: 'last_7d',
+        fields: ['spend', 'impressions', 'clicks'],
+      }, { timeoutMs: this.timeoutMs * 2, log: { source: 'diagnostics' } });
+      result.latencyMs = Date.now() - start;
+      // GoMarble reports tool errors as plain text rather than a JSON-RPC error
+      if (typeof response?.data === 'string' || response?.error) {
+        throw new Error(typeof response.data === 'string' ? response.data : response.error.message || String(response.error));
+      }
+      const rows = Array.isArray(response?.data) ? response.data : [];
+      result.ok = true;
+      result.rows = rows.length;
+      result.sample = rows[0] || null;
+      if (rows.length === 0) result.warning = 'The call worked but returned no rows — the account had no delivery in the last 7 days.';
+    } catch (err) {
+      result.latencyMs = Date.now() - start;
+      result.error = err.message;
+      result.diagnosis = diagnose(err.message, context);
+    }
+    return result;
+  }
+
+  status() {
+    return { lastProbe: this.lastProbe, lastSuccess: this.lastSuccess, lastFailure: this.lastFailure };
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Pooled MCP Sessions
+ *
+ * Opening and initializing an MCP session takes seconds, so sessions are kept open and
+ * reused: each one multiplexes many in-flight requests by JSON-RPC id. Sessions come from
+ * a transport-specific factory (see mcpTransports.js).
+ *
+ * The pool
+ *   - opens up to `maxSessions` sessions lazily and spreads calls across the least busy one
+ *   - caps concurrent tool calls at `concurrency` (excess calls wait in a FIFO queue)
+ *   - times out each call individually
+ *   - drops a session when its transport fails (stream dropped, session expired) and
+ *     retries the call on a new one
+ *   - pings idle sessions and closes ones that stop answering or sit unused too long
+ *   - records every tool call in the call log, when given one (see callLog.js)
+ */
+
+// Errors that mean the session (not the tool call) is broken — safe to retry on a fresh session
+const SESSION_ERRORS = ['No transport found', 'POST 400', 'POST 404', 'SSE', 'Session', 'Transport never', 'fetch failed'];
+
+export function isSessionError(err) {
+  return SESSION_ERRORS.some(marker => err?.message?.includes(marker));
+}
+
+/**
+ * Unwrap a tools/call result: MCP returns content blocks, GoMarble puts JSON in the text block.
+ */
+export function parseToolResult(result) {
+  const text = result?.content?.find(c => c.type === 'text');
+  if (text) {
+    try { return JSON.parse(text.text); }
+    catch { return { data: text.text }; }
+  }
+  return result;
+}
+
+// ─── Pool ────────────────────────────────────────────────────────────────────
+
+export class McpPool {
+  /**
+   * @param {object} options
+   * @param {(options: {onClose: Function}) => object} options.createSession - see createSessionFactory
+   * @param {number} [options.maxSessions] - sessions kept open
+   * @param {number} [options.concurrency] - tool calls in flight across all sessions
+   * @param {number} [options.callTimeoutMs] - per-call timeout
+   * @param {number} [options.idleTimeoutMs] - close sessions unused this long
+   * @param {number} [options.healthIntervalMs] - how often idle sessions are pinged
+   * @param {number} [options.maxRetries] - retries on a fresh session after a session error
+   * @param {import('./callLog.js').CallLog} [options.callLog] - records every tool call
+   */
+  constructor({
+    createSession,
+    maxSessions = 2,
+    concurrency = 4,
+    callTimeoutMs = 60000,
+    idleTimeoutMs = 10 * 60 * 1000,
+    healthIntervalMs = 60 * 1000,
+    maxRetries = 2,
+    callLog = null,
+  }) {
+    this.createSession = createSession;
+    this.maxSessions = maxSessions;
+    this.concurrency = concurrency;
+    this.callTimeoutMs = callTimeoutMs;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.maxRetries = maxRetries;
+    this.callLog = callLog;
+    this.sessions = new Set();
+    this.connecting = new Map(); // session → connect promise
+    this.active = 0;
+    this.waiters = [];
+
+    this.healthTimer = setInterval(() => this.checkHealth(), healthIntervalMs);
+    this.healthTimer.unref?.();
+  }
+
+  /**
+   * Call a tool and return its parsed result.
+   * @param {string} name
+   * @param {object} [args]
+   * @param {{ timeoutMs?: number, log?: object }} [options]
+   *   log: extra call log fields (source, user, cache)
+   */
+  async callTool(name, args, { timeoutMs = this.callTimeoutMs, log = {} } = {}) {
+    const start = Date.now();
+    const trace = { retries: 0, queuedMs: 0 };
+    try {
+      const result = await this.request('tools/call', { name, arguments: args || {} }, timeoutMs, trace);
+      const parsed = parseToolResult(result);
+      // Tool errors come back as a normal result (plain text instead of JSON); log them as errors
+      const toolError = result?.isError || typeof parsed?.data === 'string' ? String(parsed?.data ?? 'Tool error') : null;
+      this.callLog?.record({
+        ...log, tool: name, args, ...trace,
+        durationMs: Date.now() - start,
+        bytes: Buffer.byteLength(JSON.stringify(result ?? null)),
+        error: toolError,
+      });
+      return parsed;
+    } catch (err) {
+      this.callLog?.record({ ...log, tool: name, args, ...trace, durationMs: Date.now() - start, error: err.message });
+      throw err;
+    }
+  }
+
+  async listTools() {
+    const result = await this.request('tools/list', {}, this.callTimeoutMs);
+    this.callLog?.setKnownTools((result?.tools || []).map(t => t.name));
+    return result;
+  }
+
+  /**
+   * @param {{ retries: number, queuedMs: number }} [trace] - filled in for the call log
+   */
+  async request(method, params, timeoutMs, trace = {}) {
+    const queuedAt = Date.now();
+    await this.acquireSlot();
+    trace.queuedMs = Date.now() - queuedAt;
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const session = await this.getSession();
+          return await session.request(method, params, timeoutMs);
+        } catch (err) {
+          if (!isSessionError(err) || attempt >= this.maxRetries) throw err;
+          trace.retries = attempt + 1;
+          const delay = 1000 * (attempt + 1);
+          console.log(`[MCP] ${err.message.slice(0, 80)} — retrying on a fresh session in ${delay}ms (${attempt + 2}/${this.maxRetries + 1})`);
+          await new Promise(r => setTimeout(r, delay));
+        }
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  acquireSlot() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // Hand the slot straight to the next waiter, so `active` never dips and lets a newcomer jump the queue
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) next();
+    else this.active--;
+  }
+
+  /**
+   * Least-loaded ready session. When every ready session is busy and there's room, another
+   * one is warmed up in the background rather than making this call wait for a handshake.
+   */
+  async getSession() {
+    const ready = [...this.sessions].filter(s => s.state === 'ready').sort((a, b) => a.inFlight - b.inFlight);
+    if (ready[0]) {
+      if (ready[0].inFlight > 0 && this.connecting.size === 0 && this.sessions.size < this.maxSessions) {
+        this.openSession().catch(err => console.warn(`[MCP] Could not open extra session: ${err.message}`));
+      }
+      return ready[0];
+    }
+    // Nothing ready: share a handshake that's already under way instead of starting more
+    if (this.connecting.size > 0) return Promise.any(this.connecting.values()).catch(() => this.openSession());
+    return this.openSession();
+  }
+
+  openSession() {
+    const session = this.createSession({
+      onClose: closed => {
+        this.sessions.delete(closed);
+        this.connecting.delete(closed);
+      },
+    });
+    this.sessions.add(session);
+    const connected = session.connect().finally(() => this.connecting.delete(session));
+    this.connecting.set(session, connected);
+    return connected;
+  }
+
+  /**
+   * Ping idle sessions, close unresponsive ones and ones unused past idleTimeoutMs.
+   */
+  async checkHealth() {
+    const now = Date.now();
+    await Promise.all([...this.sessions].map(async session => {
+      if (session.state !== 'ready' || session.inFlight > 0) return;
+      if (now - session.lastUsed > this.idleTimeoutMs) {
+        session.close('idle');
+        return;
+      }
+      try {
+        await session.rpc('ping', {}, 10000);
+      } catch (err) {
+        session.close(`health check failed: ${err.message}`);
+      }
+    }));
+  }
+
+  /**
+   * Close every session (e.g. after the API key changes). In-flight calls fail and retry on new sessions.
+   */
+  reset(reason = 'reset') {
+    [...this.sessions].forEach(session => session.close(reason));
+  }
+
+  status() {
+    const sessions = [...this.sessions].map(s => s.status());
+    return {
+      sessions,
+      ready: sessions.filter(s => s.state === 'ready').length,
+      active: this.active,
+      queued: this.waiters.length,
+      maxSessions: this.maxSessions,
+      concurrency: this.concurrency,
+      callTimeoutMs: this.callTimeoutMs,
+    };
+  }
+}
@@ -0,0 +1,428 @@
+/**
+ * MCP Transports
+ *
+ * One session class per MCP transport, all with the same surface for the pool
+ * (connect / rpc / notify / request / close / status):
+ *
+ *   sse  — legacy HTTP+SSE (protocol 2024-11-05): GET opens an event stream, the server sends an
+ *          `endpoint` event, requests are POSTed there and responses arrive on the stream.
+ *   http — Streamable HTTP (2025-03-26+): every request is a POST to one URL; the response is
+ *          plain JSON or an SSE stream carrying it. The server may assign an Mcp-Session-Id.
+ *   auto — try Streamable HTTP, fall back to SSE when the server rejects the initialize POST
+ *          (the backwards-compatibility check the MCP spec recommends).
+ *
+ * The client offers its preferred protocol version; whatever the server answers with is
+ * accepted if it's in SUPPORTED_PROTOCOL_VERSIONS.
+ */
+
+import { EventSource } from 'eventsource';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const TRANSPORTS = ['sse', 'http', 'auto'];
+
+const CLIENT_INFO = { name: 'meta-ads-dashboard', version: '1.0.0' };
+
+/**
+ * Transport to use when none is configured: SSE servers conventionally live at …/sse.
+ */
+export function defaultTransportFor(url) {
+  return /\/sse\/?$/.test(new URL(url).pathname) ? 'sse' : 'http';
+}
+
+let nextSessionId = 1;
+
+// ─── Base Session ────────────────────────────────────────────────────────────
+
+class McpSession {
+  /**
+   * @param {object} options
+   * @param {string} options.url
+   * @param {() => string} options.getApiKey
+   * @param {string} [options.protocolVersion] - version offered in initialize
+   * @param {(session: McpSession, reason: string) => void} [options.onClose]
+   */
+  constructor({ url, getApiKey, protocolVersion, onClose }) {
+    this.id = nextSessionId++;
+    this.url = url;
+    this.getApiKey = getApiKey;
+    this.offeredVersion = protocolVersion || SUPPORTED_PROTOCOL_VERSIONS[0];
+    this.protocolVersion = null; // negotiated in initialize
+    this.onClose = onClose;
+    this.state = 'connecting'; // connecting → ready → closed
+    this.pending = new Map(); // JSON-RPC id → { resolve, reject, timer, abort? }
+    this.nextRpcId = 1;
+    this.inFlight = 0;
+    this.calls = 0;
+    this.consecutiveTimeouts = 0;
+    this.createdAt = Date.now();
+    this.lastUsed = Date.now();
+  }
+
+  authHeaders() {
+    const key = this.getApiKey();
+    return key ? { 'Authorization': `Bearer ${key}` } : {};
+  }
+
+  /**
+   * Send initialize and check the version the server picked.
+   */
+  async handshake() {
+    const resp = await this.rpc('initialize', {
+      protocolVersion: this.offeredVersion,
+      capabilities: {},
+      clientInfo: CLIENT_INFO,
+    }, 30000);
+    if (resp.error) throw new Error(`MCP error ${resp.error.code}: ${resp.error.message}`);
+    const version = resp.result?.protocolVersion;
+    if (!SUPPORTED_PROTOCOL_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported MCP protocol version "${version}" (supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`);
+    }
+    this.protocolVersion = version;
+    await this.notify('notifications/initialized');
+    return resp.result;
+  }
+
+  markReady() {
+    this.state = 'ready';
+    console.log(`[MCP] Session ${this.id} ready (${this.transport}, protocol ${this.protocolVersion}, ${Date.now() - this.createdAt}ms)`);
+  }
+
+  // Register a waiter for a JSON-RPC id; rejects on timeout
+  track(id, method, timeoutMs, resolve, reject, abort) {
+    const timer = setTimeout(() => {
+      this.pending.delete(id);
+      abort?.();
+      reject(new Error(`Timeout after ${timeoutMs}ms waiting for ${method}`));
+    }, timeoutMs);
+    this.pending.set(id, { resolve, reject, timer, abort });
+  }
+
+  settle(id, settleWith, value) {
+    const waiter = this.pending.get(id);
+    if (!waiter) return;
+    this.pending.delete(id);
+    clearTimeout(waiter.timer);
+    waiter[settleWith](value);
+  }
+
+  /**
+   * Run a request on this session, tracking load and timeouts for the pool.
+   */
+  async request(method, params, timeoutMs) {
+    this.inFlight++;
+    this.calls++;
+    this.lastUsed = Date.now();
+    try {
+      const resp = await this.rpc(method, params, timeoutMs);
+      this.consecutiveTimeouts = 0;
+      if (resp.error) throw new Error(`MCP error ${resp.error.code}: ${resp.error.message}`);
+      return resp.result;
+    } catch (err) {
+      // One slow call is the tool's problem; repeated silence means the session is dead
+      if (err.message.startsWith('Timeout') && ++this.consecutiveTimeouts >= 2) this.close('Repeated timeouts');
+      throw err;
+    } finally {
+      this.inFlight--;
+      this.lastUsed = Date.now();
+    }
+  }
+
+  close(reason = 'closed') {
+    if (this.state === 'closed') return;
+    const wasReady = this.state === 'ready';
+    this.state = 'closed';
+    this.teardown();
+    for (const [id, waiter] of this.pending) {
+      clearTimeout(waiter.timer);
+      waiter.abort?.();
+      waiter.reject(new Error(`Session closed: ${reason}`));
+      this.pending.delete(id);
+    }
+    if (wasReady) console.log(`[MCP] Session ${this.id} closed: ${reason}`);
+    this.onClose?.(this, reason);
+  }
+
+  teardown() {}
+
+  status() {
+    return {
+      id: this.id,
+      transport: this.transport,
+      protocolVersion: this.protocolVersion,
+      state: this.state,
+      inFlight: this.inFlight,
+      calls: this.calls,
+      createdAt: new Date(this.createdAt).toISOString(),
+      lastUsed: new Date(this.lastUsed).toISOString(),
+    };
+  }
+}
+
+// ─── Legacy HTTP+SSE ─────────────────────────────────────────────────────────
+
+export class McpSseSession extends McpSession {
+  constructor(options) {
+    super({ ...options, protocolVersion: options.protocolVersion || '2024-11-05' });
+    this.transport = 'sse';
+    this.messageUrl = null;
+    this.es = null;
+  }
+
+  /**
+   * Open the stream and run the initialize handshake.
+   * @param {number} [timeoutMs]
+   * @returns {Promise<McpSseSession>}
+   */
+  connect(timeoutMs = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => fail(new Error('Session connect timeout')), timeoutMs);
+      const fail = err => {
+        clearTimeout(timer);
+        this.close(err.message);
+        reject(err);
+      };
+
+      this.es = new EventSource(this.url, {
+        fetch: (url, init) => fetch(url, { ...init, headers: { ...init?.headers, ...this.authHeaders() } }),
+      });
+
+      this.es.addEventListener('endpoint', event => {
+        if (this.messageUrl) {
+          // The stream reconnected and was handed a new endpoint — the old session is gone
+          this.close('SSE stream reconnected');
+          return;
+        }
+        this.messageUrl = new URL(event.data, this.url).toString();
+        this.initialize().then(() => {
+          clearTimeout(timer);
+          this.markReady();
+          resolve(this);
+        }, fail);
+      });
+
+      this.es.addEventListener('message', event => {
+        let data;
+        try { data = JSON.parse(event.data); } catch { return; }
+        if (data.id != null) this.settle(data.id, 'resolve', data);
+      });
+
+      this.es.addEventListener('error', event => {
+        const message = `SSE connection ${this.state === 'connecting' ? 'failed' : 'dropped'}: ${event.message || 'unknown'}`;
+        if (this.state === 'connecting') fail(new Error(message));
+        else this.close(message);
+      });
+    });
+  }
+
+  // The message endpoint can 400 ("No transport found") for a moment after the endpoint event
+  async initialize() {
+    const start = Date.now();
+    let delay = 500;
+    let lastErr = null;
+    while (Date.now() - start < 20000 && this.state !== 'closed') {
+      await new Promise(r => setTimeout(r, delay));
+      try {
+        return await this.handshake();
+      } catch (err) {
+        lastErr = err;
+        if (!err.message.includes('No transport found') && !err.message.includes('POST 400')) throw err;
+        delay = Math.min(delay * 1.5, 3000);
+      }
+    }
+    throw lastErr || new Error('Transport never became ready');
+  }
+
+  /**
+   * POST one JSON-RPC request and wait for its response on the stream.
+   */
+  rpc(method, params, timeoutMs) {
+    if (this.state === 'closed') return Promise.reject(new Error('Session closed'));
+    const id = this.nextRpcId++;
+    return new Promise((resolve, reject) => {
+      this.track(id, method, timeoutMs, resolve, reject);
+      this.post({ jsonrpc: '2.0', id, method, params }).catch(err => this.settle(id, 'reject', err));
+    });
+  }
+
+  notify(method) {
+    return this.post({ jsonrpc: '2.0', method }).catch(() => {});
+  }
+
+  async post(body) {
+    const response = await fetch(this.messageUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+      body: JSON.stringify(body),
+    });
+    if (response.status !== 200 && response.status !== 202) {
+      throw new Error(`POST ${response.status}: ${await response.text().catch(() => '')}`);
+    }
+  }
+
+  teardown() {
+    if (this.es) { this.es.close(); this.es = null; }
+  }
+}
+
+// ─── Streamable HTTP ─────────────────────────────────────────────────────────
+
+export class McpHttpSession extends McpSession {
+  /**
+   * @param {object} options - see McpSession, plus:
+   * @param {(supported: boolean, reason?: string) => void} [options.onTransportCheck] - told whether
+   *   the server accepted Streamable HTTP during initialize (auto mode uses it to pick a transport)
+   */
+  constructor(options) {
+    super(options);
+    this.transport = 'http';
+    this.sessionId = null; // Mcp-Session-Id, if the server assigns one
+    this.onTransportCheck = options.onTransportCheck;
+  }
+
+  async connect() {
+    try {
+      await this.handshake();
+      this.onTransportCheck?.(true);
+      this.markReady();
+      return this;
+    } catch (err) {
+      this.close(err.message);
+      throw err;
+    }
+  }
+
+  headers() {
+    return {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream',
+      ...this.authHeaders(),
+      ...(this.sessionId ? { 'Mcp-Session-Id': this.sessionId } : {}),
+      ...(this.protocolVersion ? { 'MCP-Protocol-Version': this.protocolVersion } : {}),
+    };
+  }
+
+  rpc(method, params, timeoutMs) {
+    if (this.state === 'closed') return Promise.reject(new Error('Session closed'));
+    const id = this.nextRpcId++;
+    const controller = new AbortController();
+    return new Promise((resolve, reject) => {
+      this.track(id, method, timeoutMs, resolve, reject, () => controller.abort());
+      this.send(id, method, params, controller.signal)
+        .then(message => this.settle(id, 'resolve', message))
+        .catch(err => this.settle(id, 'reject', err));
+    });
+  }
+
+  async send(id, method, params, signal) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ jsonrpc: '2.0', id, method, params }),
+      signal,
+    });
+
+    if (method === 'initialize') {
+      if ([400, 404, 405].includes(response.status) && this.onTransportCheck) {
+        this.onTransportCheck(false, `HTTP ${response.status}`);
+        throw new Error(`Session needs SSE: server rejected Streamable HTTP initialize (HTTP ${response.status})`);
+      }
+      this.sessionId = response.headers.get('mcp-session-id') || null;
+    } else if (response.status === 404 && this.sessionId) {
+      // The server forgot our session; a fresh one has to initialize again
+      this.close('Session expired (HTTP 404)');
+      throw new Error('Session expired (HTTP 404)');
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${await response.text().catch(() => '')}`);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.includes('text/event-stream')) return readResponseFromStream(response, id);
+    const body = await response.json();
+    const message = Array.isArray(body) ? body.find(m => m.id === id) : body;
+    if (!message) throw new Error(`No response for ${method} in reply`);
+    return message;
+  }
+
+  async notify(method) {
+    await fetch(this.url, {
+      method: 'POST',
+      headers: this.headers(),
+      body: JSON.stringify({ jsonrpc: '2.0', method }),
+    }).catch(() => {});
+  }
+
+  teardown() {
+    // Let the server free the session; best-effort
+    if (this.sessionId) {
+      fetch(this.url, { method: 'DELETE', headers: this.headers() }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Read an SSE response body until the JSON-RPC message with our id arrives.
+ * Other messages on the stream (progress notifications, server requests) are skipped.
+ */
+async function readResponseFromStream(response, id) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (value) buffer += decoder.decode(value, { stream: !done });
+      let match;
+      while ((match = buffer.match(/\r?\n\r?\n/))) {
+        const rawEvent = buffer.slice(0, match.index);
+        buffer = buffer.slice(match.index + match[0].length);
+        const data = rawEvent.split(/\r?\n/)
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (!data) continue;
+        let message;
+        try { message = JSON.parse(data); } catch { continue; }
+        if (message.id === id && ('result' in message || 'error' in message)) return message;
+      }
+      if (done) throw new Error('Stream ended before a response arrived');
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+// ─── Factory ─────────────────────────────────────────────────────────────────
+
+/**
+ * Session factory for McpPool.
+ * @param {object} options
+ * @param {string} options.url - upstream MCP server
+ * @param {'sse'|'http'|'auto'} options.transport
+ * @param {() => string} options.getApiKey
+ * @param {string} [options.protocolVersion] - override the version offered in initialize
+ * @returns {((options: {onClose: Function}) => McpSession) & { transport: () => string }}
+ */
+export function createSessionFactory({ url, transport, getApiKey, protocolVersion }) {
+  if (!TRANSPORTS.includes(transport)) throw new Error(`Unknown MCP transport "${transport}" (use ${TRANSPORTS.join(', ')})`);
+  // auto settles on one transport after the first initialize
+  let resolved = transport === 'auto' ? null : transport;
+
+  const factory = ({ onClose }) => {
+    const options = { url, getApiKey, protocolVersion, onClose };
+    if (resolved === 'sse') return new McpSseSession(options);
+    return new McpHttpSession({
+      ...options,
+      onTransportCheck: resolved ? null : (supported, reason) => {
+        if (supported) {
+          resolved = 'http';
+          return;
+        }
+        console.log(`[MCP] ${url} doesn't accept Streamable HTTP (${reason}) — using SSE`);
+        resolved = 'sse';
+      },
+    });
+  };
+  factory.transport = () => resolved || 'auto';
+  return factory;
+}
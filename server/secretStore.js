@@ -0,0 +1,97 @@
+/**
+ * Server-side Secret Store
+ *
+ * API keys for upstream services live here and never leave the server: the app can
+ * set, rotate or remove a key, but only ever reads back whether one is configured.
+ *
+ * Keys set from Settings are written to SECRETS_FILE (default data/secrets.json, mode 0600)
+ * and take precedence over the environment, so a key can be rotated without a redeploy.
+ */
+
+import { mkdirSync, existsSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+
+const SECRETS_FILE = process.env.SECRETS_FILE
+  ? resolve(process.env.SECRETS_FILE)
+  : fileURLToPath(new URL('../data/secrets.json', import.meta.url));
+
+// Known secrets and the env vars they fall back to, in order
+export const SECRETS = {
+  gomarble: { label: 'GoMarble API key', env: ['MCP_API_KEY', 'GOMARBLE_API_KEY'] },
+  anthropic: { label: 'Anthropic API key', env: ['ANTHROPIC_API_KEY'] },
+};
+
+// Vite bundles VITE_-prefixed variables into the frontend, so a key under such a name is never
+// read here — only flagged, so a setup that relied on it knows why the key went missing
+Object.values(SECRETS).forEach(({ label, env }) => env.forEach(name => {
+  if (process.env[`VITE_${name}`]) {
+    console.warn(`[Secrets] ⚠ VITE_${name} is ignored: Vite bundles VITE_ variables into the frontend, exposing the ${label}. Rename it to ${name} and rotate the key.`);
+  }
+}));
+
+let stored = load();
+
+function load() {
+  if (!existsSync(SECRETS_FILE)) return {};
+  try {
+    return JSON.parse(readFileSync(SECRETS_FILE, 'utf-8'));
+  } catch (err) {
+    console.error(`[Secrets] Could not read ${SECRETS_FILE}: ${err.message}`);
+    return {};
+  }
+}
+
+function save() {
+  mkdirSync(dirname(SECRETS_FILE), { recursive: true });
+  const tmp = `${SECRETS_FILE}.tmp`;
+  writeFileSync(tmp, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  renameSync(tmp, SECRETS_FILE);
+}
+
+function assertKnown(name) {
+  if (!SECRETS[name]) throw new Error(`Unknown secret "${name}" (have ${Object.keys(SECRETS).join(', ')})`);
+}
+
+function envValue(name) {
+  const envVar = SECRETS[name].env.find(v => process.env[v]);
+  return envVar ? { value: process.env[envVar], envVar } : null;
+}
+
+/**
+ * The current value of a secret, or '' when it isn't configured. Server-side use only.
+ */
+export function getSecret(name) {
+  assertKnown(name);
+  return stored[name]?.value || envValue(name)?.value || '';
+}
+
+/**
+ * Set or rotate a secret; an empty value removes the stored one (the env fallback, if any, applies again).
+ */
+export function setSecret(name, value) {
+  assertKnown(name);
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (trimmed) stored[name] = { value: trimmed, updatedAt: new Date().toISOString() };
+  else delete stored[name];
+  save();
+  console.log(`[Secrets] ${SECRETS[name].label} ${trimmed ? 'updated' : 'removed'}`);
+}
+
+/**
+ * Whether each secret is configured and where it comes from — never the value.
+ * @returns {{ [name: string]: { label: string, configured: boolean, source: 'settings' | 'env' | null, envVar: string | null, updatedAt: string | null } }}
+ */
+export function secretStatus() {
+  return Object.fromEntries(Object.entries(SECRETS).map(([name, { label }]) => {
+    const env = envValue(name);
+    const source = stored[name]?.value ? 'settings' : env ? 'env' : null;
+    return [name, {
+      label,
+      configured: !!source,
+      source,
+      envVar: source === 'env' ? env.envVar : null,
+      updatedAt: source === 'settings' ? stored[name].updatedAt : null,
+    }];
+  }));
+}
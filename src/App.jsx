@@ -1,15 +1,21 @@
-import { useState, useEffect, useCallback, Component } from 'react';
-import { fetchFullAccountData, configureGoMarble, getConfig } from './services/gomarble';
+import { useState, useEffect, useCallback, useRef, Component } from 'react';
+import { fetchFullAccountData, getCachedAccountData, configureGoMarble, getConfig, isLiveMode, hasSavedMode } from './services/gomarble';
+import { migrateBrowserKeys, isKeyConfigured } from './services/secrets';
+import { getSession, logout, hasRole } from './services/auth';
 import { processAccountData } from './engine/actionQueue';
-import { formatCurrency, getDatePresetLabel } from './utils/normalize';
-import DEFAULT_THRESHOLDS from './config/thresholds';
+import { fetchEntityHistory, recordSnapshot } from './services/history';
+import { formatCurrency, getPeriodLabel } from './utils/normalize';
+import { loadThresholds } from './config/thresholdProfiles';
 
 import CommandCenter from './tabs/CommandCenter';
 import CampaignDive from './tabs/CampaignDive';
 import CreativeLab from './tabs/CreativeLab';
 import BudgetConsole from './tabs/BudgetConsole';
 import Settings from './tabs/Settings';
+import Portfolio from './tabs/Portfolio';
 import ChatAdvisor from './tabs/ChatAdvisor';
+import Backtest from './tabs/Backtest';
+import LoginScreen from './components/LoginScreen';
 
 class ErrorBoundary extends Component {
   state = { error: null };
@@ -30,69 +36,114 @@ class ErrorBoundary extends Component {
   }
 }
 
-// GoMarble config auto-loads from localStorage (see gomarble.js)
-// Only set API key from env if not already saved
-const envKey = import.meta.env.VITE_GOMARBLE_API_KEY;
-const currentConfig = getConfig();
-if (envKey && !currentConfig.apiKey) {
-  configureGoMarble({ apiKey: envKey });
+// GoMarble config auto-loads from localStorage (see gomarble.js); API keys live on the bridge.
+// Once signed in, move keys an older build saved in this browser, and default to live data
+// when the bridge has a key.
+let keysReady = null;
+function prepareKeys() {
+  keysReady ||= migrateBrowserKeys()
+    .then(() => {
+      if (!hasSavedMode() && isKeyConfigured('gomarble')) {
+        console.log('[GoMarble] Bridge has an API key, using direct mode');
+        configureGoMarble({ mode: 'direct' });
+      }
+    })
+    .catch(err => console.warn(`[Secrets] Key migration failed: ${err.message}`));
+  return keysReady;
 }
 
 const TABS = [
+  { id: 'portfolio', label: 'Portfolio', icon: '🗂️' },
   { id: 'command', label: 'Command Center', icon: '⚡' },
   { id: 'campaigns', label: 'Campaigns', icon: '📊' },
   { id: 'creative', label: 'Creative Lab', icon: '🎨' },
   { id: 'budget', label: 'Budget & Scaling', icon: '💰' },
+  { id: 'backtest', label: 'Backtest', icon: '🧪' },
   { id: 'chat', label: 'Chat Advisor', icon: '💬' },
   { id: 'settings', label: 'Settings', icon: '⚙️' },
 ];
 
-// Load saved thresholds from localStorage
-function loadThresholds() {
-  try {
-    const saved = localStorage.getItem('meta_thresholds');
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      // Deep merge with defaults so new fields are always present
-      return deepMerge(DEFAULT_THRESHOLDS, parsed);
-    }
-  } catch {}
-  return DEFAULT_THRESHOLDS;
-}
+/**
+ * Sign-in gate: the dashboard only mounts once the bridge knows who's using it.
+ */
+export default function App() {
+  const [session, setSession] = useState(null);
 
-function deepMerge(defaults, overrides) {
-  const result = { ...defaults };
-  for (const key of Object.keys(overrides)) {
-    if (overrides[key] && typeof overrides[key] === 'object' && !Array.isArray(overrides[key]) && defaults[key]) {
-      result[key] = deepMerge(defaults[key], overrides[key]);
-    } else {
-      result[key] = overrides[key];
-    }
+  useEffect(() => {
+    getSession().then(setSession);
+  }, []);
+
+  if (!session) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-10 h-10 border-2 border-[var(--color-primary)] border-t-transparent rounded-full animate-spin" />
+      </div>
+    );
   }
-  return result;
+
+  if (!session.user) {
+    return (
+      <LoginScreen
+        session={session}
+        onSignedIn={user => setSession({ ...session, user, setupRequired: false })}
+        onDemo={() => {
+          // Without the bridge only demo data works; nothing here reaches a real account
+          configureGoMarble({ mode: 'mock' });
+          setSession({ ...session, user: { name: 'Demo', role: 'admin', demo: true } });
+        }}
+      />
+    );
+  }
+
+  return (
+    <Dashboard
+      user={session.user}
+      onSignOut={() => logout().finally(() => getSession().then(setSession))}
+      onSessionExpired={() => getSession().then(setSession)}
+    />
+  );
 }
 
-export default function App() {
+function Dashboard({ user, onSignOut, onSessionExpired }) {
   const [activeTab, setActiveTab] = useState('command');
-  const [thresholds, setThresholds] = useState(loadThresholds);
-  const [dateRange, setDateRange] = useState(() => getConfig().datePreset || 'last_90d');
+  const [accountId, setAccountId] = useState(() => getConfig().accountId);
+  // Each ad account has its own saved threshold profile
+  const [thresholds, setThresholds] = useState(() => loadThresholds(getConfig().accountId));
+  const [portfolio, setPortfolio] = useState(null);
+  const [period, setPeriod] = useState(() => {
+    const { datePreset, timeRange, comparison } = getConfig();
+    return { datePreset: datePreset || 'last_90d', timeRange, comparison: comparison || 'none' };
+  });
   const [rawData, setRawData] = useState(null);
   const [processedData, setProcessedData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [emptyDataWarning, setEmptyDataWarning] = useState(null);
   const [lastRefresh, setLastRefresh] = useState(null);
+  // When showing a cached copy while revalidating: when that copy was fetched
+  const [cachedAsOf, setCachedAsOf] = useState(null);
+  // fetchedAt of the last fetch recorded to the snapshot store, so threshold edits don't re-record
+  const recordedFetch = useRef(null);
 
   /**
-   * Fetch data from GoMarble. Updates datePreset in config before fetching.
+   * Fetch data from GoMarble. Updates the analysis period (preset or custom range,
+   * plus comparison mode) in config before fetching.
    */
-  const fetchData = useCallback(async (overrideDateRange) => {
-    const preset = overrideDateRange || dateRange;
-    configureGoMarble({ datePreset: preset });
+  const fetchData = useCallback(async (overridePeriod) => {
+    const activePeriod = overridePeriod || period;
+    if (!user.demo) await prepareKeys();
+    configureGoMarble({ ...activePeriod, accountId });
     setLoading(true);
     setError(null);
     setEmptyDataWarning(null);
     try {
+      // Stale-while-revalidate: render the last fetch from the persistent cache right away
+      const cached = await getCachedAccountData(accountId);
+      if (cached) {
+        setRawData({ ...cached.data, fromCache: true });
+        setCachedAsOf(new Date(cached.cachedAt));
+      }
+
       const data = await fetchFullAccountData();
       console.log('[App] fetchFullAccountData result:', {
         hasAccount: !!data?.account,
@@ -100,18 +151,38 @@ export default function App() {
         campaignCount: data?.campaigns?.length,
         fetchedAt: data?.fetchedAt,
       });
+      // Live data: pull stored snapshot history so trend rules can look past Meta's lookback
+      if (isLiveMode() && data.account?.id) {
+        data.history = await fetchEntityHistory(data.account.id);
+      }
       setRawData(data);
+      setCachedAsOf(null);
       setLastRefresh(new Date());
       if (data.isEmpty) {
-        setEmptyDataWarning(`No data found for "${getDatePresetLabel(preset)}". Try a longer date range (e.g. Last 90 Days).`);
+        setEmptyDataWarning(`No data found for "${getPeriodLabel(activePeriod)}". Try a longer date range (e.g. Last 90 Days).`);
       }
     } catch (err) {
       console.error('[App] Error fetching account data:', err);
       setError(err.message);
+      if (err.message.includes('Not signed in')) onSessionExpired();
     } finally {
       setLoading(false);
     }
-  }, [dateRange]);
+  }, [period, accountId, user, onSessionExpired]);
+
+  /**
+   * Switch the dashboard to another ad account (from the portfolio or Settings).
+   * Loads that account's threshold profile; the fetch effect picks up the new account.
+   */
+  const selectAccount = useCallback((id, { openTab = 'command' } = {}) => {
+    if (openTab) setActiveTab(openTab);
+    if (id === accountId) {
+      fetchData();
+      return;
+    }
+    setAccountId(id);
+    setThresholds(loadThresholds(id));
+  }, [accountId, fetchData]);
 
   // Process data through decision engine whenever raw data or thresholds change
   useEffect(() => {
@@ -126,13 +197,18 @@ export default function App() {
           campaigns: processed.summary?.totalCampaigns,
         });
         setProcessedData(processed);
+        // Snapshots write to the bridge's history, which takes buyers and up
+        if (isLiveMode() && hasRole(user, 'buyer') && !rawData.fromCache && recordedFetch.current !== rawData.fetchedAt) {
+          recordedFetch.current = rawData.fetchedAt;
+          recordSnapshot(rawData, processed);
+        }
       } catch (err) {
         console.error('[App] processAccountData error:', err);
       }
     }
-  }, [rawData, thresholds]);
+  }, [rawData, thresholds, user]);
 
-  // Initial data fetch
+  // Fetch on mount and whenever the analysis period or account changes (fetchData depends on both)
   useEffect(() => {
     fetchData();
   }, [fetchData]);
@@ -159,14 +235,36 @@ export default function App() {
                   <div className="w-px h-8 bg-[var(--color-border)]" />
                   <HeaderStat label="ROAS" value={processedData.accountInsights?.roas?.toFixed(2)} suffix="×" />
                   <div className="w-px h-8 bg-[var(--color-border)]" />
-                  <HeaderStat label="Spend" value={formatCurrency(processedData.accountInsights?.spend, 'USD', true)} />
+                  <HeaderStat label="Spend" value={formatCurrency(processedData.accountInsights?.spend, processedData.currency, true)} />
                 </>
               )}
               <div className="w-px h-8 bg-[var(--color-border)]" />
               <div className="text-right">
-                <div className="text-[10px] text-[var(--color-text-muted)]">{getDatePresetLabel(dateRange)}</div>
+                {rawData?.account?.name && (
+                  <div className="text-[11px] font-medium text-[var(--color-text-secondary)]">{rawData.account.name}</div>
+                )}
+                <div className="text-[10px] text-[var(--color-text-muted)]">{getPeriodLabel(period)}</div>
+                <div className="text-[10px] text-[var(--color-text-muted)]">
+                  {cachedAsOf ? (
+                    <span className="text-[#f59e0b]" title="Cached copy — fresh data is loading in the background">
+                      As of {cachedAsOf.toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                    </span>
+                  ) : lastRefresh ? `Updated ${lastRefresh.toLocaleTimeString()}` : 'Loading...'}
+                </div>
+              </div>
+              <div className="w-px h-8 bg-[var(--color-border)]" />
+              <div className="text-right">
+                <div className="text-[11px] font-medium text-[var(--color-text-secondary)]">{user.name}</div>
                 <div className="text-[10px] text-[var(--color-text-muted)]">
-                  {lastRefresh ? `Updated ${lastRefresh.toLocaleTimeString()}` : 'Loading...'}
+                  <span className="uppercase tracking-wider">{user.demo ? 'demo' : user.role}</span>
+                  {!user.demo && (
+                    <>
+                      {' · '}
+                      <button type="button" onClick={onSignOut} className="hover:text-[var(--color-accent)] transition-colors">
+                        Sign out
+                      </button>
+                    </>
+                  )}
                 </div>
               </div>
             </div>
@@ -214,7 +312,7 @@ export default function App() {
                 <div className="text-xs text-[var(--color-text-secondary)]">{emptyDataWarning}</div>
               </div>
               <button
-                onClick={() => { setDateRange('last_90d'); fetchData('last_90d'); }}
+                onClick={() => setPeriod({ ...period, datePreset: 'last_90d' })}
                 className="ml-auto px-3 py-1.5 rounded-lg bg-[#f59e0b] text-white text-xs font-medium hover:opacity-90"
               >
                 Try Last 90 Days
@@ -230,7 +328,7 @@ export default function App() {
             <div className="text-sm text-[#ef4444] mb-2">Error loading data</div>
             <div className="text-xs text-[var(--color-text-muted)] mb-4">{error}</div>
             <button
-              onClick={fetchData}
+              onClick={() => fetchData()}
               className="px-4 py-2 rounded-lg bg-[var(--color-primary)] text-white text-xs font-medium hover:opacity-90"
             >
               Retry
@@ -241,21 +339,42 @@ export default function App() {
         {/* Loaded — Render Active Tab */}
         {processedData && (
           <ErrorBoundary>
+            {activeTab === 'portfolio' && (
+              <Portfolio
+                results={portfolio}
+                onResults={setPortfolio}
+                activeAccountId={rawData?.account?.id || accountId}
+                onSelectAccount={selectAccount}
+              />
+            )}
             {activeTab === 'command' && <CommandCenter data={processedData} />}
             {activeTab === 'campaigns' && <CampaignDive data={processedData} />}
             {activeTab === 'creative' && <CreativeLab data={processedData} />}
             {activeTab === 'budget' && <BudgetConsole data={processedData} />}
+            {activeTab === 'backtest' && (
+              <Backtest
+                data={processedData}
+                rawData={rawData}
+                thresholds={thresholds}
+                user={user}
+                accountId={accountId}
+                onUpdate={setThresholds}
+              />
+            )}
             {activeTab === 'chat' && <ChatAdvisor data={processedData} />}
             {activeTab === 'settings' && (
               <Settings
+                user={user}
                 thresholds={thresholds}
                 onUpdate={setThresholds}
                 onRefresh={fetchData}
-                dateRange={dateRange}
-                onDateRangeChange={(newRange) => {
-                  setDateRange(newRange);
-                  fetchData(newRange);
-                }}
+                accountId={accountId}
+                actionTypes={processedData.actionTypes}
+                previewEntities={[...processedData.campaignVerdicts, ...processedData.adSetVerdicts, ...processedData.adVerdicts]}
+                onAccountChange={id => selectAccount(id, { openTab: null })}
+                period={period}
+                onPeriodChange={setPeriod}
+                timeZone={rawData?.account?.timezone}
               />
             )}
 
@@ -0,0 +1,153 @@
+import { useState, useEffect } from 'react';
+import { fetchBreakdownInsights, BREAKDOWNS } from '../services/gomarble';
+import { checkBreakdownSignals } from '../engine/rules';
+import { formatCurrency, formatROAS, formatCompact, getVerdictColor, normalizeInsights } from '../utils/normalize';
+import { resolveConversionMapping } from '../utils/conversions';
+import { ConfidenceTag } from './StatusBadge';
+
+/**
+ * Spend / CPA / ROAS per breakdown value (age, gender, placement…) for one campaign or ad set.
+ * Fetched on demand; segments far outside target are flagged by the rules engine, and ones too
+ * small to be sure of are shown as insufficient data instead.
+ */
+export default function BreakdownExplorer({ entityType, entityId, thresholds, periodKey, currency }) {
+  const [breakdown, setBreakdown] = useState('age');
+  // Results are keyed by request so a stale response never shows under a new selection
+  const [result, setResult] = useState({ key: null, segments: null, error: null });
+  const requestKey = `${entityType}:${entityId}:${breakdown}:${periodKey}`;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchBreakdownInsights(entityType, entityId, breakdown)
+      .then(rows => { if (!cancelled) setResult({ key: requestKey, segments: rows, error: null }); })
+      .catch(err => {
+        console.error('[Breakdown] Fetch failed:', err);
+        if (!cancelled) setResult({ key: requestKey, segments: null, error: err.message });
+      });
+    return () => { cancelled = true; };
+  }, [entityType, entityId, breakdown, requestKey]);
+
+  const isCurrent = result.key === requestKey;
+  // Segments follow the same conversion mapping and attribution window as the rest of the engine
+  const normalizeOptions = {
+    attributionWindow: thresholds?.attribution?.defaultWindow,
+    conversionMapping: resolveConversionMapping(thresholds?.profile),
+  };
+  const segments = isCurrent && result.segments
+    ? result.segments.map(seg => ({ ...seg, ...normalizeInsights(seg, normalizeOptions) }))
+    : null;
+  const error = isCurrent ? result.error : null;
+
+  const { signals, heldSignals } = segments
+    ? checkBreakdownSignals(segments, breakdown, thresholds)
+    : { signals: [], heldSignals: [] };
+  const signalBySegment = Object.fromEntries([...heldSignals, ...signals].map(s => [s.segment, s]));
+  const totalSpend = segments?.reduce((s, seg) => s + seg.spend, 0) || 0;
+  const sorted = segments ? [...segments].sort((a, b) => b.spend - a.spend) : [];
+  const profile = thresholds?.profile || {};
+
+  return (
+    <div className="px-4 py-3 bg-[#0f172a66] border-b border-[#1e293b33]" onClick={e => e.stopPropagation()}>
+      <div className="flex items-center justify-between mb-3">
+        <div className="text-[10px] tracking-wider text-[var(--color-text-muted)] uppercase">
+          Breakdown
+        </div>
+        <div className="flex gap-1 flex-wrap justify-end">
+          {Object.entries(BREAKDOWNS).map(([key, def]) => (
+            <button
+              key={key}
+              onClick={() => setBreakdown(key)}
+              className={`text-[10px] px-2 py-0.5 rounded border transition-colors ${
+                breakdown === key
+                  ? 'bg-[var(--color-primary)] text-white border-[var(--color-primary)]'
+                  : 'text-[var(--color-text-secondary)] border-[var(--color-border)] hover:border-[var(--color-primary)]'
+              }`}
+            >
+              {def.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="text-xs text-[#ef4444]">Could not load breakdown: {error}</div>
+      )}
+      {!error && !segments && (
+        <div className="flex items-center gap-2 text-xs text-[var(--color-text-muted)]">
+          <div className="w-3 h-3 border border-[var(--color-primary)] border-t-transparent rounded-full animate-spin" />
+          Loading {BREAKDOWNS[breakdown].label.toLowerCase()} breakdown...
+        </div>
+      )}
+      {segments && segments.length === 0 && (
+        <div className="text-xs text-[var(--color-text-muted)]">No delivery in this period.</div>
+      )}
+
+      {sorted.length > 0 && (
+        <table className="w-full text-[11px]">
+          <thead>
+            <tr className="text-[10px] text-[var(--color-text-muted)] text-right">
+              <th className="text-left font-normal pb-1">{BREAKDOWNS[breakdown].label}</th>
+              <th className="font-normal pb-1">Spend</th>
+              <th className="font-normal pb-1 w-28">Share</th>
+              <th className="font-normal pb-1">Conv</th>
+              <th className="font-normal pb-1">CPA</th>
+              <th className="font-normal pb-1">ROAS</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(seg => {
+              const signal = signalBySegment[seg.segment];
+              const share = totalSpend > 0 ? seg.spend / totalSpend : 0;
+              return (
+                <tr key={seg.segment} className="text-right tabular-nums border-t border-[#1e293b33]" title={signal?.reason}>
+                  <td className="text-left py-1 text-[var(--color-text-primary)]">
+                    {signal && (
+                      <span
+                        className="inline-block w-1.5 h-1.5 rounded-full mr-1.5"
+                        style={{ background: signal.requiredConfidence != null ? '#94a3b8' : signal.urgency === 'RED' ? '#ef4444' : '#f59e0b' }}
+                      />
+                    )}
+                    {seg.segment}
+                  </td>
+                  <td className="py-1">{formatCurrency(seg.spend, currency)}</td>
+                  <td className="py-1">
+                    <div className="flex items-center justify-end gap-1.5">
+                      <div className="w-14 h-1 rounded bg-[#1e293b] overflow-hidden">
+                        <div className="h-full bg-[var(--color-primary)]" style={{ width: `${share * 100}%` }} />
+                      </div>
+                      <span className="w-8">{(share * 100).toFixed(0)}%</span>
+                    </div>
+                  </td>
+                  <td className="py-1">{formatCompact(seg.conversions)}</td>
+                  <td className="py-1" style={{ color: seg.cpa != null && seg.cpa <= profile.targetCPA ? '#22c55e' : seg.cpa != null ? '#ef4444' : undefined }}>
+                    {formatCurrency(seg.cpa, currency)}
+                  </td>
+                  <td className="py-1" style={{ color: seg.roas != null && seg.roas >= profile.targetROAS ? '#22c55e' : seg.roas != null ? '#ef4444' : undefined }}>
+                    {formatROAS(seg.roas)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {signals.length + heldSignals.length > 0 && (
+        <div className="mt-3 space-y-1">
+          {signals.map(s => (
+            <div key={s.segment} className="text-[11px] text-[var(--color-text-secondary)] pl-2 border-l-2" style={{ borderLeftColor: getVerdictColor(s.signal) }}>
+              {s.reason}. <span className="text-[var(--color-text-muted)]">{s.action}</span>{' '}
+              <ConfidenceTag signal={s} currency={currency} />
+            </div>
+          ))}
+          {heldSignals.map(s => (
+            <div key={s.segment} className="text-[11px] text-[var(--color-text-muted)] pl-2 border-l-2" style={{ borderLeftColor: getVerdictColor('INSUFFICIENT DATA') }}>
+              Insufficient data: {s.reason}{' '}
+              <ConfidenceTag signal={s} currency={currency} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
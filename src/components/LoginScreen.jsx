@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { login, setupAdmin } from '../services/auth';
+
+/**
+ * Sign-in gate. Shows the first-run admin setup when the bridge has no users yet,
+ * and a demo-only way in when the bridge can't be reached.
+ */
+export default function LoginScreen({ session, onSignedIn, onDemo }) {
+  const setup = session.setupRequired;
+  const [email, setEmail] = useState('');
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [setupToken, setSetupToken] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const user = setup
+        ? await setupAdmin({ email, name, password, setupToken: setupToken || undefined })
+        : await login(email, password);
+      onSignedIn(user);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <div className="card p-8 w-full max-w-sm">
+        <div className="text-[10px] tracking-[4px] text-[var(--color-primary)] uppercase mb-1">
+          Meta Ads Optimization Engine
+        </div>
+        <h1 className="text-xl font-bold gradient-text tracking-tight mb-6">
+          {setup ? 'Create the Admin Account' : 'Sign In'}
+        </h1>
+
+        {session.bridgeOffline ? (
+          <div className="space-y-4">
+            <div className="text-xs text-[var(--color-text-secondary)] leading-relaxed">
+              The bridge server isn't reachable, so sign-in and live data are unavailable.
+              Start it with <code className="text-[var(--color-accent)]">npm run server</code> and reload.
+            </div>
+            <button
+              type="button"
+              onClick={onDemo}
+              className="w-full px-4 py-2 rounded-lg border border-[var(--color-border)] text-xs text-[var(--color-text-secondary)] hover:border-[var(--color-accent)] transition-colors"
+            >
+              Continue with demo data
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={submit} className="space-y-3">
+            {setup && (
+              <div className="text-[11px] text-[var(--color-text-muted)] leading-relaxed">
+                No users exist yet. This account gets the admin role and can invite everyone else from Settings.
+              </div>
+            )}
+            <LoginField label="Email" type="email" value={email} onChange={setEmail} autoComplete="username" />
+            {setup && <LoginField label="Name" value={name} onChange={setName} autoComplete="name" />}
+            <LoginField
+              label="Password"
+              type="password"
+              value={password}
+              onChange={setPassword}
+              autoComplete={setup ? 'new-password' : 'current-password'}
+              hint={setup ? 'At least 10 characters.' : null}
+            />
+            {setup && session.setupNeedsToken && (
+              <LoginField label="Setup Token" type="password" value={setupToken} onChange={setSetupToken} hint="The AUTH_SETUP_TOKEN configured on the server." />
+            )}
+            {error && <div className="text-[11px] text-[#ef4444]">{error}</div>}
+            <button
+              type="submit"
+              disabled={busy || !email || !password}
+              className="w-full px-4 py-2 rounded-lg bg-[var(--color-primary)] text-white text-xs font-medium hover:opacity-90 transition-opacity disabled:opacity-50"
+            >
+              {busy ? 'Signing in…' : setup ? 'Create Account & Sign In' : 'Sign In'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function LoginField({ label, type = 'text', value, onChange, autoComplete, hint }) {
+  return (
+    <div>
+      <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">{label}</label>
+      <input
+        type={type}
+        value={value}
+        autoComplete={autoComplete}
+        onChange={e => onChange(e.target.value)}
+        className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+      />
+      {hint && <div className="text-[10px] text-[var(--color-text-muted)] mt-1">{hint}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,433 @@
+import { useState } from 'react';
+import { compileRule, validateRuleSet, previewRule, SIGNALS, URGENCIES, ENTITY_TYPES, RULE_FIELDS, CONFIDENCE_TESTS } from '../engine/ruleEngine';
+import { activeRules, newDefaultRules, requiredConfidence } from '../engine/rules';
+import DEFAULT_RULES from '../config/ruleDefinitions';
+import { getVerdictColor } from '../utils/normalize';
+import { VerdictBadge, UrgencyDot, ConfidenceTag } from './StatusBadge';
+
+const TYPE_LABELS = { campaign: 'Campaign', adset: 'Ad Set', ad: 'Ad' };
+const PREVIEW_LIMIT = 12;
+
+const NEW_RULE = {
+  name: 'New rule',
+  enabled: true,
+  signal: 'KILL',
+  priority: 0,
+  urgency: 'YELLOW',
+  when: 'spend >= profile.targetCPA * 2 && conversions == 0',
+  metric: 'custom',
+  currentValue: 'spend',
+  threshold: 'profile.targetCPA * 2',
+  reason: 'Spent {{spend | money}} with zero conversions',
+  action: 'Pause and reallocate budget.',
+  expectedImpact: '',
+};
+
+/**
+ * Edit the account's Kill / Scale / Iterate / New Concept rules as data, with validation
+ * and a live preview of which entities each rule matches. Nothing applies until saved;
+ * a rule set with errors can't be saved.
+ */
+export default function RuleEditor({ thresholds, entities = [], readOnly, onSave }) {
+  const isCustom = Array.isArray(thresholds.rules);
+  // Defaults added since the account's set was saved; already in the draft, stored on next save
+  const added = newDefaultRules(thresholds);
+  const [draft, setDraft] = useState(() => structuredClone(activeRules(thresholds)));
+  const [selected, setSelected] = useState(0);
+  const [dirty, setDirty] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [jsonText, setJsonText] = useState(null); // non-null while the JSON view is open
+  const [jsonError, setJsonError] = useState(null);
+
+  const errors = validateRuleSet(draft);
+  const errorsFor = index => errors.filter(e => e.index === index);
+  const rule = draft[selected];
+
+  function update(next) {
+    setDraft(next);
+    setDirty(true);
+    setSaved(false);
+  }
+
+  function updateRule(changes) {
+    update(draft.map((r, i) => (i === selected ? { ...r, ...changes } : r)));
+  }
+
+  function addRule(base = NEW_RULE) {
+    const ids = new Set(draft.map(r => r.id));
+    let n = draft.length + 1;
+    while (ids.has(`CUSTOM-${n}`)) n++;
+    update([...draft, { ...structuredClone(base), id: `CUSTOM-${n}` }]);
+    setSelected(draft.length);
+  }
+
+  function removeRule() {
+    update(draft.filter((_, i) => i !== selected));
+    setSelected(Math.max(0, selected - 1));
+  }
+
+  function resetToDefaults() {
+    update(structuredClone(DEFAULT_RULES));
+    setSelected(0);
+  }
+
+  function save() {
+    // Identical to the defaults → store null so the account keeps following default updates
+    const matchesDefaults = JSON.stringify(draft) === JSON.stringify(DEFAULT_RULES);
+    onSave(matchesDefaults ? null : draft);
+    setDirty(false);
+    setSaved(true);
+    setTimeout(() => setSaved(false), 2500);
+  }
+
+  function applyJson() {
+    try {
+      const parsed = JSON.parse(jsonText);
+      if (!Array.isArray(parsed)) throw new Error('Expected a JSON array of rules');
+      update(parsed);
+      setSelected(0);
+      setJsonText(null);
+      setJsonError(null);
+    } catch (err) {
+      setJsonError(err.message);
+    }
+  }
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase">
+          Decision Rules
+        </h3>
+        <div className="flex gap-2">
+          <EditorButton onClick={() => { setJsonText(jsonText == null ? JSON.stringify(draft, null, 2) : null); setJsonError(null); }}>
+            {jsonText == null ? '{ } JSON' : '← Form'}
+          </EditorButton>
+          {!readOnly && (
+            <>
+              <EditorButton onClick={() => addRule()}>+ New Rule</EditorButton>
+              <EditorButton onClick={resetToDefaults}>Reset to Defaults</EditorButton>
+            </>
+          )}
+        </div>
+      </div>
+      <div className="text-[11px] text-[var(--color-text-muted)] mb-4">
+        {isCustom ? 'This account uses its own rule set.' : 'This account uses the default rule set.'}
+        {added.length > 0 && (
+          <span className="text-[#f59e0b]">
+            {' '}{added.length} new default rule{added.length === 1 ? '' : 's'} added to it ({added.map(r => r.id).join(', ')}) — active now; remove any you don't want and save.
+          </span>
+        )}
+        {' '}Conditions are expressions over entity fields and thresholds, e.g.{' '}
+        <code className="text-[var(--color-accent)]">spend &gt;= profile.targetCPA * 2 &amp;&amp; conversions == 0</code>.
+      </div>
+
+      {jsonText != null ? (
+        <div>
+          <textarea
+            value={jsonText}
+            readOnly={readOnly}
+            onChange={e => setJsonText(e.target.value)}
+            spellCheck={false}
+            rows={20}
+            className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-[11px] font-mono text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)]"
+          />
+          {jsonError && <div className="text-[11px] text-[#ef4444] mt-1">{jsonError}</div>}
+          {!readOnly && (
+            <button
+              type="button"
+              onClick={applyJson}
+              className="mt-2 px-4 py-2 rounded-lg bg-[var(--color-primary)] text-white text-xs font-medium hover:opacity-90 transition-opacity"
+            >
+              Apply JSON
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="grid grid-cols-[220px_1fr] gap-4">
+          {/* Rule list */}
+          <div className="space-y-1 max-h-[640px] overflow-y-auto">
+            {draft.map((r, i) => (
+              <div
+                key={`${i}:${r?.id}`}
+                onClick={() => setSelected(i)}
+                className={`flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer text-[11px] border ${i === selected ? 'border-[var(--color-primary)] bg-[var(--color-bg-elevated)]' : 'border-transparent hover:bg-[var(--color-bg-elevated)]'}`}
+              >
+                <input
+                  type="checkbox"
+                  checked={r?.enabled !== false}
+                  disabled={readOnly}
+                  onClick={e => e.stopPropagation()}
+                  onChange={e => update(draft.map((x, j) => (j === i ? { ...x, enabled: e.target.checked } : x)))}
+                />
+                <span className="w-1.5 h-1.5 rounded-full shrink-0" style={{ background: getVerdictColor(r?.signal) }} />
+                <span className={`truncate ${r?.enabled === false ? 'text-[var(--color-text-muted)] line-through' : 'text-[var(--color-text-secondary)]'}`} title={r?.name}>
+                  <span className="font-medium">{r?.id || '(no id)'}</span> {r?.name}
+                </span>
+                {errorsFor(i).length > 0 && <span className="ml-auto text-[#ef4444]" title={`${errorsFor(i).length} error(s)`}>●</span>}
+              </div>
+            ))}
+            {draft.length === 0 && <div className="text-[11px] text-[var(--color-text-muted)]">No rules — nothing will be flagged.</div>}
+          </div>
+
+          {/* Selected rule */}
+          {rule ? (
+            <RuleForm
+              key={selected}
+              rule={rule}
+              errors={errorsFor(selected)}
+              readOnly={readOnly}
+              onChange={updateRule}
+              onDuplicate={() => addRule(rule)}
+              onDelete={removeRule}
+              entities={entities}
+              thresholds={thresholds}
+            />
+          ) : <div />}
+        </div>
+      )}
+
+      <div className="mt-4 pt-4 border-t border-[var(--color-border)] flex items-center justify-between">
+        {!readOnly && (
+          <button
+            type="button"
+            onClick={save}
+            disabled={!dirty || errors.length > 0}
+            className="px-5 py-2 rounded-lg text-white text-xs font-medium transition-all cursor-pointer disabled:opacity-50 disabled:cursor-default"
+            style={{ background: saved ? '#22c55e' : 'var(--color-primary)' }}
+          >
+            {saved ? '✅ Saved!' : '💾 Save Rules'}
+          </button>
+        )}
+        <span className={`text-[11px] ${errors.length > 0 ? 'text-[#ef4444]' : 'text-[var(--color-text-muted)]'}`}>
+          {errors.length > 0
+            ? `${errors.length} error${errors.length === 1 ? '' : 's'} — fix before saving`
+            : dirty ? 'Unsaved changes. Verdicts update once saved.' : `${draft.filter(r => r.enabled !== false).length} of ${draft.length} rules enabled`}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Fields for one rule, plus the live preview of what it matches.
+ */
+function RuleForm({ rule, errors, readOnly, onChange, onDuplicate, onDelete, entities, thresholds }) {
+  // `let` is edited as "name = expression" lines; keep the raw text so half-typed lines survive
+  const [letText, setLetText] = useState(() => Object.entries(rule.let || {}).map(([k, v]) => `${k} = ${v}`).join('\n'));
+  const [letError, setLetError] = useState(null);
+
+  const fieldError = field => errors.filter(e => e.field === field || e.field.startsWith(`${field}.`)).map(e => e.message).join(' · ');
+
+  function changeLet(text) {
+    setLetText(text);
+    const lets = {};
+    const bad = [];
+    text.split('\n').forEach((line, i) => {
+      if (!line.trim()) return;
+      const eq = line.indexOf('=');
+      // "a == b" alone isn't an assignment
+      if (eq <= 0 || line[eq + 1] === '=') bad.push(i + 1);
+      else lets[line.slice(0, eq).trim()] = line.slice(eq + 1).trim();
+    });
+    setLetError(bad.length ? `Line ${bad.join(', ')}: expected "name = expression"` : null);
+    onChange({ let: Object.keys(lets).length ? lets : undefined });
+  }
+
+  function changeUrgencyWhen(urgency, source) {
+    const next = { ...rule.urgencyWhen, [urgency]: source };
+    if (!source.trim()) delete next[urgency];
+    onChange({ urgencyWhen: Object.keys(next).length ? next : undefined });
+  }
+
+  function changeConfidence(changes) {
+    const next = { test: 'cpa', direction: 'above', value: '', ...rule.confidence, ...changes };
+    onChange({ confidence: next.test ? next : undefined });
+  }
+
+  function toggleType(type, on) {
+    const current = rule.appliesTo?.length ? rule.appliesTo : ENTITY_TYPES;
+    const next = on ? [...new Set([...current, type])] : current.filter(t => t !== type);
+    onChange({ appliesTo: next.length === ENTITY_TYPES.length ? undefined : next });
+  }
+
+  const { compiled } = compileRule(rule);
+  const preview = compiled ? previewRule(rule, entities, thresholds) : { matches: [], errors: [] };
+  const matchCounts = ENTITY_TYPES.map(type => [type, preview.matches.filter(m => m.entity.type === type).length]);
+  const required = requiredConfidence(rule.signal, thresholds);
+  const isHeld = signal => signal.confidence != null && signal.confidence < required;
+  const heldCount = preview.matches.filter(m => isHeld(m.signal)).length;
+
+  return (
+    <div className="min-w-0">
+      <fieldset disabled={readOnly} className="grid grid-cols-2 gap-3 min-w-0">
+        <RuleInput label="Id" value={rule.id} onChange={v => onChange({ id: v })} error={fieldError('id')} />
+        <RuleInput label="Name" value={rule.name} onChange={v => onChange({ name: v })} />
+        <div className="grid grid-cols-3 gap-2 col-span-2">
+          <RuleSelect label="Signal" value={rule.signal} options={SIGNALS} onChange={v => onChange({ signal: v })} error={fieldError('signal')} />
+          <RuleSelect label="Priority" value={rule.priority} options={[0, 1, 2, 3]} format={p => `P${p}`} onChange={v => onChange({ priority: Number(v) })} error={fieldError('priority')} />
+          <RuleSelect label="Urgency" value={rule.urgency} options={URGENCIES} onChange={v => onChange({ urgency: v })} error={fieldError('urgency')} />
+        </div>
+        <RuleInput label="Escalate to RED when" value={rule.urgencyWhen?.RED || ''} onChange={v => changeUrgencyWhen('RED', v)} mono placeholder="optional, e.g. frequency >= 4" error={fieldError('urgencyWhen.RED')} />
+        <div>
+          <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">Applies to</label>
+          <div className="flex gap-3 py-2">
+            {ENTITY_TYPES.map(type => (
+              <label key={type} className="flex items-center gap-1.5 text-[11px] text-[var(--color-text-secondary)]">
+                <input type="checkbox" checked={!rule.appliesTo?.length || rule.appliesTo.includes(type)} onChange={e => toggleType(type, e.target.checked)} />
+                {TYPE_LABELS[type]}
+              </label>
+            ))}
+          </div>
+          {fieldError('appliesTo') && <div className="text-[10px] text-[#ef4444]">{fieldError('appliesTo')}</div>}
+        </div>
+        <div className="col-span-2">
+          <RuleInput label="Let (one per line: name = expression)" value={letText} onChange={changeLet} mono multiline rows={Math.max(2, letText.split('\n').length)} placeholder="cpaOverage = (cpa - profile.targetCPA) / profile.targetCPA" error={[letError, fieldError('let')].filter(Boolean).join(' · ')} />
+        </div>
+        <div className="col-span-2">
+          <RuleInput label="When" value={rule.when} onChange={v => onChange({ when: v })} mono multiline rows={2} error={fieldError('when')} />
+        </div>
+        <RuleInput label="Metric" value={rule.metric} onChange={v => onChange({ metric: v })} error={fieldError('metric')} />
+        <div className="grid grid-cols-2 gap-2">
+          <RuleInput label="Current value" value={rule.currentValue} onChange={v => onChange({ currentValue: v })} mono error={fieldError('currentValue')} />
+          <RuleInput label="Threshold" value={rule.threshold} onChange={v => onChange({ threshold: v })} mono error={fieldError('threshold')} />
+        </div>
+        <div className="col-span-2">
+          <RuleInput label="Reason" value={rule.reason} onChange={v => onChange({ reason: v })} mono error={fieldError('reason')} hint="Templates: {{expression | money}}, | percent, | percent:1, | fixed:2, | round" />
+        </div>
+        <div className="col-span-2">
+          <RuleInput label="Action" value={rule.action} onChange={v => onChange({ action: v })} mono error={fieldError('action')} />
+        </div>
+        <div className="col-span-2">
+          <RuleInput label="Expected impact" value={rule.expectedImpact} onChange={v => onChange({ expectedImpact: v })} mono error={fieldError('expectedImpact')} />
+        </div>
+        <div className="grid grid-cols-[1.4fr_0.8fr_1.8fr] gap-2 col-span-2">
+          <RuleSelect
+            label="Confidence test"
+            value={rule.confidence?.test || ''}
+            options={['', ...Object.keys(CONFIDENCE_TESTS)]}
+            format={test => (test ? CONFIDENCE_TESTS[test].label : 'None — fire on the point estimate')}
+            onChange={v => changeConfidence({ test: v })}
+            error={fieldError('confidence.test')}
+          />
+          {rule.confidence && (
+            <>
+              <RuleSelect label="True value is" value={rule.confidence.direction} options={['above', 'below']} onChange={v => changeConfidence({ direction: v })} error={fieldError('confidence.direction')} />
+              <RuleInput label="Value" value={rule.confidence.value} onChange={v => changeConfidence({ value: v })} mono placeholder="profile.targetCPA" error={fieldError('confidence.value')} />
+            </>
+          )}
+        </div>
+      </fieldset>
+
+      {!readOnly && (
+        <div className="flex gap-2 mt-3">
+          <EditorButton onClick={onDuplicate}>Duplicate</EditorButton>
+          <EditorButton onClick={onDelete} danger>Delete</EditorButton>
+        </div>
+      )}
+
+      <details className="mt-3">
+        <summary className="text-[11px] text-[var(--color-text-muted)] cursor-pointer">Entity fields</summary>
+        <div className="grid grid-cols-2 gap-x-4 mt-2">
+          {Object.entries(RULE_FIELDS).map(([name, description]) => (
+            <div key={name} className="text-[10px] py-0.5">
+              <code className="text-[var(--color-accent)]">{name}</code>
+              <span className="text-[var(--color-text-muted)]"> — {description}</span>
+            </div>
+          ))}
+        </div>
+      </details>
+
+      {/* Live preview */}
+      <div className="mt-4 pt-4 border-t border-[var(--color-border)]">
+        <div className="text-xs text-[var(--color-text-muted)] mb-2">
+          Preview against current data
+          {compiled && entities.length > 0 && (
+            <span className="text-[var(--color-text-secondary)]">
+              {' '}— matches {preview.matches.length} of {entities.length}
+              {preview.matches.length > 0 && ` (${matchCounts.filter(([, n]) => n > 0).map(([t, n]) => `${n} ${TYPE_LABELS[t].toLowerCase()}${n === 1 ? '' : 's'}`).join(', ')})`}
+              {heldCount > 0 && ` · ${heldCount} held for insufficient data`}
+            </span>
+          )}
+        </div>
+        {!compiled ? (
+          <div className="text-[11px] text-[#ef4444]">Fix the errors above to preview this rule.</div>
+        ) : entities.length === 0 ? (
+          <div className="text-[11px] text-[var(--color-text-muted)]">Load account data to preview.</div>
+        ) : preview.errors.length > 0 ? (
+          <div className="text-[11px] text-[#ef4444]">{preview.errors[0].message}</div>
+        ) : preview.matches.length === 0 ? (
+          <div className="text-[11px] text-[var(--color-text-muted)]">No entities match right now.</div>
+        ) : (
+          <div className="space-y-1.5">
+            {preview.matches.slice(0, PREVIEW_LIMIT).map(({ entity, signal }) => (
+              <div key={`${entity.type}:${entity.id}`} className="flex items-start gap-2 text-[11px]">
+                <UrgencyDot urgency={signal.urgency} />
+                <span className="text-[var(--color-text-muted)] w-14 shrink-0">{TYPE_LABELS[entity.type] || entity.type}</span>
+                <div className="min-w-0">
+                  <div className="text-[var(--color-text-primary)] truncate" title={entity.name}>
+                    {entity.name} {entity.isDelivering === false && <span className="text-[var(--color-text-muted)]">(not delivering)</span>}
+                  </div>
+                  <div className="text-[var(--color-text-secondary)]">{signal.reason}</div>
+                  <ConfidenceTag signal={isHeld(signal) ? { ...signal, requiredConfidence: required } : signal} currency={thresholds.profile?.currency} />
+                </div>
+                {entity.verdict && entity.verdict !== rule.signal && (
+                  <span className="ml-auto shrink-0" title="Current verdict"><VerdictBadge verdict={entity.verdict} /></span>
+                )}
+              </div>
+            ))}
+            {preview.matches.length > PREVIEW_LIMIT && (
+              <div className="text-[10px] text-[var(--color-text-muted)]">…and {preview.matches.length - PREVIEW_LIMIT} more</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function RuleInput({ label, value, onChange, error, hint, mono, multiline, rows = 2, placeholder }) {
+  const className = `w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border text-xs text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors ${mono ? 'font-mono' : ''} ${error ? 'border-[#ef4444]' : 'border-[var(--color-border)]'}`;
+  return (
+    <div>
+      <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">{label}</label>
+      {multiline ? (
+        <textarea value={value ?? ''} rows={rows} spellCheck={false} placeholder={placeholder} onChange={e => onChange(e.target.value)} className={className} />
+      ) : (
+        <input type="text" value={value ?? ''} spellCheck={false} placeholder={placeholder} onChange={e => onChange(e.target.value)} className={className} />
+      )}
+      {error && <div className="text-[10px] text-[#ef4444] mt-1">{error}</div>}
+      {hint && !error && <div className="text-[10px] text-[var(--color-text-muted)] mt-1">{hint}</div>}
+    </div>
+  );
+}
+
+function RuleSelect({ label, value, options, onChange, error, format = String }) {
+  return (
+    <div>
+      <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">{label}</label>
+      <select
+        value={value ?? ''}
+        onChange={e => onChange(e.target.value)}
+        className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-xs text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+      >
+        {options.map(opt => <option key={opt} value={opt}>{format(opt)}</option>)}
+      </select>
+      {error && <div className="text-[10px] text-[#ef4444] mt-1">{error}</div>}
+    </div>
+  );
+}
+
+function EditorButton({ onClick, danger, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`px-3 py-1.5 rounded-lg border text-[11px] transition-colors ${danger
+        ? 'border-[#ef444466] text-[#ef4444] hover:bg-[#ef444411]'
+        : 'border-[var(--color-border)] text-[var(--color-text-secondary)] hover:border-[var(--color-accent)]'}`}
+    >
+      {children}
+    </button>
+  );
+}
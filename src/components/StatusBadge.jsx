@@ -1,4 +1,4 @@
-import { getVerdictColor, getVerdictBg } from '../utils/normalize';
+import { getVerdictColor, getVerdictBg, getTrendIcon, getTrendColor, formatMoney } from '../utils/normalize';
 
 export function VerdictBadge({ verdict }) {
   return (
@@ -25,6 +25,47 @@ export function UrgencyDot({ urgency }) {
   );
 }
 
+// Credible interval bounds by confidence test (see engine/ruleEngine CONFIDENCE_TESTS)
+const INTERVAL_FORMATS = {
+  cpa: (v, currency) => formatMoney(v, currency),
+  roas: v => `${v.toFixed(2)}×`,
+  streakRoas: v => `${v.toFixed(2)}×`,
+  ctr: v => `${v.toFixed(2)}%`,
+  cvr: v => `${(v * 100).toFixed(1)}%`,
+  hookRate: v => `${(v * 100).toFixed(1)}%`,
+  dailyConversions: v => `${v.toFixed(1)}/day`,
+};
+const INTERVAL_LABELS = { cpa: 'CPA', roas: 'ROAS', streakRoas: 'ROAS', ctr: 'CTR', cvr: 'CVR', hookRate: 'Hook', dailyConversions: 'Conv' };
+
+/**
+ * How sure the engine is of a signal, with the credible interval behind it.
+ * Held signals (not enough data to fire) show the confidence they'd need.
+ */
+export function ConfidenceTag({ signal, currency }) {
+  if (signal?.confidence == null) return null;
+  // Floor so a held 89.6% never reads as the 90% it needed
+  const pct = Math.floor(signal.confidence * 100);
+  const held = signal.requiredConfidence != null;
+  const color = held ? '#94a3b8' : pct >= 90 ? '#22c55e' : pct >= 75 ? '#f59e0b' : '#ef4444';
+  const format = INTERVAL_FORMATS[signal.interval?.test];
+  return (
+    <span className="inline-flex items-center gap-1.5 text-[10px] tabular-nums whitespace-nowrap">
+      <span
+        className="px-1.5 py-0.5 rounded font-medium"
+        style={{ color, background: `${color}18`, border: `1px solid ${color}33` }}
+        title="Probability the rule's claim holds, given the data volume behind it"
+      >
+        {pct}% sure{held && ` · needs ${Math.round(signal.requiredConfidence * 100)}%`}
+      </span>
+      {format && (
+        <span className="text-[var(--color-text-muted)]" title={`${Math.round(signal.interval.level * 100)}% credible interval`}>
+          {INTERVAL_LABELS[signal.interval.test]} {format(signal.interval.low, currency)}–{format(signal.interval.high, currency)}
+        </span>
+      )}
+    </span>
+  );
+}
+
 export function HealthBadge({ score }) {
   const color = score >= 80 ? '#22c55e' : score >= 50 ? '#f59e0b' : '#ef4444';
   const bg = score >= 80 ? '#22c55e18' : score >= 50 ? '#f59e0b18' : '#ef444418';
@@ -56,7 +97,21 @@ export function PriorityTag({ priority }) {
   );
 }
 
-export function MetricCard({ label, value, subValue, trend, trendColor, icon }) {
+/**
+ * Percent change vs the comparison period. Renders nothing when there is no comparison.
+ */
+export function DeltaTag({ change, lowerIsBetter = false, neutral = false, className = 'text-[10px]' }) {
+  if (change == null || isNaN(change)) return null;
+  const direction = change > 2 ? 'up' : change < -2 ? 'down' : 'flat';
+  const color = neutral ? '#94a3b8' : getTrendColor(direction, lowerIsBetter);
+  return (
+    <span className={`${className} font-medium tabular-nums whitespace-nowrap`} style={{ color }} title="Change vs comparison period">
+      {getTrendIcon(direction)} {change > 0 ? '+' : ''}{change.toFixed(1)}%
+    </span>
+  );
+}
+
+export function MetricCard({ label, value, subValue, trend, trendColor, icon, delta, lowerIsBetter = false, neutralDelta = false }) {
   return (
     <div className="card p-4">
       <div className="flex items-center justify-between mb-1">
@@ -74,6 +129,12 @@ export function MetricCard({ label, value, subValue, trend, trendColor, icon })
           )}
         </div>
       )}
+      {delta != null && (
+        <div className="flex items-center gap-1.5 mt-1">
+          <span className="text-[10px] text-[var(--color-text-muted)]">vs prev</span>
+          <DeltaTag change={delta} lowerIsBetter={lowerIsBetter} neutral={neutralDelta} />
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,47 @@
+/**
+ * FX rates for the portfolio view.
+ * Accounts keep reporting in their own currency; the portfolio can optionally
+ * convert spend and CPA into one reporting currency using rates the user maintains.
+ * Rates are "units of reporting currency per 1 unit of account currency".
+ */
+
+const FX_KEY = 'meta_fx_rates';
+
+const DEFAULT_FX = {
+  reportingCurrency: null, // null = show each account in its own currency
+  rates: {},
+};
+
+export function loadFxSettings() {
+  try {
+    const saved = localStorage.getItem(FX_KEY);
+    return saved ? { ...DEFAULT_FX, ...JSON.parse(saved) } : DEFAULT_FX;
+  } catch {
+    return DEFAULT_FX;
+  }
+}
+
+export function saveFxSettings(settings) {
+  try {
+    localStorage.setItem(FX_KEY, JSON.stringify(settings));
+  } catch {}
+}
+
+/**
+ * Rate to convert `from` into the reporting currency, or null when no rate is known.
+ */
+export function getFxRate(settings, from) {
+  const to = settings.reportingCurrency;
+  if (!to || !from || from === to) return 1;
+  const rate = settings.rates?.[`${from}_${to}`];
+  return rate > 0 ? rate : null;
+}
+
+/**
+ * Convert an amount into the reporting currency. Returns null when the rate is missing.
+ */
+export function convertAmount(value, from, settings) {
+  if (value == null) return null;
+  const rate = getFxRate(settings, from);
+  return rate == null ? null : value * rate;
+}
@@ -0,0 +1,311 @@
+/**
+ * Default Decision Rules — Kill / Scale / Iterate / New Concept
+ * Source: 2024-2025 Meta Ads Playbook
+ *
+ * Each rule is plain JSON so it can be edited per client in Settings (saved as
+ * `thresholds.rules`; null means these defaults). Expressions and templates are described
+ * in engine/ruleEngine.js.
+ *
+ * {
+ *   id, name, enabled,
+ *   signal: 'KILL' | 'SCALE' | 'ITERATE' | 'NEW CONCEPT',
+ *   priority: 0-3 (P0=highest),
+ *   urgency: 'RED' | 'YELLOW' | 'GREEN',
+ *   urgencyWhen: { RED: expr, … } — first matching urgency overrides `urgency`,
+ *   appliesTo: ['campaign', 'adset', 'ad'] — omit for all levels,
+ *   let: { name: expr } — named values, evaluated in order,
+ *   when: expr — the rule fires when this is truthy,
+ *   metric, currentValue: expr, threshold: expr,
+ *   reason, action, expectedImpact: templates,
+ *   confidence: { test, direction: 'above' | 'below', value: expr } — optional; how sure the
+ *     data lets us be that the metric really is past the value (see ruleEngine CONFIDENCE_TESTS),
+ * }
+ *
+ * KILL confidence tests the claim that makes the kill right (CPA worse than target, ROAS under
+ * break-even); SCALE tests that the entity isn't a loser at its volume (ROAS above break-even,
+ * CPA short of the kill line), since scaling a marginal winner is cheap to reverse.
+ */
+
+const DEFAULT_RULES = [
+  // ─── KILL (P0 — Revenue at Risk) ───────────────────────────────────────────
+  {
+    id: 'KILL-1',
+    name: 'Zero conversions after N× target CPA',
+    enabled: true,
+    signal: 'KILL',
+    priority: 0,
+    urgency: 'RED',
+    when: 'spend >= profile.targetCPA * kill.spendMultiplierZeroConversions && conversions == 0',
+    metric: 'spend_vs_cpa',
+    currentValue: 'spend',
+    threshold: 'profile.targetCPA * kill.spendMultiplierZeroConversions',
+    reason: 'Spent {{spend | money}} ({{spend / profile.targetCPA | fixed:1}}× target CPA) with zero conversions',
+    action: 'Pause immediately. Reallocate budget to performing ad sets.',
+    expectedImpact: 'Save ~{{spend / 7 | money}}/day in wasted spend',
+    confidence: { test: 'cpa', direction: 'above', value: 'profile.targetCPA' },
+  },
+  {
+    id: 'KILL-2',
+    name: 'CPA above target for several days',
+    enabled: true,
+    signal: 'KILL',
+    priority: 0,
+    urgency: 'YELLOW',
+    urgencyWhen: { RED: 'cpaOverage >= 0.30' },
+    let: { cpaOverage: '(cpa - profile.targetCPA) / profile.targetCPA' },
+    when: 'cpa != null && profile.targetCPA > 0 && daysRunning >= kill.cpaWorseDaysRequired && cpaOverage >= kill.cpaWorsePercent',
+    metric: 'cpa_vs_target',
+    currentValue: 'cpa',
+    threshold: 'profile.targetCPA * (1 + kill.cpaWorsePercent)',
+    reason: 'CPA at {{cpa | money}} is {{cpaOverage | percent}} above target ({{profile.targetCPA | money}}) for {{daysRunning}}+ days',
+    action: 'Pause ad set. Test new creative or broaden audience.',
+    expectedImpact: 'Recover ~{{(cpa - profile.targetCPA) * (conversions || 1) | money}} in overspend',
+    confidence: { test: 'cpa', direction: 'above', value: 'profile.targetCPA' },
+  },
+  {
+    id: 'KILL-3',
+    name: 'High frequency with CTR declining',
+    enabled: true,
+    signal: 'KILL',
+    priority: 0,
+    urgency: 'YELLOW',
+    urgencyWhen: { RED: 'frequency >= 4.0' },
+    when: "frequency > kill.frequencyKillThreshold && ctrTrend == 'declining'",
+    metric: 'frequency_fatigue',
+    currentValue: 'frequency',
+    threshold: 'kill.frequencyKillThreshold',
+    reason: 'Frequency at {{frequency | fixed:1}} (threshold: {{kill.frequencyKillThreshold}}) with CTR declining week-over-week',
+    action: 'Creative fatigue detected. Pause and launch fresh creative under new ad IDs.',
+    expectedImpact: 'Prevent further CPA degradation from audience over-saturation',
+    confidence: { test: 'ctrChange', direction: 'below', value: '0' },
+  },
+  {
+    id: 'KILL-4',
+    name: 'ROAS below break-even for consecutive days',
+    enabled: true,
+    signal: 'KILL',
+    priority: 0,
+    urgency: 'RED',
+    when: 'roasBelowBreakevenDays >= kill.roasBelowBreakevenDays && roas != null',
+    metric: 'roas_breakeven',
+    currentValue: 'roas',
+    threshold: 'profile.breakEvenROAS',
+    reason: 'ROAS below break-even ({{profile.breakEvenROAS}}×) for {{roasBelowBreakevenDays}} consecutive days',
+    action: 'Pause and reallocate. Campaign is losing money daily.',
+    expectedImpact: 'Stop bleeding ~{{spend / 7 * (1 - (roas || 0) / profile.breakEvenROAS) | money}}/day',
+    confidence: { test: 'streakRoas', direction: 'below', value: 'profile.breakEvenROAS' },
+  },
+
+  // ─── SCALE (P1 — Revenue Opportunity) ──────────────────────────────────────
+  // Without a daily budget (lifetime budget or unknown), increases are sized off average daily spend
+  {
+    id: 'SCALE-1-CPA',
+    name: 'Stable CPA at or below target (lead gen)',
+    enabled: true,
+    signal: 'SCALE',
+    priority: 1,
+    urgency: 'GREEN',
+    let: {
+      currentBudget: 'dailyBudget || spend / (daysRunning || 7)',
+      budgetLabel: "dailyBudget ? 'daily budget' : 'daily spend'",
+      newBudget: 'currentBudget * (1 + scale.maxBudgetIncreasePercent)',
+    },
+    when: "daysStable >= scale.stabilityDaysRequired && profile.businessType == 'leadgen' && cpa != null && cpa <= profile.targetCPA",
+    metric: 'stability_cpa',
+    currentValue: 'daysStable',
+    threshold: 'scale.stabilityDaysRequired',
+    reason: 'Stable performance for {{daysStable}} days with CPA at {{cpa | money}} (target: {{profile.targetCPA | money}})',
+    action: 'Increase {{budgetLabel}} from {{currentBudget | money}} → {{newBudget | money}} (+{{scale.maxBudgetIncreasePercent | percent}})',
+    expectedImpact: '~{{(newBudget - currentBudget) / (cpa || 1) | round}} additional daily conversions',
+    confidence: { test: 'cpa', direction: 'below', value: 'profile.targetCPA * (1 + kill.cpaWorsePercent)' },
+  },
+  {
+    id: 'SCALE-1-ROAS',
+    name: 'Stable ROAS at or above target',
+    enabled: true,
+    signal: 'SCALE',
+    priority: 1,
+    urgency: 'GREEN',
+    let: {
+      currentBudget: 'dailyBudget || spend / (daysRunning || 7)',
+      budgetLabel: "dailyBudget ? 'daily budget' : 'daily spend'",
+      newBudget: 'currentBudget * (1 + scale.maxBudgetIncreasePercent)',
+    },
+    when: 'daysStable >= scale.stabilityDaysRequired && roas != null && profile.targetROAS > 0 && roas >= profile.targetROAS',
+    metric: 'stability',
+    currentValue: 'daysStable',
+    threshold: 'scale.stabilityDaysRequired',
+    reason: 'Stable performance for {{daysStable}} days with {{roas | fixed:2}}× ROAS (target: {{profile.targetROAS}}×)',
+    action: 'Increase {{budgetLabel}} from {{currentBudget | money}} → {{newBudget | money}} (+{{scale.maxBudgetIncreasePercent | percent}})',
+    expectedImpact: '~{{(newBudget - currentBudget) * roas | money}} additional daily revenue at current ROAS',
+    confidence: { test: 'roas', direction: 'above', value: 'profile.breakEvenROAS' },
+  },
+  {
+    id: 'SCALE-2',
+    name: 'Exited learning phase',
+    enabled: true,
+    signal: 'SCALE',
+    priority: 1,
+    urgency: 'GREEN',
+    when: 'isLearning == false && roas >= profile.targetROAS',
+    metric: 'learning_phase',
+    currentValue: 'conversionsLast7d',
+    threshold: 'scale.learningPhaseConversionsWeekly',
+    reason: 'Exited learning phase with {{conversionsLast7d}} conversions/week ({{scale.learningPhaseConversionsWeekly}} needed)',
+    action: 'Scale eligible. Apply 20% budget increase every 48-72 hours.',
+    expectedImpact: 'Mature ad set with stable delivery — scale with confidence',
+    confidence: { test: 'roas', direction: 'above', value: 'profile.breakEvenROAS' },
+  },
+  {
+    id: 'SCALE-3',
+    name: 'Frequency headroom with conversion volume',
+    enabled: true,
+    signal: 'SCALE',
+    priority: 1,
+    urgency: 'GREEN',
+    when: 'frequency < scale.frequencyScaleMax && dailyConversions >= scale.minDailyConversions',
+    metric: 'frequency_headroom',
+    currentValue: 'frequency',
+    threshold: 'scale.frequencyScaleMax',
+    reason: 'Frequency at {{frequency | fixed:1}} (headroom to {{scale.frequencyScaleMax}}) with {{dailyConversions}} conv/day',
+    action: 'Audience headroom exists. Safe to scale budget vertically.',
+    expectedImpact: 'Room to grow before fatigue (~{{(scale.frequencyScaleMax - frequency) / 0.1 * 3 | fixed:0}} more days at current velocity)',
+    confidence: { test: 'dailyConversions', direction: 'above', value: 'scale.minDailyConversions' },
+  },
+
+  // ─── ITERATE (P2 — Efficiency Gains) ───────────────────────────────────────
+  {
+    id: 'ITERATE-1',
+    name: 'CTR declining week over week',
+    enabled: true,
+    signal: 'ITERATE',
+    priority: 2,
+    urgency: 'YELLOW',
+    let: { decline: '-ctrChangeWoW / 100' },
+    when: 'ctrChangeWoW != null && decline >= iterate.ctrDeclineWoWPercent && decline < iterate.ctrDeclineWoWCritical',
+    metric: 'ctr_decline',
+    currentValue: 'ctrChangeWoW',
+    threshold: '-(iterate.ctrDeclineWoWPercent * 100)',
+    reason: 'CTR declining {{decline | percent}} week-over-week (threshold: {{iterate.ctrDeclineWoWPercent | percent}})',
+    action: 'Test new hooks and headlines while preserving the winning concept.',
+    expectedImpact: 'Extend creative lifespan by 1-2 weeks with fresh angles',
+    confidence: { test: 'ctrChange', direction: 'below', value: '0' },
+  },
+  {
+    id: 'ITERATE-2',
+    name: 'Hook rate below threshold',
+    enabled: true,
+    signal: 'ITERATE',
+    priority: 2,
+    urgency: 'YELLOW',
+    when: 'hookRate != null && hookRate < iterate.hookRateIterateThreshold',
+    metric: 'hook_rate',
+    currentValue: 'hookRate',
+    threshold: 'iterate.hookRateIterateThreshold',
+    reason: 'Hook rate at {{hookRate | percent:1}} — below {{iterate.hookRateIterateThreshold | percent}} threshold',
+    action: 'Opening 3 seconds need work. Test new video hooks with the same body content.',
+    expectedImpact: 'A strong hook (>30%) can boost CTR by 40-60%',
+    confidence: { test: 'hookRate', direction: 'below', value: 'iterate.hookRateIterateThreshold' },
+  },
+
+  // ─── FATIGUE (P2 — graded from engine/fatigue.js, ads only) ────────────────
+  {
+    id: 'FATIGUE-1',
+    name: 'Cost per result at N× its own average',
+    enabled: true,
+    signal: 'ITERATE',
+    priority: 2,
+    urgency: 'RED',
+    appliesTo: ['ad'],
+    when: 'costPerResultRatio != null && costPerResultRatio >= fatigue.costPerResultFatigueMultiplier',
+    metric: 'creative_fatigue',
+    currentValue: 'costPerResultRatio',
+    threshold: 'fatigue.costPerResultFatigueMultiplier',
+    reason: 'Fatigued — cost per result now {{costPerResultRatio | fixed:1}}× its own average of {{historicalCostPerResult | money}}',
+    action: 'Replace this creative: launch its refresh (new hook, same concept) and shift spend to fresher ads.',
+    expectedImpact: 'A fresh variant typically brings cost per result back toward {{historicalCostPerResult | money}}',
+  },
+  {
+    id: 'FATIGUE-2',
+    name: 'Frequency past the purchase-intent drop',
+    enabled: true,
+    signal: 'ITERATE',
+    priority: 2,
+    urgency: 'RED',
+    appliesTo: ['ad'],
+    when: 'frequency >= fatigue.frequencyPurchaseIntentDrop',
+    metric: 'creative_fatigue',
+    currentValue: 'frequency',
+    threshold: 'fatigue.frequencyPurchaseIntentDrop',
+    reason: 'Fatigued — frequency at {{frequency | fixed:1}}, past the {{fatigue.frequencyPurchaseIntentDrop}} where purchase intent drops',
+    action: 'Rotate this creative out for the same audience; reuse it on a fresh audience if it still converts.',
+    expectedImpact: 'Purchase intent falls ~16% past this frequency',
+  },
+  {
+    id: 'FATIGUE-3',
+    name: 'CPM rising week over week',
+    enabled: true,
+    signal: 'ITERATE',
+    priority: 2,
+    urgency: 'YELLOW',
+    appliesTo: ['ad'],
+    when: "fatigueStage != 'fatigued' && cpmChangeWoW != null && cpmChangeWoW >= fatigue.cpmRiseWoWPercent * 100",
+    metric: 'creative_fatigue',
+    currentValue: 'cpmChangeWoW',
+    threshold: 'fatigue.cpmRiseWoWPercent * 100',
+    reason: 'Refresh soon — CPM up {{cpmChangeWoW | fixed:0}}% week over week (threshold: {{fatigue.cpmRiseWoWPercent | percent}})',
+    action: 'Meta is charging more to show this creative. Prepare a refresh before cost per result follows.',
+    expectedImpact: 'Refreshing ahead of fatigue avoids the cost-per-result spike',
+  },
+  {
+    id: 'FATIGUE-4',
+    name: 'Creative nearing its typical lifespan',
+    enabled: true,
+    signal: 'ITERATE',
+    priority: 2,
+    urgency: 'GREEN',
+    urgencyWhen: { YELLOW: 'daysToFatigue != null && daysToFatigue <= fatigue.typicalLifespanDays - fatigue.refreshWarningDays' },
+    appliesTo: ['ad'],
+    when: "fatigueStage != 'fatigued' && creativeAgeDays != null && creativeAgeDays >= fatigue.refreshWarningDays",
+    metric: 'creative_age',
+    currentValue: 'creativeAgeDays',
+    threshold: 'fatigue.typicalLifespanDays',
+    reason: 'Refresh soon — {{creativeAgeDays}} days since first delivery (typical lifespan {{fatigue.typicalLifespanDays}} days)',
+    action: 'Queue the next iteration of this concept so it is ready before performance slips.',
+    expectedImpact: 'Creatives typically last {{fatigue.typicalLifespanDays}} days; having the refresh ready avoids the cost-per-result spike',
+  },
+
+  // ─── NEW CONCEPT (P3 — Pipeline Health) ────────────────────────────────────
+  {
+    id: 'NEW CONCEPT-1',
+    name: 'All creatives fatigued',
+    enabled: true,
+    signal: 'NEW CONCEPT',
+    priority: 3,
+    urgency: 'YELLOW',
+    when: 'allCreativesFatigued',
+    metric: 'creative_exhaustion',
+    currentValue: 'fatiguedCreativeCount',
+    threshold: 'totalCreativeCount',
+    reason: 'Every active creative in this ad set ({{fatiguedCreativeCount}} of {{totalCreativeCount}}) shows fatigue signals',
+    action: 'Generate new creative brief. Test fundamentally different concepts, formats, and messaging angles.',
+    expectedImpact: 'Fresh concepts typically see 30-50% better CTR than fatigued ones',
+  },
+  {
+    id: 'NEW CONCEPT-2',
+    name: 'Audience saturated',
+    enabled: true,
+    signal: 'NEW CONCEPT',
+    priority: 3,
+    urgency: 'YELLOW',
+    when: "frequency > newConcept.audienceSaturatedFrequency && reachTrend == 'declining'",
+    metric: 'audience_saturation',
+    currentValue: 'frequency',
+    threshold: 'newConcept.audienceSaturatedFrequency',
+    reason: 'Audience saturated — frequency at {{frequency | fixed:1}} with daily reach {{reachChange | fixed:0}}% week over week',
+    action: 'New creative angles needed to reach untapped audience segments. Consider new formats (Reels, UGC).',
+    expectedImpact: 'Diverse creative unlocks new audience clusters within broad targeting',
+  },
+];
+
+export default DEFAULT_RULES;
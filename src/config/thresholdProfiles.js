@@ -0,0 +1,66 @@
+/**
+ * Per-account threshold profiles.
+ * Each ad account keeps its own overrides on top of DEFAULT_THRESHOLDS, so agencies can
+ * switch between clients without re-entering targets. Profiles are stored together under
+ * one localStorage key, keyed by account id.
+ */
+
+import DEFAULT_THRESHOLDS from './thresholds.js';
+
+const PROFILES_KEY = 'meta_threshold_profiles';
+// Pre-profile single-account key — still used as the starting point for accounts without a profile
+const LEGACY_KEY = 'meta_thresholds';
+// Profile used when no account is selected (e.g. mock mode before picking one)
+const DEFAULT_PROFILE_ID = 'default';
+
+function readJSON(key) {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+function readProfiles() {
+  return readJSON(PROFILES_KEY) || {};
+}
+
+/**
+ * Load the thresholds for an account, deep-merged over defaults so new fields are always present.
+ * Falls back to the legacy single-account thresholds when the account has no profile yet.
+ */
+export function loadThresholds(accountId) {
+  const overrides = readProfiles()[accountId || DEFAULT_PROFILE_ID] || readJSON(LEGACY_KEY);
+  return overrides ? deepMerge(DEFAULT_THRESHOLDS, overrides) : DEFAULT_THRESHOLDS;
+}
+
+/**
+ * Save the thresholds for an account.
+ */
+export function saveThresholds(accountId, thresholds) {
+  try {
+    const profiles = readProfiles();
+    profiles[accountId || DEFAULT_PROFILE_ID] = thresholds;
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+  } catch {}
+}
+
+/**
+ * Whether an account has its own saved profile (vs. inheriting defaults).
+ */
+export function hasThresholdProfile(accountId) {
+  return !!readProfiles()[accountId || DEFAULT_PROFILE_ID];
+}
+
+export function deepMerge(defaults, overrides) {
+  const result = { ...defaults };
+  for (const key of Object.keys(overrides)) {
+    if (overrides[key] && typeof overrides[key] === 'object' && !Array.isArray(overrides[key]) && defaults[key]) {
+      result[key] = deepMerge(defaults[key], overrides[key]);
+    } else {
+      result[key] = overrides[key];
+    }
+  }
+  return result;
+}
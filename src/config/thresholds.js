@@ -14,8 +14,20 @@ const DEFAULT_THRESHOLDS = {
     currency: 'USD',
     // Lead gen specific: which action_type counts as a conversion
     leadGenConversionEvent: 'landing_page_view', // 'landing_page_view' | 'link_click' | 'lead'
+    // Per-account conversion mapping; null fields fall back to the defaults above
+    conversionMapping: {
+      primaryAction: null, // any action_type, e.g. 'purchase' or 'offsite_conversion.custom.123'
+      valueAction: null,   // action_values entry used as revenue (default: 'purchase')
+      secondaryActions: [], // reported alongside, never counted as conversions
+    },
   },
 
+  // === DECISION RULES ===
+  // Kill/Scale/Iterate/New Concept rule definitions for this account; null = config/ruleDefinitions.js
+  rules: null,
+  // Default rule ids the saved set was edited against; defaults added later are appended to it
+  rulesBase: null,
+
   // === KILL SIGNALS ===
   kill: {
     // Spend ≥ N× target CPA with 0 conversions → immediate pause
@@ -64,6 +76,34 @@ const DEFAULT_THRESHOLDS = {
     audienceSaturatedFrequency: 3.0,
     // CVR decline threshold despite fresh hooks
     cvrDeclinePercent: 0.15, // 15%
+    // Daily reach down this much WoW (last 3 days vs prior 3 on short ranges) = declining reach
+    reachDeclinePercent: 0.10, // 10%
+    // An ad counts as fatigued when the fatigue evaluator says so (see fatigue below) or on either
+    // of these; an ad set whose delivering ads all are needs new concepts
+    creativeFatigueCtrDeclinePercent: 0.20, // 20% CTR drop WoW
+    creativeFatigueHealthScore: 50, // creative health below this (the red band)
+  },
+
+  // === STATISTICAL CONFIDENCE ===
+  // Minimum probability a rule's claim holds (given conversion / click volume) before it fires;
+  // below it the entity shows "insufficient data". 0 = fire on point estimates.
+  confidence: {
+    kill: 0.90,
+    scale: 0.80,
+    iterate: 0.70,
+    newConcept: 0.70,
+    // Credible interval shown with each signal
+    interval: 0.90,
+  },
+
+  // === BREAKDOWN SEGMENTS ===
+  breakdown: {
+    // Ignore segments below this share of the entity's spend
+    minSpendShare: 0.05, // 5%
+    // Segment CPA at N× target CPA → flag
+    cpaOutlierMultiplier: 1.5,
+    // Segment ROAS below N× target ROAS → flag
+    roasOutlierRatio: 0.5,
   },
 
   // === CREATIVE HEALTH SCORING ===
@@ -177,10 +217,12 @@ const DEFAULT_THRESHOLDS = {
 
   // === ATTRIBUTION ===
   attribution: {
-    // Default window
+    // Window that drives conversions, CPA and ROAS: '7d_click_1d_view' | '7d_click' | '1d_click'
     defaultWindow: '7d_click_1d_view',
     // View-through conversion threshold to switch to click-only
     viewThroughSwitchThreshold: 0.25, // 25%
+    // Minimum conversions before the view-through share is judged
+    viewThroughMinConversions: 10,
     // CAPI Event Match Quality target
     capiEMQTarget: 6.0,
     // Typical incrementality factor
@@ -11,16 +11,28 @@
  *   P3 — NEW CONCEPT (Pipeline Health)
  */
 
-import { evaluateEntity, prepareEntityForEvaluation } from './rules.js';
-import { normalizeInsights, classifyCampaign } from '../utils/normalize.js';
-import { creativeHealthScore, accountHealthScore, analyzeBudgetAllocation } from '../utils/metrics.js';
+import { evaluateEntity, prepareEntityForEvaluation, creativeFatigueReasons, applyCreativeFatigue } from './rules.js';
+import { normalizeInsights, classifyCampaign, isDeliveringStatus } from '../utils/normalize.js';
+import { resolveConversionMapping, listActionTypes } from '../utils/conversions.js';
+import { creativeHealthScore, accountHealthScore, analyzeBudgetAllocation, periodDeltas } from '../utils/metrics.js';
 
 /**
  * Process full account data through the decision engine.
  * Returns action queue, verdicts, health scores, and budget analysis.
+ * Amounts stay in the account currency (returned as `currency`).
+ * `accountData.history` (entity id → stored snapshot days) extends trend rules past the fetched period.
+ * Entities that aren't delivering (paused, archived, disapproved, or under a paused parent)
+ * are still evaluated for display, but their signals go to `inactiveActions` instead of the queue.
+ * Signals held back for lack of data (delivering entities only) are listed in `heldActions`.
  */
-export function processAccountData(accountData, thresholds) {
+export function processAccountData(accountData, profileThresholds) {
+  // Money in reason/action strings uses the account's own currency; the profile setting is the fallback
+  const currency = accountData.account?.currency || profileThresholds.profile?.currency || 'USD';
+  const thresholds = { ...profileThresholds, profile: { ...profileThresholds.profile, currency } };
+
   const actions = [];
+  const inactiveActions = [];
+  const heldActions = []; // delivering entities' signals without enough data behind them
   const campaignVerdicts = [];
   const adSetVerdicts = [];
   const adVerdicts = [];
@@ -30,77 +42,79 @@ export function processAccountData(accountData, thresholds) {
   let totalAdSets = 0;
 
   const campaigns = accountData.campaigns || [];
+  // Conversions, CPA and ROAS everywhere follow the selected attribution window
+  // and the account's conversion mapping (which action_type counts, which carries value)
+  const attributionWindow = thresholds.attribution?.defaultWindow;
+  const conversionMapping = resolveConversionMapping(thresholds.profile);
+  const normalize = raw => normalizeInsights(raw, { attributionWindow, conversionMapping });
+  // Trend rules (WoW, streaks) also see stored snapshot days from before the fetched period
+  const history = accountData.history || {};
+  const trendDaily = (entity, normalized) => (history[entity.id]?.length
+    ? normalize(withHistory(entity.insights, history[entity.id]))?.daily || []
+    : normalized?.daily || []);
 
   campaigns.forEach(campaign => {
-    const campaignInsights = normalizeInsights(campaign.insights);
+    const campaignInsights = normalize(campaign.insights);
     const funnelCategory = classifyCampaign(campaign.name);
+    const campaignDelivering = isDeliveringStatus(campaign.status);
+    const campaignQueue = campaignDelivering ? actions : inactiveActions;
 
     const campaignEntity = prepareEntityForEvaluation(
       { ...campaign, type: 'campaign' },
       campaignInsights,
-      campaignInsights?.daily || [],
+      trendDaily(campaign, campaignInsights),
       thresholds
     );
     campaignEntity.funnelCategory = funnelCategory;
 
     const campaignEval = evaluateEntity(campaignEntity, thresholds);
+    const campaignPrevious = normalize(campaign.comparisonInsights);
     campaignVerdicts.push({
       ...campaignEntity,
       ...campaignEval,
       funnelCategory,
+      isDelivering: campaignDelivering,
+      previous: campaignPrevious,
+      deltas: periodDeltas(campaignInsights, campaignPrevious),
     });
 
     // Add campaign-level signals to action queue
-    campaignEval.signals.forEach(signal => {
-      actions.push({
-        ...signal,
-        entityType: 'campaign',
-        entityId: campaign.id,
-        entityName: campaign.name,
-        funnelCategory,
-      });
+    const campaignAction = signal => ({
+      ...signal,
+      entityType: 'campaign',
+      entityId: campaign.id,
+      entityName: campaign.name,
+      funnelCategory,
     });
+    campaignEval.signals.forEach(signal => campaignQueue.push(campaignAction(signal)));
+    if (campaignDelivering) campaignEval.heldSignals.forEach(signal => heldActions.push(campaignAction(signal)));
 
     // Process ad sets
     (campaign.adSets || []).forEach(adSet => {
-      totalAdSets++;
-      const adSetInsights = normalizeInsights(adSet.insights);
+      const adSetDelivering = campaignDelivering && isDeliveringStatus(adSet.status);
+      const adSetQueue = adSetDelivering ? actions : inactiveActions;
+      if (adSetDelivering) totalAdSets++;
+      const adSetInsights = normalize(adSet.insights);
       const adSetEntity = prepareEntityForEvaluation(
         { ...adSet, type: 'adset' },
         adSetInsights,
-        adSetInsights?.daily || [],
+        trendDaily(adSet, adSetInsights),
         thresholds
       );
 
       // Check learning phase
-      if (adSetEntity.conversionsLast7d >= 50) {
+      if (adSetDelivering && !adSetEntity.isLearning) {
         adSetsExitedLearning++;
       }
 
-      const adSetEval = evaluateEntity(adSetEntity, thresholds);
-      adSetVerdicts.push({
-        ...adSetEntity,
-        ...adSetEval,
-        campaignId: campaign.id,
-        campaignName: campaign.name,
-        funnelCategory,
-      });
-
-      adSetEval.signals.forEach(signal => {
-        actions.push({
-          ...signal,
-          entityType: 'adset',
-          entityId: adSet.id,
-          entityName: adSet.name,
-          campaignName: campaign.name,
-          funnelCategory,
-        });
-      });
-
-      // Process ads
+      // Ads are scored first so their fatigue can roll up into the ad set's verdict;
+      // their signals are queued after the ad set's to keep account → ad order
+      const adSignals = [];
+      const adFatigue = [];
       (adSet.ads || []).forEach(ad => {
-        const adInsights = normalizeInsights(ad.insights);
+        const adInsights = normalize(ad.insights);
         if (!adInsights) return;
+        const adDelivering = adSetDelivering && isDeliveringStatus(ad.status);
 
         // Calculate creative health
         const adSetAvgCpa = adSetInsights?.cpa || thresholds.profile.targetCPA;
@@ -117,15 +131,19 @@ export function processAccountData(accountData, thresholds) {
         };
 
         const healthScore = creativeHealthScore(healthMetrics, thresholds);
-        totalCreativeHealthScore += healthScore;
-        creativeCount++;
+        if (adDelivering) {
+          totalCreativeHealthScore += healthScore;
+          creativeCount++;
+        }
 
         const adEntity = prepareEntityForEvaluation(
           { ...ad, type: 'ad' },
           adInsights,
-          adInsights?.daily || [],
+          trendDaily(ad, adInsights),
           thresholds
         );
+        const fatigueReasons = creativeFatigueReasons(adEntity, healthScore, thresholds);
+        adFatigue.push({ active: adDelivering, fatigueReasons });
 
         const adEval = evaluateEntity(adEntity, thresholds);
         adVerdicts.push({
@@ -133,40 +151,73 @@ export function processAccountData(accountData, thresholds) {
           ...adEval,
           healthScore,
           healthMetrics,
+          fatigueReasons,
           adSetId: adSet.id,
           adSetName: adSet.name,
           campaignId: campaign.id,
           campaignName: campaign.name,
           funnelCategory,
+          isDelivering: adDelivering,
+          deltas: periodDeltas(adInsights, normalize(ad.comparisonInsights)),
         });
 
-        adEval.signals.forEach(signal => {
-          actions.push({
-            ...signal,
-            entityType: 'ad',
-            entityId: ad.id,
-            entityName: ad.name,
-            adSetName: adSet.name,
-            campaignName: campaign.name,
-            healthScore,
-          });
+        const adAction = signal => ({
+          ...signal,
+          entityType: 'ad',
+          entityId: ad.id,
+          entityName: ad.name,
+          adSetName: adSet.name,
+          campaignName: campaign.name,
+          healthScore,
         });
+        adSignals.push(() => {
+          adEval.signals.forEach(signal => (adDelivering ? actions : inactiveActions).push(adAction(signal)));
+          if (adDelivering) adEval.heldSignals.forEach(signal => heldActions.push(adAction(signal)));
+        });
+      });
+
+      applyCreativeFatigue(adSetEntity, adFatigue);
+      const adSetEval = evaluateEntity(adSetEntity, thresholds);
+      adSetVerdicts.push({
+        ...adSetEntity,
+        ...adSetEval,
+        campaignId: campaign.id,
+        campaignName: campaign.name,
+        funnelCategory,
+        isDelivering: adSetDelivering,
+        deltas: periodDeltas(adSetInsights, normalize(adSet.comparisonInsights)),
       });
+
+      const adSetAction = signal => ({
+        ...signal,
+        entityType: 'adset',
+        entityId: adSet.id,
+        entityName: adSet.name,
+        campaignName: campaign.name,
+        funnelCategory,
+      });
+      adSetEval.signals.forEach(signal => adSetQueue.push(adSetAction(signal)));
+      if (adSetDelivering) adSetEval.heldSignals.forEach(signal => heldActions.push(adSetAction(signal)));
+      adSignals.forEach(queue => queue());
     });
   });
 
   // Sort action queue by priority, then urgency
-  actions.sort((a, b) => {
+  const byPriority = (a, b) => {
     if (a.priority !== b.priority) return a.priority - b.priority;
     const urgencyOrder = { RED: 0, YELLOW: 1, GREEN: 2 };
     return (urgencyOrder[a.urgency] || 2) - (urgencyOrder[b.urgency] || 2);
-  });
+  };
+  actions.sort(byPriority);
+  inactiveActions.sort(byPriority);
+  heldActions.sort(byPriority);
 
   // Account-level metrics for health score
-  const accountInsights = normalizeInsights(accountData.account?.insights);
+  const accountInsights = normalize(accountData.account?.insights);
   const avgCreativeHealth = creativeCount > 0 ? totalCreativeHealthScore / creativeCount : null;
   const totalSpend = accountInsights?.spend || 0;
-  const totalBudget = campaigns.reduce((s, c) => s + (Number(c.daily_budget || c.dailyBudget) || 0), 0);
+  const totalBudget = totalDeliveringDailyBudget(campaigns);
+  const avgDailySpend = totalSpend / periodDays(accountInsights);
 
   const healthScoreData = {
     roas: accountInsights?.roas,
@@ -174,7 +225,7 @@ export function processAccountData(accountData, thresholds) {
     adSetsExitedLearning,
     totalAdSets,
     avgCreativeHealth,
-    budgetUtilization: totalBudget > 0 ? totalSpend / totalBudget : null,
+    budgetUtilization: totalBudget > 0 ? avgDailySpend / totalBudget : null,
   };
 
   const overallHealth = accountHealthScore(healthScoreData, thresholds);
@@ -186,9 +237,19 @@ export function processAccountData(accountData, thresholds) {
   }));
   const budgetAnalysis = analyzeBudgetAllocation(campaignsForBudget, thresholds);
 
+  // Previous-period figures for "this period vs last" comparisons
+  const previousInsights = normalize(accountData.account?.comparisonInsights);
+  const previousBudgetAnalysis = accountData.comparison
+    ? analyzeBudgetAllocation(campaignVerdicts
+      .filter(c => c.previous)
+      .map(c => ({ spend: c.previous.spend, funnelCategory: c.funnelCategory })), thresholds)
+    : null;
+
   return {
     actions: actions.slice(0, 20), // Top 20 actions
     allActions: actions,
+    inactiveActions,
+    heldActions,
     overallHealth,
     healthScoreData,
     campaignVerdicts,
@@ -196,6 +257,17 @@ export function processAccountData(accountData, thresholds) {
     adVerdicts,
     budgetAnalysis,
     accountInsights,
+    period: accountData.period || null,
+    currency,
+    attributionWindow: attributionWindow || '7d_click_1d_view',
+    conversionMapping,
+    actionTypes: listActionTypes(accountData.account?.insights),
+    comparison: accountData.comparison ? {
+      ...accountData.comparison,
+      accountInsights: previousInsights,
+      accountDeltas: periodDeltas(accountInsights, previousInsights),
+      budgetAnalysis: previousBudgetAnalysis,
+    } : null,
     summary: {
       totalCampaigns: campaigns.length,
       totalAdSets,
@@ -206,6 +278,47 @@ export function processAccountData(accountData, thresholds) {
       scaleCount: actions.filter(a => a.signal === 'SCALE').length,
       iterateCount: actions.filter(a => a.signal === 'ITERATE').length,
       newConceptCount: actions.filter(a => a.signal === 'NEW CONCEPT').length,
+      inactiveSignalCount: inactiveActions.length,
+      insufficientDataCount: heldActions.length,
     },
   };
 }
+
+/**
+ * Sum daily budgets across delivering entities. CBO campaigns carry the budget;
+ * ABO campaigns leave it on their ad sets.
+ */
+function totalDeliveringDailyBudget(campaigns) {
+  return campaigns
+    .filter(c => isDeliveringStatus(c.status))
+    .reduce((sum, c) => {
+      const campaignBudget = Number(c.daily_budget || c.dailyBudget) || 0;
+      if (campaignBudget > 0) return sum + campaignBudget;
+      const adSetBudget = (c.adSets || [])
+        .filter(as => isDeliveringStatus(as.status))
+        .reduce((s, as) => s + (Number(as.daily_budget || as.dailyBudget) || 0), 0);
+      return sum + adSetBudget;
+    }, 0);
+}
+
+/**
+ * Prepend stored daily points older than the fetched period to an entity's raw insights.
+ */
+export function withHistory(insights, stored) {
+  const daily = insights?.daily || [];
+  const firstFetched = daily[0]?.date;
+  const older = stored.filter(d => !firstFetched || d.date < firstFetched);
+  return older.length > 0 ? { ...insights, daily: [...older, ...daily] } : insights;
+}
+
+/**
+ * Number of days the insights period covers, so period spend can be compared to daily budgets.
+ */
+function periodDays(insights) {
+  if (insights?.daily?.length > 0) return insights.daily.length;
+  if (insights?.dateStart && insights?.dateStop) {
+    const diff = new Date(insights.dateStop) - new Date(insights.dateStart);
+    return Math.max(1, Math.round(diff / (1000 * 60 * 60 * 24)) + 1);
+  }
+  return 7;
+}
@@ -0,0 +1,335 @@
+/**
+ * Rule Backtester
+ *
+ * Replays the decision engine day by day over each entity's daily history: for every day,
+ * the trailing window becomes the entity's "period" insights and the days up to it the trend
+ * series, exactly as prepareEntityForEvaluation + evaluateEntity would have seen them that
+ * morning. Each rule firing is then scored against what the entity actually did next.
+ *
+ * Consecutive days a rule fires on the same entity form one episode, measured from its first
+ * day so the same spend isn't counted twice. Value is revenue, or conversions × target CPA for
+ * lead gen (a lead at target CPA is worth what it cost).
+ *
+ *   KILL  — spend after the signal is what pausing would have saved; value after is what it
+ *           would have given up. Confirmed when the entity stayed below break-even ROAS
+ *           (lead gen: above target CPA).
+ *   SCALE — revenue after the signal, and the extra value − spend a budget increase of
+ *           scale.maxBudgetIncreasePercent would have added at the same efficiency.
+ *           Confirmed when ROAS held at target (lead gen: CPA at or below target).
+ *   ITERATE / NEW CONCEPT — confirmed when CTR kept falling after the signal.
+ *
+ * Each entity is replayed on its own, so NEW CONCEPT-1 (which needs the ad set's ads scored
+ * alongside it) doesn't fire here. The replay only uses what the days up to each morning show:
+ * video views aren't broken out by day, so rules on hook or hold rate (ITERATE-2) can't be
+ * replayed and are reported as such rather than scored on the full period.
+ */
+
+import { evaluateEntity, prepareEntityForEvaluation, activeRules } from './rules.js';
+import { withHistory } from './actionQueue.js';
+import { compileExpression } from './ruleEngine.js';
+import { normalizeInsights, viewThroughShare, safeDivide, safePercent } from '../utils/normalize.js';
+import { resolveConversionMapping } from '../utils/conversions.js';
+
+export const BACKTEST_DEFAULTS = {
+  windowDays: 7, // trailing days treated as the evaluation period
+  horizonDays: 7, // days after a signal its outcome is measured over
+};
+
+// Signals that don't predict performance, so there's nothing to score
+const UNSCORED_RULES = new Set(['ATTRIBUTION-1']);
+const RULE_NAMES = { 'ATTRIBUTION-1': 'View-through share above threshold' };
+
+// Entity fields with no daily breakdown to rebuild a trailing window from
+const NO_DAILY_FIELDS = ['hookRate', 'holdRate'];
+
+/**
+ * Backtest the active rules over an account's daily history.
+ * @param {object} accountData - Raw account data as passed to processAccountData (with optional `history`)
+ * @param {object} profileThresholds - Threshold profile to replay with
+ * @param {object} [options]
+ * @param {number} [options.windowDays]
+ * @param {number} [options.horizonDays]
+ * @param {string[]} [options.levels] - 'campaign' | 'adset' | 'ad'; all by default
+ * @returns {{ rules: object[], episodes: object[], entities: number, evaluations: number,
+ *   unknownConversionEntities: number, since: string|null, until: string|null,
+ *   valueBasis: 'revenue'|'targetCPA', currency: string }}
+ */
+export function backtestAccount(accountData, profileThresholds, options = {}) {
+  const { windowDays, horizonDays } = { ...BACKTEST_DEFAULTS, ...options };
+  const levels = options.levels || ['campaign', 'adset', 'ad'];
+  const currency = accountData.account?.currency || profileThresholds.profile?.currency || 'USD';
+  const thresholds = { ...profileThresholds, profile: { ...profileThresholds.profile, currency } };
+  const profile = thresholds.profile;
+  const leadGen = profile.businessType === 'leadgen';
+
+  const normalizeOptions = {
+    attributionWindow: thresholds.attribution?.defaultWindow,
+    conversionMapping: resolveConversionMapping(profile),
+  };
+  const history = accountData.history || {};
+  const outcomeOf = days => summarize(days, leadGen ? profile.targetCPA : null);
+
+  const episodes = [];
+  let entityCount = 0;
+  let unknownConversionEntities = 0;
+  let evaluations = 0;
+  let since = null;
+  let until = null;
+
+  for (const { entity, raw, parents } of listEntities(accountData, levels)) {
+    const insights = normalizeInsights(
+      history[entity.id]?.length ? withHistory(raw, history[entity.id]) : raw,
+      normalizeOptions
+    );
+    const daily = insights?.daily || [];
+    if (daily.length < windowDays) continue;
+    // No daily conversions under this mapping: nothing to judge signals or outcomes on
+    if (insights.dailyConversionsKnown === false) {
+      unknownConversionEntities++;
+      continue;
+    }
+    entityCount++;
+    if (!since || daily[0].date < since) since = daily[0].date;
+    if (!until || daily[daily.length - 1].date > until) until = daily[daily.length - 1].date;
+
+    const open = new Map(); // ruleId → episode still firing as of the previous day
+    for (let i = windowDays - 1; i < daily.length; i++) {
+      // Nothing to decide on days the entity didn't deliver
+      if (!(daily[i].spend > 0)) {
+        open.clear();
+        continue;
+      }
+      evaluations++;
+      const window = daily.slice(i - windowDays + 1, i + 1);
+      const prepared = prepareEntityForEvaluation(entity, windowInsights(window, insights), daily.slice(0, i + 1), thresholds);
+      const { signals } = evaluateEntity(prepared, thresholds);
+
+      const firing = new Set();
+      for (const signal of signals) {
+        const ruleId = signal.ruleId || signal.metric;
+        firing.add(ruleId);
+        const episode = open.get(ruleId);
+        if (episode) {
+          episode.end = daily[i].date;
+          episode.days++;
+          continue;
+        }
+        const after = daily.slice(i + 1, i + 1 + horizonDays);
+        const next = {
+          ruleId,
+          signal: signal.signal,
+          urgency: signal.urgency,
+          reason: signal.reason,
+          entityId: entity.id,
+          entityName: entity.name,
+          entityType: entity.type,
+          ...parents,
+          start: daily[i].date,
+          end: daily[i].date,
+          days: 1,
+          before: outcomeOf(window),
+          after: after.length > 0 ? outcomeOf(after) : null,
+        };
+        Object.assign(next, score(next, thresholds, leadGen));
+        open.set(ruleId, next);
+        episodes.push(next);
+      }
+      for (const ruleId of open.keys()) {
+        if (!firing.has(ruleId)) open.delete(ruleId);
+      }
+    }
+  }
+
+  return {
+    rules: summarizeRules(episodes, thresholds),
+    episodes,
+    entities: entityCount,
+    unknownConversionEntities,
+    evaluations,
+    since,
+    until,
+    valueBasis: leadGen ? 'targetCPA' : 'revenue',
+    currency,
+  };
+}
+
+/**
+ * Campaigns, ad sets and ads with their raw insights, in account order.
+ */
+function listEntities(accountData, levels) {
+  const list = [];
+  const include = level => levels.includes(level);
+  (accountData.campaigns || []).forEach(campaign => {
+    if (include('campaign') && campaign.insights) {
+      list.push({ entity: { ...campaign, type: 'campaign' }, raw: campaign.insights, parents: {} });
+    }
+    (campaign.adSets || []).forEach(adSet => {
+      if (include('adset') && adSet.insights) {
+        list.push({ entity: { ...adSet, type: 'adset' }, raw: adSet.insights, parents: { campaignName: campaign.name } });
+      }
+      (adSet.ads || []).forEach(ad => {
+        if (include('ad') && ad.insights) {
+          list.push({ entity: { ...ad, type: 'ad' }, raw: ad.insights, parents: { campaignName: campaign.name, adSetName: adSet.name } });
+        }
+      });
+    });
+  });
+  return list;
+}
+
+/**
+ * Period-level insights for a trailing window of normalized daily points, from those days alone.
+ * Reach isn't additive across days, so frequency is the window's impressions per daily reach
+ * (a floor on the true figure). Video views aren't broken out daily, so they're left out.
+ */
+function windowInsights(window, full) {
+  const sum = key => window.reduce((s, d) => s + (d[key] || 0), 0);
+  const spend = sum('spend');
+  const impressions = sum('impressions');
+  const clicks = sum('clicks');
+  const conversions = sum('conversions');
+  const revenue = sum('revenue');
+  const reach = sum('reach');
+  const attribution = window.every(d => d.attribution) ? sumAttribution(window) : null;
+
+  return {
+    spend,
+    impressions,
+    clicks,
+    conversions,
+    revenue,
+    reach,
+    frequency: safeDivide(impressions, reach, 0),
+    ctr: safePercent(clicks, impressions),
+    cpc: safeDivide(spend, clicks),
+    cpm: safeDivide(spend * 1000, impressions),
+    cpa: safeDivide(spend, conversions),
+    roas: revenue > 0 ? safeDivide(revenue, spend) : null,
+    video3sViews: null,
+    video15sViews: null,
+    attribution,
+    viewThroughShare: viewThroughShare(attribution),
+    conversionAction: full.conversionAction,
+    dateStart: window[0].date,
+    dateStop: window[window.length - 1].date,
+    daily: window,
+  };
+}
+
+function sumAttribution(days) {
+  const total = {};
+  days.forEach(d => Object.entries(d.attribution).forEach(([key, { conversions = 0, revenue = 0 }]) => {
+    total[key] ||= { conversions: 0, revenue: 0 };
+    total[key].conversions += conversions;
+    total[key].revenue += revenue;
+  }));
+  return total;
+}
+
+/**
+ * Totals and efficiency over a run of daily points.
+ */
+function summarize(days, valuePerConversion) {
+  const sum = key => days.reduce((s, d) => s + (d[key] || 0), 0);
+  const spend = sum('spend');
+  const conversions = sum('conversions');
+  const revenue = sum('revenue');
+  const impressions = sum('impressions');
+  return {
+    days: days.length,
+    spend,
+    conversions,
+    revenue,
+    value: valuePerConversion != null ? conversions * valuePerConversion : revenue,
+    cpa: safeDivide(spend, conversions),
+    roas: revenue > 0 ? safeDivide(revenue, spend) : null,
+    ctr: safePercent(sum('clicks'), impressions),
+  };
+}
+
+/**
+ * Whether what happened next bore the signal out, and its estimated money impact
+ * (positive = acting on it would have been worth that much).
+ */
+function score(episode, thresholds, leadGen) {
+  const { after, before } = episode;
+  if (!after || after.spend <= 0 || UNSCORED_RULES.has(episode.ruleId)) return { confirmed: null, impact: null };
+  const profile = thresholds.profile;
+
+  switch (episode.signal) {
+    case 'KILL':
+      return {
+        confirmed: leadGen
+          ? after.cpa == null || after.cpa > profile.targetCPA
+          : after.roas == null || after.roas < profile.breakEvenROAS,
+        impact: after.spend - after.value,
+      };
+    case 'SCALE':
+      return {
+        confirmed: leadGen
+          ? after.cpa != null && after.cpa <= profile.targetCPA
+          : after.roas != null && after.roas >= profile.targetROAS,
+        impact: (after.value - after.spend) * (thresholds.scale?.maxBudgetIncreasePercent ?? 0.2),
+      };
+    default:
+      return {
+        confirmed: after.ctr != null && before.ctr != null ? after.ctr < before.ctr : null,
+        impact: null,
+      };
+  }
+}
+
+/**
+ * Fields a rule's condition reads that the replay can't rebuild day by day.
+ */
+function noDailyInputs(rule) {
+  const roots = new Set();
+  [rule.when, ...Object.values(rule.let || {})].forEach(source => {
+    try {
+      compileExpression(source).roots.forEach(root => roots.add(root));
+    } catch {
+      // An invalid rule never runs, so it has no inputs to miss
+    }
+  });
+  return NO_DAILY_FIELDS.filter(field => roots.has(field));
+}
+
+/**
+ * Per-rule totals, in rule-set order. `noDailyInputs` lists what a rule needs that the replay
+ * doesn't have; such a rule can't fire here, so its blank row isn't a clean record.
+ */
+function summarizeRules(episodes, thresholds) {
+  const rules = activeRules(thresholds);
+  const byRule = new Map(rules.map(rule => [rule.id, rule]));
+  const order = [...rules.map(rule => rule.id), ...Object.keys(RULE_NAMES)];
+  const groups = new Map(order.map(id => [id, []]));
+  episodes.forEach(e => {
+    if (!groups.has(e.ruleId)) groups.set(e.ruleId, []);
+    groups.get(e.ruleId).push(e);
+  });
+
+  return [...groups.entries()].map(([ruleId, list]) => {
+    const rule = byRule.get(ruleId);
+    const scored = list.filter(e => e.confirmed != null);
+    const withOutcome = list.filter(e => e.after);
+    const total = key => withOutcome.reduce((s, e) => s + e.after[key], 0);
+    return {
+      ruleId,
+      name: rule?.name || RULE_NAMES[ruleId] || ruleId,
+      signal: rule?.signal || list[0]?.signal || null,
+      enabled: rule ? rule.enabled !== false : true,
+      noDailyInputs: rule ? noDailyInputs(rule) : [],
+      episodes: list.length,
+      firings: list.reduce((s, e) => s + e.days, 0),
+      entities: new Set(list.map(e => e.entityId)).size,
+      scored: scored.length,
+      confirmed: scored.filter(e => e.confirmed).length,
+      hitRate: scored.length > 0 ? scored.filter(e => e.confirmed).length / scored.length : null,
+      spendAfter: total('spend'),
+      revenueAfter: total('revenue'),
+      valueAfter: total('value'),
+      conversionsAfter: total('conversions'),
+      impact: list.some(e => e.impact != null) ? list.reduce((s, e) => s + (e.impact || 0), 0) : null,
+    };
+  });
+}
@@ -0,0 +1,157 @@
+/**
+ * Creative Fatigue Evaluator
+ *
+ * Reads an ad's daily series for the three things that wear out with a creative:
+ *   Age            — days since its first delivery, against fatigue.refreshWarningDays and
+ *                    fatigue.typicalLifespanDays
+ *   CPM rise       — this week's CPM against last week's (last 3 days vs the 3 before on
+ *                    shorter series), against fatigue.cpmRiseWoWPercent
+ *   Cost per result — the recent window against the creative's own average before it; at
+ *                    fatigue.costPerResultFatigueMultiplier × that average it's fatigued
+ *                    (Meta's own definition of creative fatigue)
+ * plus period frequency against fatigue.frequencyPurchaseIntentDrop.
+ *
+ * Graded into a stage — 'fresh' → 'refresh soon' → 'fatigued' — with a projection of the days
+ * left before it gets there. The FATIGUE rules in config/ruleDefinitions.js fire on the flat
+ * fields prepareEntityForEvaluation copies from this.
+ */
+
+export const FATIGUE_STAGES = ['fresh', 'refresh soon', 'fatigued'];
+
+// Fewest conversions before the window for "its own average" to mean anything
+const MIN_HISTORICAL_CONVERSIONS = 3;
+
+/**
+ * Evaluate creative fatigue from an ad's daily series (oldest first, stored history included).
+ * @param {object[]} dailyData - normalized daily points
+ * @param {object|null} insights - period insights (for frequency)
+ * @param {object} thresholds
+ * @returns {{
+ *   stage: 'fresh'|'refresh soon'|'fatigued', drivers: string[],
+ *   firstDelivery: string|null, ageDays: number|null, ageIsMinimum: boolean,
+ *   cpmChangeWoW: number|null, costPerResult: number|null, historicalCostPerResult: number|null,
+ *   costPerResultRatio: number|null, frequency: number,
+ *   daysToFatigue: number|null, fatigueDriver: 'lifespan'|'costPerResult'|null,
+ *   refreshWarningDays: number, typicalLifespanDays: number,
+ * }}
+ */
+export function evaluateFatigue(dailyData = [], insights = null, thresholds = {}) {
+  const th = thresholds.fatigue || {};
+  const refreshWarningDays = th.refreshWarningDays ?? 14;
+  const typicalLifespanDays = th.typicalLifespanDays ?? 21;
+  const multiplier = th.costPerResultFatigueMultiplier ?? 2;
+
+  const firstIndex = dailyData.findIndex(d => d.impressions > 0);
+  const delivered = firstIndex >= 0 ? dailyData.slice(firstIndex) : [];
+  const firstDelivery = delivered[0]?.date || null;
+  const ageDays = firstDelivery ? daysBetween(firstDelivery, delivered[delivered.length - 1].date) + 1 : null;
+  // Delivering on the first day we have data for (at or before the period start) means it may
+  // well be older than that; a series that starts later is the ad's launch
+  const ageIsMinimum = firstIndex === 0 && (!insights?.dateStart || dailyData[0].date <= insights.dateStart);
+
+  const window = delivered.length >= 14 ? 7 : 3;
+  const recent = delivered.slice(-window);
+  const prior = delivered.slice(-window * 2, -window);
+  const before = delivered.slice(0, -window);
+
+  const cpmOf = days => {
+    const t = totals(days);
+    return t.impressions > 0 ? t.spend * 1000 / t.impressions : null;
+  };
+  const cpmNow = cpmOf(recent);
+  const cpmPrior = prior.length === window ? cpmOf(prior) : null;
+  const cpmChangeWoW = cpmNow != null && cpmPrior > 0 ? (cpmNow - cpmPrior) / cpmPrior * 100 : null;
+
+  // A window without conversions has cost at least its spend per result. Days whose conversions
+  // are unknown (conversion mapping with no daily split) leave cost per result out entirely.
+  const conversionsKnown = delivered.every(d => d.conversions != null);
+  const costPerResultOf = days => {
+    const t = totals(days);
+    return t.spend > 0 ? t.spend / Math.max(t.conversions, 1) : null;
+  };
+  const beforeTotals = totals(before);
+  const historicalCostPerResult = conversionsKnown && beforeTotals.conversions >= MIN_HISTORICAL_CONVERSIONS
+    ? beforeTotals.spend / beforeTotals.conversions
+    : null;
+  const costPerResult = conversionsKnown && recent.length === window ? costPerResultOf(recent) : null;
+  const ratioOf = value => (value != null && historicalCostPerResult ? value / historicalCostPerResult : null);
+  const costPerResultRatio = ratioOf(costPerResult);
+  const frequency = insights?.frequency || 0;
+
+  const drivers = [];
+  let stage = 'fresh';
+  if (costPerResultRatio != null && costPerResultRatio >= multiplier) {
+    drivers.push(`cost per result ${costPerResultRatio.toFixed(1)}× its average`);
+  }
+  if (th.frequencyPurchaseIntentDrop != null && frequency >= th.frequencyPurchaseIntentDrop) {
+    drivers.push(`frequency ${frequency.toFixed(1)}`);
+  }
+  if (drivers.length > 0) stage = 'fatigued';
+
+  // Days left: what remains of the typical lifespan, or sooner if cost per result is climbing
+  // toward the line. A creative that has outlived its lifespan and is holding up is judged on
+  // the trend alone — null when there isn't one, or it's too slow to project a lifespan out.
+  let daysToFatigue = null;
+  let fatigueDriver = null;
+  if (stage === 'fatigued') {
+    daysToFatigue = 0;
+  } else if (ageDays != null) {
+    if (ageDays < typicalLifespanDays) {
+      daysToFatigue = typicalLifespanDays - ageDays;
+      fatigueDriver = 'lifespan';
+    }
+    const priorRatio = prior.length === window ? ratioOf(costPerResultOf(prior)) : null;
+    const growthPerDay = costPerResultRatio != null && priorRatio != null
+      ? (costPerResultRatio - priorRatio) / window
+      : null;
+    if (growthPerDay > 0) {
+      const days = Math.ceil((multiplier - costPerResultRatio) / growthPerDay);
+      if (days <= typicalLifespanDays && (daysToFatigue == null || days < daysToFatigue)) {
+        daysToFatigue = days;
+        fatigueDriver = 'costPerResult';
+      }
+    }
+  }
+
+  if (stage === 'fresh') {
+    if (th.cpmRiseWoWPercent != null && cpmChangeWoW != null && cpmChangeWoW >= th.cpmRiseWoWPercent * 100) {
+      drivers.push(`CPM +${Math.round(cpmChangeWoW)}% WoW`);
+    }
+    if (ageDays != null && ageDays >= refreshWarningDays) {
+      drivers.push(`${ageDays}${ageIsMinimum ? '+' : ''} days old`);
+    }
+    if (fatigueDriver === 'costPerResult' && daysToFatigue <= typicalLifespanDays - refreshWarningDays) {
+      drivers.push(`cost per result on course for ${multiplier}× in ~${daysToFatigue}d`);
+    }
+    if (drivers.length > 0) stage = 'refresh soon';
+  }
+
+  return {
+    stage,
+    drivers,
+    firstDelivery,
+    ageDays,
+    ageIsMinimum,
+    cpmChangeWoW: cpmChangeWoW != null ? Math.round(cpmChangeWoW * 10) / 10 : null,
+    costPerResult,
+    historicalCostPerResult,
+    costPerResultRatio: costPerResultRatio != null ? Math.round(costPerResultRatio * 100) / 100 : null,
+    frequency,
+    daysToFatigue,
+    fatigueDriver,
+    refreshWarningDays,
+    typicalLifespanDays,
+  };
+}
+
+function totals(days) {
+  return days.reduce((t, d) => ({
+    spend: t.spend + (d.spend || 0),
+    impressions: t.impressions + (d.impressions || 0),
+    conversions: t.conversions + (d.conversions || 0),
+  }), { spend: 0, impressions: 0, conversions: 0 });
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
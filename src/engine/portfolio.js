@@ -0,0 +1,83 @@
+/**
+ * Portfolio Summary
+ *
+ * Reduces each account's processed decision-engine output to the figures an agency
+ * ranks clients by: health, KILL signals, spend pacing and performance vs that
+ * client's own target.
+ */
+
+import { safeDivide } from '../utils/normalize.js';
+
+const DAYS_PER_MONTH = 30.4;
+
+/**
+ * Summarize one account for the portfolio table.
+ * @param {object} account - { id, name, currency, status } from fetchAdAccounts
+ * @param {object} processed - processAccountData output for the account
+ * @param {object} thresholds - The account's own threshold profile
+ */
+export function summarizeAccount(account, processed, thresholds) {
+  const profile = thresholds.profile || {};
+  const insights = processed.accountInsights || {};
+  const isLeadGen = profile.businessType === 'leadgen';
+
+  // Pacing: average daily spend vs. the client's monthly budget spread evenly
+  const days = periodLength(processed.period) || insights.daily?.length || 7;
+  const dailySpend = (insights.spend || 0) / days;
+  const targetDailySpend = profile.monthlyBudget > 0 ? profile.monthlyBudget / DAYS_PER_MONTH : null;
+
+  // Target attainment: >1 means beating target (ROAS above it, or CPA below it for lead gen)
+  const targetAttainment = isLeadGen
+    ? (insights.cpa > 0 ? safeDivide(profile.targetCPA, insights.cpa) : null)
+    : safeDivide(insights.roas, profile.targetROAS);
+
+  return {
+    id: account.id,
+    name: account.name,
+    // Amounts below are in this currency; the portfolio converts them when a reporting currency is set
+    currency: processed.currency || account.currency,
+    status: account.status,
+    businessType: profile.businessType,
+    overallHealth: processed.overallHealth,
+    killCount: processed.summary?.killCount || 0,
+    scaleCount: processed.summary?.scaleCount || 0,
+    spend: insights.spend || 0,
+    dailySpend,
+    pacing: targetDailySpend ? dailySpend / targetDailySpend : null,
+    roas: insights.roas ?? null,
+    cpa: insights.cpa ?? null,
+    targetROAS: profile.targetROAS,
+    targetCPA: profile.targetCPA,
+    targetAttainment,
+    topAction: processed.actions?.[0] || null,
+  };
+}
+
+export const PORTFOLIO_SORTS = {
+  attention: { label: 'Needs attention', compare: (a, b) => (b.killCount - a.killCount) || (a.overallHealth - b.overallHealth) },
+  health: { label: 'Health (low first)', compare: (a, b) => a.overallHealth - b.overallHealth },
+  kills: { label: 'KILL signals', compare: (a, b) => b.killCount - a.killCount },
+  pacing: { label: 'Pacing (furthest off)', compare: (a, b) => pacingGap(b) - pacingGap(a) },
+  target: { label: 'vs target (worst first)', compare: (a, b) => (a.targetAttainment ?? Infinity) - (b.targetAttainment ?? Infinity) },
+  spend: { label: 'Spend', compare: (a, b) => b.spend - a.spend },
+};
+
+/**
+ * Rank portfolio rows. Rows that failed to load sink to the bottom.
+ */
+export function rankAccounts(rows, sortKey = 'attention') {
+  const compare = (PORTFOLIO_SORTS[sortKey] || PORTFOLIO_SORTS.attention).compare;
+  const loaded = rows.filter(r => !r.error);
+  const failed = rows.filter(r => r.error);
+  return [...loaded.sort(compare), ...failed];
+}
+
+function pacingGap(row) {
+  return row.pacing == null ? -1 : Math.abs(row.pacing - 1);
+}
+
+function periodLength(period) {
+  if (!period?.since || !period?.until) return null;
+  const diff = new Date(period.until) - new Date(period.since);
+  return Math.max(1, Math.round(diff / (1000 * 60 * 60 * 24)) + 1);
+}
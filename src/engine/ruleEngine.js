@@ -0,0 +1,659 @@
+/**
+ * Declarative Rule Engine
+ *
+ * Evaluates the JSON rule definitions in config/ruleDefinitions.js (or an account's own rule
+ * set) against prepared entities. Conditions and values are small expressions, compiled once
+ * into closures — never eval'd — so rules can be edited safely in Settings.
+ *
+ * Expressions
+ *   spend >= profile.targetCPA * kill.spendMultiplierZeroConversions && conversions == 0
+ *   - entity fields by name (spend, cpa, frequency, ctrTrend…; see RULE_FIELDS)
+ *   - threshold sections by name (profile.targetCPA, kill.…, scale.…), or thresholds.<section>.<field>
+ *   - the rule's own `let` values
+ *   - numbers, 'strings', true, false, null
+ *   - || && ! == != < <= > >= + - * / % ?: ( ) and abs() min() max() round() floor() ceil()
+ *   Arithmetic on a missing (null) value gives null, and comparisons with null are false, so a
+ *   rule on cpa simply doesn't fire for an entity without conversions. || and && return operands like JS.
+ *
+ * Templates (reason / action / expectedImpact)
+ *   'CPA at {{cpa | money}} is {{cpaOverage | percent}} above target'
+ *   Filters: money, percent[:digits] (fraction → "25%"), fixed[:digits], round. Null renders as —.
+ *
+ * Confidence (optional)
+ *   { test: 'cpa', direction: 'above', value: 'profile.targetCPA' }
+ *   The signal carries the probability that the entity's true metric is above / below the value,
+ *   given how much data it has (utils/statistics.js), plus a credible interval for the metric.
+ *   evaluateEntity holds back signals under the minimum set in thresholds.confidence.
+ */
+
+import { formatMoney } from '../utils/normalize.js';
+import {
+  cpaInterval, roasInterval, rateInterval, dailyRateInterval,
+  probCpaAbove, probRoasAbove, probRateAbove, probDailyRateAbove, probRateChangeBelow,
+} from '../utils/statistics.js';
+import DEFAULT_THRESHOLDS from '../config/thresholds.js';
+
+export const SIGNALS = ['KILL', 'SCALE', 'ITERATE', 'NEW CONCEPT'];
+export const URGENCIES = ['RED', 'YELLOW', 'GREEN'];
+export const ENTITY_TYPES = ['campaign', 'adset', 'ad'];
+
+// Prepared entity fields rules can read (see prepareEntityForEvaluation)
+export const RULE_FIELDS = {
+  type: "'campaign' | 'adset' | 'ad'",
+  status: 'delivery status',
+  funnelCategory: "campaigns: 'prospecting' | 'retargeting' | 'testing' | …",
+  spend: 'period spend',
+  impressions: 'period impressions',
+  clicks: 'period clicks',
+  conversions: 'period conversions (mapped action, attribution window)',
+  revenue: 'period conversion value',
+  ctr: 'click-through rate, %',
+  cpc: 'cost per click',
+  cpm: 'cost per 1,000 impressions',
+  cpa: 'cost per conversion (null without conversions)',
+  roas: 'return on ad spend (null without revenue)',
+  frequency: 'average frequency',
+  reach: 'people reached',
+  viewThroughShare: 'share of conversions that are 1-day view-through',
+  hookRate: '3-second views ÷ impressions (video ads)',
+  holdRate: '15-second views ÷ 3-second views (video ads)',
+  conversionsLast7d: 'conversions over the last 7 days',
+  learningScore: '0–1 progress toward exiting the learning phase',
+  isLearning: 'still in the learning phase',
+  dailyConversions: 'average conversions/day over the last 3 days',
+  ctrChangeWoW: 'CTR change week over week, %',
+  ctrTrend: "'declining' | 'stable'",
+  roasBelowBreakevenDays: 'consecutive days below break-even ROAS',
+  daysStable: 'consecutive days with CPA within 25% of target',
+  daysRunning: 'days in the fetched period',
+  dailyBudget: 'daily budget (null for lifetime budgets)',
+  lifetimeBudget: 'lifetime budget',
+  bidStrategy: 'bid strategy',
+  optimizationGoal: 'optimization goal',
+  objective: 'campaign objective',
+  allCreativesFatigued: 'ad sets: every active creative is fatigued',
+  fatiguedCreativeCount: 'ad sets: fatigued active creatives',
+  totalCreativeCount: 'ad sets: active creatives',
+  reachChange: 'daily reach change week over week, %',
+  reachTrend: "'declining' | 'stable'",
+  fatigueStage: "ads: 'fresh' | 'refresh soon' | 'fatigued' (see engine/fatigue.js)",
+  creativeAgeDays: 'ads: days since first delivery',
+  cpmChangeWoW: 'ads: CPM change week over week, %',
+  costPerResultRatio: "ads: recent cost per result ÷ the creative's own earlier average",
+  historicalCostPerResult: "ads: the creative's own earlier cost per result",
+  daysToFatigue: 'ads: projected days until fatigued',
+};
+
+// Statistical tests a rule's confidence can use. `above(entity, value)` is P(true metric > value);
+// values are in the same units as the entity field (ctr in %, rates as fractions).
+export const CONFIDENCE_TESTS = {
+  cpa: {
+    label: 'CPA',
+    above: (e, v) => probCpaAbove(e.spend, e.conversions, v),
+    interval: (e, level) => cpaInterval(e.spend, e.conversions, level),
+  },
+  roas: {
+    label: 'ROAS',
+    above: (e, v) => probRoasAbove(e.spend, e.conversions, e.revenue, v),
+    interval: (e, level) => roasInterval(e.spend, e.conversions, e.revenue, level),
+  },
+  cvr: {
+    label: 'Conversion rate (conversions ÷ clicks)',
+    above: (e, v) => probRateAbove(e.conversions, e.clicks, v),
+    interval: (e, level) => rateInterval(e.conversions, e.clicks, level),
+  },
+  ctr: {
+    label: 'CTR (%)',
+    above: (e, v) => probRateAbove(e.clicks, e.impressions, v / 100),
+    interval: (e, level) => scaleInterval(rateInterval(e.clicks, e.impressions, level), 100),
+  },
+  hookRate: {
+    label: 'Hook rate',
+    above: (e, v) => (e.hookRate == null ? null : probRateAbove(e.hookRate * e.impressions, e.impressions, v)),
+    interval: (e, level) => (e.hookRate == null ? null : rateInterval(e.hookRate * e.impressions, e.impressions, level)),
+  },
+  ctrChange: {
+    label: 'CTR change, last 7 days vs the 7 before (fraction)',
+    above: (e, v) => {
+      const { last7d, prior7d } = e.counts || {};
+      if (!last7d || !prior7d) return null;
+      const below = probRateChangeBelow(prior7d.clicks, prior7d.impressions, last7d.clicks, last7d.impressions, v);
+      return below == null ? null : 1 - below;
+    },
+    interval: () => null,
+  },
+  dailyConversions: {
+    label: 'Conversions per day, last 3 days',
+    above: (e, v) => (e.counts?.last3d ? probDailyRateAbove(e.counts.last3d.conversions, e.counts.last3d.days, v) : null),
+    interval: (e, level) => (e.counts?.last3d ? dailyRateInterval(e.counts.last3d.conversions, e.counts.last3d.days, level) : null),
+  },
+  streakRoas: {
+    label: 'ROAS over the below-break-even streak',
+    above: (e, v) => (e.counts?.streak ? probRoasAbove(e.counts.streak.spend, e.counts.streak.conversions, e.counts.streak.revenue, v) : null),
+    interval: (e, level) => (e.counts?.streak ? roasInterval(e.counts.streak.spend, e.counts.streak.conversions, e.counts.streak.revenue, level) : null),
+  },
+};
+
+function scaleInterval(interval, factor) {
+  return interval && { ...interval, estimate: interval.estimate * factor, low: interval.low * factor, high: interval.high * factor };
+}
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+};
+
+// ─── Tokenizer ───────────────────────────────────────────────────────────────
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(\|\||&&|===|!==|==|!=|<=|>=|[<>+\-*/%!?:().,]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+    const pos = TOKEN.lastIndex;
+    const m = TOKEN.exec(source);
+    if (!m) throw new Error(`Unexpected "${source.slice(pos).trim()[0]}" at position ${pos + 1}`);
+    if (m[1] !== undefined) tokens.push({ type: 'number', value: Number(m[1]), pos });
+    else if (m[2] !== undefined) tokens.push({ type: 'string', value: m[2].slice(1, -1).replace(/\\(.)/g, '$1'), pos });
+    else if (m[3] !== undefined) tokens.push({ type: 'name', value: m[3], pos });
+    else tokens.push({ type: 'op', value: m[4].replace(/^(==|!=)=$/, '$1'), pos });
+  }
+  return tokens;
+}
+
+// ─── Parser ──────────────────────────────────────────────────────────────────
+// Recursive descent straight to closures: each parse function returns (lookup) => value.
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+const norm = v => (v === undefined ? null : v);
+
+function arithmetic(op, a, b) {
+  if (!isNum(a) || !isNum(b)) return null;
+  if ((op === '/' || op === '%') && b === 0) return null;
+  const result = { '+': a + b, '-': a - b, '*': a * b, '/': a / b, '%': a % b }[op];
+  return isNum(result) ? result : null;
+}
+
+function compare(op, a, b) {
+  const comparable = (isNum(a) && isNum(b)) || (typeof a === 'string' && typeof b === 'string');
+  if (!comparable) return false;
+  return { '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b }[op];
+}
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.i = 0;
+    this.roots = new Set(); // top-level identifiers, for validation
+  }
+
+  peek(value) {
+    const t = this.tokens[this.i];
+    return t && t.type === 'op' && t.value === value;
+  }
+
+  take(value) {
+    if (!this.peek(value)) return false;
+    this.i++;
+    return true;
+  }
+
+  expect(value) {
+    if (!this.take(value)) throw this.error(`Expected "${value}"`);
+  }
+
+  error(message) {
+    const t = this.tokens[this.i];
+    return new Error(t ? `${message} at position ${t.pos + 1}` : `${message} at end of expression`);
+  }
+
+  parse() {
+    if (this.tokens.length === 0) throw new Error('Expression is empty');
+    const fn = this.ternary();
+    if (this.i < this.tokens.length) throw this.error(`Unexpected "${this.tokens[this.i].value}"`);
+    return fn;
+  }
+
+  ternary() {
+    const test = this.or();
+    if (!this.take('?')) return test;
+    const yes = this.ternary();
+    this.expect(':');
+    const no = this.ternary();
+    return get => (test(get) ? yes(get) : no(get));
+  }
+
+  or() {
+    let left = this.and();
+    while (this.take('||')) {
+      const l = left, r = this.and();
+      left = get => l(get) || r(get);
+    }
+    return left;
+  }
+
+  and() {
+    let left = this.equality();
+    while (this.take('&&')) {
+      const l = left, r = this.equality();
+      left = get => l(get) && r(get);
+    }
+    return left;
+  }
+
+  equality() {
+    let left = this.relational();
+    for (;;) {
+      const op = ['==', '!='].find(o => this.take(o));
+      if (!op) return left;
+      const l = left, r = this.relational();
+      left = op === '==' ? get => norm(l(get)) === norm(r(get)) : get => norm(l(get)) !== norm(r(get));
+    }
+  }
+
+  relational() {
+    const left = this.additive();
+    const op = ['<=', '>=', '<', '>'].find(o => this.take(o));
+    if (!op) return left;
+    const right = this.additive();
+    return get => compare(op, left(get), right(get));
+  }
+
+  additive() {
+    let left = this.multiplicative();
+    for (;;) {
+      const op = ['+', '-'].find(o => this.take(o));
+      if (!op) return left;
+      const l = left, r = this.multiplicative();
+      left = get => arithmetic(op, l(get), r(get));
+    }
+  }
+
+  multiplicative() {
+    let left = this.unary();
+    for (;;) {
+      const op = ['*', '/', '%'].find(o => this.take(o));
+      if (!op) return left;
+      const l = left, r = this.unary();
+      left = get => arithmetic(op, l(get), r(get));
+    }
+  }
+
+  unary() {
+    if (this.take('!')) {
+      const operand = this.unary();
+      return get => !operand(get);
+    }
+    if (this.take('-')) {
+      const operand = this.unary();
+      return get => arithmetic('*', -1, operand(get));
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const t = this.tokens[this.i];
+    if (!t) throw this.error('Expected a value');
+    if (this.take('(')) {
+      const inner = this.ternary();
+      this.expect(')');
+      return inner;
+    }
+    if (t.type === 'number' || t.type === 'string') {
+      this.i++;
+      return () => t.value;
+    }
+    if (t.type !== 'name') throw this.error(`Unexpected "${t.value}"`);
+    this.i++;
+
+    const constants = { true: true, false: false, null: null };
+    if (t.value in constants) return () => constants[t.value];
+
+    if (this.take('(')) {
+      const fn = FUNCTIONS[t.value];
+      if (!fn) throw new Error(`Unknown function "${t.value}()" at position ${t.pos + 1}`);
+      const args = [];
+      if (!this.take(')')) {
+        do { args.push(this.ternary()); } while (this.take(','));
+        this.expect(')');
+      }
+      return get => {
+        const values = args.map(a => a(get));
+        if (!values.every(isNum)) return null;
+        const result = fn(...values);
+        return isNum(result) ? result : null;
+      };
+    }
+
+    const path = [t.value];
+    while (this.take('.')) {
+      const member = this.tokens[this.i];
+      if (member?.type !== 'name') throw this.error('Expected a field name after "."');
+      path.push(member.value);
+      this.i++;
+    }
+    this.roots.add(t.value);
+    return get => {
+      let value = get(path[0]);
+      for (const key of path.slice(1)) {
+        if (value == null || typeof value !== 'object') return null;
+        value = Object.hasOwn(value, key) ? value[key] : null;
+      }
+      return norm(value);
+    };
+  }
+}
+
+/**
+ * Compile an expression.
+ * @param {string} source
+ * @returns {{ evaluate: (get: (name: string) => any) => any, roots: Set<string> }}
+ * @throws {Error} with the position of a syntax error
+ */
+export function compileExpression(source) {
+  const parser = new Parser(String(source ?? ''));
+  const evaluate = parser.parse();
+  return { evaluate, roots: parser.roots };
+}
+
+// ─── Templates ───────────────────────────────────────────────────────────────
+
+const FILTERS = {
+  money: (v, digits, ctx) => formatMoney(v, ctx.currency),
+  percent: (v, digits = 0) => `${(v * 100).toFixed(digits)}%`,
+  fixed: (v, digits = 0) => v.toFixed(digits),
+  round: v => String(Math.round(v)),
+};
+
+// Split "expr | filter:2" on the last single | (not part of ||)
+function splitFilter(body) {
+  for (let i = body.length - 1; i >= 0; i--) {
+    if (body[i] === '|' && body[i - 1] !== '|' && body[i + 1] !== '|') {
+      const m = body.slice(i + 1).trim().match(/^(\w+)(?::\s*(\d+))?$/);
+      if (!m) throw new Error(`Invalid filter "${body.slice(i + 1).trim()}"`);
+      if (!FILTERS[m[1]]) throw new Error(`Unknown filter "${m[1]}" (use ${Object.keys(FILTERS).join(', ')})`);
+      return { expr: body.slice(0, i), filter: m[1], digits: m[2] !== undefined ? Number(m[2]) : undefined };
+    }
+  }
+  return { expr: body, filter: null };
+}
+
+/**
+ * Compile a "text {{expr | filter}} text" template.
+ * @returns {{ render: (get: Function, ctx: { currency: string }) => string, roots: Set<string> }}
+ */
+export function compileTemplate(source) {
+  const parts = [];
+  const roots = new Set();
+  const text = String(source ?? '');
+  let last = 0;
+  for (const m of text.matchAll(/\{\{([\s\S]*?)\}\}/g)) {
+    parts.push(text.slice(last, m.index));
+    const { expr, filter, digits } = splitFilter(m[1]);
+    let compiled;
+    try {
+      compiled = compileExpression(expr);
+    } catch (err) {
+      throw new Error(`{{${m[1].trim()}}}: ${err.message}`);
+    }
+    compiled.roots.forEach(r => roots.add(r));
+    parts.push({ evaluate: compiled.evaluate, filter, digits });
+    last = m.index + m[0].length;
+  }
+  parts.push(text.slice(last));
+  if (/\{\{|\}\}/.test(parts.filter(p => typeof p === 'string').join(''))) throw new Error('Unbalanced {{ }}');
+
+  const render = (get, ctx) => parts.map(part => {
+    if (typeof part === 'string') return part;
+    const value = part.evaluate(get);
+    if (value == null || (typeof value === 'number' && !Number.isFinite(value))) return '—';
+    if (!part.filter) return String(value);
+    if (typeof value !== 'number') return String(value);
+    return FILTERS[part.filter](value, part.digits, ctx);
+  }).join('');
+  return { render, roots };
+}
+
+// ─── Rules ───────────────────────────────────────────────────────────────────
+
+const EXPRESSION_FIELDS = ['when', 'currentValue', 'threshold'];
+const TEMPLATE_FIELDS = ['reason', 'action', 'expectedImpact'];
+
+/**
+ * Compile one rule definition.
+ * @returns {{ compiled: object | null, errors: Array<{ field: string, message: string }> }}
+ */
+export function compileRule(rule) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!rule || typeof rule !== 'object') return { compiled: null, errors: [{ field: 'rule', message: 'Rule must be an object' }] };
+  if (!String(rule.id || '').trim()) fail('id', 'Rule needs an id');
+  if (!SIGNALS.includes(rule.signal)) fail('signal', `Signal must be one of ${SIGNALS.join(', ')}`);
+  if (![0, 1, 2, 3].includes(rule.priority)) fail('priority', 'Priority must be 0, 1, 2 or 3');
+  if (!URGENCIES.includes(rule.urgency)) fail('urgency', `Urgency must be one of ${URGENCIES.join(', ')}`);
+  if (rule.appliesTo != null && (!Array.isArray(rule.appliesTo) || rule.appliesTo.some(t => !ENTITY_TYPES.includes(t)))) {
+    fail('appliesTo', `appliesTo must list entity types: ${ENTITY_TYPES.join(', ')}`);
+  }
+  if (!String(rule.metric || '').trim()) fail('metric', 'Rule needs a metric name');
+
+  const known = new Set([...Object.keys(RULE_FIELDS), ...Object.keys(DEFAULT_THRESHOLDS), 'thresholds']);
+  const checkRoots = (field, roots) => {
+    const unknown = [...roots].filter(r => !known.has(r));
+    if (unknown.length) fail(field, `Unknown field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+  };
+
+  const lets = [];
+  for (const [name, source] of Object.entries(rule.let || {})) {
+    if (!/^[A-Za-z_$][\w$]*$/.test(name)) {
+      fail(`let.${name}`, `"${name}" isn't a valid name`);
+      continue;
+    }
+    if (Object.hasOwn(RULE_FIELDS, name)) fail(`let.${name}`, `"${name}" would hide the entity field of the same name`);
+    try {
+      const { evaluate, roots } = compileExpression(source);
+      checkRoots(`let.${name}`, roots);
+      lets.push([name, evaluate]);
+    } catch (err) {
+      fail(`let.${name}`, err.message);
+    }
+    known.add(name); // later lets and the rest of the rule can use it
+  }
+
+  const expressions = {};
+  for (const field of EXPRESSION_FIELDS) {
+    if (rule[field] === undefined || rule[field] === '') {
+      if (field === 'when') fail(field, 'Rule needs a condition');
+      continue;
+    }
+    try {
+      const { evaluate, roots } = compileExpression(rule[field]);
+      checkRoots(field, roots);
+      expressions[field] = evaluate;
+    } catch (err) {
+      fail(field, err.message);
+    }
+  }
+
+  const urgencyWhen = [];
+  for (const [urgency, source] of Object.entries(rule.urgencyWhen || {})) {
+    if (!URGENCIES.includes(urgency)) {
+      fail(`urgencyWhen.${urgency}`, `Urgency must be one of ${URGENCIES.join(', ')}`);
+      continue;
+    }
+    try {
+      const { evaluate, roots } = compileExpression(source);
+      checkRoots(`urgencyWhen.${urgency}`, roots);
+      urgencyWhen.push([urgency, evaluate]);
+    } catch (err) {
+      fail(`urgencyWhen.${urgency}`, err.message);
+    }
+  }
+  urgencyWhen.sort((a, b) => URGENCIES.indexOf(a[0]) - URGENCIES.indexOf(b[0]));
+
+  const templates = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (!String(rule[field] || '').trim()) {
+      if (field !== 'expectedImpact') fail(field, `Rule needs ${field === 'reason' ? 'a reason' : 'an action'}`);
+      continue;
+    }
+    try {
+      const { render, roots } = compileTemplate(rule[field]);
+      checkRoots(field, roots);
+      templates[field] = render;
+    } catch (err) {
+      fail(field, err.message);
+    }
+  }
+
+  let confidence = null;
+  if (rule.confidence != null) {
+    const { test, direction, value } = rule.confidence;
+    if (!Object.hasOwn(CONFIDENCE_TESTS, test)) fail('confidence.test', `Test must be one of ${Object.keys(CONFIDENCE_TESTS).join(', ')}`);
+    if (direction !== 'above' && direction !== 'below') fail('confidence.direction', "Direction must be 'above' or 'below'");
+    if (value === undefined || value === '') {
+      fail('confidence.value', 'Confidence needs a value to test against');
+    } else {
+      try {
+        const compiled = compileExpression(value);
+        checkRoots('confidence.value', compiled.roots);
+        confidence = { test, direction, value: compiled.evaluate };
+      } catch (err) {
+        fail('confidence.value', err.message);
+      }
+    }
+  }
+
+  if (errors.length > 0) return { compiled: null, errors };
+  return { compiled: { rule, lets, expressions, urgencyWhen, templates, confidence }, errors };
+}
+
+/**
+ * Validate a whole rule set: each rule, plus unique ids.
+ * @returns {Array<{ ruleId: string, index: number, field: string, message: string }>}
+ */
+export function validateRuleSet(rules) {
+  if (!Array.isArray(rules)) return [{ ruleId: null, index: -1, field: 'rules', message: 'Rules must be a JSON array' }];
+  const errors = [];
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    compileRule(rule).errors.forEach(e => errors.push({ ruleId: rule?.id || null, index, ...e }));
+    if (rule?.id && seen.has(rule.id)) errors.push({ ruleId: rule.id, index, field: 'id', message: `Duplicate id "${rule.id}"` });
+    seen.add(rule?.id);
+  });
+  return errors;
+}
+
+const compiledSets = new WeakMap();
+const warned = new Set();
+
+function compileRuleSet(rules) {
+  let compiled = compiledSets.get(rules);
+  if (!compiled) {
+    compiled = rules.map(rule => {
+      const result = compileRule(rule);
+      if (!result.compiled && !warned.has(rule?.id)) {
+        warned.add(rule?.id);
+        console.warn(`[Rules] Skipping invalid rule ${rule?.id || '(no id)'}: ${result.errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+      }
+      return result.compiled;
+    }).filter(Boolean);
+    compiledSets.set(rules, compiled);
+  }
+  return compiled;
+}
+
+/**
+ * Run one compiled rule against an entity.
+ * @returns {object | null} the signal, or null when the rule doesn't apply or match
+ */
+function runRule(compiled, entity, thresholds) {
+  const { rule, lets, expressions, urgencyWhen, templates, confidence } = compiled;
+  if (rule.enabled === false) return null;
+  if (rule.appliesTo?.length && !rule.appliesTo.includes(entity.type)) return null;
+
+  const vars = {};
+  const get = name => {
+    if (Object.hasOwn(vars, name)) return vars[name];
+    if (Object.hasOwn(RULE_FIELDS, name)) return entity[name];
+    if (name === 'thresholds') return thresholds;
+    return Object.hasOwn(thresholds, name) ? thresholds[name] : null;
+  };
+  lets.forEach(([name, evaluate]) => { vars[name] = evaluate(get); });
+
+  if (!expressions.when(get)) return null;
+
+  const ctx = { currency: thresholds.profile?.currency };
+  return {
+    ruleId: rule.id,
+    signal: rule.signal,
+    priority: rule.priority,
+    urgency: urgencyWhen.find(([, evaluate]) => evaluate(get))?.[0] || rule.urgency,
+    reason: templates.reason(get, ctx),
+    metric: rule.metric,
+    currentValue: expressions.currentValue ? expressions.currentValue(get) : null,
+    threshold: expressions.threshold ? expressions.threshold(get) : null,
+    action: templates.action(get, ctx),
+    expectedImpact: templates.expectedImpact ? templates.expectedImpact(get, ctx) : '',
+    ...measureConfidence(confidence, entity, get, thresholds),
+  };
+}
+
+/**
+ * How sure the data lets us be of a rule's claim about the entity.
+ * @returns {{ confidence: number|null, interval: object|null }}
+ */
+function measureConfidence(confidence, entity, get, thresholds) {
+  if (!confidence) return { confidence: null, interval: null };
+  const test = CONFIDENCE_TESTS[confidence.test];
+  const value = confidence.value(get);
+  const above = isNum(value) ? test.above(entity, value) : null;
+  const interval = test.interval(entity, thresholds.confidence?.interval ?? 0.9);
+  return {
+    confidence: above == null ? null : confidence.direction === 'above' ? above : 1 - above,
+    interval: interval && { test: confidence.test, ...interval },
+  };
+}
+
+/**
+ * Evaluate a rule set against one prepared entity. Invalid rules are skipped (with a warning).
+ * @returns {object[]} signals in rule order
+ */
+export function evaluateRules(entity, thresholds, rules) {
+  const signals = [];
+  for (const compiled of compileRuleSet(rules)) {
+    try {
+      const signal = runRule(compiled, entity, thresholds);
+      if (signal) signals.push(signal);
+    } catch (err) {
+      console.warn(`[Rules] ${compiled.rule.id} failed on ${entity.name || entity.id}: ${err.message}`);
+    }
+  }
+  return signals;
+}
+
+/**
+ * Live preview for the rule editor: which entities one (possibly unsaved) rule matches.
+ * @returns {{ errors: object[], matches: Array<{ entity: object, signal: object }> }}
+ */
+export function previewRule(rule, entities, thresholds) {
+  const { compiled, errors } = compileRule(rule);
+  if (!compiled) return { errors, matches: [] };
+  const matches = [];
+  for (const entity of entities) {
+    try {
+      const signal = runRule({ ...compiled, rule: { ...rule, enabled: true } }, entity, thresholds);
+      if (signal) matches.push({ entity, signal });
+    } catch (err) {
+      return { errors: [{ field: 'rule', message: `${entity.name || entity.id}: ${err.message}` }], matches };
+    }
+  }
+  return { errors, matches };
+}
@@ -1,9 +1,13 @@
 /**
  * Decision Engine — Kill / Scale / Iterate / New Concept Rules
- * 
- * Each rule function returns a verdict object:
- * { 
- *   signal: 'KILL' | 'SCALE' | 'ITERATE' | 'NEW CONCEPT' | 'MONITOR',
+ *
+ * The signal rules themselves are declarative JSON (config/ruleDefinitions.js, editable per
+ * account in Settings) run by engine/ruleEngine.js. Breakdown and attribution checks stay in code.
+ *
+ * Each signal is a verdict object:
+ * {
+ *   ruleId: string,
+ *   signal: 'KILL' | 'SCALE' | 'ITERATE' | 'NEW CONCEPT',
  *   priority: 0-3 (P0=highest),
  *   urgency: 'RED' | 'YELLOW' | 'GREEN',
  *   reason: string,
@@ -12,269 +16,255 @@
  *   threshold: number,
  *   action: string,
  *   expectedImpact: string,
+ *   confidence: number | null — probability the rule's claim holds given the data volume,
+ *   interval: { test, estimate, low, high, level } | null — credible interval for the tested metric,
  * }
+ *
+ * Signals below thresholds.confidence for their type are held back; an entity with only held
+ * signals gets the 'INSUFFICIENT DATA' verdict instead of acting on a point estimate.
  */
 
-import { percentChange } from '../utils/normalize.js';
+import { percentChange, formatMoney, calculateTrend } from '../utils/normalize.js';
 import { hookRate, holdRate, learningPhaseScore } from '../utils/metrics.js';
+import { evaluateRules } from './ruleEngine.js';
+import { evaluateFatigue } from './fatigue.js';
+import { probCpaAbove, probRoasAbove, cpaInterval, roasInterval } from '../utils/statistics.js';
+import DEFAULT_RULES from '../config/ruleDefinitions.js';
 
-// ─── KILL Rules (P0 — Revenue at Risk) ──────────────────────────────────────
+// ─── Kill / Scale / Iterate / New Concept ────────────────────────────────────
 
-export function checkKillSignals(entity, thresholds) {
-  const signals = [];
-  const t = thresholds.kill;
-  const profile = thresholds.profile;
-
-  // KILL-1: Spend ≥ 3× target CPA with 0 conversions → immediate pause
-  if (entity.spend >= profile.targetCPA * t.spendMultiplierZeroConversions && entity.conversions === 0) {
-    signals.push({
-      signal: 'KILL',
-      priority: 0,
-      urgency: 'RED',
-      reason: `Spent ${formatDollar(entity.spend)} (${(entity.spend / profile.targetCPA).toFixed(1)}× target CPA) with zero conversions`,
-      metric: 'spend_vs_cpa',
-      currentValue: entity.spend,
-      threshold: profile.targetCPA * t.spendMultiplierZeroConversions,
-      action: 'Pause immediately. Reallocate budget to performing ad sets.',
-      expectedImpact: `Save ~${formatDollar(entity.spend / 7)}/day in wasted spend`,
-    });
-  }
-
-  // KILL-2: CPA 20-30% worse than target after 3+ days
-  if (entity.cpa != null && profile.targetCPA > 0 && entity.daysRunning >= t.cpaWorseDaysRequired) {
-    const cpaOverage = (entity.cpa - profile.targetCPA) / profile.targetCPA;
-    if (cpaOverage >= t.cpaWorsePercent) {
-      signals.push({
-        signal: 'KILL',
-        priority: 0,
-        urgency: cpaOverage >= 0.30 ? 'RED' : 'YELLOW',
-        reason: `CPA at ${formatDollar(entity.cpa)} is ${(cpaOverage * 100).toFixed(0)}% above target (${formatDollar(profile.targetCPA)}) for ${entity.daysRunning}+ days`,
-        metric: 'cpa_vs_target',
-        currentValue: entity.cpa,
-        threshold: profile.targetCPA * (1 + t.cpaWorsePercent),
-        action: 'Pause ad set. Test new creative or broaden audience.',
-        expectedImpact: `Recover ~${formatDollar((entity.cpa - profile.targetCPA) * (entity.conversions || 1))} in overspend`,
-      });
-    }
-  }
+// Saved rule set → the same set brought up to date with the defaults (stable, so compiled rules cache)
+const migratedSets = new WeakMap();
 
-  // KILL-3: Frequency > 3.0 AND CTR declining WoW
-  if (entity.frequency > t.frequencyKillThreshold && entity.ctrTrend === 'declining') {
-    signals.push({
-      signal: 'KILL',
-      priority: 0,
-      urgency: entity.frequency >= 4.0 ? 'RED' : 'YELLOW',
-      reason: `Frequency at ${entity.frequency.toFixed(1)} (threshold: ${t.frequencyKillThreshold}) with CTR declining week-over-week`,
-      metric: 'frequency_fatigue',
-      currentValue: entity.frequency,
-      threshold: t.frequencyKillThreshold,
-      action: 'Creative fatigue detected. Pause and launch fresh creative under new ad IDs.',
-      expectedImpact: 'Prevent further CPA degradation from audience over-saturation',
-    });
+/**
+ * The rule set in effect: the account's own (thresholds.rules) or the defaults.
+ * A saved set picks up default rules added since it was saved (see newDefaultRules), and one
+ * saved before sets were stamped with thresholds.rulesBase gets the default confidence spec on
+ * default rules that lack one.
+ */
+export function activeRules(thresholds) {
+  const saved = thresholds.rules;
+  if (!Array.isArray(saved)) return DEFAULT_RULES;
+  if (!migratedSets.has(saved)) {
+    const defaultsById = new Map(DEFAULT_RULES.map(r => [r.id, r]));
+    const rules = Array.isArray(thresholds.rulesBase)
+      ? saved
+      : saved.map(r => (r.confidence || !defaultsById.get(r.id)?.confidence ? r : { ...r, confidence: defaultsById.get(r.id).confidence }));
+    migratedSets.set(saved, [...rules, ...newDefaultRules(thresholds)]);
   }
+  return migratedSets.get(saved);
+}
 
-  // KILL-4: ROAS below break-even for 3+ consecutive days
-  if (entity.roasBelowBreakevenDays >= t.roasBelowBreakevenDays && entity.roas != null) {
-    signals.push({
-      signal: 'KILL',
-      priority: 0,
-      urgency: 'RED',
-      reason: `ROAS below break-even (${profile.breakEvenROAS}×) for ${entity.roasBelowBreakevenDays} consecutive days`,
-      metric: 'roas_breakeven',
-      currentValue: entity.roas,
-      threshold: profile.breakEvenROAS,
-      action: 'Pause and reallocate. Campaign is losing money daily.',
-      expectedImpact: `Stop bleeding ~${formatDollar(entity.spend / 7 * (1 - (entity.roas || 0) / profile.breakEvenROAS))}/day`,
-    });
-  }
+/**
+ * Default rules a saved rule set has never seen: not in it, and not among the default ids it was
+ * saved against (thresholds.rulesBase) — so a default the user deleted stays deleted.
+ */
+export function newDefaultRules(thresholds) {
+  if (!Array.isArray(thresholds.rules)) return [];
+  const seen = new Set([...thresholds.rules.map(r => r.id), ...(thresholds.rulesBase || [])]);
+  return DEFAULT_RULES.filter(r => !seen.has(r.id));
+}
 
-  return signals;
+/**
+ * Thresholds with a new saved rule set (null = follow the defaults), stamped with the default
+ * rule ids it was edited against.
+ */
+export function withRuleSet(thresholds, rules) {
+  return { ...thresholds, rules, rulesBase: rules ? DEFAULT_RULES.map(r => r.id) : null };
 }
 
-// ─── SCALE Rules (P1 — Revenue Opportunity) ──────────────────────────────────
+// ─── Breakdown Segment Rules ─────────────────────────────────────────────────
 
-export function checkScaleSignals(entity, thresholds) {
+// Breakdowns where the segment can be carved out of delivery (vs. demographics, which should stay broad)
+const PLACEMENT_BREAKDOWNS = ['publisher_platform', 'platform_position', 'device_platform'];
+
+/**
+ * Flag breakdown segments (age, placement, country…) whose CPA or ROAS is far outside target.
+ * One signal per flagged segment, with `segment` set to the segment label. Like evaluateEntity,
+ * segments too small to be sure of come back in `heldSignals` rather than `signals`.
+ * @returns {{ signals: object[], heldSignals: object[] }}
+ */
+export function checkBreakdownSignals(segments, breakdown, thresholds) {
   const signals = [];
-  const t = thresholds.scale;
+  const t = thresholds.breakdown || {};
   const profile = thresholds.profile;
+  const currency = profile.currency;
+  const level = thresholds.confidence?.interval ?? 0.9;
+  const totalSpend = segments.reduce((s, seg) => s + (seg.spend || 0), 0);
+  if (totalSpend <= 0) return { signals, heldSignals: [] };
+
+  // Same claims the CPA and ROAS rules test: true CPA above target, true ROAS below it
+  const cpaConfidence = seg => ({
+    confidence: probCpaAbove(seg.spend, seg.conversions, profile.targetCPA),
+    interval: withTest('cpa', cpaInterval(seg.spend, seg.conversions, level)),
+  });
+  const roasConfidence = seg => {
+    const above = probRoasAbove(seg.spend, seg.conversions, seg.revenue, profile.targetROAS);
+    return {
+      confidence: above == null ? null : 1 - above,
+      interval: withTest('roas', roasInterval(seg.spend, seg.conversions, seg.revenue, level)),
+    };
+  };
 
-  // SCALE-1: Stable CPA/ROAS for 7-14 days
-  const isStable = entity.daysStable >= t.stabilityDaysRequired;
-  const isLeadGen = profile.businessType === 'leadgen';
-
-  // For lead gen: scale if CPA is at/below target; for ecommerce: scale if ROAS at/above target
-  if (isStable && isLeadGen && entity.cpa != null && entity.cpa <= profile.targetCPA) {
-    const newBudget = (entity.dailyBudget || entity.spend / 7) * (1 + t.maxBudgetIncreasePercent);
-    signals.push({
-      signal: 'SCALE',
-      priority: 1,
-      urgency: 'GREEN',
-      reason: `Stable performance for ${entity.daysStable} days with CPA at ${formatDollar(entity.cpa)} (target: ${formatDollar(profile.targetCPA)})`,
-      metric: 'stability_cpa',
-      currentValue: entity.daysStable,
-      threshold: t.stabilityDaysRequired,
-      action: `Increase daily budget from ${formatDollar(entity.dailyBudget)} → ${formatDollar(newBudget)} (+20%)`,
-      expectedImpact: `~${Math.round((newBudget - (entity.dailyBudget || 0)) / (entity.cpa || 1))} additional daily conversions`,
-    });
-  }
+  const isPlacement = PLACEMENT_BREAKDOWNS.includes(breakdown);
+  const action = isPlacement
+    ? 'Exclude this placement or move it into its own ad set with a matching creative format.'
+    : 'Keep targeting broad. Brief creative and landing page angles that speak to this segment.';
 
-  if (isStable && entity.roas != null && profile.targetROAS > 0 && entity.roas >= profile.targetROAS) {
-    const newBudget = (entity.dailyBudget || entity.spend / 7) * (1 + t.maxBudgetIncreasePercent);
-    signals.push({
-      signal: 'SCALE',
-      priority: 1,
-      urgency: 'GREEN',
-      reason: `Stable performance for ${entity.daysStable} days with ${entity.roas?.toFixed(2)}× ROAS (target: ${profile.targetROAS}×)`,
-      metric: 'stability',
-      currentValue: entity.daysStable,
-      threshold: t.stabilityDaysRequired,
-      action: `Increase daily budget from ${formatDollar(entity.dailyBudget)} → ${formatDollar(newBudget)} (+20%)`,
-      expectedImpact: `~${Math.round((newBudget - (entity.dailyBudget || 0)) * entity.roas)} additional daily revenue at current ROAS`,
-    });
-  }
+  for (const seg of segments) {
+    const share = seg.spend / totalSpend;
+    if (share < (t.minSpendShare ?? 0.05)) continue;
 
-  // SCALE-2: Exited learning phase (50+ conversions/week)
-  const lpScore = learningPhaseScore(entity.conversionsLast7d);
-  if (lpScore >= 1.0 && entity.roas >= profile.targetROAS) {
-    signals.push({
-      signal: 'SCALE',
-      priority: 1,
-      urgency: 'GREEN',
-      reason: `Exited learning phase with ${entity.conversionsLast7d} conversions/week (50 needed)`,
-      metric: 'learning_phase',
-      currentValue: entity.conversionsLast7d,
-      threshold: t.learningPhaseConversionsWeekly,
-      action: 'Scale eligible. Apply 20% budget increase every 48-72 hours.',
-      expectedImpact: 'Mature ad set with stable delivery — scale with confidence',
-    });
-  }
+    // BREAKDOWN-1: Segment spent ≥ N× target CPA without converting, or CPA far above target
+    const cpaLimit = profile.targetCPA * (t.cpaOutlierMultiplier ?? 1.5);
+    if (profile.targetCPA > 0 && seg.conversions === 0 && seg.spend >= cpaLimit) {
+      signals.push({
+        signal: 'ITERATE',
+        priority: 2,
+        urgency: 'RED',
+        segment: seg.segment,
+        reason: `${seg.segment} spent ${formatMoney(seg.spend, currency)} (${(share * 100).toFixed(0)}% of spend) with zero conversions`,
+        metric: 'breakdown_cpa',
+        currentValue: seg.spend,
+        threshold: cpaLimit,
+        action,
+        expectedImpact: `Up to ${formatMoney(seg.spend, currency)} of non-converting spend in this segment`,
+        ...cpaConfidence(seg),
+      });
+      continue;
+    }
+    if (profile.targetCPA > 0 && seg.cpa != null && seg.cpa >= cpaLimit) {
+      signals.push({
+        signal: 'ITERATE',
+        priority: 2,
+        urgency: seg.cpa >= profile.targetCPA * 2 ? 'RED' : 'YELLOW',
+        segment: seg.segment,
+        reason: `${seg.segment} CPA at ${formatMoney(seg.cpa, currency)} is ${(seg.cpa / profile.targetCPA).toFixed(1)}× target (${formatMoney(profile.targetCPA, currency)}) on ${(share * 100).toFixed(0)}% of spend`,
+        metric: 'breakdown_cpa',
+        currentValue: seg.cpa,
+        threshold: cpaLimit,
+        action,
+        expectedImpact: `~${formatMoney(seg.spend - profile.targetCPA * seg.conversions, currency)} spent above target CPA`,
+        ...cpaConfidence(seg),
+      });
+      continue;
+    }
 
-  // SCALE-3: Frequency headroom + high conversion volume
-  if (entity.frequency < t.frequencyScaleMax && entity.dailyConversions >= t.minDailyConversions) {
-    signals.push({
-      signal: 'SCALE',
-      priority: 1,
-      urgency: 'GREEN',
-      reason: `Frequency at ${entity.frequency?.toFixed(1)} (headroom to ${t.frequencyScaleMax}) with ${entity.dailyConversions} conv/day`,
-      metric: 'frequency_headroom',
-      currentValue: entity.frequency,
-      threshold: t.frequencyScaleMax,
-      action: 'Audience headroom exists. Safe to scale budget vertically.',
-      expectedImpact: `Room to grow before fatigue (~${((t.frequencyScaleMax - entity.frequency) / 0.1 * 3).toFixed(0)} more days at current velocity)`,
-    });
+    // BREAKDOWN-2: Segment ROAS far below target (ecommerce)
+    const roasFloor = profile.targetROAS * (t.roasOutlierRatio ?? 0.5);
+    if (profile.businessType !== 'leadgen' && profile.targetROAS > 0 && seg.roas != null && seg.roas < roasFloor) {
+      signals.push({
+        signal: 'ITERATE',
+        priority: 2,
+        urgency: seg.roas < profile.breakEvenROAS / 2 ? 'RED' : 'YELLOW',
+        segment: seg.segment,
+        reason: `${seg.segment} ROAS at ${seg.roas.toFixed(2)}× vs target ${profile.targetROAS}× on ${(share * 100).toFixed(0)}% of spend`,
+        metric: 'breakdown_roas',
+        currentValue: seg.roas,
+        threshold: roasFloor,
+        action,
+        expectedImpact: `~${formatMoney(seg.spend * profile.targetROAS - seg.revenue, currency)} revenue short of target`,
+        ...roasConfidence(seg),
+      });
+    }
   }
 
-  return signals;
+  const required = requiredConfidence('ITERATE', thresholds);
+  return {
+    signals: signals.filter(s => s.confidence == null || s.confidence >= required),
+    heldSignals: signals
+      .filter(s => s.confidence != null && s.confidence < required)
+      .map(s => ({ ...s, requiredConfidence: required })),
+  };
+}
+
+function withTest(test, interval) {
+  return interval && { test, ...interval };
 }
 
-// ─── ITERATE Rules (P2 — Efficiency Gains) ───────────────────────────────────
+// ─── Attribution Rules ───────────────────────────────────────────────────────
 
-export function checkIterateSignals(entity, thresholds) {
+export function checkAttributionSignals(entity, thresholds) {
   const signals = [];
-  const t = thresholds.iterate;
-
-  // ITERATE-1: CTR declining 15-20% WoW but concept still works
-  if (entity.ctrChangeWoW != null) {
-    const decline = -entity.ctrChangeWoW / 100; // convert to positive fraction
-    if (decline >= t.ctrDeclineWoWPercent && decline < t.ctrDeclineWoWCritical) {
+  const t = thresholds.attribution || {};
+  const currency = thresholds.profile?.currency;
+  const windows = entity.attribution;
+
+  // ATTRIBUTION-1: View-through share above threshold → judge on click-only conversions
+  if (entity.type !== 'ad' && entity.viewThroughShare != null && windows && t.viewThroughSwitchThreshold > 0) {
+    const clickConversions = windows['7d_click'].conversions;
+    const totalConversions = clickConversions + windows['1d_view'].conversions;
+    if (entity.viewThroughShare > t.viewThroughSwitchThreshold && totalConversions >= (t.viewThroughMinConversions ?? 10)) {
+      const clickCpa = clickConversions > 0 ? entity.spend / clickConversions : null;
       signals.push({
+        ruleId: 'ATTRIBUTION-1',
         signal: 'ITERATE',
         priority: 2,
-        urgency: 'YELLOW',
-        reason: `CTR declining ${(decline * 100).toFixed(0)}% week-over-week (threshold: ${(t.ctrDeclineWoWPercent * 100).toFixed(0)}%)`,
-        metric: 'ctr_decline',
-        currentValue: entity.ctrChangeWoW,
-        threshold: -(t.ctrDeclineWoWPercent * 100),
-        action: 'Test new hooks and headlines while preserving the winning concept.',
-        expectedImpact: 'Extend creative lifespan by 1-2 weeks with fresh angles',
+        urgency: entity.viewThroughShare >= t.viewThroughSwitchThreshold * 2 ? 'RED' : 'YELLOW',
+        reason: `${(entity.viewThroughShare * 100).toFixed(0)}% of conversions are 1-day view-through (threshold: ${(t.viewThroughSwitchThreshold * 100).toFixed(0)}%)`,
+        metric: 'view_through_share',
+        currentValue: entity.viewThroughShare,
+        threshold: t.viewThroughSwitchThreshold,
+        action: 'Judge on click-through results: switch attribution to 7-day click and report internally on 1-day click.',
+        expectedImpact: clickCpa != null
+          ? `Click-only CPA is ${formatMoney(clickCpa, currency)} — budget decisions on view-through credit may be overstated`
+          : 'No click-through conversions — reported results are entirely view-through',
+        confidence: null,
+        interval: null,
       });
     }
   }
 
-  // ITERATE-2: Hook rate dropping below threshold
-  if (entity.hookRate != null && entity.hookRate < t.hookRateIterateThreshold) {
-    signals.push({
-      signal: 'ITERATE',
-      priority: 2,
-      urgency: 'YELLOW',
-      reason: `Hook rate at ${(entity.hookRate * 100).toFixed(1)}% — below ${(t.hookRateIterateThreshold * 100).toFixed(0)}% threshold`,
-      metric: 'hook_rate',
-      currentValue: entity.hookRate,
-      threshold: t.hookRateIterateThreshold,
-      action: 'Opening 3 seconds need work. Test new video hooks with the same body content.',
-      expectedImpact: 'A strong hook (>30%) can boost CTR by 40-60%',
-    });
-  }
-
   return signals;
 }
 
-// ─── NEW CONCEPT Rules (P3 — Pipeline Health) ────────────────────────────────
-
-export function checkNewConceptSignals(entity, thresholds) {
-  const signals = [];
-  const t = thresholds.newConcept;
-
-  // NEW CONCEPT-1: All creatives fatigued in ad set
-  if (entity.allCreativesFatigued) {
-    signals.push({
-      signal: 'NEW CONCEPT',
-      priority: 3,
-      urgency: 'YELLOW',
-      reason: 'All creative variations in this ad set show fatigue signals',
-      metric: 'creative_exhaustion',
-      currentValue: entity.fatiguedCreativeCount,
-      threshold: entity.totalCreativeCount,
-      action: 'Generate new creative brief. Test fundamentally different concepts, formats, and messaging angles.',
-      expectedImpact: 'Fresh concepts typically see 30-50% better CTR than fatigued ones',
-    });
-  }
+// ─── Master Evaluator ────────────────────────────────────────────────────────
 
-  // NEW CONCEPT-2: Audience saturated (frequency > 3.0 + declining reach)
-  if (entity.frequency > t.audienceSaturatedFrequency && entity.reachTrend === 'declining') {
-    signals.push({
-      signal: 'NEW CONCEPT',
-      priority: 3,
-      urgency: 'YELLOW',
-      reason: `Audience saturated — frequency at ${entity.frequency?.toFixed(1)} with declining reach`,
-      metric: 'audience_saturation',
-      currentValue: entity.frequency,
-      threshold: t.audienceSaturatedFrequency,
-      action: 'New creative angles needed to reach untapped audience segments. Consider new formats (Reels, UGC).',
-      expectedImpact: 'Diverse creative unlocks new audience clusters within broad targeting',
-    });
-  }
+// Signal type → thresholds.confidence key
+const CONFIDENCE_KEYS = { KILL: 'kill', SCALE: 'scale', ITERATE: 'iterate', 'NEW CONCEPT': 'newConcept' };
 
-  return signals;
+/**
+ * Minimum confidence a signal of this type needs to fire (0 = never held back).
+ */
+export function requiredConfidence(signal, thresholds) {
+  return thresholds.confidence?.[CONFIDENCE_KEYS[signal]] ?? 0;
 }
 
-// ─── Master Evaluator ────────────────────────────────────────────────────────
-
 /**
  * Run all rule checks against an entity (campaign, ad set, or ad)
  * and return the highest-priority verdict plus all signals.
+ * Signals without enough data behind them come back in `heldSignals`, not `signals`.
  */
 export function evaluateEntity(entity, thresholds) {
-  const allSignals = [
-    ...checkKillSignals(entity, thresholds),
-    ...checkScaleSignals(entity, thresholds),
-    ...checkIterateSignals(entity, thresholds),
-    ...checkNewConceptSignals(entity, thresholds),
-  ];
+  const allSignals = [];
+  const heldSignals = [];
+  [
+    ...evaluateRules(entity, thresholds, activeRules(thresholds)),
+    ...checkAttributionSignals(entity, thresholds),
+  ].forEach(signal => {
+    const required = requiredConfidence(signal.signal, thresholds);
+    if (signal.confidence != null && signal.confidence < required) heldSignals.push({ ...signal, requiredConfidence: required });
+    else allSignals.push(signal);
+  });
 
   // Sort by priority (P0 first), then urgency
-  allSignals.sort((a, b) => {
+  const byPriority = (a, b) => {
     if (a.priority !== b.priority) return a.priority - b.priority;
     const urgencyOrder = { RED: 0, YELLOW: 1, GREEN: 2 };
     return (urgencyOrder[a.urgency] || 2) - (urgencyOrder[b.urgency] || 2);
-  });
+  };
+  allSignals.sort(byPriority);
+  heldSignals.sort(byPriority);
 
-  const verdict = allSignals.length > 0 ? allSignals[0].signal : 'MONITOR';
+  const verdict = allSignals.length > 0 ? allSignals[0].signal
+    : heldSignals.length > 0 ? 'INSUFFICIENT DATA'
+    : 'MONITOR';
 
   return {
     verdict,
-    topSignal: allSignals[0] || null,
+    topSignal: allSignals[0] || heldSignals[0] || null,
     signals: allSignals,
+    heldSignals,
     signalCount: allSignals.length,
   };
 }
@@ -287,9 +277,14 @@ export function prepareEntityForEvaluation(entity, insights, dailyData = [], thr
   const profile = thresholds.profile || {};
 
   // Calculate derived fields
-  const conversionsLast7d = dailyData.slice(-7).reduce((s, d) => s + (d.conversions || 0), 0);
-  const dailyConversions = dailyData.length > 0
-    ? dailyData.slice(-3).reduce((s, d) => s + (d.conversions || 0), 0) / Math.min(3, dailyData.length)
+  // Conversion-based daily fields need every day's conversions; a series the conversion mapping
+  // left unknown (see normalize applyConversionMapping) is treated like having no daily data
+  const conversionDays = dailyData.every(d => d.conversions != null) ? dailyData : [];
+  // Rounded: daily points re-attributed from period-level ratios carry fractional conversions
+  const conversionsLast7d = Math.round(conversionDays.slice(-7).reduce((s, d) => s + (d.conversions || 0), 0));
+  const lpScore = learningPhaseScore(conversionsLast7d, thresholds.scale?.learningPhaseConversionsWeekly);
+  const dailyConversions = conversionDays.length > 0
+    ? conversionDays.slice(-3).reduce((s, d) => s + (d.conversions || 0), 0) / Math.min(3, conversionDays.length)
     : insights?.conversions ? insights.conversions / 7 : 0;
 
   // CTR trend WoW
@@ -301,11 +296,16 @@ export function prepareEntityForEvaluation(entity, insights, dailyData = [], thr
   }
   const ctrTrend = ctrChangeWoW != null && ctrChangeWoW < -10 ? 'declining' : 'stable';
 
+  // Daily reach trend WoW (last 3 days vs the 3 before on shorter series)
+  const reachChange = calculateTrend(dailyData, 'reach', dailyData.length >= 14 ? 7 : 3)?.change ?? null;
+  const reachDecline = (thresholds.newConcept?.reachDeclinePercent ?? 0.10) * 100;
+  const reachTrend = reachChange != null && reachChange <= -reachDecline ? 'declining' : 'stable';
+
   // ROAS below break-even streak
   let roasBelowBreakevenDays = 0;
-  if (dailyData.length > 0) {
-    for (let i = dailyData.length - 1; i >= 0; i--) {
-      if ((dailyData[i].roas || 0) < (profile.breakEvenROAS || 2.0)) {
+  if (conversionDays.length > 0) {
+    for (let i = conversionDays.length - 1; i >= 0; i--) {
+      if ((conversionDays[i].roas || 0) < (profile.breakEvenROAS || 2.0)) {
         roasBelowBreakevenDays++;
       } else break;
     }
@@ -313,18 +313,37 @@ export function prepareEntityForEvaluation(entity, insights, dailyData = [], thr
 
   // Stability check
   let daysStable = 0;
-  if (dailyData.length >= 7 && insights?.cpa != null) {
+  if (conversionDays.length >= 7 && insights?.cpa != null) {
     const targetCPA = profile.targetCPA || 30;
-    for (let i = dailyData.length - 1; i >= 0; i--) {
-      const dayCpa = dailyData[i].cpa;
+    for (let i = conversionDays.length - 1; i >= 0; i--) {
+      const dayCpa = conversionDays[i].cpa;
       if (dayCpa != null && Math.abs(dayCpa - targetCPA) / targetCPA < 0.25) {
         daysStable++;
       } else break;
     }
   }
 
-  // Days running
-  const daysRunning = dailyData.length || 7;
+  // Days running — the fetched period, not any stored history the trend series was extended with
+  const daysRunning = insights?.daily?.length || dailyData.length || 7;
+
+  // Raw counts behind the trend fields, for confidence tests (see ruleEngine CONFIDENCE_TESTS)
+  const totals = days => days.reduce((t, d) => ({
+    spend: t.spend + (d.spend || 0),
+    impressions: t.impressions + (d.impressions || 0),
+    clicks: t.clicks + (d.clicks || 0),
+    conversions: t.conversions + (d.conversions || 0),
+    revenue: t.revenue + (d.revenue || 0),
+    days: t.days + 1,
+  }), { spend: 0, impressions: 0, clicks: 0, conversions: 0, revenue: 0, days: 0 });
+  const counts = {
+    last7d: dailyData.length >= 14 ? totals(dailyData.slice(-7)) : null,
+    prior7d: dailyData.length >= 14 ? totals(dailyData.slice(-14, -7)) : null,
+    last3d: conversionDays.length > 0 ? totals(conversionDays.slice(-3)) : null,
+    streak: roasBelowBreakevenDays > 0 ? totals(conversionDays.slice(-roasBelowBreakevenDays)) : null,
+  };
+
+  // Creative age, CPM rise and cost per result vs its own average (ads only)
+  const fatigue = entity.type === 'ad' ? evaluateFatigue(dailyData, insights, thresholds) : null;
 
   // Hook and hold rates
   const hr = insights?.video3sViews ? hookRate(insights.video3sViews, insights.impressions) : null;
@@ -351,11 +370,18 @@ export function prepareEntityForEvaluation(entity, insights, dailyData = [], thr
     roas: insights?.roas || null,
     frequency: insights?.frequency || 0,
     reach: insights?.reach || 0,
+    attribution: insights?.attribution || null,
+    viewThroughShare: insights?.viewThroughShare ?? null,
 
     // Derived / enriched
     hookRate: hr,
     holdRate: hlr,
     conversionsLast7d,
+    conversionAction: insights?.conversionAction || null,
+    secondaryConversions: insights?.secondaryConversions || {},
+    // Learning phase follows the mapped conversion event, not a fixed one
+    learningScore: Math.min(1, lpScore),
+    isLearning: lpScore < 1,
     dailyConversions: Math.round(dailyConversions * 10) / 10,
     ctrChangeWoW,
     ctrTrend,
@@ -363,18 +389,59 @@ export function prepareEntityForEvaluation(entity, insights, dailyData = [], thr
     daysStable,
     daysRunning,
     dailyBudget: Number(entity.daily_budget || entity.dailyBudget) || null,
+    lifetimeBudget: Number(entity.lifetime_budget || entity.lifetimeBudget) || null,
+    bidStrategy: entity.bid_strategy || null,
+    optimizationGoal: entity.optimization_goal || null,
+    objective: entity.objective || null,
 
-    // Creative fatigue indicators
-    allCreativesFatigued: false, // set by creative analysis
+    // Creative fatigue indicators — ad sets get these from their ads (see applyCreativeFatigue)
+    allCreativesFatigued: false,
     fatiguedCreativeCount: 0,
     totalCreativeCount: 0,
-    reachTrend: 'stable', // TODO: calculate from daily reach data
+    reachChange,
+    reachTrend,
+    fatigue,
+    fatigueStage: fatigue?.stage ?? null,
+    creativeAgeDays: fatigue?.ageDays ?? null,
+    cpmChangeWoW: fatigue?.cpmChangeWoW ?? null,
+    costPerResultRatio: fatigue?.costPerResultRatio ?? null,
+    historicalCostPerResult: fatigue?.historicalCostPerResult ?? null,
+    daysToFatigue: fatigue?.daysToFatigue ?? null,
+
+    counts,
   };
 }
 
-// ─── Helpers ─────────────────────────────────────────────────────────────────
+/**
+ * Why an ad's creative looks worn out: the fatigue evaluator calling it fatigued (cost per result,
+ * frequency), CTR falling week over week, or a health score in the red band.
+ * An empty list means it isn't fatigued.
+ */
+export function creativeFatigueReasons(ad, healthScore, thresholds) {
+  const th = thresholds.newConcept || {};
+  const reasons = ad.fatigue?.stage === 'fatigued' ? [...ad.fatigue.drivers] : [];
+  if (th.creativeFatigueCtrDeclinePercent != null && ad.ctrChangeWoW != null
+    && ad.ctrChangeWoW <= -th.creativeFatigueCtrDeclinePercent * 100) {
+    reasons.push(`CTR ${Math.round(ad.ctrChangeWoW)}% WoW`);
+  }
+  if (th.creativeFatigueHealthScore != null && healthScore != null && healthScore < th.creativeFatigueHealthScore) {
+    reasons.push(`health score ${healthScore}`);
+  }
+  return reasons;
+}
 
-function formatDollar(val) {
-  if (val == null) return '$0';
-  return `$${Number(val).toFixed(0)}`;
+/**
+ * Roll ad-level fatigue up into a prepared ad set's creative exhaustion fields.
+ * Only delivering ads count (active, in an active ad set and campaign) — paused creatives
+ * aren't in rotation.
+ * @param {object} adSetEntity - from prepareEntityForEvaluation, updated in place
+ * @param {{ active: boolean, fatigueReasons: string[] }[]} ads
+ */
+export function applyCreativeFatigue(adSetEntity, ads) {
+  const inRotation = ads.filter(ad => ad.active);
+  const fatigued = inRotation.filter(ad => ad.fatigueReasons.length > 0).length;
+  adSetEntity.fatiguedCreativeCount = fatigued;
+  adSetEntity.totalCreativeCount = inRotation.length;
+  adSetEntity.allCreativesFatigued = inRotation.length > 0 && fatigued === inRotation.length;
+  return adSetEntity;
 }
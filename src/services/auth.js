@@ -0,0 +1,88 @@
+/**
+ * Sign-in and Roles
+ *
+ * The bridge keeps the session in an HttpOnly cookie (see server/auth.js); this module
+ * only asks who is signed in and manages users. Roles are ordered — each includes the
+ * ones below it: viewer (read dashboards) < buyer (act on recommendations) < admin
+ * (keys, data source, thresholds, users).
+ */
+
+const AUTH_BASE = '/api/auth';
+
+export const ROLES = ['viewer', 'buyer', 'admin'];
+
+export const ROLE_OPTIONS = [
+  { value: 'viewer', label: 'Viewer — read dashboards' },
+  { value: 'buyer', label: 'Buyer — act on recommendations' },
+  { value: 'admin', label: 'Admin — keys, thresholds, users' },
+];
+
+/**
+ * Whether a user has at least the given role.
+ */
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+async function request(path, { method = 'GET', body } = {}) {
+  const response = await fetch(`${AUTH_BASE}${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await response.json().catch(() => null);
+  if (!response.ok) throw new Error(data?.error || `Auth error: HTTP ${response.status}`);
+  return data;
+}
+
+/**
+ * Current session.
+ * @returns {Promise<{ user: object | null, setupRequired: boolean, setupNeedsToken: boolean, bridgeOffline?: boolean }>}
+ *   bridgeOffline when the bridge can't be reached (only demo data is available then)
+ */
+export async function getSession() {
+  try {
+    const response = await fetch(`${AUTH_BASE}/session`);
+    const data = await response.json();
+    if (!response.ok || !('user' in data)) throw new Error(`HTTP ${response.status}`);
+    return data;
+  } catch (err) {
+    console.warn(`[Auth] Bridge unreachable: ${err.message}`);
+    return { user: null, setupRequired: false, setupNeedsToken: false, bridgeOffline: true };
+  }
+}
+
+export async function login(email, password) {
+  return (await request('/login', { method: 'POST', body: { email, password } })).user;
+}
+
+export async function logout() {
+  await request('/logout', { method: 'POST' });
+}
+
+/**
+ * First run: create the admin account and sign in as it.
+ */
+export async function setupAdmin({ email, name, password, setupToken }) {
+  return (await request('/setup', { method: 'POST', body: { email, name, password, setupToken } })).user;
+}
+
+export async function listUsers() {
+  return (await request('/users')).users;
+}
+
+export async function createUser(user) {
+  return (await request('/users', { method: 'POST', body: user })).user;
+}
+
+/**
+ * @param {string} id
+ * @param {{ name?: string, role?: string, password?: string }} changes
+ */
+export async function updateUser(id, changes) {
+  return (await request(`/users/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes })).user;
+}
+
+export async function deleteUser(id) {
+  await request(`/users/${encodeURIComponent(id)}`, { method: 'DELETE' });
+}
@@ -6,29 +6,25 @@
  * 2. Creative brief generation when NEW CONCEPT triggered
  * 3. Anomaly explanations for metric deviations
  * 
- * Uses Anthropic API with mcp_servers parameter for GoMarble integration.
+ * Requests go through the bridge's /api/ai/messages proxy, which holds the Anthropic key
+ * and picks the model — the key never reaches the browser.
  */
 
-const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
-const CLAUDE_STORAGE_KEY = 'claude_api_key';
+import { getAttributionWindowLabel, currencySymbol } from '../utils/normalize.js';
+import { isKeyConfigured, loadKeyStatus } from './secrets.js';
 
-// Load saved key from localStorage
-let _apiKey = null;
-try {
-  _apiKey = localStorage.getItem(CLAUDE_STORAGE_KEY) || null;
-  if (_apiKey) console.log('[Claude] API key loaded from storage');
-} catch {}
+const AI_PROXY_URL = '/api/ai/messages';
 
-export function configureClaudeAPI(apiKey) {
-  _apiKey = apiKey;
-  try {
-    if (apiKey) localStorage.setItem(CLAUDE_STORAGE_KEY, apiKey);
-    else localStorage.removeItem(CLAUDE_STORAGE_KEY);
-  } catch {}
+/**
+ * Whether the bridge has an Anthropic key (last known status).
+ */
+export function hasClaudeKey() {
+  return isKeyConfigured('anthropic');
 }
 
-export function hasClaudeKey() {
-  return !!_apiKey;
+async function claudeAvailable() {
+  await loadKeyStatus();
+  return hasClaudeKey();
 }
 
 // ─── System Prompt ───────────────────────────────────────────────────────────
@@ -61,27 +57,31 @@ ${PLAYBOOK_KNOWLEDGE}`;
 
 // ─── Daily Briefing ──────────────────────────────────────────────────────────
 
+const confidenceNote = signal => (signal.confidence != null ? ` (${Math.floor(signal.confidence * 100)}% confidence)` : '');
+
 /**
  * Generate a natural language daily briefing from processed account data.
  */
 export async function generateDailyBriefing(processedData) {
-  if (!_apiKey) return generateLocalBriefing(processedData);
+  if (!(await claudeAvailable())) return generateLocalBriefing(processedData);
 
   const prompt = `Generate a concise daily briefing for this Meta ad account. Focus on the 3 most important insights and actions.
 
 Account Data:
 - Overall Health Score: ${processedData.overallHealth}/100
-- Total Spend (7d): $${processedData.accountInsights?.spend?.toFixed(2)}
+- Currency: ${processedData.currency || 'USD'}
+- Total Spend (7d): ${currencySymbol(processedData.currency)}${processedData.accountInsights?.spend?.toFixed(2)}
 - Blended ROAS: ${processedData.accountInsights?.roas?.toFixed(2)}×
-- Blended CPA: $${processedData.accountInsights?.cpa?.toFixed(2)}
+- Blended CPA: ${currencySymbol(processedData.currency)}${processedData.accountInsights?.cpa?.toFixed(2)}
 - Total Conversions: ${processedData.accountInsights?.conversions}
 - CTR: ${processedData.accountInsights?.ctr?.toFixed(2)}%
+- Attribution Window: ${getAttributionWindowLabel(processedData.attributionWindow)}
 - Ad Sets Exited Learning: ${processedData.summary.adSetsExitedLearning}/${processedData.summary.totalAdSets}
 
-Signals: ${processedData.summary.killCount} Kill, ${processedData.summary.scaleCount} Scale, ${processedData.summary.iterateCount} Iterate, ${processedData.summary.newConceptCount} New Concept
+Signals: ${processedData.summary.killCount} Kill, ${processedData.summary.scaleCount} Scale, ${processedData.summary.iterateCount} Iterate, ${processedData.summary.newConceptCount} New Concept (${processedData.summary.insufficientDataCount ?? 0} more held back for insufficient data)
 
 Top 3 Actions:
-${processedData.actions.slice(0, 3).map((a, i) => `${i + 1}. [${a.signal}] ${a.entityName}: ${a.reason}`).join('\n')}
+${processedData.actions.slice(0, 3).map((a, i) => `${i + 1}. [${a.signal}] ${a.entityName}: ${a.reason}${confidenceNote(a)}`).join('\n')}
 
 Format as a brief executive summary (3-4 sentences), then 3 bullet-point action items.`;
 
@@ -98,7 +98,7 @@ Format as a brief executive summary (3-4 sentences), then 3 bullet-point action
  * Generate a creative brief when NEW CONCEPT signal is triggered.
  */
 export async function generateCreativeBrief(adData) {
-  if (!_apiKey) return generateLocalCreativeBrief(adData);
+  if (!(await claudeAvailable())) return generateLocalCreativeBrief(adData);
 
   const prompt = `Generate a creative brief for new Meta ad concepts. The current creatives are fatigued.
 
@@ -128,7 +128,7 @@ Provide:
  * Generate an explanation for anomalous metric changes.
  */
 export async function explainAnomaly(metric, currentValue, historicalAvg, entityName) {
-  if (!_apiKey) return generateLocalAnomalyExplanation(metric, currentValue, historicalAvg);
+  if (!(await claudeAvailable())) return generateLocalAnomalyExplanation(metric, currentValue, historicalAvg);
 
   const changePercent = ((currentValue - historicalAvg) / historicalAvg * 100).toFixed(0);
   const prompt = `Explain a ${changePercent}% ${currentValue > historicalAvg ? 'increase' : 'decrease'} in ${metric} for "${entityName}".
@@ -149,24 +149,26 @@ Consider: seasonality, competition changes, creative fatigue, audience saturatio
 // ─── API Call ────────────────────────────────────────────────────────────────
 
 async function callClaudeAPI(userMessage) {
-  const response = await fetch(ANTHROPIC_API_URL, {
+  return proxyMessages({
+    max_tokens: 1024,
+    system: SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: userMessage }],
+  });
+}
+
+/**
+ * POST a Messages API body (minus model) to the bridge proxy and return the reply text.
+ */
+async function proxyMessages(body) {
+  const response = await fetch(AI_PROXY_URL, {
     method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': _apiKey,
-      'anthropic-version': '2023-06-01',
-      'anthropic-dangerous-direct-browser-access': 'true',
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      system: SYSTEM_PROMPT,
-      messages: [{ role: 'user', content: userMessage }],
-    }),
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
   });
 
   if (!response.ok) {
-    throw new Error(`Claude API error: ${response.status}`);
+    const errData = await response.json().catch(() => ({}));
+    throw new Error(errData.error || `Claude API error: ${response.status}`);
   }
 
   const data = await response.json();
@@ -189,7 +191,7 @@ function generateLocalBriefing(data) {
     briefing += `⚠️ Account health critical — immediate action required. `;
   }
 
-  briefing += `Blended ROAS at ${ins.roas?.toFixed(2) || '—'}× with $${ins.spend?.toFixed(0) || '0'} spend. `;
+  briefing += `Blended ROAS at ${ins.roas?.toFixed(2) || '—'}× with ${currencySymbol(data.currency)}${ins.spend?.toFixed(0) || '0'} spend. `;
   briefing += `${summary.adSetsExitedLearning}/${summary.totalAdSets} ad sets have exited learning phase.\n\n`;
 
   briefing += `**Signal Summary:** ${summary.killCount} Kill · ${summary.scaleCount} Scale · ${summary.iterateCount} Iterate · ${summary.newConceptCount} New Concept\n\n`;
@@ -260,8 +262,8 @@ function generateLocalAnomalyExplanation(metric, current, historical) {
  * @returns {Promise<string>} Assistant response text
  */
 export async function sendChatMessage(messages, processedData) {
-  if (!_apiKey) {
-    return 'I need an Anthropic API key to respond. Please add your key in the **Settings** tab under "Claude API Key".';
+  if (!(await claudeAvailable())) {
+    return 'I need an Anthropic API key to respond. Please add your key in the **Settings** tab under "Anthropic API Key".';
   }
 
   const ins = processedData?.accountInsights || {};
@@ -270,13 +272,14 @@ export async function sendChatMessage(messages, processedData) {
   const budgetAnalysis = processedData?.budgetAnalysis || {};
   const actions = processedData?.actions || [];
   const campaigns = processedData?.campaigns || [];
+  const symbol = currencySymbol(processedData?.currency);
 
   const campaignVerdicts = campaigns.slice(0, 10).map(c =>
-    `- ${c.name}: ${c.verdict || 'N/A'} | ROAS ${c.roas?.toFixed(2) || '—'}× | CPA $${c.cpa?.toFixed(2) || '—'} | Spend $${c.spend?.toFixed(2) || '—'}`
+    `- ${c.name}: ${c.verdict || 'N/A'} | ROAS ${c.roas?.toFixed(2) || '—'}× | CPA ${symbol}${c.cpa?.toFixed(2) || '—'} | Spend ${symbol}${c.spend?.toFixed(2) || '—'}`
   ).join('\n');
 
   const topActions = actions.slice(0, 5).map((a, i) =>
-    `${i + 1}. [${a.signal}] ${a.entityName}: ${a.reason}`
+    `${i + 1}. [${a.signal}] ${a.entityName}: ${a.reason}${confidenceNote(a)}`
   ).join('\n');
 
   const chatSystemPrompt = `${SYSTEM_PROMPT}
@@ -285,16 +288,18 @@ You are the user's personal Meta Ads advisor. Answer their questions using the l
 
 ── LIVE ACCOUNT DATA ──
 Health Score: ${processedData?.overallHealth ?? '—'}/100
-Total Spend (7d): $${ins.spend?.toFixed(2) || '—'}
+Currency: ${processedData?.currency || 'USD'}
+Total Spend (7d): ${symbol}${ins.spend?.toFixed(2) || '—'}
 Blended ROAS: ${ins.roas?.toFixed(2) || '—'}×
-Blended CPA: $${ins.cpa?.toFixed(2) || '—'}
+Blended CPA: ${symbol}${ins.cpa?.toFixed(2) || '—'}
 CTR: ${ins.ctr?.toFixed(2) || '—'}%
-CPM: $${ins.cpm?.toFixed(2) || '—'}
+CPM: ${symbol}${ins.cpm?.toFixed(2) || '—'}
 Conversions: ${ins.conversions ?? '—'}
 Impressions: ${ins.impressions ?? '—'}
+Attribution Window: ${getAttributionWindowLabel(processedData?.attributionWindow)}
 
 ── SIGNALS ──
-Kill: ${summary.killCount ?? 0} | Scale: ${summary.scaleCount ?? 0} | Iterate: ${summary.iterateCount ?? 0} | New Concept: ${summary.newConceptCount ?? 0}
+Kill: ${summary.killCount ?? 0} | Scale: ${summary.scaleCount ?? 0} | Iterate: ${summary.iterateCount ?? 0} | New Concept: ${summary.newConceptCount ?? 0} | Held back for insufficient data: ${summary.insufficientDataCount ?? 0}
 Ad Sets Exited Learning: ${summary.adSetsExitedLearning ?? '—'}/${summary.totalAdSets ?? '—'}
 
 ── TOP ACTIONS ──
@@ -307,31 +312,14 @@ ${campaignVerdicts || 'No campaign data available.'}
 Prospecting: ${budgetAnalysis.prospectingPct ?? '—'}% | Retargeting: ${budgetAnalysis.retargetingPct ?? '—'}% | Testing: ${budgetAnalysis.testingPct ?? '—'}%
 
 ── THRESHOLDS ──
-Target CPA: $${thresholds.targetCPA ?? '—'} | Target ROAS: ${thresholds.targetROAS ?? '—'}× | Max Frequency: ${thresholds.maxFrequency ?? '—'}`;
+Target CPA: ${symbol}${thresholds.targetCPA ?? '—'} | Target ROAS: ${thresholds.targetROAS ?? '—'}× | Max Frequency: ${thresholds.maxFrequency ?? '—'}`;
 
   try {
-    const response = await fetch(ANTHROPIC_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': _apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true',
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2048,
-        system: chatSystemPrompt,
-        messages,
-      }),
+    return await proxyMessages({
+      max_tokens: 2048,
+      system: chatSystemPrompt,
+      messages,
     });
-
-    if (!response.ok) {
-      throw new Error(`Claude API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data.content?.[0]?.text || 'No response generated.';
   } catch (err) {
     console.error('Chat API error:', err);
     return `Sorry, I couldn't process that request. Error: ${err.message}`;
@@ -339,7 +327,7 @@ Target CPA: $${thresholds.targetCPA ?? '—'} | Target ROAS: ${thresholds.target
 }
 
 export default {
-  configureClaudeAPI,
+  hasClaudeKey,
   generateDailyBriefing,
   generateCreativeBrief,
   explainAnomaly,
@@ -11,6 +11,10 @@
  */
 
 import cache, { TTL } from '../utils/cache.js';
+import { resolveDateRange, getComparisonRange, metaCurrencyOffset } from '../utils/normalize.js';
+import { extractConversions, resolveConversionMapping, findAction } from '../utils/conversions.js';
+import { generateScenarioAccount, createRng, hashSeed } from './scenarioEngine.js';
+import { SCENARIOS } from './scenarios.js';
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 
@@ -23,39 +27,42 @@ const STORAGE_KEY = 'gomarble_config';
 function loadSavedConfig() {
   try {
     const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved) {
-      const parsed = JSON.parse(saved);
-      // Migrate: narrow defaults to last_90d for accounts with sparse data
-      if (parsed.datePreset === 'last_7d' || parsed.datePreset === 'last_30d') {
-        parsed.datePreset = 'last_90d';
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(parsed));
-      }
-      return parsed;
-    }
+    if (saved) return JSON.parse(saved);
   } catch { /* ignore parse errors */ }
   return null;
 }
 
 const savedConfig = loadSavedConfig();
 
-const envApiKey = import.meta.env.VITE_GOMARBLE_API_KEY || null;
-const resolvedApiKey = savedConfig?.apiKey || envApiKey || null;
-
-// Auto-detect mode: if API key exists, default to 'direct' instead of 'mock'
-const resolvedMode = savedConfig?.mode || (resolvedApiKey ? 'direct' : 'mock');
-
+// The GoMarble key lives on the bridge (see services/secrets.js). Until a mode is saved, start on
+// demo data; the app switches to direct once the bridge reports a key (see App.jsx).
 let _config = {
-  mode: resolvedMode,
-  apiKey: resolvedApiKey,
+  mode: savedConfig?.mode || 'mock',
   accountId: savedConfig?.accountId || import.meta.env.VITE_GOMARBLE_ACCOUNT_ID || null,
   datePreset: savedConfig?.datePreset || 'last_90d',
+  // Only used when datePreset === 'custom': { since: 'YYYY-MM-DD', until: 'YYYY-MM-DD' }
+  timeRange: savedConfig?.timeRange || null,
+  // 'none' | 'previous_period' | 'previous_year'
+  comparison: savedConfig?.comparison || 'none',
+  // Opt-in: fabricate daily series from period averages when Meta returns no daily rows
+  syntheticDaily: savedConfig?.syntheticDaily ?? false,
+  // Replay mode: name of the recorded fixture to serve responses from
+  fixture: savedConfig?.fixture || null,
+  // Mock mode: scenario to generate (null = each demo account's own) and its seed
+  scenario: savedConfig?.scenario || null,
+  scenarioSeed: savedConfig?.scenarioSeed ?? 1,
   mcpServerUrl: GOMARBLE_SSE_ENDPOINT,
 };
 
 if (savedConfig) {
   console.log(`[GoMarble] Restored config: mode=${_config.mode}, account=${_config.accountId || 'none'}, datePreset=${_config.datePreset}`);
-} else if (resolvedApiKey) {
-  console.log(`[GoMarble] Auto-detected API key, using direct mode`);
+}
+
+/**
+ * Whether the data source was chosen (and saved) rather than defaulted.
+ */
+export function hasSavedMode() {
+  return !!loadSavedConfig()?.mode;
 }
 
 export function configureGoMarble(overrides) {
@@ -64,9 +71,14 @@ export function configureGoMarble(overrides) {
   try {
     localStorage.setItem(STORAGE_KEY, JSON.stringify({
       mode: _config.mode,
-      apiKey: _config.apiKey,
       accountId: _config.accountId,
       datePreset: _config.datePreset,
+      timeRange: _config.timeRange,
+      comparison: _config.comparison,
+      syntheticDaily: _config.syntheticDaily,
+      fixture: _config.fixture,
+      scenario: _config.scenario,
+      scenarioSeed: _config.scenarioSeed,
     }));
   } catch { /* ignore storage errors */ }
   cache.clear();
@@ -76,19 +88,39 @@ export function getConfig() {
   return { ..._config };
 }
 
+/**
+ * Whether responses come from a real ad account right now (not demo data or a replayed fixture).
+ */
+export function isLiveMode() {
+  return _config.mode === 'mcp' || _config.mode === 'direct';
+}
+
 // ─── MCP Call Wrapper ────────────────────────────────────────────────────────
 
 /**
  * Execute a GoMarble MCP tool call.
- * Routes through the configured mode (mock / mcp / direct).
+ * Routes through the configured mode (mock / replay / mcp / direct).
  */
 async function mcpCall(toolName, params = {}) {
   const cacheKey = cache.makeKey(toolName, params);
   const ttl = getTTLForTool(toolName);
+  // Live responses also go to IndexedDB so a reload doesn't repeat every MCP call.
+  // Mock and replay data is local and cheap, so it stays in memory.
+  const persist = isLiveMode();
 
   // Check cache first
   const cached = cache.get(cacheKey);
-  if (cached) return cached;
+  if (cached) {
+    if (persist) reportCacheHit(toolName, params);
+    return cached;
+  }
+  if (persist) {
+    const entry = await cache.getEntry(cacheKey);
+    if (entry) {
+      reportCacheHit(toolName, params);
+      return entry.value;
+    }
+  }
 
   let result;
 
@@ -96,6 +128,9 @@ async function mcpCall(toolName, params = {}) {
     case 'mock':
       result = await getMockData(toolName, params);
       break;
+    case 'replay':
+      result = await getReplayData(toolName, params);
+      break;
     case 'mcp':
       result = await executeMCPTool(toolName, params);
       break;
@@ -106,8 +141,9 @@ async function mcpCall(toolName, params = {}) {
       throw new Error(`Unknown GoMarble mode: ${_config.mode}`);
   }
 
-  // Cache the result
-  cache.set(cacheKey, result, ttl);
+  // Cache the result — but not a tool error, so the next refresh tries again
+  if (typeof result?.data === 'string') return result;
+  cache.set(cacheKey, result, ttl, { persist, accountId: params.act_id || params.account_id || null, tool: toolName });
   return result;
 }
 
@@ -132,7 +168,8 @@ async function executeDirectCall(toolName, params) {
       const response = await fetch(`${MCP_BRIDGE_BASE}/tool`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: toolName, arguments: params }),
+        // Only reached on a cache miss; the bridge's call log records it as one
+        body: JSON.stringify({ name: toolName, arguments: params, cache: 'miss' }),
       });
 
       if (!response.ok) {
@@ -142,7 +179,7 @@ async function executeDirectCall(toolName, params) {
         // If session error on first attempt, trigger reconnect and retry
         if (attempt === 0 && (errMsg.includes('transport') || errMsg.includes('session') || errMsg.includes('Session'))) {
           console.log(`[GoMarble] Session error — triggering reconnect...`);
-          await fetch(`${MCP_BRIDGE_BASE}/reconnect`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ apiKey: _config.apiKey }) }).catch(() => {});
+          await fetch(`${MCP_BRIDGE_BASE}/reconnect`, { method: 'POST' }).catch(() => {});
           continue;
         }
 
@@ -157,7 +194,7 @@ async function executeDirectCall(toolName, params) {
     } catch (err) {
       if (attempt === 0) {
         console.warn(`[GoMarble] ${toolName} attempt 1 failed: ${err.message}. Retrying...`);
-        await fetch(`${MCP_BRIDGE_BASE}/reconnect`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ apiKey: _config.apiKey }) }).catch(() => {});
+        await fetch(`${MCP_BRIDGE_BASE}/reconnect`, { method: 'POST' }).catch(() => {});
         continue;
       }
       // Final attempt failed — propagate error so UI can show it
@@ -167,6 +204,26 @@ async function executeDirectCall(toolName, params) {
   }
 }
 
+// Cache hits never reach the bridge, so they're reported to its call log in batches
+const CACHE_HIT_FLUSH_MS = 2000;
+let _pendingHits = [];
+let _hitFlushTimer = null;
+
+function reportCacheHit(toolName, params) {
+  _pendingHits.push({ tool: toolName, args: params, at: new Date().toISOString() });
+  if (_hitFlushTimer) return;
+  _hitFlushTimer = setTimeout(() => {
+    const hits = _pendingHits;
+    _pendingHits = [];
+    _hitFlushTimer = null;
+    fetch(`${MCP_BRIDGE_BASE}/log`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hits }),
+    }).catch(() => { /* the log is best-effort */ });
+  }, CACHE_HIT_FLUSH_MS);
+}
+
 /**
  * Determine TTL based on the tool type
  */
@@ -183,6 +240,14 @@ const INSIGHT_FIELDS = [
   'reach', 'frequency', 'actions', 'action_values', 'cost_per_action_type', 'purchase_roas',
 ];
 
+// Conversion windows requested alongside the account default (7-day click + 1-day view).
+// Each action then carries a per-window value, e.g. { action_type, value, '1d_click', '7d_click', '1d_view' }.
+const ATTRIBUTION_WINDOWS = ['1d_click', '7d_click', '1d_view'];
+
+// Video fields for hook/hold rate — only requested at ad level.
+// 3-second views arrive as the `video_view` action; thruplays (15s or complete) stand in for 15s views.
+const VIDEO_FIELDS = ['video_play_actions', 'video_thruplay_watched_actions', 'video_p25_watched_actions'];
+
 // ─── Account-Level Endpoints ─────────────────────────────────────────────────
 // GoMarble tool names are prefixed: facebook_list_ad_accounts, facebook_get_details_of_ad_account, etc.
 
@@ -193,6 +258,31 @@ export async function listAdAccounts() {
   return mcpCall('facebook_list_ad_accounts');
 }
 
+// Meta's numeric account_status codes
+const ACCOUNT_STATUS = {
+  1: 'ACTIVE', 2: 'DISABLED', 3: 'UNSETTLED', 7: 'PENDING_RISK_REVIEW', 8: 'PENDING_SETTLEMENT',
+  9: 'IN_GRACE_PERIOD', 100: 'PENDING_CLOSURE', 101: 'CLOSED',
+};
+
+/**
+ * List accessible ad accounts as [{ id, name, currency, timezone, status }].
+ * Ids are normalized to the `act_` form the insights tools expect.
+ */
+export async function fetchAdAccounts() {
+  const result = await listAdAccounts();
+  const rows = Array.isArray(result) ? result : (result?.data || result?.accounts || []);
+  return rows.map(a => {
+    const rawId = String(a.id || a.account_id || '');
+    return {
+      id: rawId.startsWith('act_') ? rawId : `act_${rawId}`,
+      name: a.name || rawId,
+      currency: a.currency || null,
+      timezone: a.timezone || a.timezone_name || null,
+      status: a.status || ACCOUNT_STATUS[a.account_status] || null,
+    };
+  });
+}
+
 /**
  * Get details for a specific ad account
  */
@@ -328,60 +418,128 @@ export async function getAdCreativeDetails(creativeId) {
 // ─── Batch / Aggregate Fetchers ──────────────────────────────────────────────
 
 /**
- * Fetch account/campaign/adset insights in parallel for a given date preset.
+ * Fetch account/campaign/adset/ad insights in parallel for a given date preset.
+ * Each level is requested twice: once aggregated over the period, and once with
+ * time_increment=1 so trend rules and charts run on real day-by-day rows.
  */
-async function fetchInsightsByLevel(accountId, datePreset) {
-  const [accountResult, campaignResult, adsetResult] = await Promise.all([
-    mcpCall('facebook_get_adaccount_insights', {
-      act_id: accountId,
-      fields: INSIGHT_FIELDS,
-      date_preset: datePreset,
-      level: 'account',
-    }),
+async function fetchInsightsByLevel(accountId, period, { daily = true } = {}) {
+  const range = periodParams(period);
+  const levels = [
+    { level: 'account', fields: INSIGHT_FIELDS },
+    { level: 'campaign', fields: [...INSIGHT_FIELDS, 'campaign_id', 'campaign_name'] },
+    { level: 'adset', fields: [...INSIGHT_FIELDS, 'adset_id', 'adset_name', 'campaign_id', 'campaign_name'] },
+    { level: 'ad', fields: [...INSIGHT_FIELDS, ...VIDEO_FIELDS, 'ad_id', 'ad_name', 'adset_id', 'adset_name', 'campaign_id', 'campaign_name'] },
+  ];
+
+  const results = await Promise.all(levels.flatMap(({ level, fields }) => [
     mcpCall('facebook_get_adaccount_insights', {
       act_id: accountId,
-      fields: [...INSIGHT_FIELDS, 'campaign_id', 'campaign_name'],
-      date_preset: datePreset,
-      level: 'campaign',
+      fields,
+      ...range,
+      level,
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
     }),
-    mcpCall('facebook_get_adaccount_insights', {
+    daily ? mcpCall('facebook_get_adaccount_insights', {
       act_id: accountId,
-      fields: [...INSIGHT_FIELDS, 'adset_id', 'adset_name', 'campaign_id', 'campaign_name'],
-      date_preset: datePreset,
-      level: 'adset',
-    }),
-  ]);
+      fields,
+      ...range,
+      level,
+      time_increment: 1,
+      action_attribution_windows: ATTRIBUTION_WINDOWS,
+    }) : null,
+  ]));
+
+  // results are [aggregate, daily] pairs in the same order as `levels`.
+  // A tool error comes back as text instead of rows (e.g. Meta's "reduce the amount of data"
+  // on the daily ad-level call); that level is treated as having no rows — for daily rows its
+  // entities fall back to dailySource 'none' — rather than failing the whole refresh.
+  const rowsFor = (level, isDaily = false) => {
+    const idx = levels.findIndex(l => l.level === level) * 2 + (isDaily ? 1 : 0);
+    const data = results[idx]?.data;
+    if (data != null && !Array.isArray(data)) {
+      console.warn(`[GoMarble] ${level}${isDaily ? ' daily' : ''} insights failed: ${String(data).slice(0, 200)}`);
+      return [];
+    }
+    return data || [];
+  };
+
   return {
-    accountRows: accountResult?.data || [],
-    campaignRows: campaignResult?.data || [],
-    adsetRows: adsetResult?.data || [],
+    accountRows: rowsFor('account'),
+    campaignRows: rowsFor('campaign'),
+    adsetRows: rowsFor('adset'),
+    adRows: rowsFor('ad'),
+    accountDaily: groupDailyRows(rowsFor('account', true), () => 'account'),
+    campaignDaily: groupDailyRows(rowsFor('campaign', true), row => row.campaign_id),
+    adsetDaily: groupDailyRows(rowsFor('adset', true), row => row.adset_id),
+    adDaily: groupDailyRows(rowsFor('ad', true), row => row.ad_id),
   };
 }
 
+/**
+ * The configured analysis period, in the shape fetchInsightsByLevel / periodParams expect.
+ */
+function currentPeriod() {
+  const datePreset = _config.datePreset || 'last_90d';
+  return datePreset === 'custom' && _config.timeRange
+    ? { timeRange: _config.timeRange }
+    : { datePreset };
+}
+
+/**
+ * Insights API date params for a period: a Meta date_preset, or an explicit time_range.
+ * @param {{datePreset?: string, timeRange?: {since: string, until: string}}} period
+ */
+function periodParams(period) {
+  if (period.timeRange) return { time_range: { since: period.timeRange.since, until: period.timeRange.until } };
+  return { date_preset: period.datePreset };
+}
+
+/**
+ * Group time_increment=1 insight rows by entity and sort each series by date.
+ * @param {Array<object>} rows - Daily insights rows from GoMarble
+ * @param {(row: object) => string} keyFn - Extracts the entity id from a row
+ * @returns {Object<string, Array<object>>} Rows keyed by entity id
+ */
+function groupDailyRows(rows, keyFn) {
+  const grouped = {};
+  (rows || []).forEach(row => {
+    const key = keyFn(row);
+    if (key == null) return;
+    if (!grouped[key]) grouped[key] = [];
+    grouped[key].push(row);
+  });
+  Object.values(grouped).forEach(series => {
+    series.sort((a, b) => (a.date_start || '').localeCompare(b.date_start || ''));
+  });
+  return grouped;
+}
+
 /**
  * Fetch full account data using GoMarble's insights API with level breakdowns.
- * Uses 3 parallel calls (account / campaign / adset level) instead of nested per-entity calls.
+ * Uses level-wide calls (account / campaign / adset / ad, aggregate + daily) instead of nested per-entity calls.
  */
-export async function fetchFullAccountData(accountId = _config.accountId) {
+export async function fetchFullAccountData(accountId = _config.accountId, { autoWiden = true } = {}) {
   if (_config.mode === 'mock') {
     return fetchFullAccountDataMock(accountId);
   }
 
   const datePreset = _config.datePreset || 'last_90d';
-  console.log(`[GoMarble] Fetching full account data for ${accountId} (${datePreset})...`);
+  const period = currentPeriod();
+  const isCustom = !!period.timeRange;
+  const snapshotKey = accountDataKey(accountId);
+  console.log(`[GoMarble] Fetching full account data for ${accountId} (${isCustom ? `${_config.timeRange.since}..${_config.timeRange.until}` : datePreset})...`);
 
-  let { accountRows, campaignRows, adsetRows } = await fetchInsightsByLevel(accountId, datePreset);
+  let levelData = await fetchInsightsByLevel(accountId, period);
 
-  // Auto-widen: if selected range returned empty, try last_30d then last_90d
-  if (accountRows.length === 0) {
+  // Auto-widen: if a preset range returned empty, try last_30d then last_90d.
+  // Custom ranges were picked explicitly, so they're never widened.
+  if (levelData.accountRows.length === 0 && !isCustom && autoWiden) {
     const fallbacks = ['last_30d', 'last_90d'].filter(p => p !== datePreset);
     for (const fallback of fallbacks) {
       console.log(`[GoMarble] No data for ${datePreset}, trying ${fallback}...`);
-      const wider = await fetchInsightsByLevel(accountId, fallback);
+      const wider = await fetchInsightsByLevel(accountId, { datePreset: fallback });
       if (wider.accountRows.length > 0) {
-        accountRows = wider.accountRows;
-        campaignRows = wider.campaignRows;
-        adsetRows = wider.adsetRows;
+        levelData = wider;
         // Update config so subsequent calls use the working range
         _config.datePreset = fallback;
         console.log(`[GoMarble] Found data with ${fallback}`);
@@ -390,12 +548,28 @@ export async function fetchFullAccountData(accountId = _config.accountId) {
     }
   }
 
+  const { accountRows, campaignRows, adsetRows, adRows, accountDaily, campaignDaily, adsetDaily, adDaily } = levelData;
   const isEmpty = accountRows.length === 0 && campaignRows.length === 0;
 
-  console.log(`[GoMarble] Got ${accountRows.length} account, ${campaignRows.length} campaign, ${adsetRows.length} adset rows${isEmpty ? ' (EMPTY — try a longer date range)' : ''}`);
+  console.log(`[GoMarble] Got ${accountRows.length} account, ${campaignRows.length} campaign, ${adsetRows.length} adset, ${adRows.length} ad rows${isEmpty ? ' (EMPTY — try a longer date range)' : ''}`);
 
   // Transform GoMarble response into the structure our dashboard expects
-  const accountInsights = accountRows.length > 0 ? transformInsights(accountRows[0]) : null;
+  const accountInsights = accountRows.length > 0 ? transformInsights(accountRows[0], accountDaily.account) : null;
+
+  // Group ads by ad set
+  const adsByAdSet = {};
+  adRows.forEach(row => {
+    const asid = row.adset_id;
+    if (!adsByAdSet[asid]) adsByAdSet[asid] = [];
+    adsByAdSet[asid].push({
+      id: row.ad_id,
+      name: row.ad_name,
+      status: null, // no ad details tool — delivery is inherited from the ad set
+      adset_id: row.adset_id,
+      campaign_id: row.campaign_id,
+      insights: transformInsights(row, adDaily[row.ad_id]),
+    });
+  });
 
   // Group ad sets by campaign
   const adsetsByCampaign = {};
@@ -405,10 +579,10 @@ export async function fetchFullAccountData(accountId = _config.accountId) {
     adsetsByCampaign[cid].push({
       id: row.adset_id,
       name: row.adset_name,
-      status: 'ACTIVE',
+      status: null, // hydrated from facebook_get_adset_details below
       campaign_id: row.campaign_id,
-      insights: transformInsights(row),
-      ads: [], // GoMarble doesn't have per-ad breakdown in insights — leave empty
+      insights: transformInsights(row, adsetDaily[row.adset_id]),
+      ads: adsByAdSet[row.adset_id] || [],
     });
   });
 
@@ -416,35 +590,230 @@ export async function fetchFullAccountData(accountId = _config.accountId) {
   const campaigns = campaignRows.map(row => ({
     id: row.campaign_id,
     name: row.campaign_name,
-    status: 'ACTIVE',
-    objective: 'OUTCOME_SALES',
+    status: null, // hydrated from facebook_get_campaign_details below
+    objective: null,
     daily_budget: null,
-    insights: transformInsights(row),
+    insights: transformInsights(row, campaignDaily[row.campaign_id]),
     adSets: adsetsByCampaign[row.campaign_id] || [],
   }));
 
-  return {
-    account: {
-      id: accountId,
-      name: accountRows[0]?.account_name || accountId,
-      insights: accountInsights,
-    },
+  const detailsRequest = getAccountDetails(accountId).catch(err => {
+    console.warn(`[GoMarble] Account details failed, currency unknown: ${err.message}`);
+    return null;
+  });
+  // Budgets are in the currency's minor unit, so entity metadata waits for the currency
+  const [details] = await Promise.all([
+    detailsRequest,
+    hydrateEntityMetadata(campaigns, accountId, detailsRequest.then(d => accountInfoOf(d).currency || null)),
+  ]);
+  const accountInfo = accountInfoOf(details);
+
+  const account = {
+    id: accountId,
+    name: accountInfo.name || accountRows[0]?.account_name || accountId,
+    currency: accountInfo.currency || null,
+    timezone: accountInfo.timezone_name || accountInfo.timezone || null,
+    insights: accountInsights,
+  };
+
+  // Compare against the period Meta reports for the rows above; without rows, resolve the preset
+  // in the account's time zone, as Meta does
+  const reported = accountRows[0];
+  const currentRange = reported?.date_start && reported?.date_stop
+    ? { since: reported.date_start, until: reported.date_stop }
+    : resolveDateRange(_config.datePreset, _config.timeRange, { timeZone: account.timezone });
+  const comparisonRange = getComparisonRange(currentRange, _config.comparison, _config.datePreset);
+  if (comparisonRange && !isEmpty) {
+    console.log(`[GoMarble] Fetching comparison period ${comparisonRange.since}..${comparisonRange.until}...`);
+    const previous = await fetchInsightsByLevel(accountId, { timeRange: comparisonRange }, { daily: false });
+    attachComparisonInsights(account, campaigns, previous);
+  }
+
+  const result = {
+    account,
     campaigns,
     isEmpty,
     datePreset: _config.datePreset,
+    period: { datePreset: _config.datePreset, ...currentRange },
+    comparison: comparisonRange ? { mode: _config.comparison, ...comparisonRange } : null,
     fetchedAt: new Date().toISOString(),
   };
+  // Whole-account snapshot for stale-while-revalidate on the next load
+  if (isLiveMode() && !isEmpty) {
+    cache.set(snapshotKey, result, TTL.INSIGHTS_REALTIME, { persist: true, accountId, tool: ACCOUNT_SNAPSHOT_TOOL });
+  }
+  return result;
+}
+
+// Pseudo tool name for whole-account snapshots in the cache (shows up in the cache inspector)
+const ACCOUNT_SNAPSHOT_TOOL = 'account_snapshot';
+
+function accountDataKey(accountId) {
+  return cache.makeKey(ACCOUNT_SNAPSHOT_TOOL, { act_id: accountId, comparison: _config.comparison, ...periodParams(currentPeriod()) });
 }
 
 /**
- * Transform a GoMarble insights row into our normalized format.
+ * The last full account fetch for the current period, even if it's past its TTL.
+ * Render it immediately (with its cachedAt as an "as of" time) while fetchFullAccountData revalidates.
+ * @returns {Promise<{ data: object, cachedAt: number, stale: boolean } | null>} null in mock/replay mode or on a miss
+ */
+export async function getCachedAccountData(accountId = _config.accountId) {
+  if (!isLiveMode() || !accountId) return null;
+  const entry = await cache.getEntry(accountDataKey(accountId), { allowStale: true });
+  return entry ? { data: entry.value, cachedAt: entry.cachedAt, stale: entry.stale } : null;
+}
+
+/**
+ * Cache inspector hooks for Settings: stats for both tiers, and invalidation by account or tool.
+ */
+export function getCacheStats() {
+  return cache.stats();
+}
+
+export async function invalidateCache({ accountId, tool } = {}) {
+  if (accountId) await cache.invalidateAccount(accountId);
+  else if (tool) await cache.invalidateTool(tool);
+  else await cache.clear({ persistent: true });
+}
+
+/**
+ * Attach previous-period aggregates to every entity in the hierarchy as `comparisonInsights`.
+ * Entities that didn't run in the comparison period get null.
+ */
+function attachComparisonInsights(account, campaigns, previous) {
+  const indexBy = (rows, key) => Object.fromEntries(rows.map(r => [r[key], r]));
+  const campaignPrev = indexBy(previous.campaignRows, 'campaign_id');
+  const adsetPrev = indexBy(previous.adsetRows, 'adset_id');
+  const adPrev = indexBy(previous.adRows, 'ad_id');
+  const parse = (row) => (row ? parseInsightsRow(row) : null);
+
+  account.comparisonInsights = parse(previous.accountRows[0]);
+  campaigns.forEach(campaign => {
+    campaign.comparisonInsights = parse(campaignPrev[campaign.id]);
+    campaign.adSets.forEach(adSet => {
+      adSet.comparisonInsights = parse(adsetPrev[adSet.id]);
+      adSet.ads.forEach(ad => {
+        ad.comparisonInsights = parse(adPrev[ad.id]);
+      });
+    });
+  });
+}
+
+function accountInfoOf(details) {
+  return details?.data?.[0] || details?.data || details || {};
+}
+
+/**
+ * Merge campaign and ad set configuration (delivery status, budgets, bid strategy,
+ * optimization goal, objective) into the insights-derived hierarchy.
+ * A failed detail call leaves that entity's metadata unknown rather than failing the refresh.
+ * @param {Promise<string|null>} currencyRequest - the account currency, for budget units
+ */
+async function hydrateEntityMetadata(campaigns, accountId, currencyRequest) {
+  const adSets = campaigns.flatMap(c => c.adSets);
+  const [campaignDetails, adSetDetails, currency] = await Promise.all([
+    Promise.allSettled(campaigns.map(c => getCampaignDetails(c.id, accountId))),
+    Promise.allSettled(adSets.map(as => getAdSetDetails(as.id, accountId))),
+    currencyRequest,
+  ]);
+
+  const failed = [...campaignDetails, ...adSetDetails].filter(r => r.status === 'rejected').length;
+  if (failed > 0) {
+    console.warn(`[GoMarble] ${failed} entity detail call(s) failed — status/budget unknown for those entities`);
+  }
+
+  campaigns.forEach((campaign, i) => Object.assign(campaign, extractEntityMetadata(campaignDetails[i], currency)));
+  adSets.forEach((adSet, i) => Object.assign(adSet, extractEntityMetadata(adSetDetails[i], currency)));
+}
+
+/**
+ * Pull the metadata fields we care about out of a settled details call.
+ * Meta reports budgets in the currency's minor unit (cents; whole yen, won, pesos…) as strings,
+ * with "0" for unused budget types.
+ * @param {PromiseSettledResult<object>} settled
+ * @param {string|null} currency - account currency; USD-style cents when unknown
+ * @returns {object} Only the fields present in the response
+ */
+function extractEntityMetadata(settled, currency) {
+  if (settled.status !== 'fulfilled' || !settled.value) return {};
+  const raw = settled.value;
+  const detail = Array.isArray(raw.data) ? raw.data[0] || {} : raw.data || raw;
+
+  const offset = metaCurrencyOffset(currency || 'USD');
+  const parseBudget = (v) => (v == null || v === '' || Number(v) === 0 ? null : Number(v) / offset);
+  const metadata = {
+    status: detail.effective_status || detail.status,
+    configured_status: detail.configured_status || detail.status,
+    objective: detail.objective,
+    daily_budget: parseBudget(detail.daily_budget),
+    lifetime_budget: parseBudget(detail.lifetime_budget),
+    budget_remaining: parseBudget(detail.budget_remaining),
+    bid_strategy: detail.bid_strategy,
+    optimization_goal: detail.optimization_goal,
+  };
+  return Object.fromEntries(Object.entries(metadata).filter(([, v]) => v != null));
+}
+
+/**
+ * Transform a GoMarble insights row into our normalized format, attaching the
+ * entity's day-by-day series. Daily rows come from the time_increment=1 pass;
+ * synthetic days are only generated when the user has opted in, and are flagged
+ * via `dailySource` so charts and trend rules can tell them apart.
+ * @param {object} row - Aggregated insights row from GoMarble API
+ * @param {Array<object>} [dailyRows] - Same entity's time_increment=1 rows, sorted by date
+ * @returns {object|null} Normalized insights object
+ */
+function transformInsights(row, dailyRows = []) {
+  if (!row) return null;
+
+  const insights = parseInsightsRow(row);
+
+  let daily = [];
+  let dailySource = 'none';
+  if (dailyRows?.length > 0) {
+    daily = dailyRows.map(d => toDailyPoint(parseInsightsRow(d)));
+    dailySource = 'meta';
+  } else if (_config.syntheticDaily) {
+    // Determine date range days for synthetic daily breakdown
+    const days = getDaysBetween(row.date_start, row.date_stop) || 7;
+    daily = generateSyntheticDaily(days, insights);
+    dailySource = 'synthetic';
+  }
+
+  return { ...insights, daily, dailySource };
+}
+
+/**
+ * Reduce a parsed insights row to the fields tracked per day.
+ */
+function toDailyPoint(parsed) {
+  return {
+    date: parsed.date_start,
+    spend: parsed.spend,
+    impressions: parsed.impressions,
+    clicks: parsed.clicks,
+    reach: parsed.reach,
+    conversions: parsed.conversions,
+    revenue: parsed.revenue,
+    ctr: parsed.ctr,
+    cpm: parsed.cpm,
+    roas: parsed.roas,
+    cpa: parsed.cpa,
+    attribution: parsed.attribution,
+    actions: parsed.actions,
+    action_values: parsed.action_values,
+    cost_per_action_type: parsed.cost_per_action_type,
+  };
+}
+
+/**
+ * Parse a single GoMarble insights row (aggregated or daily).
  * Handles both ecommerce (purchase/ROAS) and lead gen (link_click, landing_page_view) accounts.
  * All numeric fields from GoMarble come as strings — parse them safely.
  * @param {object} row - Raw insights row from GoMarble API
- * @returns {object|null} Normalized insights object
+ * @returns {object} Parsed metrics
  */
-function transformInsights(row) {
-  if (!row) return null;
+function parseInsightsRow(row) {
 
   const spend = parseFloat(row.spend) || 0;
   const impressions = parseInt(row.impressions) || 0;
@@ -455,80 +824,35 @@ function transformInsights(row) {
   // Extract conversions from actions array (GoMarble returns action_type/value pairs)
   const actions = Array.isArray(row.actions) ? row.actions : [];
 
-  // Purchase conversions (ecommerce)
-  const purchaseAction = actions.find(a =>
-    a.action_type === 'purchase' || a.action_type === 'offsite_conversion.fb_pixel_purchase'
-  );
-  const purchases = purchaseAction ? parseInt(purchaseAction.value) || 0 : 0;
-
-  // Lead conversions
-  const leadAction = actions.find(a =>
-    a.action_type === 'lead' || a.action_type === 'offsite_conversion.fb_pixel_lead'
-  );
-  const leads = leadAction ? parseInt(leadAction.value) || 0 : 0;
-
-  // Lead gen fallback: use landing_page_view or link_click as conversion proxy
-  const landingPageAction = actions.find(a => a.action_type === 'landing_page_view');
-  const linkClickAction = actions.find(a => a.action_type === 'link_click');
-  const landingPageViews = landingPageAction ? parseInt(landingPageAction.value) || 0 : 0;
-  const linkClicks = linkClickAction ? parseInt(linkClickAction.value) || 0 : 0;
-
-  // Use the best available conversion metric
-  const totalConversions = purchases || leads || landingPageViews || 0;
-
-  // Revenue: try purchase_roas first, then action_values, then compute from data
-  let roas = row.purchase_roas ? parseFloat(Array.isArray(row.purchase_roas) ? row.purchase_roas[0]?.value : row.purchase_roas) : null;
-  let revenue = 0;
-
-  // If purchase_roas is null, try to get revenue from action_values
-  const actionValues = row.action_values || [];
-  const purchaseValue = actionValues.find(a => a.action_type === 'purchase' || a.action_type === 'offsite_conversion.fb_pixel_purchase');
-  if (purchaseValue) {
-    revenue = parseFloat(purchaseValue.value) || 0;
-    if (!roas && revenue > 0 && spend > 0) roas = revenue / spend;
-  } else if (roas && spend) {
-    revenue = spend * roas;
-  }
+  // Conversions, value, CPA and ROAS under the default mapping (purchase → lead → landing page view).
+  // Accounts with their own mapping are re-derived from the preserved action arrays in normalizeInsights.
+  const { conversions, revenue, cpa, roas, attribution } = extractConversions(row, resolveConversionMapping());
+
+  // Lead gen specific counts
+  const leads = parseInt(findAction(actions, 'lead')?.value) || 0;
+  const landingPageViews = parseInt(findAction(actions, 'landing_page_view')?.value) || 0;
+  const linkClicks = parseInt(findAction(actions, 'link_click')?.value) || 0;
 
-  // CPA from cost_per_action_type
-  const cpas = Array.isArray(row.cost_per_action_type) ? row.cost_per_action_type : [];
-  const purchaseCpa = cpas.find(a =>
-    a.action_type === 'purchase' || a.action_type === 'offsite_conversion.fb_pixel_purchase'
-  );
-  const leadCpa = cpas.find(a =>
-    a.action_type === 'lead' || a.action_type === 'offsite_conversion.fb_pixel_lead'
-  );
-  const landingPageCpa = cpas.find(a => a.action_type === 'landing_page_view');
-  const linkClickCpa = cpas.find(a => a.action_type === 'link_click');
-
-  let cpa = null;
-  if (purchaseCpa?.value != null) cpa = parseFloat(purchaseCpa.value);
-  else if (leadCpa?.value != null) cpa = parseFloat(leadCpa.value);
-  else if (landingPageCpa?.value != null) cpa = parseFloat(landingPageCpa.value);
-  else if (linkClickCpa?.value != null) cpa = parseFloat(linkClickCpa.value);
-  else if (totalConversions > 0 && spend > 0) cpa = spend / totalConversions;
-
-  // Video metrics (may come as arrays with {action_type, value} or plain numbers)
-  const v3s = row.video_3_sec_watched_actions;
-  const v15s = row.video_15_sec_watched_actions;
+  // Video metrics (may come as arrays with {action_type, value} or plain numbers).
+  // Live ad-level rows report 3s views as the `video_view` action and 15s views as thruplays.
+  const videoViewAction = actions.find(a => a.action_type === 'video_view');
+  const v3s = row.video_3_sec_watched_actions ?? videoViewAction?.value;
+  const v15s = row.video_15_sec_watched_actions ?? row.video_thruplay_watched_actions;
   const video3sViews = Array.isArray(v3s) ? parseInt(v3s[0]?.value || 0) : parseInt(v3s || 0);
   const video15sViews = Array.isArray(v15s) ? parseInt(v15s[0]?.value || 0) : parseInt(v15s || 0);
 
-  // Determine date range days for synthetic daily breakdown
-  const days = getDaysBetween(row.date_start, row.date_stop) || 7;
-
   return {
     spend,
     impressions,
     clicks,
-    conversions: totalConversions,
+    conversions,
     revenue,
     reach,
     frequency,
     ctr: parseFloat(row.ctr) || (impressions > 0 ? (clicks / impressions) * 100 : 0),
     cpc: parseFloat(row.cpc) || (clicks > 0 ? spend / clicks : null),
     cpm: parseFloat(row.cpm) || (impressions > 0 ? (spend / impressions) * 1000 : null),
-    cpa: cpa != null ? parseFloat(cpa) : null,
+    cpa,
     roas,
     purchase_roas: roas,
     // Lead gen specific metrics
@@ -537,11 +861,13 @@ function transformInsights(row) {
     leads,
     video_3_sec_watched_actions: video3sViews,
     video_15_sec_watched_actions: video15sViews,
-    cost_per_action_type: cpas,
-    actions, // preserve raw actions for debugging
+    attribution,
+    // Raw action arrays are kept so conversions can be re-mapped per account
+    actions,
+    action_values: Array.isArray(row.action_values) ? row.action_values : [],
+    cost_per_action_type: Array.isArray(row.cost_per_action_type) ? row.cost_per_action_type : [],
     date_start: row.date_start,
     date_stop: row.date_stop,
-    daily: generateSyntheticDaily(days, { spend, conversions: totalConversions, ctr: parseFloat(row.ctr) || 0, cpm: parseFloat(row.cpm) || 0, roas }),
   };
 }
 
@@ -559,13 +885,17 @@ function getDaysBetween(start, end) {
 
 /**
  * Generate synthetic daily breakdown from aggregate data for trend charts.
+ * Values are seeded jitter around the period average — never feed these to
+ * trend rules unless the user explicitly opted in (`syntheticDaily`).
  */
 function generateSyntheticDaily(days, base) {
   const breakdown = [];
+  // Seeded from the aggregate so the same period always gets the same estimate
+  const rng = createRng(hashSeed(`${days}:${base.spend}:${base.conversions}`));
   for (let i = days - 1; i >= 0; i--) {
     const date = new Date();
     date.setDate(date.getDate() - i);
-    const v = () => 0.8 + Math.random() * 0.4;
+    const v = () => 0.8 + rng() * 0.4;
     const dailySpend = +(base.spend / days * v()).toFixed(2);
     const dailyConv = Math.max(0, Math.round(base.conversions / days * v()));
     breakdown.push({
@@ -582,56 +912,77 @@ function generateSyntheticDaily(days, base) {
 }
 
 /**
- * Fetch full account data using mock data (original logic).
- * Calls mock handlers directly with short tool names to avoid name mapping issues.
+ * Fetch full account data in mock mode: a seeded scenario tree for the account.
+ * The scenario picked in Settings applies to every demo account; otherwise each
+ * demo account runs its own. Seeds include the account id, so accounts differ.
  */
 async function fetchFullAccountDataMock(accountId) {
-  const [accountDetails, accountInsights, campaignsResp] = await Promise.all([
-    getMockData('get_account_details', { account_id: accountId }),
-    getMockData('get_account_insights', { account_id: accountId }),
-    getMockData('get_campaigns_in_account', { account_id: accountId }),
-  ]);
-
-  const campaignList = campaignsResp.data || [];
-
-  const campaignData = await Promise.all(
-    campaignList.map(async (campaign) => {
-      const [insights, adSetsResp] = await Promise.all([
-        getMockData('get_campaign_insights', { campaign_id: campaign.id }),
-        getMockData('get_adsets_in_campaign', { campaign_id: campaign.id }),
-      ]);
-
-      const adSetList = adSetsResp.data || [];
+  const mockAccount = MOCK_ACCOUNTS.find(a => a.id === accountId) || { ...MOCK_ACCOUNTS[0], id: accountId || MOCK_ACCOUNTS[0].id };
+  const currentRange = resolveDateRange(_config.datePreset, _config.timeRange, { timeZone: mockAccount.timezone });
+  const comparisonRange = getComparisonRange(currentRange, _config.comparison, _config.datePreset);
+  const scenario = SCENARIOS[_config.scenario] || SCENARIOS[mockAccount.scenario] || SCENARIOS.baseline;
+
+  await new Promise(r => setTimeout(r, MOCK_LATENCY_MS));
+  const { scenario: _defaultScenario, ...account } = mockAccount;
+  const data = generateScenarioAccount(scenario, {
+    account: { ...account, daily_budget: 1200 },
+    range: currentRange,
+    comparisonRange,
+    seed: _config.scenarioSeed,
+  });
 
-      const adSetData = await Promise.all(
-        adSetList.map(async (adSet) => {
-          const [adSetInsights, adsResp] = await Promise.all([
-            getMockData('get_adset_insights', { adset_id: adSet.id }),
-            getMockData('get_ads_in_adset', { adset_id: adSet.id }),
-          ]);
+  return {
+    ...data,
+    datePreset: _config.datePreset,
+    period: { datePreset: _config.datePreset, ...currentRange },
+    comparison: comparisonRange ? { mode: _config.comparison, ...comparisonRange } : null,
+    fetchedAt: new Date().toISOString(),
+  };
+}
 
-          const adList = adsResp.data || [];
+// ─── Breakdowns ──────────────────────────────────────────────────────────────
 
-          const adData = await Promise.all(
-            adList.map(async (ad) => {
-              const adInsights = await getMockData('get_ad_insights', { ad_id: ad.id });
-              return { ...ad, insights: adInsights };
-            })
-          );
+/**
+ * Supported insights breakdowns, keyed by the id the UI uses.
+ * platform_position is only valid together with publisher_platform.
+ */
+export const BREAKDOWNS = {
+  age: { label: 'Age', fields: ['age'] },
+  gender: { label: 'Gender', fields: ['gender'] },
+  country: { label: 'Country', fields: ['country'] },
+  region: { label: 'Region', fields: ['region'] },
+  publisher_platform: { label: 'Platform', fields: ['publisher_platform'] },
+  platform_position: { label: 'Placement', fields: ['publisher_platform', 'platform_position'] },
+  device_platform: { label: 'Device', fields: ['device_platform'] },
+};
 
-          return { ...adSet, insights: adSetInsights, ads: adData };
-        })
-      );
+/**
+ * Fetch spend / CPA / ROAS per breakdown value for a campaign or ad set over the configured period.
+ * @param {'campaign'|'adset'} entityType
+ * @param {string} entityId
+ * @param {string} breakdown - Key of BREAKDOWNS
+ * @returns {Promise<Array<object>>} One parsed insights object per segment, with `segment` and `segmentValues`
+ */
+export async function fetchBreakdownInsights(entityType, entityId, breakdown, accountId = _config.accountId) {
+  const def = BREAKDOWNS[breakdown];
+  if (!def) throw new Error(`Unknown breakdown: ${breakdown}`);
+  if (entityType !== 'campaign' && entityType !== 'adset') throw new Error(`Unsupported breakdown level: ${entityType}`);
 
-      return { ...campaign, insights, adSets: adSetData };
-    })
-  );
+  const result = await mcpCall('facebook_get_adaccount_insights', {
+    act_id: accountId,
+    fields: INSIGHT_FIELDS,
+    ...periodParams(currentPeriod()),
+    level: entityType,
+    breakdowns: def.fields,
+    action_attribution_windows: ATTRIBUTION_WINDOWS,
+    filtering: [{ field: `${entityType}.id`, operator: 'IN', value: [entityId] }],
+  });
 
-  return {
-    account: { ...accountDetails, insights: accountInsights },
-    campaigns: campaignData,
-    fetchedAt: new Date().toISOString(),
-  };
+  return (result?.data || []).map(row => ({
+    ...parseInsightsRow(row),
+    segment: def.fields.map(f => row[f] ?? 'unknown').join(' · '),
+    segmentValues: Object.fromEntries(def.fields.map(f => [f, row[f] ?? null])),
+  }));
 }
 
 /**
@@ -669,6 +1020,131 @@ export async function fetchMultiPeriodInsights(entityType, entityId, datePresets
   return datePresets.reduce((acc, preset, i) => { acc[preset] = results[i]; return acc; }, {});
 }
 
+// ─── Connection Diagnostics ──────────────────────────────────────────────────
+
+/**
+ * Upstream status from the bridge's probe (initialize + tools/list, cached for a minute).
+ * @param {{ probe?: boolean }} [options] - probe: run a fresh probe instead of using the cached one
+ * @returns {Promise<{ connected: boolean, upstream: object, probe: object, lastSuccess: object|null, lastFailure: object|null, pool: object }>}
+ */
+export async function getConnectionStatus({ probe = false } = {}) {
+  const response = await fetch(`${MCP_BRIDGE_BASE}/status${probe ? '?probe=1' : ''}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Bridge error: HTTP ${response.status}`);
+  return data;
+}
+
+/**
+ * Make a small last-7-days facebook_get_adaccount_insights call for one account.
+ * @returns {Promise<{ ok: boolean, rows: number, sample: object|null, latencyMs: number|null, error: string|null, diagnosis: object|null, warning: string|null }>}
+ */
+export async function testAccountInsights(accountId) {
+  const response = await fetch(`${MCP_BRIDGE_BASE}/diagnostics/insights`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ accountId }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Bridge error: HTTP ${response.status}`);
+  return data;
+}
+
+/**
+ * The bridge's log of recent tool calls (newest first) and totals over it.
+ * @param {{ limit?: number, tool?: string, errorsOnly?: boolean }} [filter]
+ * @returns {Promise<{ entries: object[], summary: object }>}
+ */
+export async function getCallLog({ limit = 100, tool, errorsOnly = false } = {}) {
+  const query = new URLSearchParams({ limit: String(limit) });
+  if (tool) query.set('tool', tool);
+  if (errorsOnly) query.set('errors', '1');
+  const response = await fetch(`${MCP_BRIDGE_BASE}/log?${query}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Bridge error: HTTP ${response.status}`);
+  return data;
+}
+
+// ─── Record / Replay Fixtures ────────────────────────────────────────────────
+// The bridge records live tool responses (account ids redacted) into named fixtures;
+// replay mode serves them back with no network calls to Meta and no randomness.
+
+// Args that change with "today" rather than with what was asked for
+const REPLAY_DATE_ARGS = ['date_preset', 'time_range'];
+let _replayFixture = null; // { name, entries }
+
+/**
+ * List fixtures recorded on the bridge: [{ name, recordedAt, accounts, entryCount }].
+ */
+export async function listFixtures() {
+  const response = await fetch(`${MCP_BRIDGE_BASE}/fixtures`);
+  if (!response.ok) throw new Error(`Bridge error: HTTP ${response.status}`);
+  return (await response.json()).fixtures;
+}
+
+/**
+ * Name of the fixture the bridge is currently recording into, or null.
+ */
+export async function getRecordingStatus() {
+  const response = await fetch(`${MCP_BRIDGE_BASE}/recording`);
+  if (!response.ok) throw new Error(`Bridge error: HTTP ${response.status}`);
+  return (await response.json()).recording;
+}
+
+/**
+ * Start recording live responses into `name`, or stop recording with null.
+ */
+export async function setRecording(name) {
+  const response = await fetch(`${MCP_BRIDGE_BASE}/recording`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Bridge error: HTTP ${response.status}`);
+  return data.recording;
+}
+
+async function loadReplayFixture(name) {
+  if (_replayFixture?.name === name) return _replayFixture;
+  const response = await fetch(`${MCP_BRIDGE_BASE}/fixtures/${encodeURIComponent(name)}`);
+  if (!response.ok) throw new Error(`Fixture "${name}" could not be loaded (HTTP ${response.status})`);
+  _replayFixture = await response.json();
+  console.log(`[GoMarble] Replaying fixture "${name}" (${_replayFixture.entries.length} responses)`);
+  return _replayFixture;
+}
+
+function sortedJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(sortedJSON).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${sortedJSON(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+// Account ids are ignored (fixtures are redacted), and dates are matched separately
+function replayKey(toolName, args = {}) {
+  const rest = Object.fromEntries(Object.entries(args)
+    .filter(([k]) => k !== 'act_id' && k !== 'account_id' && !REPLAY_DATE_ARGS.includes(k)));
+  return `${toolName}:${sortedJSON(rest)}`;
+}
+
+/**
+ * Serve a recorded response. Exact date match first; otherwise the same call recorded for a
+ * period of the same kind (preset vs explicit range), so comparison ranges computed from
+ * today's date still resolve to what was recorded.
+ */
+async function getReplayData(toolName, params) {
+  if (!_config.fixture) throw new Error('Replay mode needs a fixture — pick one in Settings');
+  const { entries } = await loadReplayFixture(_config.fixture);
+  const key = replayKey(toolName, params);
+  const candidates = entries.filter(e => e.tool === toolName && replayKey(e.tool, e.args) === key);
+  const sameDates = e => REPLAY_DATE_ARGS.every(k => sortedJSON(e.args?.[k]) === sortedJSON(params[k]));
+  const sameKind = e => !!e.args?.time_range === !!params.time_range;
+  const match = candidates.find(sameDates) || candidates.find(sameKind) || candidates[0];
+  if (!match) throw new Error(`No recorded response for ${toolName} in fixture "${_config.fixture}"`);
+  return match.response;
+}
+
 // ─── Mock Data ───────────────────────────────────────────────────────────────
 
 /**
@@ -676,28 +1152,31 @@ export async function fetchMultiPeriodInsights(entityType, entityId, datePresets
  * Structured to match GoMarble's expected response format.
  */
 async function getMockData(toolName, params) {
+  // Same call, same answer: the generators below draw from an rng seeded by the call itself
+  _mockRng = createRng(hashSeed(`${_config.scenarioSeed}:${toolName}:${sortedJSON(params)}`));
+
   // Simulate network latency
-  await new Promise(r => setTimeout(r, 100 + Math.random() * 200));
+  await new Promise(r => setTimeout(r, MOCK_LATENCY_MS));
 
   const mockHandlers = {
     // Short names (used by mock mode fetcher)
     list_ad_accounts: () => ({
-      data: [
-        { id: 'act_123456789', name: 'Main Ecommerce Account', currency: 'USD', timezone: 'America/New_York', status: 'ACTIVE' },
-      ],
+      data: MOCK_ACCOUNTS,
     }),
 
     get_account_details: () => ({
       id: params.account_id || params.act_id || 'act_123456789',
-      name: 'Main Ecommerce Account',
-      currency: 'USD',
+      name: MOCK_ACCOUNTS.find(a => a.id === (params.account_id || params.act_id))?.name || 'Main Ecommerce Account',
+      currency: MOCK_ACCOUNTS.find(a => a.id === (params.account_id || params.act_id))?.currency || 'USD',
       timezone: 'America/New_York',
       status: 'ACTIVE',
       daily_budget: 1200,
       lifetime_budget: 0,
     }),
 
-    get_account_insights: () => generateMockInsights('account', params),
+    get_account_insights: () => (params.breakdowns
+      ? generateMockBreakdown(params)
+      : generateMockInsights('account', params)),
 
     get_campaigns_in_account: () => ({
       data: [
@@ -768,7 +1247,7 @@ async function getMockData(toolName, params) {
         body: 'Transform your routine with our best-selling collection.',
         title: 'Shop Now - Limited Time',
         call_to_action_type: 'SHOP_NOW',
-        object_type: Math.random() > 0.5 ? 'VIDEO' : 'IMAGE',
+        object_type: mockRandom() > 0.5 ? 'VIDEO' : 'IMAGE',
       }],
     }),
 
@@ -808,6 +1287,22 @@ async function getMockData(toolName, params) {
 
 // ─── Mock Data Generators ────────────────────────────────────────────────────
 
+const MOCK_LATENCY_MS = 150;
+
+// Seeded per mock call in getMockData
+let _mockRng = createRng(1);
+function mockRandom() {
+  return _mockRng();
+}
+
+// `scenario` is what each demo account runs when no scenario is picked in Settings
+const MOCK_ACCOUNTS = [
+  { id: 'act_123456789', name: 'Main Ecommerce Account', currency: 'USD', timezone: 'America/New_York', status: 'ACTIVE', scenario: 'baseline' },
+  { id: 'act_234567891', name: 'Coastal Skincare Co.', currency: 'EUR', timezone: 'Europe/Dublin', status: 'ACTIVE', scenario: 'creative_fatigue_rt' },
+  { id: 'act_345678912', name: 'Summit Home Services', currency: 'USD', timezone: 'America/Denver', status: 'ACTIVE', scenario: 'leadgen' },
+  { id: 'act_456789123', name: 'Northwind Apparel', currency: 'GBP', timezone: 'Europe/London', status: 'ACTIVE', scenario: 'q4_cpm_surge' },
+];
+
 function getMockCampaignName(id) {
   const names = {
     camp_001: '[ASC] Broad Prospecting',
@@ -826,7 +1321,7 @@ function generateMockInsights(level, params) {
   }[level];
 
   // Add realistic variance
-  const v = () => 0.7 + Math.random() * 0.6; // 0.7x to 1.3x variance
+  const v = () => 0.7 + mockRandom() * 0.6; // 0.7x to 1.3x variance
 
   const spend = +(base.spend * v()).toFixed(2);
   const impressions = Math.round(base.impressions * v());
@@ -842,9 +1337,11 @@ function generateMockInsights(level, params) {
   const cpa = conversions > 0 ? +(spend / conversions).toFixed(2) : null;
   const roas = spend > 0 ? +(revenue / spend).toFixed(2) : null;
 
+  const attribution = generateMockAttribution(conversions, revenue);
+
   // Video metrics (may not always be available)
-  const video3sViews = Math.round(impressions * (0.25 + Math.random() * 0.2));
-  const video15sViews = Math.round(video3sViews * (0.3 + Math.random() * 0.3));
+  const video3sViews = Math.round(impressions * (0.25 + mockRandom() * 0.2));
+  const video15sViews = Math.round(video3sViews * (0.3 + mockRandom() * 0.3));
 
   return {
     spend,
@@ -859,21 +1356,102 @@ function generateMockInsights(level, params) {
     revenue,
     purchase_roas: roas,
     cost_per_action_type: cpa ? [{ action_type: 'purchase', value: cpa }] : [],
+    attribution,
+    ...generateMockActions(conversions, revenue, clicks, attribution),
     video_3_sec_watched_actions: video3sViews,
     video_15_sec_watched_actions: video15sViews,
-    date_start: getDateStart(params?.date_preset),
-    date_stop: new Date().toISOString().split('T')[0],
+    date_start: params?.time_range?.since || getDateStart(params?.date_preset),
+    date_stop: params?.time_range?.until || new Date().toISOString().split('T')[0],
     // Daily breakdown for trend analysis
+    dailySource: 'mock',
     daily: generateDailyBreakdown(7, { spend: spend / 7, conversions: conversions / 7, ctr, cpm, roas }),
   };
 }
 
+/**
+ * Mock per-window split of conversions and revenue (parsed shape, as parseAttributionWindows returns).
+ * View-through share varies 5–45% so some entities cross the click-only switch threshold.
+ */
+function generateMockAttribution(conversions, revenue) {
+  const viewShare = 0.05 + mockRandom() * 0.4;
+  const view = Math.round(conversions * viewShare);
+  const click7d = conversions - view;
+  const click1d = Math.round(click7d * (0.6 + mockRandom() * 0.2));
+  const revenueFor = n => (conversions > 0 ? +(revenue * n / conversions).toFixed(2) : 0);
+  return {
+    '1d_click': { conversions: click1d, revenue: revenueFor(click1d) },
+    '7d_click': { conversions: click7d, revenue: revenueFor(click7d) },
+    '1d_view': { conversions: view, revenue: revenueFor(view) },
+    '7d_click_1d_view': { conversions, revenue },
+  };
+}
+
+/**
+ * Mock `actions` / `action_values` arrays covering the funnel, so conversion mappings
+ * (lead gen events, custom conversions) have something to map onto in demo mode.
+ */
+function generateMockActions(conversions, revenue, clicks, attribution) {
+  const byWindow = key => Object.fromEntries(['1d_click', '7d_click', '1d_view'].map(w => [w, attribution[w][key]]));
+  return {
+    actions: [
+      { action_type: 'link_click', value: Math.round(clicks * 0.9) },
+      { action_type: 'landing_page_view', value: Math.round(clicks * 0.72) },
+      { action_type: 'lead', value: Math.round(clicks * 0.06) },
+      { action_type: 'add_to_cart', value: Math.round(conversions * 3.2) },
+      { action_type: 'initiate_checkout', value: Math.round(conversions * 1.7) },
+      { action_type: 'offsite_conversion.custom.1029384756', value: Math.round(conversions * 0.4) },
+      { action_type: 'purchase', value: conversions, ...byWindow('conversions') },
+    ],
+    action_values: [{ action_type: 'purchase', value: revenue, ...byWindow('revenue') }],
+  };
+}
+
+const MOCK_BREAKDOWN_VALUES = {
+  age: ['18-24', '25-34', '35-44', '45-54', '55-64', '65+'],
+  gender: ['female', 'male', 'unknown'],
+  country: ['US', 'CA', 'GB', 'AU'],
+  region: ['California', 'Texas', 'New York', 'Florida', 'Ontario'],
+  publisher_platform: ['facebook', 'instagram', 'audience_network', 'messenger'],
+  platform_position: ['feed', 'instagram_reels', 'instagram_stories', 'facebook_reels', 'marketplace'],
+  device_platform: ['mobile_app', 'mobile_web', 'desktop'],
+};
+
+/**
+ * Mock insights rows split by the requested breakdown fields.
+ * Emits one row per value of the last breakdown field (e.g. per position for placements).
+ */
+function generateMockBreakdown(params) {
+  const fields = params.breakdowns || [];
+  const lastField = fields[fields.length - 1];
+  const values = MOCK_BREAKDOWN_VALUES[lastField] || ['unknown'];
+
+  const data = values.map((value, i) => {
+    const row = generateMockInsights(params.level === 'adset' ? 'adset' : 'campaign', params);
+    // Skew later segments so some land far outside target
+    const skew = 1 + i * 0.35;
+    const share = (0.5 + mockRandom()) / values.length;
+    row.spend = +(row.spend * share).toFixed(2);
+    row.conversions = Math.max(0, Math.round(row.conversions * share * 1.4 / skew * (0.8 + mockRandom() * 0.4)));
+    row.revenue = +(row.revenue * share * 1.2 / skew).toFixed(2);
+    const cpa = row.conversions > 0 ? +(row.spend / row.conversions).toFixed(2) : null;
+    row.cpm = +(row.spend / Math.max(row.impressions, 1) * 1000).toFixed(2);
+    row.purchase_roas = row.spend > 0 ? +(row.revenue / row.spend).toFixed(2) : null;
+    row.cost_per_action_type = cpa ? [{ action_type: 'purchase', value: cpa }] : [];
+    Object.assign(row, generateMockActions(row.conversions, row.revenue, row.clicks, generateMockAttribution(row.conversions, row.revenue)));
+    delete row.attribution;
+    delete row.daily;
+    fields.forEach(f => { row[f] = f === lastField ? value : (value.startsWith('instagram') ? 'instagram' : 'facebook'); });
+    return row;
+  });
+  return { data };
+}
+
 function generateDailyBreakdown(days, baseDailyMetrics) {
   const breakdown = [];
   for (let i = days - 1; i >= 0; i--) {
     const date = new Date();
     date.setDate(date.getDate() - i);
-    const v = () => 0.75 + Math.random() * 0.5;
+    const v = () => 0.75 + mockRandom() * 0.5;
     const dailySpend = +(baseDailyMetrics.spend * v()).toFixed(2);
     const dailyConversions = Math.max(0, Math.round(baseDailyMetrics.conversions * v()));
     const dailyCtr = +(baseDailyMetrics.ctr * v()).toFixed(2);
@@ -961,5 +1539,16 @@ export default {
   getCreativesForAd,
   getAdCreativeDetails,
   fetchFullAccountData,
+  fetchAdAccounts,
+  fetchBreakdownInsights,
   fetchMultiPeriodInsights,
+  getConnectionStatus,
+  testAccountInsights,
+  getCallLog,
+  listFixtures,
+  getRecordingStatus,
+  setRecording,
+  getCachedAccountData,
+  getCacheStats,
+  invalidateCache,
 };
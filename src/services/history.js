@@ -0,0 +1,107 @@
+/**
+ * Snapshot History Service
+ *
+ * Talks to the bridge server's snapshot store (/api/history). Every live fetch records
+ * each entity's daily metrics and the verdicts the engine produced; reads give the
+ * engine and charts more history than Meta's insights API keeps at daily granularity.
+ */
+
+const HISTORY_BASE = '/api/history';
+
+// How far back to load stored history for trend rules
+const HISTORY_LOOKBACK_DAYS = 180;
+
+/**
+ * Build a snapshot from one fetch and its processed output.
+ * Only real Meta daily rows are recorded — synthetic and mock series would pollute history.
+ */
+export function buildSnapshot(rawData, processed) {
+  const entities = [];
+  const addEntity = (id, type, name, parentId, insights) => {
+    if (!id || insights?.dailySource !== 'meta' || !insights.daily?.length) return;
+    entities.push({ id, type, name, parentId, daily: insights.daily });
+  };
+
+  addEntity(rawData.account?.id, 'account', rawData.account?.name, null, rawData.account?.insights);
+  (rawData.campaigns || []).forEach(campaign => {
+    addEntity(campaign.id, 'campaign', campaign.name, null, campaign.insights);
+    (campaign.adSets || []).forEach(adSet => {
+      addEntity(adSet.id, 'adset', adSet.name, campaign.id, adSet.insights);
+      (adSet.ads || []).forEach(ad => addEntity(ad.id, 'ad', ad.name, adSet.id, ad.insights));
+    });
+  });
+
+  const toVerdict = type => v => ({
+    entityId: v.id, type, verdict: v.verdict, signals: v.signals, spend: v.spend, cpa: v.cpa, roas: v.roas,
+  });
+
+  return {
+    accountId: rawData.account?.id,
+    currency: processed.currency,
+    recordedAt: rawData.fetchedAt,
+    entities,
+    verdicts: [
+      ...processed.campaignVerdicts.map(toVerdict('campaign')),
+      ...processed.adSetVerdicts.map(toVerdict('adset')),
+      ...processed.adVerdicts.map(toVerdict('ad')),
+    ],
+  };
+}
+
+/**
+ * Record a snapshot on the bridge. Failures are logged, never thrown — history is best-effort.
+ */
+export async function recordSnapshot(rawData, processed) {
+  const snapshot = buildSnapshot(rawData, processed);
+  if (!snapshot.accountId) return null;
+  try {
+    const response = await fetch(`${HISTORY_BASE}/snapshot`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(snapshot),
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const result = await response.json();
+    console.log(`[History] Recorded ${result.days} days, ${result.verdicts} verdicts`);
+    return result;
+  } catch (err) {
+    console.warn(`[History] Could not record snapshot: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Stored daily history for an account, keyed by entity id.
+ * @param {string} accountId
+ * @param {{ level?: string, since?: string, until?: string }} [options]
+ * @returns {Promise<Object<string, Array>>} entityId → daily points (oldest first); empty when unavailable
+ */
+export async function fetchEntityHistory(accountId, { level, since = daysAgo(HISTORY_LOOKBACK_DAYS), until } = {}) {
+  const params = new URLSearchParams(Object.entries({ level, since, until }).filter(([, v]) => v));
+  try {
+    const response = await fetch(`${HISTORY_BASE}/${encodeURIComponent(accountId)}?${params}`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const { entities } = await response.json();
+    return Object.fromEntries(entities.map(e => [e.id, e.daily]));
+  } catch (err) {
+    console.warn(`[History] Could not load history for ${accountId}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Verdicts recorded per day for an account (optionally one entity), oldest first.
+ * @returns {Promise<Array<{ date: string, verdicts: object }>>}
+ */
+export async function fetchVerdictHistory(accountId, { entityId, since, until } = {}) {
+  const params = new URLSearchParams(Object.entries({ entityId, since, until }).filter(([, v]) => v));
+  const response = await fetch(`${HISTORY_BASE}/${encodeURIComponent(accountId)}/verdicts?${params}`);
+  if (!response.ok) throw new Error(`History error: HTTP ${response.status}`);
+  return (await response.json()).days;
+}
+
+function daysAgo(n) {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return d.toISOString().slice(0, 10);
+}
@@ -0,0 +1,367 @@
+/**
+ * Scenario Engine
+ *
+ * Generates a coherent, seeded mock account (campaign → ad set → ad tree with daily
+ * series) from a scenario definition. The same scenario, seed and account always
+ * produce the same numbers, so a rule can be exercised on purpose and a demo looks
+ * the same on every refresh.
+ *
+ * Each ad has a `base` day (spend, CPM, CTR, CVR, AOV, hook/hold rates) and a list of
+ * `effects` — functions of how many days ago a date is — that bend it over time
+ * (fatigue, budget jumps, seasonal CPM). Ad sets and campaigns are sums of their ads.
+ */
+
+// ─── Seeded Randomness ───────────────────────────────────────────────────────
+
+/**
+ * 32-bit FNV-1a hash of a string, used to derive seeds.
+ */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG: returns a function yielding floats in [0, 1).
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Effects ─────────────────────────────────────────────────────────────────
+// Each effect maps { daysAgo } to multipliers on the ad's base day, or null for "no delivery".
+
+const ramp = (daysAgo, since) => (daysAgo >= since ? 0 : (since - daysAgo) / since);
+const lerp = (to, progress) => 1 + (to - 1) * progress;
+
+/**
+ * Creative fatigue: CTR, hook rate and CVR decay linearly over the last `since` days.
+ */
+export function fatigue({ since = 21, ctr = 0.5, hook = 0.6, cvr = 0.75 } = {}) {
+  return ({ daysAgo }) => {
+    const p = ramp(daysAgo, since);
+    return { ctr: lerp(ctr, p), hook: lerp(hook, p), cvr: lerp(cvr, p) };
+  };
+}
+
+/**
+ * Not delivering before launch.
+ */
+export function launched(daysAgo) {
+  return ({ daysAgo: d }) => (d > daysAgo ? null : {});
+}
+
+/**
+ * Budget step-change `daysAgo` days ago: spend multiplies, auction gets pricier, CVR drops.
+ */
+export function budgetJump({ daysAgo = 4, spend = 3, cpm = 1.35, cvr = 0.5 } = {}) {
+  return ({ daysAgo: d }) => (d < daysAgo ? { spend, cpm, cvr } : {});
+}
+
+/**
+ * Seasonal CPM surge ramping up over the last `since` days (e.g. BFCM auctions).
+ */
+export function cpmSurge({ since = 28, cpm = 1.9, cvr = 1.1 } = {}) {
+  return ({ daysAgo }) => {
+    const p = ramp(daysAgo, since);
+    return { cpm: lerp(cpm, p), cvr: lerp(cvr, p) };
+  };
+}
+
+/**
+ * Constant multipliers (a strong or weak ad relative to its base).
+ */
+export function scaled(multipliers) {
+  return () => multipliers;
+}
+
+// ─── Generation ──────────────────────────────────────────────────────────────
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JITTER = 0.12;
+const DEFAULT_BASE = { spend: 50, cpm: 14, ctr: 1.2, cvr: 0.03, aov: 95, hook: 0.32, hold: 0.45, viewShare: 0.2 };
+
+function datesBetween(since, until) {
+  const dates = [];
+  for (let t = Date.parse(since); t <= Date.parse(until); t += DAY_MS) {
+    dates.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+function daysAgoOf(date, today) {
+  return Math.round((Date.parse(today) - Date.parse(date)) / DAY_MS);
+}
+
+// Integer draw whose expectation is `x`, so low-volume entities still convert now and then
+function roundRandom(x, rng) {
+  return Math.floor(x + rng());
+}
+
+// Unique reach for `impressions` served into an audience of `audience` people
+function reachFor(impressions, audience) {
+  if (!audience) return Math.round(impressions / 1.6);
+  return Math.round(audience * (1 - Math.exp(-impressions / audience)));
+}
+
+/**
+ * One ad's day. Returns null when the ad didn't deliver.
+ */
+function generateAdDay(ad, date, { today, seedKey, audience, conversionAction }) {
+  const daysAgo = daysAgoOf(date, today);
+  const m = { spend: 1, cpm: 1, ctr: 1, cvr: 1, aov: 1, hook: 1 };
+  for (const effect of ad.effects || []) {
+    const out = effect({ daysAgo, date });
+    if (out === null) return null;
+    Object.entries(out).forEach(([k, v]) => { m[k] *= v; });
+  }
+
+  const base = { ...DEFAULT_BASE, ...ad.base };
+  const rng = createRng(hashSeed(`${seedKey}:${ad.id}:${date}`));
+  const noise = () => 1 + (rng() * 2 - 1) * JITTER;
+
+  const spend = +(base.spend * m.spend * noise()).toFixed(2);
+  const impressions = Math.round(spend / (base.cpm * m.cpm * noise()) * 1000);
+  const clicks = roundRandom(impressions * base.ctr * m.ctr * noise() / 100, rng);
+  const conversions = roundRandom(clicks * base.cvr * m.cvr * noise(), rng);
+  const revenue = conversionAction === 'purchase' ? +(conversions * base.aov * m.aov * noise()).toFixed(2) : 0;
+  const video3s = Math.round(impressions * base.hook * m.hook * noise());
+  const video15s = Math.round(video3s * base.hold * noise());
+
+  // Split conversions by attribution window
+  const view = roundRandom(conversions * base.viewShare * noise(), rng);
+  const click7d = Math.max(0, conversions - Math.min(view, conversions));
+  const click1d = Math.round(click7d * (0.6 + rng() * 0.2));
+
+  return {
+    date,
+    spend,
+    impressions,
+    clicks,
+    reach: reachFor(impressions, audience),
+    conversions,
+    revenue,
+    video3s,
+    video15s,
+    windows: {
+      '1d_click': [click1d, conversions > 0 ? revenue * click1d / conversions : 0],
+      '7d_click': [click7d, conversions > 0 ? revenue * click7d / conversions : 0],
+      '1d_view': [conversions - click7d, conversions > 0 ? revenue * (conversions - click7d) / conversions : 0],
+    },
+  };
+}
+
+const SUM_FIELDS = ['spend', 'impressions', 'clicks', 'reach', 'conversions', 'revenue', 'video3s', 'video15s'];
+
+/**
+ * Sum day points from several children by date.
+ */
+function sumByDate(series) {
+  const byDate = new Map();
+  series.flat().forEach(p => {
+    const acc = byDate.get(p.date) || { date: p.date, windows: { '1d_click': [0, 0], '7d_click': [0, 0], '1d_view': [0, 0] } };
+    SUM_FIELDS.forEach(f => { acc[f] = (acc[f] || 0) + p[f]; });
+    Object.keys(acc.windows).forEach(w => {
+      acc.windows[w] = [acc.windows[w][0] + p.windows[w][0], acc.windows[w][1] + p.windows[w][1]];
+    });
+    byDate.set(p.date, acc);
+  });
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * actions / action_values / cost_per_action_type arrays for a day or a period,
+ * with per-window values on the conversion action.
+ */
+function toActions(p, conversionAction) {
+  const windowValues = idx => Object.fromEntries(Object.entries(p.windows).map(([w, v]) => [w, +v[idx].toFixed(2)]));
+  const funnel = conversionAction === 'lead'
+    ? [
+      { action_type: 'link_click', value: Math.round(p.clicks * 0.9) },
+      { action_type: 'landing_page_view', value: Math.round(p.clicks * 0.7) },
+    ]
+    : [
+      { action_type: 'link_click', value: Math.round(p.clicks * 0.9) },
+      { action_type: 'landing_page_view', value: Math.round(p.clicks * 0.72) },
+      { action_type: 'add_to_cart', value: Math.round(p.conversions * 3.2) },
+      { action_type: 'initiate_checkout', value: Math.round(p.conversions * 1.7) },
+    ];
+  const actions = [
+    ...funnel,
+    { action_type: conversionAction, value: p.conversions, ...windowValues(0) },
+    { action_type: 'video_view', value: p.video3s },
+  ];
+  return {
+    actions,
+    action_values: p.revenue > 0 ? [{ action_type: conversionAction, value: +p.revenue.toFixed(2), ...windowValues(1) }] : [],
+    cost_per_action_type: p.conversions > 0 ? [{ action_type: conversionAction, value: +(p.spend / p.conversions).toFixed(2) }] : [],
+  };
+}
+
+function toAttribution(p) {
+  const entry = ([conversions, revenue]) => ({ conversions, revenue: +revenue.toFixed(2) });
+  return {
+    '1d_click': entry(p.windows['1d_click']),
+    '7d_click': entry(p.windows['7d_click']),
+    '1d_view': entry(p.windows['1d_view']),
+    '7d_click_1d_view': { conversions: p.conversions, revenue: +p.revenue.toFixed(2) },
+  };
+}
+
+function ratio(a, b, digits = 2) {
+  return b > 0 ? +(a / b).toFixed(digits) : null;
+}
+
+/**
+ * Build an insights object (the parsed shape the mock and live paths both produce)
+ * from daily points. `audience` recomputes unique reach over the whole period.
+ */
+function toInsights(days, { since, until, audience, conversionAction }) {
+  const total = sumByDate(days.map(d => ({ ...d, date: 'total' })))[0]
+    || { spend: 0, impressions: 0, clicks: 0, reach: 0, conversions: 0, revenue: 0, video3s: 0, video15s: 0, windows: { '1d_click': [0, 0], '7d_click': [0, 0], '1d_view': [0, 0] } };
+  const reach = audience ? reachFor(total.impressions, audience) : Math.round(total.reach * 0.8);
+
+  return {
+    spend: +total.spend.toFixed(2),
+    impressions: total.impressions,
+    clicks: total.clicks,
+    reach,
+    frequency: ratio(total.impressions, reach),
+    ctr: ratio(total.clicks * 100, total.impressions),
+    cpc: ratio(total.spend, total.clicks),
+    cpm: ratio(total.spend * 1000, total.impressions),
+    conversions: total.conversions,
+    revenue: +total.revenue.toFixed(2),
+    purchase_roas: total.revenue > 0 ? ratio(total.revenue, total.spend) : null,
+    attribution: toAttribution(total),
+    ...toActions(total, conversionAction),
+    video_3_sec_watched_actions: total.video3s,
+    video_15_sec_watched_actions: total.video15s,
+    date_start: since,
+    date_stop: until,
+    dailySource: 'mock',
+    daily: days.map(d => ({
+      date: d.date,
+      spend: +d.spend.toFixed(2),
+      impressions: d.impressions,
+      clicks: d.clicks,
+      reach: d.reach,
+      conversions: d.conversions,
+      revenue: +d.revenue.toFixed(2),
+      ctr: ratio(d.clicks * 100, d.impressions) || 0,
+      cpm: ratio(d.spend * 1000, d.impressions) || 0,
+      roas: d.revenue > 0 ? ratio(d.revenue, d.spend) : null,
+      cpa: ratio(d.spend, d.conversions),
+      attribution: toAttribution(d),
+      ...toActions(d, conversionAction),
+    })),
+  };
+}
+
+/**
+ * Generate every level's daily points for one date range.
+ * @returns {{ ads: Map, adSets: Map, campaigns: Map, account: Array }} id → daily points
+ */
+function generateSeries(scenario, range, ctx) {
+  const ads = new Map();
+  const adSets = new Map();
+  const campaigns = new Map();
+  const dates = datesBetween(range.since, range.until);
+
+  scenario.campaigns.forEach(campaign => {
+    campaign.adSets.forEach(adSet => {
+      adSet.ads.forEach(ad => {
+        const effects = [...(campaign.effects || []), ...(adSet.effects || []), ...(ad.effects || [])];
+        const days = dates
+          .map(date => generateAdDay({ ...ad, effects }, date, { ...ctx, audience: adSet.audience }))
+          .filter(Boolean);
+        ads.set(ad.id, days);
+      });
+      adSets.set(adSet.id, sumByDate(adSet.ads.map(ad => ads.get(ad.id))));
+    });
+    campaigns.set(campaign.id, sumByDate(campaign.adSets.map(as => adSets.get(as.id))));
+  });
+
+  return { ads, adSets, campaigns, account: sumByDate([...campaigns.values()]) };
+}
+
+/**
+ * Generate a full account (same shape as fetchFullAccountData) for a scenario.
+ * @param {object} scenario - A definition from SCENARIOS
+ * @param {object} options
+ * @param {object} options.account - { id, name, currency, timezone } the tree is generated for
+ * @param {{since: string, until: string}} options.range - Analysis period
+ * @param {{since: string, until: string}} [options.comparisonRange] - Comparison period, if enabled
+ * @param {number|string} [options.seed] - Change to get a different but equally reproducible draw
+ */
+export function generateScenarioAccount(scenario, { account, range, comparisonRange = null, seed = 1 }) {
+  const conversionAction = scenario.conversionAction || 'purchase';
+  const ctx = {
+    today: new Date().toISOString().slice(0, 10),
+    seedKey: `${scenario.id}:${seed}:${account.id}`,
+    conversionAction,
+  };
+
+  const current = generateSeries(scenario, range, ctx);
+  const previous = comparisonRange ? generateSeries(scenario, comparisonRange, ctx) : null;
+  const seriesFor = (series, level, id) => (level === 'account' ? series.account : series[level].get(id) || []);
+  const insightsFor = (level, id, audience) => {
+    const result = { insights: toInsights(seriesFor(current, level, id), { ...range, audience, conversionAction }) };
+    if (previous) {
+      const { daily: _daily, ...comparisonInsights } = toInsights(seriesFor(previous, level, id), { ...comparisonRange, audience, conversionAction });
+      result.comparisonInsights = comparisonInsights;
+    }
+    return result;
+  };
+
+  const totalAudience = scenario.campaigns.flatMap(c => c.adSets).reduce((s, as) => s + (as.audience || 0), 0) || null;
+  const campaigns = scenario.campaigns.map(campaign => {
+    const { adSets, effects: _ce, ...campaignFields } = campaign;
+    const campaignAudience = adSets.reduce((s, as) => s + (as.audience || 0), 0) || null;
+    return {
+      status: 'ACTIVE',
+      buying_type: 'AUCTION',
+      special_ad_categories: [],
+      ...campaignFields,
+      ...insightsFor('campaigns', campaign.id, campaignAudience),
+      adSets: adSets.map(adSet => {
+        const { ads, effects: _ae, audience, ...adSetFields } = adSet;
+        return {
+          status: 'ACTIVE',
+          campaign_id: campaign.id,
+          bid_strategy: 'LOWEST_COST_WITHOUT_CAP',
+          optimization_goal: conversionAction === 'lead' ? 'LEAD_GENERATION' : 'OFFSITE_CONVERSIONS',
+          ...adSetFields,
+          ...insightsFor('adSets', adSet.id, audience),
+          ads: ads.map(ad => {
+            const { base: _b, effects: _e, ...adFields } = ad;
+            return {
+              status: 'ACTIVE',
+              adset_id: adSet.id,
+              campaign_id: campaign.id,
+              creative: { id: `cr_${ad.id}` },
+              ...adFields,
+              ...insightsFor('ads', ad.id, audience),
+            };
+          }),
+        };
+      }),
+    };
+  });
+
+  return {
+    account: { ...account, status: 'ACTIVE', scenario: scenario.id, ...insightsFor('account', null, totalAudience) },
+    campaigns,
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Mock Account Scenarios
+ *
+ * Named, reproducible situations for demos and for training new buyers. Each one is a
+ * campaign → ad set → ad tree whose ads carry a base day and time-based effects
+ * (see scenarioEngine.js). Base days are calibrated against the default thresholds
+ * (target CPA 30, target ROAS 3.0, break-even 2.0): CPA ≈ CPM / (10 × CTR × CVR).
+ */
+
+import { fatigue, launched, budgetJump, cpmSurge, scaled } from './scenarioEngine.js';
+
+const ad = (id, name, base = {}, effects = []) => ({ id, name, base, effects });
+
+// Healthy prospecting + testing + retargeting tree shared by several scenarios
+function ecommerceTree({ prospecting = {}, testing = {}, retargeting = {} } = {}) {
+  return [
+    {
+      id: 'camp_001', name: '[ASC] Broad Prospecting', objective: 'OUTCOME_SALES', daily_budget: '700',
+      effects: prospecting.effects,
+      adSets: [
+        {
+          id: 'as_001', name: 'Broad - 25-65 - All Genders', daily_budget: prospecting.as001Budget || '250', audience: 2500000,
+          effects: prospecting.as001Effects,
+          ads: [
+            ad('ad_001', 'UGC Testimonial - Sarah', { spend: 100, cvr: 0.045 }),
+            ad('ad_002', 'Product Carousel - Best Sellers', { spend: 80 }),
+            ad('ad_003', 'Reel - Before/After', { spend: 70, ctr: 1.35, hook: 0.38 }),
+          ],
+        },
+        {
+          id: 'as_002', name: 'Broad - Lookalike 1%', daily_budget: '200', audience: 1800000,
+          ads: [
+            ad('ad_004', 'Static - Hero Product', { spend: 100, hook: 0.2 }),
+            ad('ad_005', 'Video - 3 Reasons Why', { spend: 100, cvr: 0.038 }),
+          ],
+        },
+      ],
+    },
+    {
+      id: 'camp_002', name: '[CBO] Creative Testing', objective: 'OUTCOME_SALES', daily_budget: '300',
+      effects: testing.effects,
+      adSets: [
+        {
+          id: 'as_003', name: 'Test - 3-2-2 Batch A', daily_budget: '100', audience: 3000000,
+          ads: [
+            ad('ad_006', 'Test A1 - Problem Hook', { spend: 50, hook: 0.21 }),
+            ad('ad_007', 'Test A2 - Social Proof Hook', { spend: 50, cvr: 0.05 }),
+          ],
+        },
+        {
+          id: 'as_004', name: 'Test - 3-2-2 Batch B', daily_budget: '100', audience: 3000000,
+          ads: [ad('ad_008', 'Test B1 - Offer-Led', { spend: 100, cvr: 0.026 }, [launched(12)])],
+        },
+      ],
+    },
+    {
+      id: 'camp_003', name: '[ABO] Retargeting - WV + ATC', objective: 'OUTCOME_SALES', daily_budget: '200',
+      effects: retargeting.effects,
+      adSets: [
+        {
+          id: 'as_005', name: 'RT - Website Visitors 1-7d', daily_budget: retargeting.budget || '80', audience: retargeting.audience || 250000,
+          ads: [ad('ad_009', 'RT - Dynamic Product Ad', { spend: retargeting.spend || 80, cpm: 18, ctr: 1.6, cvr: 0.06 }, retargeting.adEffects)],
+        },
+        {
+          id: 'as_006', name: 'RT - Add to Cart 1-3d', daily_budget: retargeting.budget || '70', audience: retargeting.audience || 200000,
+          ads: [ad('ad_010', 'RT - Cart Reminder', { spend: retargeting.spend || 70, cpm: 18, ctr: 1.5, cvr: 0.07 }, retargeting.adEffects)],
+        },
+        {
+          id: 'as_007', name: 'RT - Engaged Users 7-30d', daily_budget: '50', audience: 400000,
+          ads: [ad('ad_011', 'RT - Win Back Offer', { spend: 50, cpm: 16, cvr: 0.035 })],
+        },
+      ],
+    },
+  ];
+}
+
+export const SCENARIOS = {
+  baseline: {
+    id: 'baseline',
+    label: 'Healthy mixed account',
+    description: 'Prospecting at target, a testing campaign with one weak hook and one losing offer, efficient retargeting.',
+    campaigns: ecommerceTree(),
+  },
+
+  creative_fatigue_rt: {
+    id: 'creative_fatigue_rt',
+    label: 'Creative fatigue in retargeting',
+    description: 'Small retargeting audiences pushed hard for weeks: frequency climbs while CTR, hook rate and CVR decay.',
+    campaigns: ecommerceTree({
+      retargeting: {
+        audience: 18000,
+        spend: 150,
+        budget: '150',
+        adEffects: [fatigue({ since: 21, ctr: 0.45, hook: 0.5, cvr: 0.55 })],
+      },
+    }),
+  },
+
+  learning_stuck: {
+    id: 'learning_stuck',
+    label: 'Ad set stuck in learning',
+    description: 'Budget split across many small ad sets — none reaches 50 conversions a week, so delivery never stabilizes.',
+    campaigns: [
+      ...ecommerceTree().slice(0, 1),
+      {
+        id: 'camp_004', name: '[ABO] Interest Stack - Skincare', objective: 'OUTCOME_SALES',
+        adSets: [
+          ['as_101', 'Interests - Clean Beauty', 45, 0.04],
+          ['as_102', 'Interests - Sephora Shoppers', 40, 0.036],
+          ['as_103', 'Interests - Yoga + Wellness', 35, 0.042],
+          ['as_104', 'Interests - Organic Food', 30, 0.028],
+          ['as_105', 'Interests - Luxury Spa', 25, 0.031],
+        ].map(([id, name, spend, cvr], i) => ({
+          id, name, daily_budget: String(spend), audience: 600000,
+          ads: [ad(`ad_${id.slice(3)}`, `${name.split(' - ')[1]} - UGC Video`, { spend, cvr }, [launched(18 + i * 3)])],
+        })),
+      },
+    ],
+  },
+
+  cpa_blowup_budget_jump: {
+    id: 'cpa_blowup_budget_jump',
+    label: 'CPA blow-up after budget jump',
+    description: 'The main prospecting ad set had its budget tripled four days ago; CPMs rose and conversion rate halved.',
+    campaigns: ecommerceTree({
+      prospecting: {
+        as001Budget: '750',
+        as001Effects: [budgetJump({ daysAgo: 4, spend: 3, cpm: 1.35, cvr: 0.5 })],
+      },
+    }),
+  },
+
+  q4_cpm_surge: {
+    id: 'q4_cpm_surge',
+    label: 'Q4 CPM surge',
+    description: 'Holiday auctions: CPMs roughly double over four weeks across the account while conversion rate barely moves.',
+    campaigns: ecommerceTree({
+      prospecting: { effects: [cpmSurge({ since: 28, cpm: 2.0, cvr: 1.1 })] },
+      testing: { effects: [cpmSurge({ since: 28, cpm: 2.2, cvr: 1.05 })] },
+      retargeting: { effects: [cpmSurge({ since: 28, cpm: 1.7, cvr: 1.15 })] },
+    }),
+  },
+
+  leadgen: {
+    id: 'leadgen',
+    label: 'Lead-gen account',
+    description: 'Instant-form and landing-page lead campaigns with no purchase value.',
+    profileHint: 'Set Business Type to Lead Generation and Lead Gen Conversion Event to "lead" to evaluate on CPL.',
+    conversionAction: 'lead',
+    campaigns: [
+      {
+        id: 'camp_201', name: '[LEADS] Instant Form - Free Quote', objective: 'OUTCOME_LEADS', daily_budget: '400',
+        adSets: [
+          {
+            id: 'as_201', name: 'Homeowners 30-65 - 25mi Radius', daily_budget: '250', audience: 900000,
+            ads: [
+              ad('ad_201', 'Before/After Roof - Carousel', { spend: 130, cpm: 12, ctr: 1.1, cvr: 0.042 }),
+              ad('ad_202', 'Owner Talking Head - Video', { spend: 120, cpm: 12, ctr: 0.95, cvr: 0.038, hook: 0.36 }),
+            ],
+          },
+          {
+            id: 'as_202', name: 'Lookalike - Past Customers 2%', daily_budget: '150', audience: 1500000,
+            ads: [ad('ad_203', 'Seasonal Offer - Static', { spend: 150, cpm: 11, ctr: 0.8, cvr: 0.025 }, [scaled({ cvr: 0.9 })])],
+          },
+        ],
+      },
+      {
+        id: 'camp_202', name: '[LEADS] Landing Page - Inspection Booking', objective: 'OUTCOME_LEADS', daily_budget: '150',
+        adSets: [
+          {
+            id: 'as_203', name: 'Broad - Advantage+ Audience', daily_budget: '150', audience: 2000000,
+            ads: [ad('ad_204', 'Free Inspection - Video', { spend: 150, cpm: 13, ctr: 1.3, cvr: 0.03, hook: 0.29 })],
+          },
+        ],
+      },
+    ],
+  },
+};
+
+export const SCENARIO_OPTIONS = Object.values(SCENARIOS).map(s => ({ value: s.id, label: s.label }));
@@ -0,0 +1,106 @@
+/**
+ * API Key Service
+ *
+ * GoMarble and Anthropic keys live on the bridge server (see server/secretStore.js).
+ * The browser can set, rotate or remove them, but only ever learns whether each
+ * one is configured — the values never come back.
+ */
+
+const SECRETS_BASE = '/api/secrets';
+
+// Keys older builds kept in localStorage; moved to the bridge once, then deleted
+const LEGACY_CLAUDE_KEY = 'claude_api_key';
+const LEGACY_GOMARBLE_CONFIG = 'gomarble_config';
+
+let _status = null;       // name → { label, configured, source, envVar, updatedAt }; null until loaded
+let _statusPromise = null;
+
+async function request(path = '', options = {}) {
+  const response = await fetch(`${SECRETS_BASE}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Secrets error: HTTP ${response.status}`);
+  _status = data.secrets;
+  return _status;
+}
+
+/**
+ * Reload which keys the bridge has configured.
+ * @returns {Promise<object>} name → status; empty when the bridge isn't reachable
+ */
+export function refreshKeyStatus() {
+  _statusPromise = request().catch(err => {
+    console.warn(`[Secrets] Could not load key status: ${err.message}`);
+    _status = {};
+    return _status;
+  });
+  return _statusPromise;
+}
+
+/**
+ * Key status, loading it on first use.
+ */
+export function loadKeyStatus() {
+  return _status ? Promise.resolve(_status) : (_statusPromise || refreshKeyStatus());
+}
+
+/**
+ * Last known status of one key (synchronous; false until the status has loaded).
+ */
+export function isKeyConfigured(name) {
+  return !!_status?.[name]?.configured;
+}
+
+/**
+ * Set or rotate a key on the bridge.
+ * @returns {Promise<object>} updated status
+ */
+export function setKey(name, value) {
+  return request(`/${encodeURIComponent(name)}`, { method: 'PUT', body: JSON.stringify({ value }) });
+}
+
+/**
+ * Remove a key set from Settings (an env-provided key still applies).
+ */
+export function clearKey(name) {
+  return request(`/${encodeURIComponent(name)}`, { method: 'DELETE' });
+}
+
+/**
+ * Load key status, then move keys saved in this browser by older builds to the bridge and
+ * delete the local copies. A key the bridge already has is kept; the local copy is dropped either way.
+ */
+export async function migrateBrowserKeys() {
+  const status = await loadKeyStatus();
+  let claudeKey = null;
+  let gmConfig = null;
+  try {
+    claudeKey = localStorage.getItem(LEGACY_CLAUDE_KEY);
+    gmConfig = JSON.parse(localStorage.getItem(LEGACY_GOMARBLE_CONFIG) || 'null');
+  } catch { /* ignore storage errors */ }
+  const legacy = { anthropic: claudeKey, gomarble: gmConfig?.apiKey };
+  // Nothing to move, or the bridge is unreachable (try again next load)
+  if (!Object.values(legacy).some(Boolean) || Object.keys(status).length === 0) return;
+
+  for (const [name, value] of Object.entries(legacy)) {
+    if (!value) continue;
+    try {
+      if (!status[name]?.configured) {
+        await setKey(name, value);
+        console.log(`[Secrets] Moved ${name} key from this browser to the bridge`);
+      }
+    } catch (err) {
+      console.warn(`[Secrets] Could not move ${name} key: ${err.message}`);
+      continue;
+    }
+    try {
+      if (name === 'anthropic') localStorage.removeItem(LEGACY_CLAUDE_KEY);
+      else {
+        const { apiKey: _apiKey, ...rest } = gmConfig;
+        localStorage.setItem(LEGACY_GOMARBLE_CONFIG, JSON.stringify(rest));
+      }
+    } catch { /* ignore storage errors */ }
+  }
+}
@@ -0,0 +1,352 @@
+import { Fragment, useState, useMemo } from 'react';
+import { backtestAccount, BACKTEST_DEFAULTS } from '../engine/backtest';
+import { formatCurrency, formatDate, formatROAS } from '../utils/normalize';
+import { saveThresholds as saveThresholdProfile } from '../config/thresholdProfiles';
+import { hasRole } from '../services/auth';
+import { VerdictBadge, UrgencyDot } from '../components/StatusBadge';
+
+const LEVELS = [
+  { id: 'all', label: 'All levels', levels: ['campaign', 'adset', 'ad'] },
+  { id: 'campaign', label: 'Campaigns', levels: ['campaign'] },
+  { id: 'adset', label: 'Ad sets', levels: ['adset'] },
+  { id: 'ad', label: 'Ads', levels: ['ad'] },
+];
+const TYPE_LABELS = { campaign: 'Campaign', adset: 'Ad Set', ad: 'Ad' };
+
+// Thresholds worth trying alternatives for; `percent` fields are stored as fractions
+const WHAT_IF_FIELDS = [
+  { section: 'kill', field: 'spendMultiplierZeroConversions', label: 'KILL-1 spend (× target CPA)', step: 0.5 },
+  { section: 'kill', field: 'cpaWorsePercent', label: 'KILL-2 CPA above target (%)', percent: true, step: 5 },
+  { section: 'kill', field: 'cpaWorseDaysRequired', label: 'KILL-2 days required', step: 1 },
+  { section: 'kill', field: 'frequencyKillThreshold', label: 'KILL-3 frequency', step: 0.1 },
+  { section: 'kill', field: 'roasBelowBreakevenDays', label: 'KILL-4 days below break-even', step: 1 },
+  { section: 'scale', field: 'stabilityDaysRequired', label: 'SCALE-1 stable days', step: 1 },
+  { section: 'scale', field: 'frequencyScaleMax', label: 'SCALE-3 max frequency', step: 0.1 },
+  { section: 'scale', field: 'minDailyConversions', label: 'SCALE-3 min conv/day', step: 1 },
+  { section: 'iterate', field: 'ctrDeclineWoWPercent', label: 'ITERATE-1 CTR decline (%)', percent: true, step: 5 },
+  { section: 'iterate', field: 'hookRateIterateThreshold', label: 'ITERATE-2 hook rate (%)', percent: true, step: 1 },
+  { section: 'confidence', field: 'kill', label: 'KILL min confidence (%)', percent: true, step: 5 },
+  { section: 'confidence', field: 'scale', label: 'SCALE min confidence (%)', percent: true, step: 5 },
+];
+
+const EPISODE_LIMIT = 25;
+
+/**
+ * Replay the rules over the account's daily history and show, per rule, what acting on each
+ * signal would have saved or earned — with a what-if set of thresholds to compare against.
+ */
+export default function Backtest({ data, rawData, thresholds, user, accountId, onUpdate }) {
+  const [windowDays, setWindowDays] = useState(BACKTEST_DEFAULTS.windowDays);
+  const [horizonDays, setHorizonDays] = useState(BACKTEST_DEFAULTS.horizonDays);
+  const [level, setLevel] = useState('all');
+  const [overrides, setOverrides] = useState({}); // "section.field" → value
+  const [expanded, setExpanded] = useState(null);
+  const [applied, setApplied] = useState(false);
+  const isAdmin = hasRole(user, 'admin');
+  const currency = data.currency;
+
+  const whatIfThresholds = useMemo(() => {
+    const entries = Object.entries(overrides);
+    if (entries.length === 0) return null;
+    const next = { ...thresholds };
+    entries.forEach(([key, value]) => {
+      const [section, field] = key.split('.');
+      next[section] = { ...next[section], [field]: value };
+    });
+    return next;
+  }, [thresholds, overrides]);
+
+  const result = useMemo(
+    () => (rawData ? backtestAccount(rawData, thresholds, backtestOptions(windowDays, horizonDays, level)) : null),
+    [rawData, thresholds, windowDays, horizonDays, level]
+  );
+  const whatIf = useMemo(
+    () => (rawData && whatIfThresholds ? backtestAccount(rawData, whatIfThresholds, backtestOptions(windowDays, horizonDays, level)) : null),
+    [rawData, whatIfThresholds, windowDays, horizonDays, level]
+  );
+
+  function setOverride(section, field, value) {
+    const key = `${section}.${field}`;
+    const next = { ...overrides };
+    if (value === '' || value === thresholds[section]?.[field]) delete next[key];
+    else next[key] = value;
+    setOverrides(next);
+    setApplied(false);
+  }
+
+  function applyWhatIf() {
+    onUpdate(whatIfThresholds);
+    saveThresholdProfile(accountId, whatIfThresholds);
+    setOverrides({});
+    setApplied(true);
+    setTimeout(() => setApplied(false), 2500);
+  }
+
+  if (!result || result.entities === 0) {
+    return (
+      <div className="card p-8 text-center text-sm text-[var(--color-text-muted)]">
+        Not enough daily history to backtest — need at least {windowDays} days of daily data. Try a longer date range.
+      </div>
+    );
+  }
+
+  const whatIfByRule = new Map((whatIf?.rules || []).map(r => [r.ruleId, r]));
+  const rows = result.rules.filter(r => r.episodes > 0 || whatIfByRule.get(r.ruleId)?.episodes > 0);
+  const totals = summarizeTotals(result.rules);
+  const whatIfTotals = whatIf ? summarizeTotals(whatIf.rules) : null;
+  const valueLabel = result.valueBasis === 'targetCPA' ? 'Value after' : 'Revenue after';
+  const notReplayed = result.rules.filter(r => r.enabled && r.noDailyInputs.length > 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-sm font-semibold tracking-wider text-[var(--color-text-primary)] uppercase">
+            Rule Backtest
+          </h2>
+          <div className="text-[11px] text-[var(--color-text-muted)] mt-0.5">
+            Replayed {result.entities} entities over {formatDate(result.since)} – {formatDate(result.until)}
+            {' '}({result.evaluations.toLocaleString()} entity-days). Each day is judged on the trailing {windowDays} days;
+            outcomes are the {horizonDays} days after a signal first fires.
+            {result.valueBasis === 'targetCPA' && ' Lead value = conversions × target CPA.'}
+            {result.unknownConversionEntities > 0 && (
+              <div>
+                Skipped {result.unknownConversionEntities} {result.unknownConversionEntities === 1 ? 'entity' : 'entities'} with no daily conversions under this account's conversion mapping.
+              </div>
+            )}
+            {notReplayed.length > 0 && (
+              <div>
+                Not replayed, no daily breakdown to judge them on:{' '}
+                {notReplayed.map(r => `${r.ruleId} (${r.noDailyInputs.join(', ')})`).join(', ')}.
+              </div>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <BacktestSelect value={windowDays} onChange={v => setWindowDays(Number(v))} options={[[7, '7-day window'], [14, '14-day window'], [30, '30-day window']]} />
+          <BacktestSelect value={horizonDays} onChange={v => setHorizonDays(Number(v))} options={[[3, '3-day outcome'], [7, '7-day outcome'], [14, '14-day outcome']]} />
+          <BacktestSelect value={level} onChange={setLevel} options={LEVELS.map(l => [l.id, l.label])} />
+        </div>
+      </div>
+
+      {/* Totals */}
+      <div className="grid grid-cols-3 gap-4">
+        <TotalCard
+          label="KILL — net if paused"
+          value={totals.kill}
+          whatIf={whatIfTotals?.kill}
+          currency={currency}
+          hint="Spend after each KILL minus the value it went on to produce"
+        />
+        <TotalCard
+          label={`SCALE — gain from +${Math.round((thresholds.scale?.maxBudgetIncreasePercent ?? 0.2) * 100)}% budget`}
+          value={totals.scale}
+          whatIf={whatIfTotals?.scale}
+          currency={currency}
+          hint="Extra value minus extra spend at each entity's actual efficiency after the signal"
+        />
+        <div className="card p-4">
+          <div className="text-[10px] tracking-wider uppercase text-[var(--color-text-muted)] mb-1">Signals borne out</div>
+          <div className="text-xl font-bold tabular-nums text-[var(--color-text-primary)]">{formatRate(totals.hitRate)}</div>
+          {whatIfTotals && <div className="text-[11px] text-[var(--color-accent)] tabular-nums">What-if: {formatRate(whatIfTotals.hitRate)}</div>}
+          <div className="text-[10px] text-[var(--color-text-muted)] mt-1">{totals.confirmed} of {totals.scored} scored episodes</div>
+        </div>
+      </div>
+
+      {/* What-if thresholds */}
+      <div className="card p-4">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-xs font-semibold tracking-wider text-[var(--color-text-muted)] uppercase">What-if Thresholds</h3>
+          <div className="flex items-center gap-3">
+            {whatIfThresholds && (
+              <button type="button" onClick={() => setOverrides({})} className="text-[10px] text-[var(--color-text-muted)] hover:text-[var(--color-primary)] transition-colors">
+                Reset
+              </button>
+            )}
+            {isAdmin && (whatIfThresholds || applied) && (
+              <button
+                type="button"
+                onClick={applyWhatIf}
+                disabled={!whatIfThresholds}
+                className="px-3 py-1.5 rounded-lg text-white text-[11px] font-medium transition-all disabled:cursor-default"
+                style={{ background: applied ? '#22c55e' : 'var(--color-primary)' }}
+              >
+                {applied ? '✅ Saved to profile' : 'Apply to profile'}
+              </button>
+            )}
+          </div>
+        </div>
+        <div className="grid grid-cols-5 gap-3">
+          {WHAT_IF_FIELDS.map(({ section, field, label, percent, step }) => {
+            const key = `${section}.${field}`;
+            const current = thresholds[section]?.[field];
+            const value = overrides[key] ?? current;
+            const display = v => (percent ? Math.round(v * 1000) / 10 : v);
+            return (
+              <label key={key} className="block">
+                <span className="block text-[10px] text-[var(--color-text-muted)] mb-1">{label}</span>
+                <input
+                  type="number"
+                  step={step}
+                  value={value == null ? '' : display(value)}
+                  onChange={e => setOverride(section, field, e.target.value === '' ? '' : Number(e.target.value) / (percent ? 100 : 1))}
+                  className={`w-full px-2 py-1 rounded bg-[var(--color-bg-elevated)] border text-xs text-[var(--color-text-primary)] outline-none tabular-nums ${key in overrides ? 'border-[var(--color-accent)]' : 'border-[var(--color-border)]'}`}
+                />
+                {key in overrides && <span className="block text-[10px] text-[var(--color-text-muted)] mt-0.5">now {display(current)}</span>}
+              </label>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Per-rule results */}
+      <div className="card overflow-hidden">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-[10px] tracking-wider uppercase text-[var(--color-text-muted)] border-b border-[var(--color-border)]">
+              <th className="text-left font-normal px-4 py-2">Rule</th>
+              <th className="text-right font-normal px-3 py-2">Episodes</th>
+              <th className="text-right font-normal px-3 py-2">Entities</th>
+              <th className="text-right font-normal px-3 py-2">Borne out</th>
+              <th className="text-right font-normal px-3 py-2">Spend after</th>
+              <th className="text-right font-normal px-3 py-2">{valueLabel}</th>
+              <th className="text-right font-normal px-4 py-2">Net impact</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(rule => {
+              const alt = whatIfByRule.get(rule.ruleId);
+              const open = expanded === rule.ruleId;
+              return (
+                <Fragment key={rule.ruleId}>
+                  <tr
+                    onClick={() => setExpanded(open ? null : rule.ruleId)}
+                    className="border-b border-[#1e293b33] hover:bg-[#1e293b22] cursor-pointer"
+                  >
+                    <td className="px-4 py-2.5">
+                      <div className="flex items-center gap-2">
+                        <span className="text-[var(--color-text-muted)] w-3">{open ? '▾' : '▸'}</span>
+                        {rule.signal && <VerdictBadge verdict={rule.signal} />}
+                        <span className="font-medium text-[var(--color-text-primary)]">{rule.ruleId}</span>
+                        {!rule.enabled && <span className="text-[10px] text-[var(--color-text-muted)]">(disabled)</span>}
+                      </div>
+                      <div className="text-[10px] text-[var(--color-text-muted)] ml-5">{rule.name}</div>
+                    </td>
+                    <CompareCell value={rule.episodes} alt={alt?.episodes} format={String} />
+                    <CompareCell value={rule.entities} alt={alt?.entities} format={String} />
+                    <CompareCell value={rule.hitRate} alt={alt?.hitRate} format={formatRate} />
+                    <CompareCell value={rule.spendAfter} alt={alt?.spendAfter} format={v => formatCurrency(v, currency, true)} />
+                    <CompareCell value={rule.valueAfter} alt={alt?.valueAfter} format={v => formatCurrency(v, currency, true)} />
+                    <CompareCell value={rule.impact} alt={alt?.impact} format={v => formatSigned(v, currency)} colored last />
+                  </tr>
+                  {open && (
+                    <tr className="border-b border-[#1e293b33] bg-[#0f172a66]">
+                      <td colSpan={7} className="px-4 py-3">
+                        <EpisodeList episodes={result.episodes.filter(e => e.ruleId === rule.ruleId)} currency={currency} />
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+            {rows.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-[var(--color-text-muted)]">No rule fired over this history.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Episodes for one rule, biggest money impact first.
+ */
+function EpisodeList({ episodes, currency }) {
+  const sorted = [...episodes].sort((a, b) => Math.abs(b.impact || 0) - Math.abs(a.impact || 0) || b.start.localeCompare(a.start));
+  return (
+    <div className="space-y-1.5">
+      {sorted.slice(0, EPISODE_LIMIT).map(e => (
+        <div key={`${e.entityId}:${e.start}`} className="grid grid-cols-[16px_90px_1fr_220px_90px_20px] gap-2 items-start text-[11px]">
+          <UrgencyDot urgency={e.urgency} />
+          <span className="text-[var(--color-text-muted)] tabular-nums">
+            {formatDate(e.start)}{e.days > 1 && ` +${e.days - 1}d`}
+          </span>
+          <div className="min-w-0">
+            <div className="text-[var(--color-text-primary)] truncate" title={e.entityName}>
+              <span className="text-[var(--color-text-muted)]">{TYPE_LABELS[e.entityType]} · </span>{e.entityName}
+            </div>
+            <div className="text-[var(--color-text-secondary)] truncate" title={e.reason}>{e.reason}</div>
+          </div>
+          <span className="text-[var(--color-text-muted)] tabular-nums">
+            {e.after
+              ? `Next ${e.after.days}d: ${formatCurrency(e.after.spend, currency, true)} spend · ${e.after.roas != null ? formatROAS(e.after.roas) : `${Math.round(e.after.conversions)} conv`}${e.after.cpa != null ? ` · ${formatCurrency(e.after.cpa, currency)} CPA` : ''}`
+              : 'No data after signal yet'}
+          </span>
+          <span className={`text-right tabular-nums ${e.impact == null ? 'text-[var(--color-text-muted)]' : e.impact >= 0 ? 'text-[#22c55e]' : 'text-[#ef4444]'}`}>
+            {e.impact == null ? '—' : formatSigned(e.impact, currency)}
+          </span>
+          <span title={e.confirmed == null ? 'Not scored' : e.confirmed ? 'Borne out' : 'Not borne out'}>
+            {e.confirmed == null ? '' : e.confirmed ? '✓' : '✗'}
+          </span>
+        </div>
+      ))}
+      {sorted.length > EPISODE_LIMIT && (
+        <div className="text-[10px] text-[var(--color-text-muted)]">…and {sorted.length - EPISODE_LIMIT} more</div>
+      )}
+    </div>
+  );
+}
+
+function TotalCard({ label, value, whatIf, currency, hint }) {
+  return (
+    <div className="card p-4">
+      <div className="text-[10px] tracking-wider uppercase text-[var(--color-text-muted)] mb-1">{label}</div>
+      <div className={`text-xl font-bold tabular-nums ${value >= 0 ? 'text-[#22c55e]' : 'text-[#ef4444]'}`}>{formatSigned(value, currency)}</div>
+      {whatIf != null && <div className="text-[11px] text-[var(--color-accent)] tabular-nums">What-if: {formatSigned(whatIf, currency)}</div>}
+      <div className="text-[10px] text-[var(--color-text-muted)] mt-1">{hint}</div>
+    </div>
+  );
+}
+
+function CompareCell({ value, alt, format, colored, last }) {
+  const color = colored && value != null ? (value >= 0 ? 'text-[#22c55e]' : 'text-[#ef4444]') : 'text-[var(--color-text-secondary)]';
+  const show = v => (v == null ? '—' : format(v));
+  return (
+    <td className={`text-right py-2.5 tabular-nums ${last ? 'px-4' : 'px-3'}`}>
+      <div className={color}>{show(value)}</div>
+      {alt !== undefined && show(alt) !== show(value) && (
+        <div className="text-[10px] text-[var(--color-accent)]">→ {show(alt)}</div>
+      )}
+    </td>
+  );
+}
+
+function BacktestSelect({ value, onChange, options }) {
+  return (
+    <select
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      className="px-2 py-1 rounded bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-xs text-[var(--color-text-primary)] outline-none"
+    >
+      {options.map(([v, label]) => <option key={v} value={v}>{label}</option>)}
+    </select>
+  );
+}
+
+function backtestOptions(windowDays, horizonDays, level) {
+  return { windowDays, horizonDays, levels: LEVELS.find(l => l.id === level).levels };
+}
+
+function summarizeTotals(rules) {
+  const sum = (signal) => rules.filter(r => r.signal === signal).reduce((s, r) => s + (r.impact || 0), 0);
+  const scored = rules.reduce((s, r) => s + r.scored, 0);
+  const confirmed = rules.reduce((s, r) => s + r.confirmed, 0);
+  return { kill: sum('KILL'), scale: sum('SCALE'), scored, confirmed, hitRate: scored > 0 ? confirmed / scored : null };
+}
+
+const formatRate = rate => (rate == null ? '—' : `${Math.round(rate * 100)}%`);
+
+const formatSigned = (value, currency) => `${value >= 0 ? '+' : '−'}${formatCurrency(Math.abs(value), currency, true)}`;
@@ -1,9 +1,11 @@
-import { formatCurrency } from '../utils/normalize';
+import { formatCurrency, percentChange, getComparisonLabel } from '../utils/normalize';
+import { DeltaTag } from '../components/StatusBadge';
 import { minDailyBudget } from '../utils/metrics';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, Legend } from 'recharts';
 
 export default function BudgetConsole({ data }) {
-  const { budgetAnalysis, adSetVerdicts, campaignVerdicts, summary } = data;
+  const { budgetAnalysis, adSetVerdicts, campaignVerdicts, summary, comparison, currency } = data;
+  const previousBudget = comparison?.budgetAnalysis || null;
   const thresholds = data.thresholds || {};
   const targetCPA = thresholds.profile?.targetCPA || 30;
   const minBudget = minDailyBudget(targetCPA);
@@ -16,11 +18,7 @@ export default function BudgetConsole({ data }) {
   ].filter(d => d.value > 0) : [];
 
   // Learning phase data
-  const adSetsWithLearning = adSetVerdicts.map(as => ({
-    ...as,
-    learningScore: Math.min(1, as.conversionsLast7d / 50),
-    isLearning: as.conversionsLast7d < 50,
-  }));
+  const adSetsWithLearning = adSetVerdicts.filter(as => as.isDelivering !== false);
 
   return (
     <div className="space-y-6">
@@ -49,7 +47,7 @@ export default function BudgetConsole({ data }) {
                     ))}
                   </Pie>
                   <Tooltip
-                    formatter={(value) => formatCurrency(value)}
+                    formatter={(value) => formatCurrency(value, currency)}
                     contentStyle={{ background: '#0f172a', border: '1px solid #1e293b', borderRadius: '8px', fontSize: '12px', color: '#e2e8f0' }}
                   />
                   <Legend
@@ -67,9 +65,16 @@ export default function BudgetConsole({ data }) {
 
         {/* Allocation vs Target */}
         <div className="card p-5">
-          <h3 className="text-xs font-semibold tracking-wider text-[var(--color-text-muted)] uppercase mb-4">
-            Allocation vs 70/20/10 Target
-          </h3>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-xs font-semibold tracking-wider text-[var(--color-text-muted)] uppercase">
+              Allocation vs 70/20/10 Target
+            </h3>
+            {comparison && (
+              <span className="text-[10px] text-[var(--color-text-muted)]">
+                {getComparisonLabel(comparison.mode)}: {comparison.since} – {comparison.until}
+              </span>
+            )}
+          </div>
           {budgetAnalysis ? (
             <div className="space-y-4">
               {['prospecting', 'retargeting', 'testing'].map(category => {
@@ -79,6 +84,7 @@ export default function BudgetConsole({ data }) {
                 const isOver = deviation > 0;
                 const isAlert = Math.abs(deviation) > 0.10;
                 const barColor = category === 'prospecting' ? '#0ea5e9' : category === 'retargeting' ? '#f59e0b' : '#8b5cf6';
+                const shareShift = previousBudget ? (actualPct - previousBudget.actualPct[category]) * 100 : null;
 
                 return (
                   <div key={category}>
@@ -108,8 +114,16 @@ export default function BudgetConsole({ data }) {
                         style={{ left: `${targetPct * 100}%` }}
                       />
                     </div>
-                    <div className="text-right text-[10px] text-[var(--color-text-muted)] mt-0.5">
-                      {formatCurrency(budgetAnalysis.actual[category])} of {formatCurrency(budgetAnalysis.totalSpend)}
+                    <div className="flex items-center justify-end gap-2 text-[10px] text-[var(--color-text-muted)] mt-0.5">
+                      <span>{formatCurrency(budgetAnalysis.actual[category], currency)} of {formatCurrency(budgetAnalysis.totalSpend, currency)}</span>
+                      {previousBudget && (
+                        <>
+                          <DeltaTag change={percentChange(budgetAnalysis.actual[category], previousBudget.actual[category])} neutral />
+                          <span className="tabular-nums">
+                            share {shareShift > 0 ? '+' : ''}{shareShift.toFixed(0)}pp
+                          </span>
+                        </>
+                      )}
                     </div>
                   </div>
                 );
@@ -148,7 +162,7 @@ export default function BudgetConsole({ data }) {
               <div className="w-36">
                 <div className="flex items-center justify-between mb-0.5">
                   <span className="text-[10px] text-[var(--color-text-muted)]">
-                    {adSet.conversionsLast7d}/50
+                    {adSet.conversionsLast7d}/{thresholds.scale?.learningPhaseConversionsWeekly ?? 50}
                   </span>
                   <span className="text-[10px] font-medium" style={{ color: adSet.isLearning ? '#f59e0b' : '#22c55e' }}>
                     {adSet.isLearning ? 'Learning' : 'Exited'}
@@ -167,7 +181,7 @@ export default function BudgetConsole({ data }) {
               <div className="text-right shrink-0 w-20">
                 <div className="text-[10px] text-[var(--color-text-muted)]">Min budget</div>
                 <div className="text-xs font-medium tabular-nums text-[var(--color-text-primary)]">
-                  {formatCurrency(minBudget)}/day
+                  {formatCurrency(minBudget, currency)}/day
                 </div>
               </div>
             </div>
@@ -181,13 +195,14 @@ export default function BudgetConsole({ data }) {
           Scaling Readiness
         </h3>
         <div className="grid grid-cols-2 gap-3">
-          {campaignVerdicts.map(campaign => {
+          {campaignVerdicts.filter(c => c.isDelivering !== false).map(campaign => {
+            const currentBudget = campaign.dailyBudget || campaign.spend / (campaign.daysRunning || 7);
             const checks = [
               { label: 'Stable 7+ days', pass: campaign.daysStable >= 7 },
               { label: 'ROAS above target', pass: campaign.roas >= (thresholds.profile?.targetROAS || 3) },
               { label: 'Frequency < 2.5', pass: campaign.frequency < 2.5 },
               { label: '8+ conv/day', pass: campaign.dailyConversions >= 8 },
-              { label: 'Exited learning', pass: campaign.conversionsLast7d >= 50 },
+              { label: 'Exited learning', pass: !campaign.isLearning },
             ];
             const passCount = checks.filter(c => c.pass).length;
             const isReady = passCount >= 4;
@@ -195,7 +210,16 @@ export default function BudgetConsole({ data }) {
             return (
               <div key={campaign.id} className="p-4 rounded-lg bg-[#1e293b33] border border-[var(--color-border)]">
                 <div className="flex items-center justify-between mb-3">
-                  <div className="text-xs font-medium text-[var(--color-text-primary)] truncate">{campaign.name}</div>
+                  <div className="min-w-0">
+                    <div className="text-xs font-medium text-[var(--color-text-primary)] truncate">{campaign.name}</div>
+                    {campaign.deltas && (
+                      <div className="flex items-center gap-2 text-[10px] text-[var(--color-text-muted)]">
+                        <span>Spend</span><DeltaTag change={campaign.deltas.spend} neutral />
+                        <span>ROAS</span><DeltaTag change={campaign.deltas.roas} />
+                        <span>CPA</span><DeltaTag change={campaign.deltas.cpa} lowerIsBetter />
+                      </div>
+                    )}
+                  </div>
                   <span
                     className="text-[10px] px-2 py-0.5 rounded font-bold tracking-wider"
                     style={{
@@ -218,7 +242,7 @@ export default function BudgetConsole({ data }) {
                 </div>
                 {isReady && (
                   <div className="mt-3 pt-2 border-t border-[#1e293b44] text-[11px] text-[#22c55e]">
-                    ↳ Recommend: Increase budget from {formatCurrency(campaign.dailyBudget || 0)} → {formatCurrency((campaign.dailyBudget || 0) * 1.2)} (+20%)
+                    ↳ Recommend: Increase {campaign.dailyBudget ? 'daily budget' : 'daily spend'} from {formatCurrency(currentBudget, currency)} → {formatCurrency(currentBudget * 1.2, currency)} (+20%)
                   </div>
                 )}
               </div>
@@ -1,12 +1,17 @@
 import { useState } from 'react';
-import { formatCurrency, formatROAS, formatPercent, formatCompact, getVerdictColor, getCampaignTypeInfo } from '../utils/normalize';
-import { VerdictBadge, HealthBadge } from '../components/StatusBadge';
+import { formatCurrency, formatROAS, formatPercent, formatCompact, getVerdictColor, getCampaignTypeInfo, getStatusLabel, getAttributionWindowLabel } from '../utils/normalize';
+import { VerdictBadge, HealthBadge, DeltaTag, ConfidenceTag } from '../components/StatusBadge';
+import BreakdownExplorer from '../components/BreakdownExplorer';
 
 export default function CampaignDive({ data }) {
   const [expandedCampaign, setExpandedCampaign] = useState(null);
   const [expandedAdSet, setExpandedAdSet] = useState(null);
+  // Which entity has its breakdown explorer open, as `${type}:${id}`
+  const [breakdownFor, setBreakdownFor] = useState(null);
 
-  const { campaignVerdicts, adSetVerdicts, adVerdicts } = data;
+  const { campaignVerdicts, adSetVerdicts, adVerdicts, currency } = data;
+  const periodKey = `${data.period?.since}:${data.period?.until}`;
+  const toggleBreakdown = (key) => setBreakdownFor(breakdownFor === key ? null : key);
 
   return (
     <div className="space-y-3">
@@ -15,7 +20,7 @@ export default function CampaignDive({ data }) {
           Campaign Performance
         </h2>
         <div className="text-xs text-[var(--color-text-muted)]">
-          {campaignVerdicts.length} campaigns
+          {campaignVerdicts.length} campaigns · {data.conversionMapping?.primary?.join(' → ')} · {getAttributionWindowLabel(data.attributionWindow)}
         </div>
       </div>
 
@@ -44,25 +49,47 @@ export default function CampaignDive({ data }) {
                   <span className="text-sm font-medium text-[var(--color-text-primary)] truncate">
                     {campaign.name}
                   </span>
+                  {!campaign.isDelivering && <StatusTag status={campaign.status} />}
                 </div>
                 <div className="flex items-center gap-6 shrink-0">
-                  <MetricCell label="Spend" value={formatCurrency(campaign.spend, 'USD', true)} />
-                  <MetricCell label="ROAS" value={formatROAS(campaign.roas)} color={campaign.roas >= (data.thresholds?.profile?.targetROAS || 3) ? '#22c55e' : '#ef4444'} />
-                  <MetricCell label="CPA" value={formatCurrency(campaign.cpa)} color={campaign.cpa && campaign.cpa <= (data.thresholds?.profile?.targetCPA || 30) ? '#22c55e' : '#ef4444'} />
-                  <MetricCell label="CTR" value={formatPercent(campaign.ctr, 2)} />
-                  <MetricCell label="Freq" value={campaign.frequency?.toFixed(1)} color={campaign.frequency > 2.5 ? '#f59e0b' : '#94a3b8'} />
-                  <MetricCell label="Conv" value={formatCompact(campaign.conversions)} />
+                  <MetricCell label="Spend" value={formatCurrency(campaign.spend, currency, true)} delta={campaign.deltas?.spend} neutralDelta />
+                  <MetricCell label="ROAS" value={formatROAS(campaign.roas)} color={campaign.roas >= (data.thresholds?.profile?.targetROAS || 3) ? '#22c55e' : '#ef4444'} delta={campaign.deltas?.roas} />
+                  <MetricCell label="CPA" value={formatCurrency(campaign.cpa, currency)} color={campaign.cpa && campaign.cpa <= (data.thresholds?.profile?.targetCPA || 30) ? '#22c55e' : '#ef4444'} delta={campaign.deltas?.cpa} lowerIsBetter />
+                  <MetricCell label="CTR" value={formatPercent(campaign.ctr, 2)} delta={campaign.deltas?.ctr} />
+                  <MetricCell label="Freq" value={campaign.frequency?.toFixed(1)} color={campaign.frequency > 2.5 ? '#f59e0b' : '#94a3b8'} delta={campaign.deltas?.frequency} lowerIsBetter />
+                  <MetricCell label="Conv" value={formatCompact(campaign.conversions)} delta={campaign.deltas?.conversions} />
+                  {campaign.viewThroughShare != null && (
+                    <MetricCell
+                      label="View-thru"
+                      value={`${(campaign.viewThroughShare * 100).toFixed(0)}%`}
+                      color={campaign.viewThroughShare > (data.thresholds?.attribution?.viewThroughSwitchThreshold ?? 0.25) ? '#f59e0b' : '#94a3b8'}
+                    />
+                  )}
+                  <BreakdownToggle
+                    active={breakdownFor === `campaign:${campaign.id}`}
+                    onClick={() => toggleBreakdown(`campaign:${campaign.id}`)}
+                  />
                   <span className="text-[var(--color-text-muted)] text-lg">{isExpanded ? '▾' : '▸'}</span>
                 </div>
               </div>
               {/* Top signal reason */}
               {campaign.topSignal && (
                 <div className="mt-2 text-xs text-[var(--color-text-secondary)] pl-1">
-                  ↳ {campaign.topSignal.reason}
+                  ↳ {campaign.verdict === 'INSUFFICIENT DATA' && `Would ${campaign.topSignal.signal}: `}{campaign.topSignal.reason}
+                  <span className="ml-2"><ConfidenceTag signal={campaign.topSignal} currency={currency} /></span>
+                </div>
+              )}
+              {Object.keys(campaign.secondaryConversions || {}).length > 0 && (
+                <div className="mt-1 text-[11px] text-[var(--color-text-muted)] pl-1">
+                  {Object.entries(campaign.secondaryConversions).map(([type, count]) => `${type} ${formatCompact(count)}`).join(' · ')}
                 </div>
               )}
             </div>
 
+            {breakdownFor === `campaign:${campaign.id}` && (
+              <BreakdownExplorer entityType="campaign" entityId={campaign.id} thresholds={data.thresholds} periodKey={periodKey} currency={currency} />
+            )}
+
             {/* Expanded: Ad Sets */}
             {isExpanded && (
               <div className="border-t border-[var(--color-border)]">
@@ -89,28 +116,40 @@ export default function CampaignDive({ data }) {
                             <span className="text-xs font-medium text-[var(--color-text-primary)] truncate">
                               {adSet.name}
                             </span>
-                            {adSet.conversionsLast7d < 50 && (
+                            {!adSet.isDelivering && <StatusTag status={adSet.status} />}
+                            {adSet.isDelivering && adSet.isLearning && (
                               <span className="text-[10px] px-1.5 py-0.5 rounded bg-[#f59e0b18] text-[#f59e0b] border border-[#f59e0b33]">
                                 Learning
                               </span>
                             )}
                           </div>
                           <div className="flex items-center gap-5 shrink-0">
-                            <MetricCell label="Spend" value={formatCurrency(adSet.spend)} size="sm" />
-                            <MetricCell label="ROAS" value={formatROAS(adSet.roas)} size="sm" />
-                            <MetricCell label="CPA" value={formatCurrency(adSet.cpa)} size="sm" />
-                            <MetricCell label="Freq" value={adSet.frequency?.toFixed(1)} size="sm" />
+                            <MetricCell label="Spend" value={formatCurrency(adSet.spend, currency)} size="sm" delta={adSet.deltas?.spend} neutralDelta />
+                            <MetricCell label="ROAS" value={formatROAS(adSet.roas)} size="sm" delta={adSet.deltas?.roas} />
+                            <MetricCell label="CPA" value={formatCurrency(adSet.cpa, currency)} size="sm" delta={adSet.deltas?.cpa} lowerIsBetter />
+                            <MetricCell label="Freq" value={adSet.frequency?.toFixed(1)} size="sm" delta={adSet.deltas?.frequency} lowerIsBetter />
                             <MetricCell label="Conv/wk" value={adSet.conversionsLast7d} size="sm" />
+                            <BreakdownToggle
+                              active={breakdownFor === `adset:${adSet.id}`}
+                              onClick={() => toggleBreakdown(`adset:${adSet.id}`)}
+                            />
                             <span className="text-[var(--color-text-muted)] text-sm">{isAdSetExpanded ? '▾' : '▸'}</span>
                           </div>
                         </div>
                         {adSet.topSignal && (
                           <div className="mt-1 text-[11px] text-[var(--color-text-secondary)] pl-1">
-                            ↳ {adSet.topSignal.reason}
+                            ↳ {adSet.verdict === 'INSUFFICIENT DATA' && `Would ${adSet.topSignal.signal}: `}{adSet.topSignal.reason}
+                            <span className="ml-2"><ConfidenceTag signal={adSet.topSignal} currency={currency} /></span>
                           </div>
                         )}
                       </div>
 
+                      {breakdownFor === `adset:${adSet.id}` && (
+                        <div className="ml-4">
+                          <BreakdownExplorer entityType="adset" entityId={adSet.id} thresholds={data.thresholds} periodKey={periodKey} currency={currency} />
+                        </div>
+                      )}
+
                       {/* Expanded: Ads */}
                       {isAdSetExpanded && (
                         <div className="ml-12 border-l border-[var(--color-border)]">
@@ -127,10 +166,10 @@ export default function CampaignDive({ data }) {
                                 </span>
                               </div>
                               <div className="flex items-center gap-4 shrink-0">
-                                <MetricCell label="Spend" value={formatCurrency(ad.spend)} size="xs" />
-                                <MetricCell label="ROAS" value={formatROAS(ad.roas)} size="xs" />
-                                <MetricCell label="CPA" value={formatCurrency(ad.cpa)} size="xs" />
-                                <MetricCell label="CTR" value={formatPercent(ad.ctr, 2)} size="xs" />
+                                <MetricCell label="Spend" value={formatCurrency(ad.spend, currency)} size="xs" delta={ad.deltas?.spend} neutralDelta />
+                                <MetricCell label="ROAS" value={formatROAS(ad.roas)} size="xs" delta={ad.deltas?.roas} />
+                                <MetricCell label="CPA" value={formatCurrency(ad.cpa, currency)} size="xs" delta={ad.deltas?.cpa} lowerIsBetter />
+                                <MetricCell label="CTR" value={formatPercent(ad.ctr, 2)} size="xs" delta={ad.deltas?.ctr} />
                                 {ad.hookRate != null && (
                                   <MetricCell label="Hook" value={formatPercent(ad.hookRate, 1)} size="xs" color={ad.hookRate >= 0.30 ? '#22c55e' : '#ef4444'} />
                                 )}
@@ -154,7 +193,31 @@ export default function CampaignDive({ data }) {
   );
 }
 
-function MetricCell({ label, value, color, size = 'md' }) {
+function BreakdownToggle({ active, onClick }) {
+  return (
+    <button
+      onClick={e => { e.stopPropagation(); onClick(); }}
+      title="Breakdown by age, gender, geo, placement, device"
+      className={`text-[10px] px-1.5 py-0.5 rounded border transition-colors ${
+        active
+          ? 'text-[var(--color-primary)] border-[var(--color-primary)]'
+          : 'text-[var(--color-text-muted)] border-[var(--color-border)] hover:text-[var(--color-primary)]'
+      }`}
+    >
+      ⊞ Split
+    </button>
+  );
+}
+
+function StatusTag({ status }) {
+  return (
+    <span className="text-[10px] px-1.5 py-0.5 rounded bg-[#64748b18] text-[#94a3b8] border border-[#64748b33] shrink-0">
+      {getStatusLabel(status)}
+    </span>
+  );
+}
+
+function MetricCell({ label, value, color, size = 'md', delta, lowerIsBetter = false, neutralDelta = false }) {
   const textSizes = { xs: 'text-[10px]', sm: 'text-[11px]', md: 'text-xs' };
   const valueSizes = { xs: 'text-[11px]', sm: 'text-xs', md: 'text-sm' };
   return (
@@ -163,6 +226,9 @@ function MetricCell({ label, value, color, size = 'md' }) {
       <div className={`${valueSizes[size]} font-medium tabular-nums`} style={{ color: color || 'var(--color-text-primary)' }}>
         {value || '—'}
       </div>
+      {delta != null && (
+        <DeltaTag change={delta} lowerIsBetter={lowerIsBetter} neutral={neutralDelta} className={textSizes.xs} />
+      )}
     </div>
   );
 }
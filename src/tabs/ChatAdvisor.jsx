@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import { sendChatMessage, hasClaudeKey } from '../services/claude';
+import { loadKeyStatus } from '../services/secrets';
 
 const STORAGE_KEY = 'meta_chat_conversations';
 
@@ -61,12 +62,18 @@ export default function ChatAdvisor({ data }) {
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  // The Anthropic key lives on the bridge; status may still be loading on first render
+  const [hasKey, setHasKey] = useState(hasClaudeKey);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
 
   const activeConvo = conversations.find(c => c.id === activeConvoId);
   const messages = activeConvo?.messages || [];
 
+  useEffect(() => {
+    loadKeyStatus().then(() => setHasKey(hasClaudeKey()));
+  }, []);
+
   // Persist whenever conversations change
   useEffect(() => {
     saveConversations(conversations);
@@ -158,7 +165,7 @@ export default function ChatAdvisor({ data }) {
 
   // ── No API Key State ──
 
-  if (!hasClaudeKey()) {
+  if (!hasKey) {
     return (
       <div className="card p-8 text-center">
         <div className="text-3xl mb-3">🔑</div>
@@ -166,7 +173,7 @@ export default function ChatAdvisor({ data }) {
           Anthropic API Key Required
         </div>
         <div className="text-xs text-[var(--color-text-muted)] max-w-md mx-auto">
-          To use the Chat Advisor, add your Anthropic API key in the <strong>Settings</strong> tab under "Claude API Key".
+          To use the Chat Advisor, add your Anthropic API key in the <strong>Settings</strong> tab under "Anthropic API Key".
           The advisor uses Claude to answer questions about your account using live data.
         </div>
       </div>
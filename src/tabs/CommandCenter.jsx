@@ -1,12 +1,13 @@
 import { useState, useEffect, useRef } from 'react';
-import { formatCurrency, formatROAS, formatPercent, formatCompact, getTrendIcon, getTrendColor, calculateTrend } from '../utils/normalize';
-import { VerdictBadge, UrgencyDot, PriorityTag, MetricCard } from '../components/StatusBadge';
+import { formatCurrency, formatMoney, formatROAS, formatPercent, formatCompact, getTrendIcon, getTrendColor, calculateTrend } from '../utils/normalize';
+import { VerdictBadge, UrgencyDot, PriorityTag, MetricCard, ConfidenceTag } from '../components/StatusBadge';
 import HealthGauge from '../components/HealthGauge';
 import { TrendLineChart, DualTrendChart } from '../components/TrendCharts';
 import { generateDailyBriefing } from '../services/claude';
 
 export default function CommandCenter({ data }) {
-  const { actions, overallHealth, accountInsights, summary, budgetAnalysis } = data;
+  const { actions, heldActions = [], overallHealth, accountInsights, summary, budgetAnalysis, comparison, currency } = data;
+  const deltas = comparison?.accountDeltas || {};
   const hasData = accountInsights && (accountInsights.spend > 0 || accountInsights.impressions > 0);
   const [briefing, setBriefing] = useState(null);
   const [briefingLoading, setBriefingLoading] = useState(false);
@@ -29,8 +30,9 @@ export default function CommandCenter({ data }) {
 
   // Calculate trends from daily data
   const spendTrend = accountInsights?.daily ? calculateTrend(accountInsights.daily, 'spend', 3) : null;
-  const roasTrend = accountInsights?.daily ? calculateTrend(accountInsights.daily, 'roas', 3) : null;
-  const cpaTrend = accountInsights?.daily ? calculateTrend(accountInsights.daily, 'cpa', 3) : null;
+  const conversionsKnown = accountInsights?.dailyConversionsKnown !== false;
+  const roasTrend = accountInsights?.daily && conversionsKnown ? calculateTrend(accountInsights.daily, 'roas', 3) : null;
+  const cpaTrend = accountInsights?.daily && conversionsKnown ? calculateTrend(accountInsights.daily, 'cpa', 3) : null;
 
   return (
     <div className="space-y-6">
@@ -45,7 +47,8 @@ export default function CommandCenter({ data }) {
         <div className="grid grid-cols-4 gap-3">
           <MetricCard
             label="Total Spend"
-            value={hasData ? formatCurrency(accountInsights?.spend, 'USD', true) : '—'}
+            delta={deltas.spend} neutralDelta
+            value={hasData ? formatCurrency(accountInsights?.spend, currency, true) : '—'}
             subValue={accountInsights?.dateStart ? `${accountInsights.dateStart} – ${accountInsights.dateStop}` : ''}
             trend={spendTrend ? `${getTrendIcon(spendTrend.direction)} ${spendTrend.change?.toFixed(1)}%` : null}
             trendColor={spendTrend ? getTrendColor(spendTrend.direction, true) : null}
@@ -53,6 +56,7 @@ export default function CommandCenter({ data }) {
           />
           <MetricCard
             label="Blended ROAS"
+            delta={deltas.roas}
             value={formatROAS(accountInsights?.roas)}
             subValue={`Target: ${formatROAS(data.thresholds?.profile?.targetROAS)}`}
             trend={roasTrend ? `${getTrendIcon(roasTrend.direction)} ${roasTrend.change?.toFixed(1)}%` : null}
@@ -61,14 +65,16 @@ export default function CommandCenter({ data }) {
           />
           <MetricCard
             label="Blended CPA"
-            value={formatCurrency(accountInsights?.cpa)}
-            subValue={`Target: ${formatCurrency(data.thresholds?.profile?.targetCPA)}`}
+            delta={deltas.cpa} lowerIsBetter
+            value={formatCurrency(accountInsights?.cpa, currency)}
+            subValue={`Target: ${formatCurrency(data.thresholds?.profile?.targetCPA, currency)}`}
             trend={cpaTrend ? `${getTrendIcon(cpaTrend.direction)} ${cpaTrend.change?.toFixed(1)}%` : null}
             trendColor={cpaTrend ? getTrendColor(cpaTrend.direction, true) : null}
             icon="🎯"
           />
           <MetricCard
             label="Conversions"
+            delta={deltas.conversions}
             value={formatCompact(accountInsights?.conversions)}
             subValue={`${formatCompact(accountInsights?.clicks)} clicks`}
             trend={`CTR: ${formatPercent(accountInsights?.ctr, 2)}`}
@@ -88,6 +94,7 @@ export default function CommandCenter({ data }) {
                 { label: 'Scale', count: summary.scaleCount, color: '#22c55e' },
                 { label: 'Iterate', count: summary.iterateCount, color: '#f59e0b' },
                 { label: 'New Concept', count: summary.newConceptCount, color: '#8b5cf6' },
+                { label: 'Insufficient Data', count: summary.insufficientDataCount ?? 0, color: '#94a3b8' },
               ].map(s => (
                 <div key={s.label} className="flex items-center gap-2">
                   <span className="w-2 h-2 rounded-full" style={{ background: s.color }} />
@@ -99,10 +106,31 @@ export default function CommandCenter({ data }) {
           </div>
           <div className="text-xs text-[var(--color-text-muted)]">
             {summary.totalCampaigns} campaigns · {summary.totalAdSets} ad sets · {summary.totalAds} ads
+            {summary.inactiveSignalCount > 0 && (
+              <span title="Signals on paused or otherwise non-delivering entities are kept out of the action queue">
+                {' '}· {summary.inactiveSignalCount} signals on non-delivering entities hidden
+              </span>
+            )}
           </div>
         </div>
       </div>
 
+      {/* Synthetic daily data notice */}
+      {accountInsights?.dailySource === 'synthetic' && (
+        <div className="card p-3 border-l-[3px] border-l-[#f59e0b] text-[11px] text-[#f59e0b]" style={{ background: '#f59e0b11' }}>
+          ⚠ Synthetic trend data — daily values below are estimated from period averages, not reported by Meta.
+          Trend-based signals (CTR WoW, stability, break-even streaks) are unreliable.
+        </div>
+      )}
+
+      {/* Mapped conversions with no daily split */}
+      {!conversionsKnown && (
+        <div className="card p-3 border-l-[3px] border-l-[#94a3b8] text-[11px] text-[var(--color-text-secondary)]">
+          Daily conversions aren't available for this account's conversion mapping, so the CPA and ROAS trends are blank
+          and day-by-day signals (break-even streaks, stability, cost per result) are skipped. Period totals are unaffected.
+        </div>
+      )}
+
       {/* Trend Charts */}
       {accountInsights?.daily && accountInsights.daily.length > 0 && (
         <div className="grid grid-cols-2 gap-3">
@@ -113,7 +141,7 @@ export default function CommandCenter({ data }) {
             color="#ef4444"
             target={data.thresholds?.profile?.targetCPA}
             lowerIsBetter
-            formatter={v => `$${Number(v).toFixed(0)}`}
+            formatter={v => formatMoney(v, currency)}
           />
           <TrendLineChart
             data={accountInsights.daily}
@@ -136,7 +164,7 @@ export default function CommandCenter({ data }) {
             metric="spend"
             label="Daily Spend"
             color="#8b5cf6"
-            formatter={v => `$${Number(v).toFixed(0)}`}
+            formatter={v => formatMoney(v, currency)}
           />
         </div>
       )}
@@ -190,6 +218,7 @@ export default function CommandCenter({ data }) {
                     <VerdictBadge verdict={action.signal} />
                     <UrgencyDot urgency={action.urgency} />
                     <span className="text-xs text-[var(--color-text-muted)] capitalize">{action.entityType}</span>
+                    <ConfidenceTag signal={action} currency={currency} />
                   </div>
                   <div className="text-sm font-medium text-[var(--color-text-primary)] mb-1">
                     {action.entityName}
@@ -218,6 +247,35 @@ export default function CommandCenter({ data }) {
         </div>
       </div>
 
+      {/* Held back: the rule matched, but there isn't enough data to act on it yet */}
+      {heldActions.length > 0 && (
+        <div className="card p-5">
+          <h3 className="text-xs font-semibold tracking-wider text-[var(--color-text-muted)] uppercase mb-1">
+            Insufficient Data
+          </h3>
+          <div className="text-[11px] text-[var(--color-text-muted)] mb-3">
+            Rules matched on these, but the volume behind them is too small to be confident yet. Check back once more data is in.
+          </div>
+          <div className="space-y-2">
+            {heldActions.slice(0, 8).map(action => (
+              <div key={`${action.entityId}:${action.ruleId}`} className="flex items-start gap-3 text-xs">
+                <VerdictBadge verdict={action.signal} />
+                <div className="min-w-0 flex-1">
+                  <div className="text-[var(--color-text-primary)] truncate">
+                    <span className="text-[var(--color-text-muted)] capitalize">{action.entityType} · </span>{action.entityName}
+                  </div>
+                  <div className="text-[11px] text-[var(--color-text-secondary)]">{action.reason}</div>
+                </div>
+                <ConfidenceTag signal={action} currency={currency} />
+              </div>
+            ))}
+            {heldActions.length > 8 && (
+              <div className="text-[10px] text-[var(--color-text-muted)]">…and {heldActions.length - 8} more</div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Budget Allocation Quick View */}
       {budgetAnalysis && (
         <div className="card p-5">
@@ -1,13 +1,17 @@
 import { useState } from 'react';
 import { formatCurrency, formatROAS, formatPercent, getHealthColor } from '../utils/normalize';
-import { HealthBadge, VerdictBadge } from '../components/StatusBadge';
+import { HealthBadge, VerdictBadge, ConfidenceTag } from '../components/StatusBadge';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import { FATIGUE_STAGES } from '../engine/fatigue';
+
+const STAGE_COLORS = { fresh: '#22c55e', 'refresh soon': '#f59e0b', fatigued: '#ef4444' };
 
 export default function CreativeLab({ data }) {
   const [sortBy, setSortBy] = useState('healthScore');
   const [filterVerdict, setFilterVerdict] = useState('all');
+  const [filterStage, setFilterStage] = useState('all');
 
-  const { adVerdicts, summary } = data;
+  const { adVerdicts, summary, currency } = data;
 
   // Sort ads
   const sortedAds = [...adVerdicts].sort((a, b) => {
@@ -15,12 +19,13 @@ export default function CreativeLab({ data }) {
     if (sortBy === 'spend') return (b.spend || 0) - (a.spend || 0);
     if (sortBy === 'roas') return (b.roas || 0) - (a.roas || 0);
     if (sortBy === 'ctr') return (b.ctr || 0) - (a.ctr || 0);
+    if (sortBy === 'daysToFatigue') return (a.daysToFatigue ?? Infinity) - (b.daysToFatigue ?? Infinity);
     return 0;
   });
 
-  const filteredAds = filterVerdict === 'all'
-    ? sortedAds
-    : sortedAds.filter(a => a.verdict === filterVerdict);
+  const filteredAds = sortedAds
+    .filter(a => filterVerdict === 'all' || a.verdict === filterVerdict)
+    .filter(a => filterStage === 'all' || a.fatigueStage === filterStage);
 
   // Creative health distribution
   const healthDist = {
@@ -120,6 +125,17 @@ export default function CreativeLab({ data }) {
               <option value="ITERATE">Iterate</option>
               <option value="NEW CONCEPT">New Concept</option>
               <option value="MONITOR">Monitor</option>
+              <option value="INSUFFICIENT DATA">Insufficient Data</option>
+            </select>
+            <select
+              value={filterStage}
+              onChange={e => setFilterStage(e.target.value)}
+              className="text-xs bg-[var(--color-bg-card)] border border-[var(--color-border)] rounded px-2 py-1 text-[var(--color-text-secondary)] outline-none"
+            >
+              <option value="all">All Fatigue Stages</option>
+              {FATIGUE_STAGES.map(stage => (
+                <option key={stage} value={stage}>{stage[0].toUpperCase() + stage.slice(1)}</option>
+              ))}
             </select>
             {/* Sort */}
             <select
@@ -131,6 +147,7 @@ export default function CreativeLab({ data }) {
               <option value="spend">Sort: Spend</option>
               <option value="roas">Sort: ROAS</option>
               <option value="ctr">Sort: CTR</option>
+              <option value="daysToFatigue">Sort: Days to Fatigue</option>
             </select>
           </div>
         </div>
@@ -157,9 +174,9 @@ export default function CreativeLab({ data }) {
 
               {/* Metrics Grid */}
               <div className="grid grid-cols-5 gap-2 mt-3 pt-3 border-t border-[#1e293b44]">
-                <MiniMetric label="Spend" value={formatCurrency(ad.spend)} />
+                <MiniMetric label="Spend" value={formatCurrency(ad.spend, currency)} />
                 <MiniMetric label="ROAS" value={formatROAS(ad.roas)} color={ad.roas >= 3 ? '#22c55e' : '#ef4444'} />
-                <MiniMetric label="CPA" value={formatCurrency(ad.cpa)} />
+                <MiniMetric label="CPA" value={formatCurrency(ad.cpa, currency)} />
                 <MiniMetric label="CTR" value={formatPercent(ad.ctr, 2)} />
                 <MiniMetric label="Freq" value={ad.frequency?.toFixed(1)} color={ad.frequency > 2.5 ? '#f59e0b' : null} />
               </div>
@@ -176,10 +193,19 @@ export default function CreativeLab({ data }) {
                 </div>
               )}
 
+              {/* Fatigue */}
+              <FatigueTimeline fatigue={ad.fatigue} fatigued={ad.fatigueReasons?.length > 0} />
+              {ad.fatigueReasons?.length > 0 && (
+                <div className="mt-2 text-[10px] text-[#8b5cf6]">
+                  Fatigued: {ad.fatigueReasons.join(' · ')}
+                </div>
+              )}
+
               {/* Top signal */}
               {ad.topSignal && (
                 <div className="mt-2 text-[11px] text-[var(--color-text-secondary)] leading-relaxed">
-                  ↳ {ad.topSignal.reason}
+                  ↳ {ad.verdict === 'INSUFFICIENT DATA' && `Would ${ad.topSignal.signal}: `}{ad.topSignal.reason}
+                  <div className="mt-1"><ConfidenceTag signal={ad.topSignal} currency={currency} /></div>
                 </div>
               )}
             </div>
@@ -190,6 +216,64 @@ export default function CreativeLab({ data }) {
   );
 }
 
+/**
+ * Creative age against the fresh / refresh-soon / fatigued bands, with today and the projected
+ * fatigue date marked. `fatigued` is the ad's overall call (creativeFatigueReasons), which also
+ * counts a CTR collapse and a red-band health score, so the stage shown never contradicts it.
+ */
+function FatigueTimeline({ fatigue, fatigued }) {
+  if (!fatigue?.ageDays) return null;
+  const stage = fatigued ? 'fatigued' : fatigue.stage;
+  const { drivers, ageDays, ageIsMinimum, refreshWarningDays, typicalLifespanDays, daysToFatigue, fatigueDriver } = fatigue;
+  const projectedDay = daysToFatigue > 0 ? ageDays + daysToFatigue : null;
+  const span = Math.max(typicalLifespanDays, ageDays, projectedDay || 0) * 1.1;
+  const at = day => `${Math.min(100, day / span * 100)}%`;
+  const color = STAGE_COLORS[stage];
+
+  const projection = stage === 'fatigued' ? 'fatigued now'
+    : daysToFatigue == null ? 'no fatigue trend'
+    : `~${daysToFatigue}d to fatigue (${fatigueDriver === 'lifespan' ? 'typical lifespan' : 'cost per result trend'})`;
+
+  return (
+    <div className="mt-3 pt-3 border-t border-[#1e293b44]">
+      <div className="flex items-center justify-between text-[10px] mb-1.5">
+        <span className="uppercase text-[var(--color-text-muted)]">Fatigue</span>
+        <span className="font-medium capitalize" style={{ color }}>{stage}</span>
+      </div>
+      <div className="relative h-2">
+        <div className="absolute inset-0 flex rounded-full overflow-hidden">
+          <div style={{ width: at(refreshWarningDays), background: '#22c55e55' }} />
+          <div style={{ width: `calc(${at(typicalLifespanDays)} - ${at(refreshWarningDays)})`, background: '#f59e0b55' }} />
+          <div className="flex-1" style={{ background: '#ef444455' }} />
+        </div>
+        <div
+          className="absolute -top-0.5 h-3 w-0.5 rounded bg-[var(--color-text-primary)]"
+          style={{ left: at(ageDays) }}
+          title={`Today — day ${ageDays}${ageIsMinimum ? '+' : ''}`}
+        />
+        {projectedDay != null && (
+          <div
+            className="absolute -top-0.5 h-3 w-0 border-l border-dashed border-[#ef4444]"
+            style={{ left: at(projectedDay) }}
+            title={`Projected fatigue — day ${projectedDay}`}
+          />
+        )}
+      </div>
+      <div className="flex justify-between text-[9px] text-[var(--color-text-muted)] mt-1 tabular-nums">
+        <span>Day {ageDays}{ageIsMinimum ? '+' : ''} · {projection}</span>
+        <span>
+          {fatigue.cpmChangeWoW != null && `CPM ${fatigue.cpmChangeWoW >= 0 ? '+' : ''}${Math.round(fatigue.cpmChangeWoW)}%`}
+          {fatigue.costPerResultRatio != null && ` · CPR ${fatigue.costPerResultRatio.toFixed(2)}× avg`}
+        </span>
+      </div>
+      {/* A fatigued ad's drivers are in its fatigue reasons below */}
+      {stage === 'refresh soon' && (
+        <div className="text-[10px] mt-1" style={{ color }}>{drivers.join(' · ')}</div>
+      )}
+    </div>
+  );
+}
+
 function MiniMetric({ label, value, color }) {
   return (
     <div>
@@ -0,0 +1,251 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAdAccounts, fetchFullAccountData, isLiveMode } from '../services/gomarble';
+import { fetchEntityHistory } from '../services/history';
+import { processAccountData } from '../engine/actionQueue';
+import { summarizeAccount, rankAccounts, PORTFOLIO_SORTS } from '../engine/portfolio';
+import { loadThresholds, hasThresholdProfile } from '../config/thresholdProfiles';
+import { loadFxSettings, saveFxSettings, getFxRate, convertAmount } from '../config/fxRates';
+import { formatCurrency, formatROAS, getStatusLabel } from '../utils/normalize';
+import { HealthBadge } from '../components/StatusBadge';
+
+/**
+ * Run every accessible account through the decision engine with its own threshold profile,
+ * with the same stored history Command Center evaluates it on.
+ * Accounts are fetched one at a time and reported as they land: one account's fetch already fans
+ * out into more tool calls than the bridge pool runs at once, so fetching several together would
+ * only interleave them and make every account land later.
+ */
+async function loadPortfolio(onProgress) {
+  const accounts = await fetchAdAccounts();
+  const rows = [];
+  onProgress([], accounts.length);
+
+  for (const account of accounts) {
+    if (account.status && account.status !== 'ACTIVE') {
+      rows.push({ id: account.id, name: account.name, status: account.status, error: `Account ${getStatusLabel(account.status).toLowerCase()}` });
+    } else {
+      try {
+        // Keep every account on the same period — no per-account auto-widening
+        const raw = await fetchFullAccountData(account.id, { autoWiden: false });
+        if (isLiveMode()) raw.history = await fetchEntityHistory(account.id);
+        const thresholds = loadThresholds(account.id);
+        rows.push(summarizeAccount(account, processAccountData(raw, thresholds), thresholds));
+      } catch (err) {
+        console.error(`[Portfolio] ${account.id} failed:`, err);
+        rows.push({ id: account.id, name: account.name, status: account.status, error: err.message });
+      }
+    }
+    onProgress([...rows], accounts.length);
+  }
+}
+
+const REPORTING_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
+
+/**
+ * Express a row's money figures in the reporting currency (if one is set).
+ * Rows whose rate is missing stay in their own currency and are flagged.
+ */
+function toReportingCurrency(row, fx) {
+  if (row.error || !fx.reportingCurrency) return { ...row, displayCurrency: row.currency };
+  if (getFxRate(fx, row.currency) == null) return { ...row, displayCurrency: row.currency, fxMissing: true };
+  return {
+    ...row,
+    displayCurrency: fx.reportingCurrency,
+    spend: convertAmount(row.spend, row.currency, fx),
+    dailySpend: convertAmount(row.dailySpend, row.currency, fx),
+    cpa: convertAmount(row.cpa, row.currency, fx),
+    targetCPA: convertAmount(row.targetCPA, row.currency, fx),
+  };
+}
+
+export default function Portfolio({ results, onResults, activeAccountId, onSelectAccount }) {
+  const [sortKey, setSortKey] = useState('attention');
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [fx, setFx] = useState(loadFxSettings);
+
+  const updateFx = (next) => {
+    setFx(next);
+    saveFxSettings(next);
+  };
+
+  const refresh = useCallback(async () => {
+    try {
+      await loadPortfolio((rows, total) => {
+        setError(null);
+        setProgress({ done: rows.length, total });
+        onResults({ rows, loadedAt: new Date() });
+      });
+    } catch (err) {
+      console.error('[Portfolio] Could not list ad accounts:', err);
+      setError(err.message);
+    } finally {
+      setProgress(null);
+    }
+  }, [onResults]);
+
+  // Load once; results live in App so switching tabs doesn't refetch every account
+  useEffect(() => {
+    if (!results) refresh();
+  }, [results, refresh]);
+
+  const rows = rankAccounts((results?.rows || []).map(row => toReportingCurrency(row, fx)), sortKey);
+  // Account currencies that need a rate into the reporting currency
+  const foreignCurrencies = fx.reportingCurrency
+    ? [...new Set(rows.filter(r => !r.error && r.currency && r.currency !== fx.reportingCurrency).map(r => r.currency))]
+    : [];
+  const loading = progress != null;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-sm font-semibold tracking-wider text-[var(--color-text-primary)] uppercase">
+          Portfolio
+        </h2>
+        <div className="flex items-center gap-3">
+          {loading && (
+            <div className="flex items-center gap-2 text-xs text-[var(--color-text-muted)]">
+              <div className="w-3 h-3 border border-[var(--color-primary)] border-t-transparent rounded-full animate-spin" />
+              {progress.total > 0 ? `${progress.done}/${progress.total} accounts` : 'Listing accounts...'}
+            </div>
+          )}
+          <select
+            value={fx.reportingCurrency || ''}
+            onChange={e => updateFx({ ...fx, reportingCurrency: e.target.value || null })}
+            className="px-2 py-1 rounded bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-xs text-[var(--color-text-primary)] outline-none"
+          >
+            <option value="">Account currencies</option>
+            {REPORTING_CURRENCIES.map(c => (
+              <option key={c} value={c}>Report in {c}</option>
+            ))}
+          </select>
+          <select
+            value={sortKey}
+            onChange={e => setSortKey(e.target.value)}
+            className="px-2 py-1 rounded bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-xs text-[var(--color-text-primary)] outline-none"
+          >
+            {Object.entries(PORTFOLIO_SORTS).map(([key, sort]) => (
+              <option key={key} value={key}>{sort.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={refresh}
+            disabled={loading}
+            className="text-[10px] text-[var(--color-text-muted)] hover:text-[var(--color-primary)] transition-colors disabled:opacity-50"
+          >
+            ↻ Refresh
+          </button>
+        </div>
+      </div>
+
+      {foreignCurrencies.length > 0 && (
+        <div className="card px-4 py-2.5 flex items-center gap-4 flex-wrap text-[11px] text-[var(--color-text-muted)]">
+          <span className="tracking-wider uppercase text-[10px]">FX rates</span>
+          {foreignCurrencies.map(c => (
+            <label key={c} className="flex items-center gap-1.5">
+              1 {c} =
+              <input
+                type="number"
+                step="0.0001"
+                min="0"
+                value={fx.rates[`${c}_${fx.reportingCurrency}`] ?? ''}
+                onChange={e => updateFx({ ...fx, rates: { ...fx.rates, [`${c}_${fx.reportingCurrency}`]: Number(e.target.value) || null } })}
+                className="w-20 px-2 py-0.5 rounded bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-[var(--color-text-primary)] outline-none tabular-nums"
+              />
+              {fx.reportingCurrency}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {error && (
+        <div className="card p-6 text-center text-sm text-[#ef4444]">Could not list ad accounts: {error}</div>
+      )}
+      {!error && !loading && rows.length === 0 && (
+        <div className="card p-8 text-center text-sm text-[var(--color-text-muted)]">No accessible ad accounts.</div>
+      )}
+
+      {rows.length > 0 && (
+        <div className="card overflow-hidden">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-[10px] tracking-wider uppercase text-[var(--color-text-muted)] border-b border-[var(--color-border)]">
+                <th className="text-left font-normal px-4 py-2">Account</th>
+                <th className="text-right font-normal px-3 py-2">Health</th>
+                <th className="text-right font-normal px-3 py-2">Kill</th>
+                <th className="text-right font-normal px-3 py-2">Spend</th>
+                <th className="text-right font-normal px-3 py-2">Pacing</th>
+                <th className="text-right font-normal px-3 py-2">vs Target</th>
+                <th className="text-left font-normal px-3 py-2">Top Action</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.id} className="border-b border-[#1e293b33] hover:bg-[#1e293b22]">
+                  <td className="px-4 py-2.5">
+                    <div className="flex items-center gap-2">
+                      {row.id === activeAccountId && <span className="w-1.5 h-1.5 rounded-full bg-[var(--color-primary)]" title="Currently open" />}
+                      <span className="font-medium text-[var(--color-text-primary)]">{row.name}</span>
+                    </div>
+                    <div className="text-[10px] text-[var(--color-text-muted)]">
+                      {row.id}
+                      {row.currency && ` · ${row.currency}`}
+                      {!row.error && !hasThresholdProfile(row.id) && ' · default thresholds'}
+                    </div>
+                  </td>
+                  {row.error ? (
+                    <td colSpan={6} className="px-3 py-2.5 text-[11px] text-[var(--color-text-muted)]">{row.error}</td>
+                  ) : (
+                    <>
+                      <td className="px-3 py-2.5 text-right"><HealthBadge score={row.overallHealth} /></td>
+                      <td className="px-3 py-2.5 text-right tabular-nums" style={{ color: row.killCount > 0 ? '#ef4444' : 'var(--color-text-muted)' }}>
+                        {row.killCount}
+                      </td>
+                      <td className="px-3 py-2.5 text-right tabular-nums" title={row.fxMissing ? `No ${row.currency} → ${fx.reportingCurrency} rate — shown in ${row.currency}` : undefined}>
+                        {formatCurrency(row.spend, row.displayCurrency, true)}
+                        {row.fxMissing && <span className="ml-1 text-[#f59e0b]">*</span>}
+                        <div className="text-[10px] text-[var(--color-text-muted)]">{formatCurrency(row.dailySpend, row.displayCurrency)}/day</div>
+                      </td>
+                      <td className="px-3 py-2.5 text-right tabular-nums" style={{ color: pacingColor(row.pacing) }}>
+                        {row.pacing != null ? `${(row.pacing * 100).toFixed(0)}%` : '—'}
+                      </td>
+                      <td className="px-3 py-2.5 text-right tabular-nums">
+                        <div style={{ color: row.targetAttainment == null ? undefined : row.targetAttainment >= 1 ? '#22c55e' : '#ef4444' }}>
+                          {row.businessType === 'leadgen' ? formatCurrency(row.cpa, row.displayCurrency) : formatROAS(row.roas)}
+                        </div>
+                        <div className="text-[10px] text-[var(--color-text-muted)]">
+                          target {row.businessType === 'leadgen' ? formatCurrency(row.targetCPA, row.displayCurrency) : formatROAS(row.targetROAS)}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2.5 text-[11px] text-[var(--color-text-secondary)] max-w-xs truncate" title={row.topAction?.reason}>
+                        {row.topAction ? `[${row.topAction.signal}] ${row.topAction.entityName}` : '—'}
+                      </td>
+                    </>
+                  )}
+                  <td className="px-4 py-2.5 text-right">
+                    <button
+                      onClick={() => onSelectAccount(row.id)}
+                      className="text-[11px] text-[var(--color-primary)] hover:underline whitespace-nowrap"
+                    >
+                      Open →
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// On pace within ±15% of the monthly budget; amber beyond that, red when badly over or under
+function pacingColor(pacing) {
+  if (pacing == null) return 'var(--color-text-muted)';
+  const gap = Math.abs(pacing - 1);
+  if (gap <= 0.15) return '#22c55e';
+  if (gap <= 0.35) return '#f59e0b';
+  return '#ef4444';
+}
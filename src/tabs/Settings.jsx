@@ -1,20 +1,37 @@
-import { useState } from 'react';
-import { formatCurrency } from '../utils/normalize';
+import { useState, useEffect, useCallback } from 'react';
+import { formatCurrency, resolveDateRange, getComparisonRange, ATTRIBUTION_WINDOW_OPTIONS } from '../utils/normalize';
 import { minDailyBudget } from '../utils/metrics';
-import { configureClaudeAPI, hasClaudeKey } from '../services/claude';
-import { configureGoMarble, getConfig } from '../services/gomarble';
+import { refreshKeyStatus, setKey, clearKey } from '../services/secrets';
+import { hasRole, ROLE_OPTIONS, listUsers, createUser, updateUser, deleteUser } from '../services/auth';
+import { configureGoMarble, getConfig, getConnectionStatus, testAccountInsights, getCallLog, listFixtures, getRecordingStatus, setRecording, getCacheStats, invalidateCache } from '../services/gomarble';
+import { saveThresholds as saveThresholdProfile } from '../config/thresholdProfiles';
+import { COMMON_ACTION_TYPES } from '../utils/conversions';
+import { SCENARIOS, SCENARIO_OPTIONS } from '../services/scenarios';
+import RuleEditor from '../components/RuleEditor';
+import { withRuleSet } from '../engine/rules';
 
-export default function Settings({ thresholds, onUpdate, onRefresh, dateRange, onDateRangeChange }) {
-  const [claudeKey, setClaudeKey] = useState('');
-  const [claudeSaved, setClaudeSaved] = useState(hasClaudeKey());
+export default function Settings({ user, thresholds, onUpdate, onRefresh, accountId, onAccountChange, period, onPeriodChange, timeZone = null, actionTypes = [], previewEntities = [] }) {
+  // Which API keys the bridge has (never the keys themselves); null until it answers
+  const [keyStatus, setKeyStatus] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
   const [goMarbleConfig] = useState(() => getConfig());
-  const [gmApiKey, setGmApiKey] = useState(goMarbleConfig.apiKey || '');
   const [gmAccountId, setGmAccountId] = useState(goMarbleConfig.accountId || '');
   const [gmMode, setGmMode] = useState(goMarbleConfig.mode || 'mock');
+  const [gmSyntheticDaily, setGmSyntheticDaily] = useState(!!goMarbleConfig.syntheticDaily);
   const [gmSaved, setGmSaved] = useState(false);
+  const [gmFixture, setGmFixture] = useState(goMarbleConfig.fixture || '');
+  const [gmScenario, setGmScenario] = useState(goMarbleConfig.scenario || '');
+  const [gmScenarioSeed, setGmScenarioSeed] = useState(goMarbleConfig.scenarioSeed ?? 1);
+  // Fixtures and recording state live on the bridge; null until it answers (or when it isn't running)
+  const [fixtures, setFixtures] = useState(null);
+  const [recording, setRecordingName] = useState(null);
+  const [recordName, setRecordName] = useState('');
+  const [recordError, setRecordError] = useState(null);
   const [savedSections, setSavedSections] = useState({});
   const profile = thresholds.profile || {};
+  const currency = profile.currency || 'USD';
+  // Data source, keys, thresholds and users are admin-only; everyone can change the period and refresh
+  const isAdmin = hasRole(user, 'admin');
 
   function handleProfileChange(field, value) {
     onUpdate({
@@ -23,6 +40,10 @@ export default function Settings({ thresholds, onUpdate, onRefresh, dateRange, o
     });
   }
 
+  function handleMappingChange(field, value) {
+    handleProfileChange('conversionMapping', { ...profile.conversionMapping, [field]: value });
+  }
+
   function handleThresholdChange(section, field, value) {
     onUpdate({
       ...thresholds,
@@ -31,256 +52,586 @@ export default function Settings({ thresholds, onUpdate, onRefresh, dateRange, o
   }
 
   function saveThresholds(sectionName) {
-    try {
-      localStorage.setItem('meta_thresholds', JSON.stringify(thresholds));
-    } catch {}
+    saveThresholdProfile(accountId, thresholds);
     setSavedSections(prev => ({ ...prev, [sectionName]: true }));
     setTimeout(() => setSavedSections(prev => ({ ...prev, [sectionName]: false })), 2500);
   }
 
+  function saveRules(rules) {
+    const next = withRuleSet(thresholds, rules);
+    onUpdate(next);
+    saveThresholdProfile(accountId, next);
+  }
+
+  useEffect(() => {
+    listFixtures().then(setFixtures).catch(() => setFixtures(null));
+    getRecordingStatus().then(setRecordingName).catch(() => {});
+    refreshKeyStatus().then(setKeyStatus);
+  }, []);
+
+  async function toggleRecording() {
+    setRecordError(null);
+    try {
+      const name = await setRecording(recording ? null : recordName);
+      setRecordingName(name);
+      if (!name) listFixtures().then(setFixtures).catch(() => {});
+    } catch (err) {
+      setRecordError(err.message);
+    }
+  }
+
+  function saveConnection() {
+    // A replayed fixture only knows its (redacted) accounts, so default to the first one
+    const fixtureAccount = fixtures?.find(f => f.name === gmFixture)?.accounts?.[0];
+    const nextAccountId = gmMode === 'replay' ? (fixtureAccount || gmAccountId || null) : (gmAccountId || null);
+    configureGoMarble({
+      mode: gmMode,
+      accountId: nextAccountId,
+      syntheticDaily: gmSyntheticDaily,
+      fixture: gmFixture || null,
+      scenario: gmScenario || null,
+      scenarioSeed: Number(gmScenarioSeed) || 1,
+    });
+    setGmAccountId(nextAccountId || '');
+    setGmSaved(true);
+    setTimeout(() => setGmSaved(false), 2000);
+    onAccountChange(nextAccountId);
+  }
+
   const minBudget = minDailyBudget(profile.targetCPA || 30);
 
   return (
     <div className="space-y-6 max-w-4xl">
-      {/* GoMarble Connection */}
-      <div className="card p-6" style={{ borderLeft: '3px solid var(--color-accent)' }}>
-        <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase mb-4">
-          GoMarble MCP Connection
-        </h3>
-        <div className="grid grid-cols-2 gap-4">
-          <SettingField
-            label="Data Source"
-            type="select"
-            value={gmMode}
-            options={[
-              { label: 'Mock Data (Demo)', value: 'mock' },
-              { label: 'GoMarble MCP (Live)', value: 'direct' },
-            ]}
-            onChange={v => setGmMode(v)}
-          />
-          <div>
-            <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">GoMarble API Key</label>
-            <input
-              type="password"
-              value={gmApiKey}
-              onChange={e => setGmApiKey(e.target.value)}
-              placeholder="xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx"
-              className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+      {!isAdmin && (
+        <div className="card p-4 border-l-[3px] border-l-[var(--color-primary)] text-xs text-[var(--color-text-secondary)]">
+          Signed in as <strong>{user.role}</strong> — connection, keys and thresholds are read-only. Ask an admin to change them.
+        </div>
+      )}
+
+      {/* Admin-only sections: disabled (not hidden) so everyone can see the thresholds in effect */}
+      <fieldset disabled={!isAdmin} className="space-y-6 min-w-0">
+        {/* GoMarble Connection */}
+        <div className="card p-6" style={{ borderLeft: '3px solid var(--color-accent)' }}>
+          <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase mb-4">
+            GoMarble MCP Connection
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Data Source"
+              type="select"
+              value={gmMode}
+              options={[
+                { label: 'Mock Data (Demo)', value: 'mock' },
+                { label: 'GoMarble MCP (Live)', value: 'direct' },
+                { label: 'Replay Recorded Fixture', value: 'replay' },
+              ]}
+              onChange={v => setGmMode(v)}
+            />
+            <SettingField
+              label="Missing Daily Data"
+              type="select"
+              value={gmSyntheticDaily ? 'synthetic' : 'none'}
+              options={[
+                { label: 'Show no trend (recommended)', value: 'none' },
+                { label: 'Estimate synthetic days from averages', value: 'synthetic' },
+              ]}
+              onChange={v => setGmSyntheticDaily(v === 'synthetic')}
+              hint="Synthetic days are estimated jitter around the period average and are flagged in charts."
             />
+            {isAdmin && (
+              <ApiKeyField
+                name="gomarble"
+                label="GoMarble API Key"
+                placeholder="xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx"
+                status={keyStatus?.gomarble}
+                onStatusChange={setKeyStatus}
+                onSaved={() => { if (getConfig().mode === 'direct') onRefresh(); }}
+              />
+            )}
+            <div>
+              <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">Ad Account ID</label>
+              <input
+                type="text"
+                value={gmAccountId}
+                onChange={e => setGmAccountId(e.target.value)}
+                placeholder="act_123456789"
+                className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+              />
+            </div>
+            <div className="flex items-end">
+              <button
+                onClick={saveConnection}
+                className="px-4 py-2 rounded-lg bg-[var(--color-accent)] text-white text-xs font-medium hover:opacity-90 transition-opacity"
+              >
+                {gmSaved ? '✅ Saved & Refreshing' : '💾 Save & Connect'}
+              </button>
+            </div>
           </div>
-          <div>
-            <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">Ad Account ID</label>
-            <input
+          <div className="mt-3 p-3 rounded-lg bg-[#0ea5e911] border border-[#0ea5e933]">
+            <div className="text-[11px] text-[var(--color-text-secondary)] leading-relaxed">
+              <strong className="text-[var(--color-accent)]">Status:</strong>{' '}
+              {gmMode === 'mock' ? (
+                <span>Using demo data. Switch to "GoMarble MCP (Live)" to connect to your real Meta ad account.</span>
+              ) : gmMode === 'replay' ? (
+                gmFixture
+                  ? <span className="text-[#22c55e]">Replaying "{gmFixture}" — responses come from disk, nothing is sent to Meta.</span>
+                  : <span className="text-[#f59e0b]">Pick a fixture to replay.</span>
+              ) : keyStatus?.gomarble?.configured ? (
+                <span className="text-[#22c55e]">Configured — the bridge has an API key. Click "Save & Connect" to fetch live data.</span>
+              ) : (
+                <span className="text-[#f59e0b]">API key required. Enter your GoMarble key above.</span>
+              )}
+            </div>
+          </div>
+          {gmMode === 'mock' && (
+            <div className="mt-4 grid grid-cols-2 gap-4">
+              <SettingField
+                label="Demo Scenario"
+                type="select"
+                value={gmScenario}
+                options={[{ label: 'Per-account demo (each account its own)', value: '' }, ...SCENARIO_OPTIONS]}
+                onChange={v => setGmScenario(v)}
+                hint={gmScenario
+                  ? [SCENARIOS[gmScenario].description, SCENARIOS[gmScenario].profileHint].filter(Boolean).join(' ')
+                  : 'Each demo account runs a different scenario.'}
+              />
+              <SettingField
+                label="Seed"
+                type="number"
+                value={gmScenarioSeed}
+                onChange={v => setGmScenarioSeed(v)}
+                hint="The same scenario and seed always produce the same numbers."
+              />
+            </div>
+          )}
+          {gmMode === 'replay' && (
+            <div className="mt-4 grid grid-cols-2 gap-4">
+              <SettingField
+                label="Fixture"
+                type="select"
+                value={gmFixture}
+                options={[
+                  { label: fixtures ? 'Select a fixture…' : 'Bridge not reachable', value: '' },
+                  ...(fixtures || []).map(f => ({ label: `${f.name} (${f.entryCount} responses)`, value: f.name })),
+                ]}
+                onChange={v => setGmFixture(v)}
+                hint="Fixtures live in the bridge's fixtures/ directory and can be shared as plain files."
+              />
+            </div>
+          )}
+          {(gmMode === 'direct' || gmMode === 'mcp') && fixtures && (
+            <div className="mt-4 flex items-end gap-3">
+              <div className="flex-1">
+                <SettingField
+                  label="Record Live Responses"
+                  type="text"
+                  value={recording || recordName}
+                  placeholder="fixture name, e.g. client-x-oct"
+                  onChange={v => setRecordName(v)}
+                  hint={recording
+                    ? `Recording every tool response into "${recording}" (account ids redacted). Refresh to capture the current view.`
+                    : 'Saves real tool responses to disk with account ids redacted, for replay and debugging.'}
+                />
+              </div>
+              <button
+                onClick={toggleRecording}
+                disabled={!recording && !recordName.trim()}
+                className="mb-5 px-4 py-2 rounded-lg border border-[var(--color-border)] text-xs text-[var(--color-text-secondary)] hover:border-[var(--color-accent)] transition-colors disabled:opacity-50"
+              >
+                {recording ? '■ Stop' : '● Record'}
+              </button>
+            </div>
+          )}
+          {recordError && <div className="mt-2 text-[11px] text-[#ef4444]">{recordError}</div>}
+        </div>
+
+        {/* Client Profile */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[var(--color-primary)] uppercase mb-4">
+            Client Profile
+          </h3>
+          <div className="text-[11px] text-[var(--color-text-muted)] -mt-2 mb-4">
+            Thresholds below are saved for {accountId ? <span className="text-[var(--color-text-secondary)]">{accountId}</span> : 'the default account'} only.
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Business Type"
+              type="select"
+              value={profile.businessType}
+              options={[
+                { label: 'Ecommerce', value: 'ecommerce' },
+                { label: 'Lead Generation', value: 'leadgen' },
+              ]}
+              onChange={v => handleProfileChange('businessType', v)}
+            />
+            <SettingField
+              label="Target CPA"
+              type="currency"
+              value={profile.targetCPA}
+              onChange={v => handleProfileChange('targetCPA', Number(v))}
+              hint={`Min daily budget per ad set: ${formatCurrency(minBudget, currency)}`}
+            />
+            <SettingField
+              label="Target ROAS"
+              type="number"
+              value={profile.targetROAS}
+              step="0.1"
+              onChange={v => handleProfileChange('targetROAS', Number(v))}
+            />
+            <SettingField
+              label="Break-Even ROAS"
+              type="number"
+              value={profile.breakEvenROAS}
+              step="0.1"
+              onChange={v => handleProfileChange('breakEvenROAS', Number(v))}
+            />
+            <SettingField
+              label="Monthly Budget"
+              type="currency"
+              value={profile.monthlyBudget}
+              onChange={v => handleProfileChange('monthlyBudget', Number(v))}
+            />
+            <SettingField
+              label="Currency"
+              type="select"
+              value={profile.currency}
+              options={[
+                { label: 'USD', value: 'USD' },
+                { label: 'EUR', value: 'EUR' },
+                { label: 'GBP', value: 'GBP' },
+                { label: 'CAD', value: 'CAD' },
+                { label: 'AUD', value: 'AUD' },
+                { label: 'JPY', value: 'JPY' },
+                { label: 'BRL', value: 'BRL' },
+                { label: 'INR', value: 'INR' },
+              ]}
+              onChange={v => handleProfileChange('currency', v)}
+              hint="Targets are in the ad account's currency. This is only used when the account doesn't report one."
+            />
+          </div>
+          <SaveButton saved={savedSections.profile} onClick={() => saveThresholds('profile')} />
+        </div>
+
+        {/* Conversion Mapping */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[var(--color-primary)] uppercase mb-4">
+            Conversion Mapping
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Primary conversion action"
+              type="text"
+              list="action-types"
+              value={profile.conversionMapping?.primaryAction || ''}
+              placeholder={profile.businessType === 'leadgen' ? profile.leadGenConversionEvent : 'purchase → lead → landing_page_view'}
+              onChange={v => handleMappingChange('primaryAction', v.trim() || null)}
+              hint="Any action_type, including offsite_conversion.custom.<id>. Drives CPA, conversions/week and learning phase."
+            />
+            <SettingField
+              label="Lead gen conversion event"
+              type="select"
+              value={profile.leadGenConversionEvent}
+              options={[
+                { label: 'Landing page view', value: 'landing_page_view' },
+                { label: 'Link click', value: 'link_click' },
+                { label: 'Lead', value: 'lead' },
+                { label: 'Complete registration', value: 'complete_registration' },
+              ]}
+              onChange={v => handleProfileChange('leadGenConversionEvent', v)}
+              hint="Used for Lead Generation accounts when no primary action is set"
+            />
+            <SettingField
+              label="Value action"
               type="text"
-              value={gmAccountId}
-              onChange={e => setGmAccountId(e.target.value)}
-              placeholder="act_123456789"
-              className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+              list="action-types"
+              value={profile.conversionMapping?.valueAction || ''}
+              placeholder="purchase"
+              onChange={v => handleMappingChange('valueAction', v.trim() || null)}
+              hint="action_values entry that counts as revenue for ROAS"
+            />
+            <SettingField
+              label="Secondary events"
+              type="text"
+              value={(profile.conversionMapping?.secondaryActions || []).join(', ')}
+              placeholder="add_to_cart, initiate_checkout"
+              onChange={v => handleMappingChange('secondaryActions', v.split(',').map(t => t.trim()))}
+              hint="Comma-separated; reported alongside, never counted as conversions"
             />
           </div>
-          <div className="flex items-end">
-            <button
-              onClick={() => {
-                configureGoMarble({ mode: gmMode, apiKey: gmApiKey, accountId: gmAccountId || null, datePreset: dateRange });
-                setGmSaved(true);
-                setTimeout(() => setGmSaved(false), 2000);
-                onRefresh();
-              }}
-              className="px-4 py-2 rounded-lg bg-[var(--color-accent)] text-white text-xs font-medium hover:opacity-90 transition-opacity"
-            >
-              {gmSaved ? '✅ Saved & Refreshing' : '💾 Save & Connect'}
-            </button>
+          <datalist id="action-types">
+            {[...new Set([...actionTypes, ...COMMON_ACTION_TYPES])].map(t => <option key={t} value={t} />)}
+          </datalist>
+          <SaveButton saved={savedSections.mapping} onClick={() => saveThresholds('mapping')} />
+        </div>
+
+        {/* Kill Thresholds */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[#ef4444] uppercase mb-4">
+            Kill Signal Thresholds
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Zero-conversion spend multiplier"
+              type="number"
+              value={thresholds.kill?.spendMultiplierZeroConversions}
+              step="0.5"
+              onChange={v => handleThresholdChange('kill', 'spendMultiplierZeroConversions', Number(v))}
+              hint={`Kill at: ${formatCurrency((profile.targetCPA || 30) * (thresholds.kill?.spendMultiplierZeroConversions || 3), currency)} spend with 0 conversions`}
+            />
+            <SettingField
+              label="CPA overage threshold (%)"
+              type="number"
+              value={(thresholds.kill?.cpaWorsePercent || 0.25) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('kill', 'cpaWorsePercent', Number(v) / 100)}
+              hint={`Kill at: CPA > ${formatCurrency((profile.targetCPA || 30) * (1 + (thresholds.kill?.cpaWorsePercent || 0.25)), currency)}`}
+            />
+            <SettingField
+              label="Frequency kill threshold"
+              type="number"
+              value={thresholds.kill?.frequencyKillThreshold}
+              step="0.5"
+              onChange={v => handleThresholdChange('kill', 'frequencyKillThreshold', Number(v))}
+            />
+            <SettingField
+              label="ROAS below break-even days"
+              type="number"
+              value={thresholds.kill?.roasBelowBreakevenDays}
+              step="1"
+              onChange={v => handleThresholdChange('kill', 'roasBelowBreakevenDays', Number(v))}
+            />
           </div>
+          <SaveButton saved={savedSections.kill} onClick={() => saveThresholds('kill')} />
         </div>
-        <div className="mt-3 p-3 rounded-lg bg-[#0ea5e911] border border-[#0ea5e933]">
-          <div className="text-[11px] text-[var(--color-text-secondary)] leading-relaxed">
-            <strong className="text-[var(--color-accent)]">Status:</strong>{' '}
-            {gmMode === 'mock' ? (
-              <span>Using demo data. Switch to "GoMarble MCP (Live)" to connect to your real Meta ad account.</span>
-            ) : gmApiKey ? (
-              <span className="text-[#22c55e]">Configured — API key set. Click "Save & Connect" to fetch live data.</span>
-            ) : (
-              <span className="text-[#f59e0b]">API key required. Enter your GoMarble key above.</span>
-            )}
+
+        {/* Scale Thresholds */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[#22c55e] uppercase mb-4">
+            Scale Signal Thresholds
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Stability days required"
+              type="number"
+              value={thresholds.scale?.stabilityDaysRequired}
+              step="1"
+              onChange={v => handleThresholdChange('scale', 'stabilityDaysRequired', Number(v))}
+            />
+            <SettingField
+              label="Max budget increase (%)"
+              type="number"
+              value={(thresholds.scale?.maxBudgetIncreasePercent || 0.20) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('scale', 'maxBudgetIncreasePercent', Number(v) / 100)}
+            />
+            <SettingField
+              label="Max scale frequency"
+              type="number"
+              value={thresholds.scale?.frequencyScaleMax}
+              step="0.1"
+              onChange={v => handleThresholdChange('scale', 'frequencyScaleMax', Number(v))}
+            />
+            <SettingField
+              label="Min daily conversions"
+              type="number"
+              value={thresholds.scale?.minDailyConversions}
+              step="1"
+              onChange={v => handleThresholdChange('scale', 'minDailyConversions', Number(v))}
+            />
           </div>
+          <SaveButton saved={savedSections.scale} onClick={() => saveThresholds('scale')} />
         </div>
-      </div>
 
-      {/* Client Profile */}
-      <div className="card p-6">
-        <h3 className="text-sm font-semibold tracking-wider text-[var(--color-primary)] uppercase mb-4">
-          Client Profile
-        </h3>
-        <div className="grid grid-cols-2 gap-4">
-          <SettingField
-            label="Business Type"
-            type="select"
-            value={profile.businessType}
-            options={[
-              { label: 'Ecommerce', value: 'ecommerce' },
-              { label: 'Lead Generation', value: 'leadgen' },
-            ]}
-            onChange={v => handleProfileChange('businessType', v)}
-          />
-          <SettingField
-            label="Target CPA"
-            type="currency"
-            value={profile.targetCPA}
-            onChange={v => handleProfileChange('targetCPA', Number(v))}
-            hint={`Min daily budget per ad set: ${formatCurrency(minBudget)}`}
-          />
-          <SettingField
-            label="Target ROAS"
-            type="number"
-            value={profile.targetROAS}
-            step="0.1"
-            onChange={v => handleProfileChange('targetROAS', Number(v))}
-          />
-          <SettingField
-            label="Break-Even ROAS"
-            type="number"
-            value={profile.breakEvenROAS}
-            step="0.1"
-            onChange={v => handleProfileChange('breakEvenROAS', Number(v))}
-          />
-          <SettingField
-            label="Monthly Budget"
-            type="currency"
-            value={profile.monthlyBudget}
-            onChange={v => handleProfileChange('monthlyBudget', Number(v))}
-          />
-          <SettingField
-            label="Currency"
-            type="select"
-            value={profile.currency}
-            options={[
-              { label: 'USD', value: 'USD' },
-              { label: 'EUR', value: 'EUR' },
-              { label: 'GBP', value: 'GBP' },
-              { label: 'CAD', value: 'CAD' },
-              { label: 'AUD', value: 'AUD' },
-            ]}
-            onChange={v => handleProfileChange('currency', v)}
-          />
+        {/* Iterate / New Concept Thresholds */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[#f59e0b] uppercase mb-4">
+            Iterate &amp; New Concept Thresholds
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="CTR decline WoW - iterate (%)"
+              type="number"
+              value={(thresholds.iterate?.ctrDeclineWoWPercent || 0.15) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('iterate', 'ctrDeclineWoWPercent', Number(v) / 100)}
+            />
+            <SettingField
+              label="CTR decline WoW - critical (%)"
+              type="number"
+              value={(thresholds.iterate?.ctrDeclineWoWCritical || 0.20) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('iterate', 'ctrDeclineWoWCritical', Number(v) / 100)}
+            />
+            <SettingField
+              label="Hook rate iterate threshold (%)"
+              type="number"
+              value={(thresholds.iterate?.hookRateIterateThreshold || 0.25) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('iterate', 'hookRateIterateThreshold', Number(v) / 100)}
+            />
+            <SettingField
+              label="Audience saturation frequency"
+              type="number"
+              value={thresholds.newConcept?.audienceSaturatedFrequency}
+              step="0.5"
+              onChange={v => handleThresholdChange('newConcept', 'audienceSaturatedFrequency', Number(v))}
+            />
+            <SettingField
+              label="Reach decline WoW for saturation (%)"
+              type="number"
+              value={(thresholds.newConcept?.reachDeclinePercent ?? 0.10) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('newConcept', 'reachDeclinePercent', Number(v) / 100)}
+            />
+            <SettingField
+              label="Creative fatigue CTR decline WoW (%)"
+              type="number"
+              value={(thresholds.newConcept?.creativeFatigueCtrDeclinePercent ?? 0.20) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('newConcept', 'creativeFatigueCtrDeclinePercent', Number(v) / 100)}
+            />
+            <SettingField
+              label="Creative fatigue health score (below)"
+              type="number"
+              value={thresholds.newConcept?.creativeFatigueHealthScore ?? 50}
+              step="5"
+              onChange={v => handleThresholdChange('newConcept', 'creativeFatigueHealthScore', Number(v))}
+            />
+            <SettingField
+              label="Breakdown segment CPA flag (× target)"
+              type="number"
+              value={thresholds.breakdown?.cpaOutlierMultiplier ?? 1.5}
+              step="0.1"
+              onChange={v => handleThresholdChange('breakdown', 'cpaOutlierMultiplier', Number(v))}
+            />
+            <SettingField
+              label="Breakdown segment ROAS flag (× target)"
+              type="number"
+              value={thresholds.breakdown?.roasOutlierRatio ?? 0.5}
+              step="0.1"
+              onChange={v => handleThresholdChange('breakdown', 'roasOutlierRatio', Number(v))}
+            />
+          </div>
+          <SaveButton saved={savedSections.iterate} onClick={() => saveThresholds('iterate')} />
         </div>
-        <SaveButton saved={savedSections.profile} onClick={() => saveThresholds('profile')} />
-      </div>
 
-      {/* Kill Thresholds */}
-      <div className="card p-6">
-        <h3 className="text-sm font-semibold tracking-wider text-[#ef4444] uppercase mb-4">
-          Kill Signal Thresholds
-        </h3>
-        <div className="grid grid-cols-2 gap-4">
-          <SettingField
-            label="Zero-conversion spend multiplier"
-            type="number"
-            value={thresholds.kill?.spendMultiplierZeroConversions}
-            step="0.5"
-            onChange={v => handleThresholdChange('kill', 'spendMultiplierZeroConversions', Number(v))}
-            hint={`Kill at: ${formatCurrency((profile.targetCPA || 30) * (thresholds.kill?.spendMultiplierZeroConversions || 3))} spend with 0 conversions`}
-          />
-          <SettingField
-            label="CPA overage threshold (%)"
-            type="number"
-            value={(thresholds.kill?.cpaWorsePercent || 0.25) * 100}
-            step="5"
-            onChange={v => handleThresholdChange('kill', 'cpaWorsePercent', Number(v) / 100)}
-            hint={`Kill at: CPA > ${formatCurrency((profile.targetCPA || 30) * (1 + (thresholds.kill?.cpaWorsePercent || 0.25)))}`}
-          />
-          <SettingField
-            label="Frequency kill threshold"
-            type="number"
-            value={thresholds.kill?.frequencyKillThreshold}
-            step="0.5"
-            onChange={v => handleThresholdChange('kill', 'frequencyKillThreshold', Number(v))}
-          />
-          <SettingField
-            label="ROAS below break-even days"
-            type="number"
-            value={thresholds.kill?.roasBelowBreakevenDays}
-            step="1"
-            onChange={v => handleThresholdChange('kill', 'roasBelowBreakevenDays', Number(v))}
-          />
+        {/* Creative Fatigue */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[#f59e0b] uppercase mb-4">
+            Creative Fatigue
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Refresh warning (days since first delivery)"
+              type="number"
+              value={thresholds.fatigue?.refreshWarningDays ?? 14}
+              step="1"
+              onChange={v => handleThresholdChange('fatigue', 'refreshWarningDays', Number(v))}
+            />
+            <SettingField
+              label="Typical creative lifespan (days)"
+              type="number"
+              value={thresholds.fatigue?.typicalLifespanDays ?? 21}
+              step="1"
+              onChange={v => handleThresholdChange('fatigue', 'typicalLifespanDays', Number(v))}
+            />
+            <SettingField
+              label="CPM rise WoW (%)"
+              type="number"
+              value={(thresholds.fatigue?.cpmRiseWoWPercent ?? 0.30) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('fatigue', 'cpmRiseWoWPercent', Number(v) / 100)}
+            />
+            <SettingField
+              label="Cost per result vs own average (×)"
+              type="number"
+              value={thresholds.fatigue?.costPerResultFatigueMultiplier ?? 2.0}
+              step="0.1"
+              onChange={v => handleThresholdChange('fatigue', 'costPerResultFatigueMultiplier', Number(v))}
+            />
+            <SettingField
+              label="Purchase-intent drop frequency"
+              type="number"
+              value={thresholds.fatigue?.frequencyPurchaseIntentDrop ?? 6}
+              step="0.5"
+              onChange={v => handleThresholdChange('fatigue', 'frequencyPurchaseIntentDrop', Number(v))}
+            />
+          </div>
+          <SaveButton saved={savedSections.fatigue} onClick={() => saveThresholds('fatigue')} />
         </div>
-        <SaveButton saved={savedSections.kill} onClick={() => saveThresholds('kill')} />
-      </div>
 
-      {/* Scale Thresholds */}
-      <div className="card p-6">
-        <h3 className="text-sm font-semibold tracking-wider text-[#22c55e] uppercase mb-4">
-          Scale Signal Thresholds
-        </h3>
-        <div className="grid grid-cols-2 gap-4">
-          <SettingField
-            label="Stability days required"
-            type="number"
-            value={thresholds.scale?.stabilityDaysRequired}
-            step="1"
-            onChange={v => handleThresholdChange('scale', 'stabilityDaysRequired', Number(v))}
-          />
-          <SettingField
-            label="Max budget increase (%)"
-            type="number"
-            value={(thresholds.scale?.maxBudgetIncreasePercent || 0.20) * 100}
-            step="5"
-            onChange={v => handleThresholdChange('scale', 'maxBudgetIncreasePercent', Number(v) / 100)}
-          />
-          <SettingField
-            label="Max scale frequency"
-            type="number"
-            value={thresholds.scale?.frequencyScaleMax}
-            step="0.1"
-            onChange={v => handleThresholdChange('scale', 'frequencyScaleMax', Number(v))}
-          />
-          <SettingField
-            label="Min daily conversions"
-            type="number"
-            value={thresholds.scale?.minDailyConversions}
-            step="1"
-            onChange={v => handleThresholdChange('scale', 'minDailyConversions', Number(v))}
-          />
+        {/* Statistical Confidence */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[#94a3b8] uppercase mb-1">
+            Statistical Confidence
+          </h3>
+          <div className="text-[11px] text-[var(--color-text-muted)] mb-4">
+            How sure a rule must be, given the conversions and clicks behind it, before it fires. Below this the
+            entity shows <span className="text-[var(--color-text-secondary)]">Insufficient Data</span> instead. 0 fires on point estimates.
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            {[
+              ['kill', 'Kill — minimum confidence (%)', 0.90],
+              ['scale', 'Scale — minimum confidence (%)', 0.80],
+              ['iterate', 'Iterate — minimum confidence (%)', 0.70],
+              ['newConcept', 'New Concept — minimum confidence (%)', 0.70],
+            ].map(([field, label, fallback]) => (
+              <SettingField
+                key={field}
+                label={label}
+                type="number"
+                value={Math.round((thresholds.confidence?.[field] ?? fallback) * 100)}
+                step="5"
+                onChange={v => handleThresholdChange('confidence', field, Math.min(100, Math.max(0, Number(v))) / 100)}
+              />
+            ))}
+            <SettingField
+              label="Credible interval shown (%)"
+              type="number"
+              value={Math.round((thresholds.confidence?.interval ?? 0.90) * 100)}
+              step="5"
+              onChange={v => handleThresholdChange('confidence', 'interval', Math.min(99, Math.max(50, Number(v))) / 100)}
+              hint="Range of plausible true values shown next to each signal's confidence"
+            />
+          </div>
+          <SaveButton saved={savedSections.confidence} onClick={() => saveThresholds('confidence')} />
         </div>
-        <SaveButton saved={savedSections.scale} onClick={() => saveThresholds('scale')} />
-      </div>
 
-      {/* Iterate / New Concept Thresholds */}
-      <div className="card p-6">
-        <h3 className="text-sm font-semibold tracking-wider text-[#f59e0b] uppercase mb-4">
-          Iterate &amp; New Concept Thresholds
-        </h3>
-        <div className="grid grid-cols-2 gap-4">
-          <SettingField
-            label="CTR decline WoW - iterate (%)"
-            type="number"
-            value={(thresholds.iterate?.ctrDeclineWoWPercent || 0.15) * 100}
-            step="5"
-            onChange={v => handleThresholdChange('iterate', 'ctrDeclineWoWPercent', Number(v) / 100)}
-          />
-          <SettingField
-            label="CTR decline WoW - critical (%)"
-            type="number"
-            value={(thresholds.iterate?.ctrDeclineWoWCritical || 0.20) * 100}
-            step="5"
-            onChange={v => handleThresholdChange('iterate', 'ctrDeclineWoWCritical', Number(v) / 100)}
-          />
-          <SettingField
-            label="Hook rate iterate threshold (%)"
-            type="number"
-            value={(thresholds.iterate?.hookRateIterateThreshold || 0.25) * 100}
-            step="5"
-            onChange={v => handleThresholdChange('iterate', 'hookRateIterateThreshold', Number(v) / 100)}
-          />
-          <SettingField
-            label="Audience saturation frequency"
-            type="number"
-            value={thresholds.newConcept?.audienceSaturatedFrequency}
-            step="0.5"
-            onChange={v => handleThresholdChange('newConcept', 'audienceSaturatedFrequency', Number(v))}
-          />
+        {/* Attribution */}
+        <div className="card p-6">
+          <h3 className="text-sm font-semibold tracking-wider text-[var(--color-primary)] uppercase mb-4">
+            Attribution
+          </h3>
+          <div className="grid grid-cols-2 gap-4">
+            <SettingField
+              label="Attribution window for CPA / ROAS"
+              type="select"
+              value={thresholds.attribution?.defaultWindow || '7d_click_1d_view'}
+              options={ATTRIBUTION_WINDOW_OPTIONS}
+              onChange={v => handleThresholdChange('attribution', 'defaultWindow', v)}
+              hint="Drives conversions, CPA, ROAS and every rule. The playbook reports internally on 1-day click."
+            />
+            <SettingField
+              label="View-through share to flag (%)"
+              type="number"
+              value={(thresholds.attribution?.viewThroughSwitchThreshold ?? 0.25) * 100}
+              step="5"
+              onChange={v => handleThresholdChange('attribution', 'viewThroughSwitchThreshold', Number(v) / 100)}
+              hint="Recommend click-only attribution above this share of 1-day view conversions"
+            />
+          </div>
+          <SaveButton saved={savedSections.attribution} onClick={() => saveThresholds('attribution')} />
         </div>
-        <SaveButton saved={savedSections.iterate} onClick={() => saveThresholds('iterate')} />
-      </div>
+      </fieldset>
+
+      {/* Decision Rules */}
+      <RuleEditor
+        key={accountId}
+        thresholds={thresholds}
+        entities={previewEntities}
+        readOnly={!isAdmin}
+        onSave={saveRules}
+      />
 
       {/* AI & Data Controls */}
       <div className="card p-6">
@@ -288,18 +639,7 @@ export default function Settings({ thresholds, onUpdate, onRefresh, dateRange, o
           AI &amp; Data Controls
         </h3>
         <div className="grid grid-cols-2 gap-4">
-          <SettingField
-            label="Analysis Date Range"
-            type="select"
-            value={dateRange}
-            options={[
-              { label: 'Last 7 Days', value: 'last_7d' },
-              { label: 'Last 14 Days', value: 'last_14d' },
-              { label: 'Last 30 Days', value: 'last_30d' },
-              { label: 'Last 90 Days', value: 'last_90d' },
-            ]}
-            onChange={onDateRangeChange}
-          />
+          <PeriodControls period={period} onChange={onPeriodChange} timeZone={timeZone} />
           <div>
             <div className="text-xs text-[var(--color-text-muted)] mb-2">Refresh Data</div>
             <button
@@ -317,45 +657,749 @@ export default function Settings({ thresholds, onUpdate, onRefresh, dateRange, o
               {refreshing ? '✅ Refreshing...' : '🔄 Refresh Now'}
             </button>
           </div>
-          <div className="col-span-2">
-            <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">
-              Anthropic API Key (for AI Briefings — optional)
-            </label>
-            <div className="flex gap-2">
-              <input
-                type="password"
-                value={claudeKey}
-                onChange={e => { setClaudeKey(e.target.value); setClaudeSaved(false); }}
-                placeholder={hasClaudeKey() ? '••••••••••••••• (key saved)' : 'sk-ant-...'}
-                className="flex-1 px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+          {isAdmin && (
+            <div className="col-span-2">
+              <ApiKeyField
+                name="anthropic"
+                label="Anthropic API Key (for AI Briefings — optional)"
+                placeholder="sk-ant-..."
+                status={keyStatus?.anthropic}
+                onStatusChange={setKeyStatus}
+                hint="Without an API key, AI briefings use local rule-based generation. With a key, Claude generates executive-style briefings."
               />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {!user.demo && <ConnectionDoctor accountId={accountId} />}
+
+      {!user.demo && <CallLogPanel />}
+
+      <CacheInspector />
+
+      {isAdmin && !user.demo && <UserManager currentUserId={user.id} />}
+    </div>
+  );
+}
+
+/**
+ * Admin: invite users, change roles, reset passwords and remove access.
+ */
+function UserManager({ currentUserId }) {
+  const [users, setUsers] = useState(null);
+  const [draft, setDraft] = useState({ email: '', name: '', role: 'viewer', password: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(() => listUsers().then(setUsers).catch(err => setError(err.message)), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  async function run(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await load();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function invite(e) {
+    e.preventDefault();
+    if (await run(() => createUser(draft))) setDraft({ email: '', name: '', role: 'viewer', password: '' });
+  }
+
+  function resetPassword(u) {
+    const password = window.prompt(`New password for ${u.email} (at least 10 characters). They'll be signed out everywhere.`);
+    if (password) run(() => updateUser(u.id, { password }));
+  }
+
+  function remove(u) {
+    if (window.confirm(`Remove ${u.email}? They lose access immediately.`)) run(() => deleteUser(u.id));
+  }
+
+  const inputClass = 'w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors';
+
+  return (
+    <div className="card p-6">
+      <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase mb-4">
+        Users &amp; Roles
+      </h3>
+      {!users ? (
+        <div className="text-xs text-[var(--color-text-muted)]">{error || 'Loading users…'}</div>
+      ) : (
+        <table className="w-full text-[11px] mb-4">
+          <thead>
+            <tr className="text-left text-[var(--color-text-muted)]">
+              <th className="py-1.5 font-normal">User</th>
+              <th className="py-1.5 font-normal">Role</th>
+              <th className="py-1.5 font-normal">Last sign-in</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(u => (
+              <tr key={u.id} className="border-t border-[var(--color-border)]">
+                <td className="py-1.5">
+                  <div className="text-[var(--color-text-primary)]">{u.name}</div>
+                  <div className="text-[var(--color-text-muted)]">{u.email}</div>
+                </td>
+                <td className="py-1.5">
+                  <select
+                    value={u.role}
+                    disabled={busy}
+                    onChange={e => run(() => updateUser(u.id, { role: e.target.value }))}
+                    className="px-2 py-1 rounded bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-[11px] text-[var(--color-text-primary)]"
+                  >
+                    {ROLE_OPTIONS.map(r => <option key={r.value} value={r.value}>{r.value}</option>)}
+                  </select>
+                </td>
+                <td className="py-1.5 text-[var(--color-text-muted)]">
+                  {u.lastLoginAt ? new Date(u.lastLoginAt).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : 'never'}
+                </td>
+                <td className="py-1.5 text-right whitespace-nowrap">
+                  <button type="button" disabled={busy} onClick={() => resetPassword(u)} className="text-[var(--color-text-secondary)] hover:text-[var(--color-accent)] disabled:opacity-50 mr-3">
+                    Reset password
+                  </button>
+                  {u.id !== currentUserId && (
+                    <button type="button" disabled={busy} onClick={() => remove(u)} className="text-[#ef4444] hover:opacity-80 disabled:opacity-50">
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <form onSubmit={invite} className="grid grid-cols-4 gap-3 items-end">
+        <input type="email" placeholder="email@agency.com" value={draft.email} onChange={e => setDraft({ ...draft, email: e.target.value })} className={inputClass} />
+        <input type="text" placeholder="Name" value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} className={inputClass} />
+        <select value={draft.role} onChange={e => setDraft({ ...draft, role: e.target.value })} className={inputClass}>
+          {ROLE_OPTIONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+        </select>
+        <input type="password" placeholder="Initial password" autoComplete="new-password" value={draft.password} onChange={e => setDraft({ ...draft, password: e.target.value })} className={inputClass} />
+        <div className="col-span-4 flex items-center gap-3">
+          <button
+            type="submit"
+            disabled={busy || !draft.email || !draft.password}
+            className="px-4 py-2 rounded-lg bg-[var(--color-primary)] text-white text-xs font-medium hover:opacity-90 disabled:opacity-50"
+          >
+            ✚ Add User
+          </button>
+          {error && users && <span className="text-[11px] text-[#ef4444]">{error}</span>}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Response cache inspector: what's held in memory and IndexedDB, with invalidation
+ * per account and per tool. Only live responses are persisted.
+ */
+/**
+ * Probe the GoMarble upstream through the bridge: handshake latency, the tools the key can
+ * reach, a sample insights call, and a plain-language explanation when any of it fails.
+ */
+function ConnectionDoctor({ accountId }) {
+  const [status, setStatus] = useState(null);
+  const [statusError, setStatusError] = useState(null);
+  const [probing, setProbing] = useState(false);
+  const [testAccount, setTestAccount] = useState(accountId || '');
+  const [testing, setTesting] = useState(false);
+  const [insights, setInsights] = useState(null);
+  const [showTools, setShowTools] = useState(false);
+
+  const load = useCallback(probe => getConnectionStatus({ probe })
+    .then(data => { setStatus(data); setStatusError(null); })
+    .catch(err => setStatusError(err.message)), []);
+
+  useEffect(() => {
+    load(false);
+  }, [load]);
+
+  async function runProbe() {
+    setProbing(true);
+    await load(true);
+    setProbing(false);
+  }
+
+  async function runInsightsTest() {
+    setTesting(true);
+    try {
+      setInsights(await testAccountInsights(testAccount.trim()));
+    } catch (err) {
+      setInsights({ ok: false, error: err.message, diagnosis: null });
+    } finally {
+      setTesting(false);
+    }
+  }
+
+  const probe = status?.probe;
+  const missing = new Set(probe?.missingTools || []);
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase">
+          Connection Doctor
+        </h3>
+        <button
+          type="button"
+          onClick={runProbe}
+          disabled={probing}
+          className="px-3 py-1.5 rounded-lg border border-[var(--color-border)] text-[11px] text-[var(--color-text-secondary)] hover:border-[var(--color-accent)] transition-colors disabled:opacity-50"
+        >
+          {probing ? 'Probing…' : '↻ Run Probe'}
+        </button>
+      </div>
+
+      {statusError ? (
+        <div className="text-xs text-[#ef4444]">Bridge unreachable: {statusError}</div>
+      ) : !probe ? (
+        <div className="text-xs text-[var(--color-text-muted)]">Probing upstream…</div>
+      ) : (
+        <>
+          <div className="flex items-center gap-2 mb-1">
+            <span className={`w-2 h-2 rounded-full ${probe.ok ? 'bg-[#22c55e]' : 'bg-[#ef4444]'}`} />
+            <span className="text-xs font-medium text-[var(--color-text-primary)]">
+              {probe.ok ? 'Upstream reachable' : `Failed at ${probe.stage}`}
+            </span>
+            <span className="text-[10px] text-[var(--color-text-muted)]">
+              {probe.url} · {probe.transport}{probe.protocolVersion ? ` · protocol ${probe.protocolVersion}` : ''} · checked {formatTime(probe.at)}
+            </span>
+          </div>
+          {probe.diagnosis && <Diagnosis diagnosis={probe.diagnosis} error={probe.error} />}
+
+          <div className="grid grid-cols-4 gap-4 my-4">
+            <CacheStat label="Initialize" value={formatLatency(probe.latencyMs.initialize)} hint="session handshake" />
+            <CacheStat label="tools/list" value={formatLatency(probe.latencyMs.toolsList)} hint="tool catalogue" />
+            <CacheStat label="Last Success" value={status.lastSuccess ? formatTime(status.lastSuccess.at) : '—'} hint={status.lastSuccess ? formatLatency(status.lastSuccess.latencyMs) : 'none since bridge start'} />
+            <CacheStat label="Last Failure" value={status.lastFailure ? formatTime(status.lastFailure.at) : '—'} hint={status.lastFailure?.diagnosis?.title || 'none since bridge start'} />
+          </div>
+          {status.lastFailure && probe.ok && (
+            <div className="text-[10px] text-[var(--color-text-muted)] mb-4">
+              Last failure ({status.lastFailure.stage}): <span className="text-[#f59e0b]">{status.lastFailure.error}</span>
+            </div>
+          )}
+
+          {probe.ok && (
+            <div className="mb-4">
               <button
                 type="button"
-                onClick={() => {
-                  if (!claudeKey.trim()) return;
-                  configureClaudeAPI(claudeKey.trim());
-                  setClaudeSaved(true);
-                  setTimeout(() => setClaudeSaved(false), 3000);
-                }}
-                disabled={!claudeKey.trim()}
-                className="px-4 py-2 rounded-lg text-white text-xs font-medium transition-all cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
-                style={{ background: claudeSaved ? '#22c55e' : 'var(--color-primary)' }}
+                onClick={() => setShowTools(v => !v)}
+                className="text-xs text-[var(--color-text-secondary)] hover:text-[var(--color-accent)]"
               >
-                {claudeSaved ? '✅ Saved!' : '💾 Save Key'}
+                {showTools ? '▾' : '▸'} {probe.tools.length} tools available
+                {missing.size > 0 && <span className="text-[#ef4444]"> · {missing.size} the dashboard needs are missing</span>}
               </button>
+              {missing.size > 0 && (
+                <div className="text-[10px] text-[#ef4444] mt-1">Missing: {[...missing].join(', ')}</div>
+              )}
+              {showTools && (
+                <ul className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+                  {probe.tools.map(tool => (
+                    <li key={tool.name} className="text-[11px]">
+                      <code className="text-[var(--color-accent)]">{tool.name}</code>
+                      {tool.description && <span className="text-[var(--color-text-muted)]"> — {tool.description}</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
-            <div className="text-[10px] mt-1" style={{ color: claudeSaved ? '#22c55e' : 'var(--color-text-muted)' }}>
-              {claudeSaved
-                ? 'API key saved successfully. AI briefings will now use Claude.'
-                : 'Without an API key, AI briefings use local rule-based generation. With a key, Claude generates executive-style briefings.'}
+          )}
+        </>
+      )}
+
+      <div className="border-t border-[var(--color-border)] pt-4">
+        <div className="text-xs text-[var(--color-text-muted)] mb-2">Sample Insights Call (last 7 days, account level)</div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={testAccount}
+            onChange={e => setTestAccount(e.target.value)}
+            placeholder="act_1234567890"
+            className="flex-1 px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+          />
+          <button
+            type="button"
+            onClick={runInsightsTest}
+            disabled={testing || !testAccount.trim()}
+            className="px-4 py-2 rounded-lg bg-[var(--color-primary)] text-white text-xs font-medium hover:opacity-90 transition-opacity disabled:opacity-50"
+          >
+            {testing ? 'Testing…' : 'Test Insights Call'}
+          </button>
+        </div>
+        {insights && (
+          <div className="mt-3">
+            {insights.ok ? (
+              <div className="text-[11px] text-[var(--color-text-secondary)]">
+                <span className="text-[#22c55e]">✓</span> {insights.rows} row{insights.rows === 1 ? '' : 's'} in {formatLatency(insights.latencyMs)}
+                {insights.sample && (
+                  <span className="text-[var(--color-text-muted)]">
+                    {' '}· spend {insights.sample.spend ?? '—'}, impressions {insights.sample.impressions ?? '—'}, clicks {insights.sample.clicks ?? '—'}
+                  </span>
+                )}
+                {insights.warning && <div className="text-[#f59e0b] mt-1">{insights.warning}</div>}
+              </div>
+            ) : insights.diagnosis ? (
+              <Diagnosis diagnosis={insights.diagnosis} error={insights.error} />
+            ) : (
+              <div className="text-[11px] text-[#ef4444]">{insights.error}</div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function Diagnosis({ diagnosis, error }) {
+  return (
+    <div className="mt-2 p-3 rounded-lg border border-[#ef444466] bg-[#ef444411]">
+      <div className="text-xs font-medium text-[#ef4444]">{diagnosis.title}</div>
+      <div className="text-[11px] text-[var(--color-text-secondary)] mt-1 leading-relaxed">{diagnosis.explanation}</div>
+      {error && <div className="text-[10px] text-[var(--color-text-muted)] mt-1 font-mono break-all">{error}</div>}
+    </div>
+  );
+}
+
+const formatLatency = ms => (ms == null ? '—' : `${ms} ms`);
+
+const formatTime = iso => new Date(iso).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+
+const CALL_LOG_LIMITS = [25, 50, 100, 200];
+
+/**
+ * The bridge's recent tool calls: how long each took (and how much of that was queueing),
+ * retries, cache hits and errors — the place to look when a refresh is slow.
+ */
+function CallLogPanel() {
+  const [log, setLog] = useState(null);
+  const [error, setError] = useState(null);
+  const [limit, setLimit] = useState(50);
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [showHits, setShowHits] = useState(true);
+
+  const load = useCallback(() => getCallLog({ limit, errorsOnly })
+    .then(data => { setLog(data); setError(null); })
+    .catch(err => setError(err.message)), [limit, errorsOnly]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const summary = log?.summary;
+  const entries = (log?.entries || []).filter(e => showHits || e.cache !== 'hit');
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase">
+          MCP Call Log
+        </h3>
+        <div className="flex items-center gap-3">
+          <label className="flex items-center gap-1.5 text-[11px] text-[var(--color-text-secondary)] cursor-pointer">
+            <input type="checkbox" checked={errorsOnly} onChange={e => setErrorsOnly(e.target.checked)} />
+            Errors only
+          </label>
+          <label className="flex items-center gap-1.5 text-[11px] text-[var(--color-text-secondary)] cursor-pointer">
+            <input type="checkbox" checked={showHits} onChange={e => setShowHits(e.target.checked)} />
+            Cache hits
+          </label>
+          <select
+            value={limit}
+            onChange={e => setLimit(Number(e.target.value))}
+            className="px-2 py-1 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-[11px] text-[var(--color-text-primary)] outline-none"
+          >
+            {CALL_LOG_LIMITS.map(n => <option key={n} value={n}>Last {n}</option>)}
+          </select>
+          <button
+            type="button"
+            onClick={load}
+            className="px-3 py-1.5 rounded-lg border border-[var(--color-border)] text-[11px] text-[var(--color-text-secondary)] hover:border-[var(--color-accent)] transition-colors"
+          >
+            ↻ Reload
+          </button>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="text-xs text-[#ef4444]">Call log unavailable: {error}</div>
+      ) : !log ? (
+        <div className="text-xs text-[var(--color-text-muted)]">Loading call log…</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-5 gap-4 mb-4">
+            <CacheStat label="Calls" value={summary.calls} hint={summary.since ? `since ${formatTime(summary.since)}` : 'none yet'} />
+            <CacheStat label="Errors" value={summary.errors} hint={`${summary.retries} session retries`} />
+            <CacheStat label="Cache Hit Rate" value={summary.cacheHitRate == null ? '—' : `${Math.round(summary.cacheHitRate * 100)}%`} hint="browser cache vs bridge" />
+            <CacheStat label="p50 / p95" value={`${formatSeconds(summary.p50Ms)} / ${formatSeconds(summary.p95Ms)}`} hint={`slowest ${formatSeconds(summary.maxMs)}`} />
+            <CacheStat label="Received" value={formatBytes(summary.bytes)} hint="tool responses" />
+          </div>
+          {entries.length === 0 ? (
+            <div className="text-[11px] text-[var(--color-text-muted)]">No calls recorded yet.</div>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              <table className="w-full text-[11px]">
+                <thead>
+                  <tr className="text-left text-[10px] text-[var(--color-text-muted)] uppercase tracking-wider">
+                    <th className="py-1.5 pr-2 font-normal">Time</th>
+                    <th className="py-1.5 pr-2 font-normal">Tool</th>
+                    <th className="py-1.5 pr-2 font-normal">Account</th>
+                    <th className="py-1.5 pr-2 font-normal">Args</th>
+                    <th className="py-1.5 pr-2 font-normal text-right">Duration</th>
+                    <th className="py-1.5 pr-2 font-normal text-right">Retries</th>
+                    <th className="py-1.5 pr-2 font-normal">Cache</th>
+                    <th className="py-1.5 pr-2 font-normal text-right">Size</th>
+                    <th className="py-1.5 font-normal">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry.id} className="border-t border-[var(--color-border)] align-top">
+                      <td className="py-1.5 pr-2 tabular-nums text-[var(--color-text-muted)] whitespace-nowrap">{formatTime(entry.at)}</td>
+                      <td className="py-1.5 pr-2 text-[var(--color-text-secondary)]" title={entry.tool}>
+                        {entry.tool.replace(/^facebook_/, '')}
+                        {entry.source !== 'app' && <span className="text-[var(--color-text-muted)]"> ({entry.source})</span>}
+                      </td>
+                      <td className="py-1.5 pr-2 text-[var(--color-text-muted)]">{entry.account || '—'}</td>
+                      <td className="py-1.5 pr-2 font-mono text-[10px] text-[var(--color-text-muted)]">{entry.argsHash}</td>
+                      <td className="py-1.5 pr-2 tabular-nums text-right" style={{ color: entry.durationMs >= 30000 ? '#ef4444' : entry.durationMs >= 10000 ? '#f59e0b' : 'var(--color-text-secondary)' }}>
+                        {entry.cache === 'hit' ? '—' : formatSeconds(entry.durationMs)}
+                        {entry.queuedMs >= 1000 && <div className="text-[10px] text-[var(--color-text-muted)]">{formatSeconds(entry.queuedMs)} queued</div>}
+                      </td>
+                      <td className={`py-1.5 pr-2 tabular-nums text-right ${entry.retries > 0 ? 'text-[#f59e0b]' : 'text-[var(--color-text-muted)]'}`}>{entry.retries}</td>
+                      <td className={`py-1.5 pr-2 ${entry.cache === 'hit' ? 'text-[#22c55e]' : 'text-[var(--color-text-muted)]'}`}>{entry.cache || '—'}</td>
+                      <td className="py-1.5 pr-2 tabular-nums text-right text-[var(--color-text-muted)]">{entry.bytes ? formatBytes(entry.bytes) : '—'}</td>
+                      <td className="py-1.5">
+                        {entry.ok
+                          ? <span className="text-[#22c55e]">ok</span>
+                          : <span className="text-[#ef4444] break-all" title={entry.error}>{entry.error.length > 80 ? `${entry.error.slice(0, 80)}…` : entry.error}</span>}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+const formatSeconds = ms => (ms == null ? '—' : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+function CacheInspector() {
+  const [stats, setStats] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadStats = useCallback(() => getCacheStats().then(setStats).catch(() => setStats(null)), []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  async function invalidate(target) {
+    setBusy(true);
+    try {
+      await invalidateCache(target);
+    } finally {
+      await loadStats();
+      setBusy(false);
+    }
+  }
+
+  const persistent = stats?.persistent;
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-sm font-semibold tracking-wider text-[var(--color-accent)] uppercase">
+          Response Cache
+        </h3>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={loadStats}
+            className="px-3 py-1.5 rounded-lg border border-[var(--color-border)] text-[11px] text-[var(--color-text-secondary)] hover:border-[var(--color-accent)] transition-colors"
+          >
+            ↻ Reload
+          </button>
+          <button
+            type="button"
+            onClick={() => invalidate({})}
+            disabled={busy}
+            className="px-3 py-1.5 rounded-lg border border-[#ef444466] text-[11px] text-[#ef4444] hover:bg-[#ef444411] transition-colors disabled:opacity-50"
+          >
+            Clear All
+          </button>
+        </div>
+      </div>
+      {!stats ? (
+        <div className="text-xs text-[var(--color-text-muted)]">Loading cache stats…</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-4 gap-4 mb-4">
+            <CacheStat label="In Memory" value={`${stats.memory.valid} / ${stats.memory.total}`} hint="fresh / total" />
+            <CacheStat label="Persisted" value={persistent.total} hint={persistent.available ? 'IndexedDB entries' : 'IndexedDB unavailable'} />
+            <CacheStat label="Stale" value={persistent.expired} hint="past TTL, shown while revalidating" />
+            <CacheStat label="Size" value={formatBytes(persistent.bytes)} hint="approximate" />
           </div>
+          <div className="grid grid-cols-2 gap-4">
+            <CacheGroupTable title="By Account" rows={persistent.accounts} busy={busy} onInvalidate={id => invalidate({ accountId: id })} />
+            <CacheGroupTable title="By Tool" rows={persistent.tools} busy={busy} onInvalidate={id => invalidate({ tool: id })} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function CacheStat({ label, value, hint }) {
+  return (
+    <div>
+      <div className="text-[10px] text-[var(--color-text-muted)] uppercase tracking-wider">{label}</div>
+      <div className="text-lg font-semibold tabular-nums text-[var(--color-text-primary)]">{value}</div>
+      <div className="text-[10px] text-[var(--color-text-muted)]">{hint}</div>
+    </div>
+  );
+}
+
+function CacheGroupTable({ title, rows, busy, onInvalidate }) {
+  return (
+    <div>
+      <div className="text-xs text-[var(--color-text-muted)] mb-2">{title}</div>
+      {rows.length === 0 ? (
+        <div className="text-[11px] text-[var(--color-text-muted)]">Nothing persisted yet.</div>
+      ) : (
+        <table className="w-full text-[11px]">
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.id || 'none'} className="border-t border-[var(--color-border)]">
+                <td className="py-1.5 pr-2 text-[var(--color-text-secondary)] truncate max-w-[180px]" title={row.id || ''}>{row.id || '(no account)'}</td>
+                <td className="py-1.5 pr-2 tabular-nums text-[var(--color-text-muted)]">
+                  {row.entries}{row.expired > 0 && <span className="text-[#f59e0b]"> ({row.expired} stale)</span>}
+                </td>
+                <td className="py-1.5 pr-2 tabular-nums text-[var(--color-text-muted)]">{formatBytes(row.bytes)}</td>
+                <td className="py-1.5 pr-2 text-[var(--color-text-muted)]">
+                  {new Date(row.newest).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                </td>
+                <td className="py-1.5 text-right">
+                  {row.id && (
+                    <button
+                      type="button"
+                      onClick={() => onInvalidate(row.id)}
+                      disabled={busy}
+                      className="text-[10px] text-[var(--color-text-muted)] hover:text-[#ef4444] disabled:opacity-50"
+                    >
+                      Invalidate
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// Ranges resolve in the ad account's time zone (as Meta's presets do), local time until it's known
+function PeriodControls({ period, onChange, timeZone }) {
+  const range = resolveDateRange(period.datePreset, period.timeRange, { timeZone });
+  const [since, setSince] = useState(range.since);
+  const [until, setUntil] = useState(range.until);
+  const isCustom = period.datePreset === 'custom';
+  const customValid = since && until && since <= until;
+  const comparisonRange = getComparisonRange(range, period.comparison, period.datePreset);
+
+  function handlePresetChange(preset) {
+    if (preset === 'custom') {
+      onChange({ ...period, datePreset: 'custom', timeRange: { since, until } });
+    } else {
+      onChange({ ...period, datePreset: preset, timeRange: null });
+    }
+  }
+
+  return (
+    <div className="col-span-2 grid grid-cols-2 gap-4">
+      <SettingField
+        label="Analysis Date Range"
+        type="select"
+        value={period.datePreset}
+        options={[
+          { label: 'This Week (Mon – Today)', value: 'this_week_mon_today' },
+          { label: 'Last Week (Mon – Sun)', value: 'last_week_mon_sun' },
+          { label: 'Last 7 Days', value: 'last_7d' },
+          { label: 'Last 14 Days', value: 'last_14d' },
+          { label: 'Last 30 Days', value: 'last_30d' },
+          { label: 'Last 90 Days', value: 'last_90d' },
+          { label: 'Custom Range…', value: 'custom' },
+        ]}
+        onChange={handlePresetChange}
+        hint={isCustom ? null : `${range.since} – ${range.until}${timeZone ? ` (${timeZone})` : ''}`}
+      />
+      <SettingField
+        label="Compare To"
+        type="select"
+        value={period.comparison || 'none'}
+        options={[
+          { label: 'No comparison', value: 'none' },
+          { label: 'Previous period', value: 'previous_period' },
+          { label: 'Same period last year', value: 'previous_year' },
+        ]}
+        onChange={v => onChange({ ...period, comparison: v })}
+        hint={comparisonRange ? `Comparing against ${comparisonRange.since} – ${comparisonRange.until}` : null}
+      />
+      {isCustom && (
+        <div className="col-span-2 flex items-end gap-2">
+          <DateInput label="Since" value={since} onChange={setSince} />
+          <DateInput label="Until" value={until} onChange={setUntil} />
+          <button
+            type="button"
+            onClick={() => onChange({ ...period, datePreset: 'custom', timeRange: { since, until } })}
+            disabled={!customValid}
+            className="px-4 py-2 rounded-lg bg-[var(--color-primary)] text-white text-xs font-medium hover:opacity-90 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Apply Range
+          </button>
         </div>
+      )}
+      <div className="col-span-2 flex items-center gap-2">
+        <span className="text-[10px] text-[var(--color-text-muted)]">Weekly review:</span>
+        <button
+          type="button"
+          onClick={() => onChange({ datePreset: 'this_week_mon_today', timeRange: null, comparison: 'previous_period' })}
+          className="px-2.5 py-1 rounded border border-[var(--color-border)] text-[10px] text-[var(--color-text-secondary)] hover:border-[var(--color-primary)]"
+        >
+          This week vs last week
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange({ datePreset: 'last_week_mon_sun', timeRange: null, comparison: 'previous_period' })}
+          className="px-2.5 py-1 rounded border border-[var(--color-border)] text-[10px] text-[var(--color-text-secondary)] hover:border-[var(--color-primary)]"
+        >
+          Last week vs week before
+        </button>
       </div>
     </div>
   );
 }
 
+function DateInput({ label, value, onChange }) {
+  return (
+    <div className="flex-1">
+      <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">{label}</label>
+      <input
+        type="date"
+        value={value || ''}
+        onChange={e => onChange(e.target.value)}
+        className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors tabular-nums"
+      />
+    </div>
+  );
+}
+
+/**
+ * Write-only API key input. Keys are stored on the bridge; this can set, rotate or remove one
+ * but only shows whether it's configured and where it comes from.
+ */
+function ApiKeyField({ name, label, placeholder, status, onStatusChange, onSaved, hint }) {
+  const [value, setValue] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState(null);
+
+  async function run(action) {
+    setBusy(true);
+    setError(null);
+    try {
+      onStatusChange(await action());
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function save() {
+    if (!value.trim()) return;
+    if (!(await run(() => setKey(name, value.trim())))) return;
+    setValue('');
+    setSaved(true);
+    setTimeout(() => setSaved(false), 3000);
+    onSaved?.();
+  }
+
+  const statusText = !status
+    ? 'Key status unavailable — is the bridge server running?'
+    : !status.configured
+      ? 'Not configured.'
+      : status.source === 'env'
+        ? `Configured on the server (${status.envVar}). Saving a key here overrides it.`
+        : `Configured in Settings${status.updatedAt ? ` · updated ${new Date(status.updatedAt).toLocaleDateString()}` : ''}.`;
+
+  return (
+    <div>
+      <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">{label}</label>
+      <div className="flex gap-2">
+        <input
+          type="password"
+          value={value}
+          autoComplete="off"
+          onChange={e => { setValue(e.target.value); setSaved(false); }}
+          placeholder={status?.configured ? '••••••••••••••• (enter a new key to rotate)' : placeholder}
+          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+        />
+        <button
+          type="button"
+          onClick={save}
+          disabled={busy || !value.trim()}
+          className="px-4 py-2 rounded-lg text-white text-xs font-medium transition-all cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+          style={{ background: saved ? '#22c55e' : 'var(--color-primary)' }}
+        >
+          {saved ? '✅ Saved!' : status?.configured ? '🔄 Rotate' : '💾 Save Key'}
+        </button>
+        {status?.source === 'settings' && (
+          <button
+            type="button"
+            onClick={() => run(() => clearKey(name))}
+            disabled={busy}
+            className="px-3 py-2 rounded-lg border border-[#ef444466] text-xs text-[#ef4444] hover:bg-[#ef444411] transition-colors disabled:opacity-50"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+      <div className="text-[10px] mt-1" style={{ color: error ? '#ef4444' : status?.configured ? '#22c55e' : 'var(--color-text-muted)' }}>
+        {error || statusText}
+      </div>
+      {hint && <div className="text-[10px] text-[var(--color-text-muted)] mt-0.5">{hint}</div>}
+    </div>
+  );
+}
+
 function SaveButton({ saved, onClick }) {
   return (
     <div className="mt-4 pt-4 border-t border-[var(--color-border)] flex items-center justify-between">
@@ -374,7 +1418,7 @@ function SaveButton({ saved, onClick }) {
   );
 }
 
-function SettingField({ label, type, value, onChange, options, hint, step }) {
+function SettingField({ label, type, value, onChange, options, hint, step, list, placeholder }) {
   return (
     <div>
       <label className="block text-xs text-[var(--color-text-muted)] mb-1.5">{label}</label>
@@ -388,6 +1432,15 @@ function SettingField({ label, type, value, onChange, options, hint, step }) {
             <option key={opt.value} value={opt.value}>{opt.label}</option>
           ))}
         </select>
+      ) : type === 'text' ? (
+        <input
+          type="text"
+          value={value || ''}
+          list={list}
+          placeholder={placeholder}
+          onChange={e => onChange(e.target.value)}
+          className="w-full px-3 py-2 rounded-lg bg-[var(--color-bg-elevated)] border border-[var(--color-border)] text-sm text-[var(--color-text-primary)] outline-none focus:border-[var(--color-primary)] transition-colors"
+        />
       ) : (
         <input
           type="number"
@@ -1,12 +1,104 @@
 /**
- * In-memory cache with TTL support.
- * Reduces GoMarble MCP API calls by caching responses.
+ * Two-tier cache with TTL support.
+ * Reduces GoMarble MCP API calls by caching responses: an in-memory Map for the
+ * current page, backed by IndexedDB so live responses survive a reload.
+ *
+ * Persisted entries keep their TTL — an expired entry is never returned as fresh.
+ * Callers can opt in to stale entries (getEntry with allowStale) to render something
+ * immediately while they revalidate.
  */
 
+const DB_NAME = 'meta-media-buying-cache';
+const DB_VERSION = 1;
+const STORE = 'entries';
+
+// Expired entries are kept this long for stale-while-revalidate, then pruned
+const STALE_RETENTION = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Minimal promise wrapper around one IndexedDB object store.
+ * Every method resolves to null when IndexedDB is unavailable (private mode, SSR, old browsers).
+ */
+class PersistentStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') return resolve(null);
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn(`[Cache] IndexedDB unavailable: ${request.error?.message}`);
+        resolve(null);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one request in a transaction; resolves with the request result once the transaction completes.
+   */
+  async run(mode, makeRequest) {
+    const db = await this.open();
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = makeRequest(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request?.result ?? null);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  put(entry) {
+    return this.run('readwrite', store => store.put(entry));
+  }
+
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+
+  clear() {
+    return this.run('readwrite', store => store.clear());
+  }
+
+  /**
+   * Delete every entry matching a predicate.
+   */
+  deleteWhere(predicate) {
+    return this.run('readwrite', store => {
+      const cursorRequest = store.openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (predicate(cursor.value)) cursor.delete();
+        cursor.continue();
+      };
+      return null;
+    });
+  }
+}
+
 class Cache {
-  constructor(defaultTTL = 5 * 60 * 1000) { // 5 minutes default
+  constructor(defaultTTL = 5 * 60 * 1000, { persistent = null } = {}) { // 5 minutes default
     this.store = new Map();
     this.defaultTTL = defaultTTL;
+    this.persistent = persistent;
+    this.pruned = false;
   }
 
   /**
@@ -15,13 +107,13 @@ class Cache {
   makeKey(endpoint, params = {}) {
     const paramStr = Object.entries(params)
       .sort(([a], [b]) => a.localeCompare(b))
-      .map(([k, v]) => `${k}=${v}`)
+      .map(([k, v]) => `${k}=${v && typeof v === 'object' && !Array.isArray(v) ? JSON.stringify(v) : v}`)
       .join('&');
     return `${endpoint}:${paramStr}`;
   }
 
   /**
-   * Get a cached value if it exists and hasn't expired
+   * Get a cached value if it exists and hasn't expired (memory tier only)
    */
   get(key) {
     const entry = this.store.get(key);
@@ -34,14 +126,46 @@ class Cache {
   }
 
   /**
-   * Store a value with optional custom TTL
+   * Look a key up in memory, then IndexedDB.
+   * @param {string} key
+   * @param {{ allowStale?: boolean }} [options] - also return expired entries (within STALE_RETENTION)
+   * @returns {Promise<{ value, cachedAt: number, expiresAt: number, stale: boolean } | null>}
    */
-  set(key, value, ttl = this.defaultTTL) {
-    this.store.set(key, {
+  async getEntry(key, { allowStale = false } = {}) {
+    const now = Date.now();
+    let entry = this.store.get(key);
+    if (!entry && this.persistent) {
+      this.prune();
+      entry = await this.persistent.get(key).catch(err => {
+        console.warn(`[Cache] Read failed for ${key}: ${err.message}`);
+        return null;
+      });
+      // Hydrate memory so later synchronous get() calls hit
+      if (entry && now <= entry.expiresAt) this.store.set(key, entry);
+    }
+    if (!entry) return null;
+    const stale = now > entry.expiresAt;
+    if (stale && (!allowStale || now > entry.expiresAt + STALE_RETENTION)) return null;
+    return { value: entry.value, cachedAt: entry.cachedAt, expiresAt: entry.expiresAt, stale };
+  }
+
+  /**
+   * Store a value with optional custom TTL.
+   * `persist` also writes it to IndexedDB; `accountId` and `tool` let it be invalidated in groups.
+   */
+  set(key, value, ttl = this.defaultTTL, { persist = false, accountId = null, tool = null } = {}) {
+    const entry = {
+      key,
       value,
       expiresAt: Date.now() + ttl,
       cachedAt: Date.now(),
-    });
+      accountId,
+      tool,
+    };
+    this.store.set(key, entry);
+    if (persist && this.persistent) {
+      this.persistent.put(entry).catch(err => console.warn(`[Cache] Could not persist ${key}: ${err.message}`));
+    }
   }
 
   /**
@@ -56,43 +180,109 @@ class Cache {
    */
   invalidate(key) {
     this.store.delete(key);
+    return this.persistent?.delete(key);
   }
 
   /**
    * Invalidate all keys matching a prefix
    */
   invalidatePrefix(prefix) {
-    for (const key of this.store.keys()) {
-      if (key.startsWith(prefix)) {
-        this.store.delete(key);
-      }
+    return this.invalidateWhere(entry => entry.key.startsWith(prefix));
+  }
+
+  /**
+   * Invalidate everything cached for one ad account (both tiers)
+   */
+  invalidateAccount(accountId) {
+    return this.invalidateWhere(entry => entry.accountId === accountId);
+  }
+
+  /**
+   * Invalidate every cached response from one tool (both tiers)
+   */
+  invalidateTool(tool) {
+    return this.invalidateWhere(entry => entry.tool === tool);
+  }
+
+  invalidateWhere(predicate) {
+    for (const [key, entry] of this.store) {
+      if (predicate(entry)) this.store.delete(key);
     }
+    return this.persistent?.deleteWhere(predicate);
   }
 
   /**
-   * Clear entire cache
+   * Clear the memory tier; pass { persistent: true } to wipe IndexedDB too
    */
-  clear() {
+  clear({ persistent = false } = {}) {
     this.store.clear();
+    if (persistent) return this.persistent?.clear();
+  }
+
+  /**
+   * Drop persisted entries past their stale retention (once per page load)
+   */
+  prune() {
+    if (this.pruned || !this.persistent) return;
+    this.pruned = true;
+    const cutoff = Date.now() - STALE_RETENTION;
+    this.persistent.deleteWhere(entry => entry.expiresAt < cutoff)
+      .catch(err => console.warn(`[Cache] Prune failed: ${err.message}`));
   }
 
   /**
-   * Get cache stats
+   * Get cache stats for both tiers, with persisted entries grouped by account and tool
    */
-  stats() {
-    let valid = 0;
-    let expired = 0;
+  async stats() {
     const now = Date.now();
-    for (const entry of this.store.values()) {
-      if (now > entry.expiresAt) expired++;
-      else valid++;
-    }
-    return { total: this.store.size, valid, expired };
+    const count = entries => {
+      let valid = 0;
+      let expired = 0;
+      for (const entry of entries) {
+        if (now > entry.expiresAt) expired++;
+        else valid++;
+      }
+      return { total: valid + expired, valid, expired };
+    };
+
+    const persisted = (await this.persistent?.getAll().catch(() => null)) || [];
+    const group = field => {
+      const groups = new Map();
+      persisted.forEach(entry => {
+        const id = entry[field] || null;
+        const g = groups.get(id) || { id, entries: 0, expired: 0, bytes: 0, newest: 0 };
+        g.entries++;
+        if (now > entry.expiresAt) g.expired++;
+        g.bytes += approxBytes(entry.value);
+        g.newest = Math.max(g.newest, entry.cachedAt);
+        groups.set(id, g);
+      });
+      return [...groups.values()].sort((a, b) => b.bytes - a.bytes);
+    };
+
+    return {
+      memory: count(this.store.values()),
+      persistent: {
+        available: !!(await this.persistent?.open()),
+        ...count(persisted),
+        bytes: persisted.reduce((sum, entry) => sum + approxBytes(entry.value), 0),
+        accounts: group('accountId'),
+        tools: group('tool'),
+      },
+    };
+  }
+}
+
+function approxBytes(value) {
+  try {
+    return JSON.stringify(value)?.length || 0;
+  } catch {
+    return 0;
   }
 }
 
 // Singleton cache instance
-const cache = new Cache();
+const cache = new Cache(undefined, { persistent: new PersistentStore() });
 
 // TTL presets for different data types
 export const TTL = {
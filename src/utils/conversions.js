@@ -0,0 +1,150 @@
+/**
+ * Conversion Mapping
+ * Decides which Meta action_type counts as "a conversion" (and which carries its value)
+ * for an account, and extracts conversions / revenue / CPA / ROAS from an insights row
+ * accordingly. Everything downstream — CPA, ROAS, conversionsLast7d, learning phase —
+ * reads the numbers produced here.
+ */
+
+// Windows carried on each action when insights are requested with action_attribution_windows
+const ATTRIBUTION_WINDOWS = ['1d_click', '7d_click', '1d_view'];
+
+// Meta reports pixel events under both the standard and the offsite_conversion name.
+// Only the first match is used so the two are never double-counted.
+const ACTION_ALIASES = {
+  purchase: ['purchase', 'offsite_conversion.fb_pixel_purchase', 'omni_purchase'],
+  lead: ['lead', 'offsite_conversion.fb_pixel_lead', 'onsite_conversion.lead_grouped'],
+  complete_registration: ['complete_registration', 'offsite_conversion.fb_pixel_complete_registration'],
+  add_to_cart: ['add_to_cart', 'offsite_conversion.fb_pixel_add_to_cart'],
+  initiate_checkout: ['initiate_checkout', 'offsite_conversion.fb_pixel_initiate_checkout'],
+};
+
+// Legacy behavior when nothing is configured: purchases, else leads, else landing page views
+const DEFAULT_PRIMARY_CHAIN = ['purchase', 'lead', 'landing_page_view'];
+
+export const COMMON_ACTION_TYPES = [
+  'purchase', 'lead', 'complete_registration', 'landing_page_view', 'link_click',
+  'add_to_cart', 'initiate_checkout', 'contact', 'schedule', 'submit_application',
+];
+
+/**
+ * Resolve the account's conversion mapping from its threshold profile.
+ * @param {object} profile - thresholds.profile
+ * @returns {{ primary: string[], value: string[], secondary: string[], isDefault: boolean }}
+ *   `primary` is a fallback chain of action types; the first one present in a row wins.
+ */
+export function resolveConversionMapping(profile = {}) {
+  const configured = profile.conversionMapping || {};
+  let primary;
+  if (configured.primaryAction) {
+    primary = [configured.primaryAction];
+  } else if (profile.businessType === 'leadgen' && profile.leadGenConversionEvent) {
+    primary = [profile.leadGenConversionEvent];
+  } else {
+    primary = DEFAULT_PRIMARY_CHAIN;
+  }
+
+  return {
+    primary,
+    value: configured.valueAction ? [configured.valueAction] : ['purchase'],
+    secondary: (configured.secondaryActions || []).filter(Boolean),
+    isDefault: primary === DEFAULT_PRIMARY_CHAIN,
+  };
+}
+
+/**
+ * Find the entry for an action type (or its pixel alias) in an actions-style array.
+ */
+export function findAction(list, actionType) {
+  if (!Array.isArray(list)) return null;
+  const names = ACTION_ALIASES[actionType] || [actionType];
+  for (const name of names) {
+    const match = list.find(a => a.action_type === name);
+    if (match) return match;
+  }
+  return null;
+}
+
+/**
+ * Extract mapped conversion metrics from a raw or parsed insights row.
+ * Expects `actions`, `action_values`, `cost_per_action_type` arrays and numeric `spend`.
+ * @returns {{ conversions, revenue, cpa, roas, conversionAction, attribution, secondaryConversions }}
+ */
+export function extractConversions(row, mapping) {
+  const spend = parseFloat(row.spend) || 0;
+
+  // Primary conversion: first action type in the chain that actually has a non-zero count
+  let conversionAction = null;
+  let conversionType = null;
+  for (const type of mapping.primary) {
+    const action = findAction(row.actions, type);
+    if (action && parseFloat(action.value) > 0) {
+      conversionAction = action;
+      conversionType = type;
+      break;
+    }
+  }
+  const conversions = conversionAction ? parseFloat(conversionAction.value) || 0 : 0;
+
+  // Value: the configured value action, falling back to the conversion action's own value
+  const valueAction = mapping.value.map(t => findAction(row.action_values, t)).find(Boolean)
+    || (conversionType ? findAction(row.action_values, conversionType) : null);
+  let revenue = valueAction ? parseFloat(valueAction.value) || 0 : 0;
+
+  // purchase_roas is only meaningful when value is tracked on purchases
+  const reportedRoas = Array.isArray(row.purchase_roas) ? row.purchase_roas[0]?.value : row.purchase_roas;
+  if (!valueAction && reportedRoas != null && mapping.value.includes('purchase') && spend > 0) {
+    revenue = spend * parseFloat(reportedRoas);
+  }
+  const roas = revenue > 0 ? divide(revenue, spend) : (reportedRoas != null && mapping.value.includes('purchase') ? parseFloat(reportedRoas) : null);
+
+  // CPA: Meta's own cost per action when it reports one for the mapped action
+  const reportedCpa = conversionType ? findAction(row.cost_per_action_type, conversionType) : null;
+  const cpa = reportedCpa?.value != null ? parseFloat(reportedCpa.value) : divide(spend, conversions);
+
+  const secondaryConversions = {};
+  mapping.secondary.forEach(type => {
+    secondaryConversions[type] = parseFloat(findAction(row.actions, type)?.value) || 0;
+  });
+
+  return {
+    conversions,
+    revenue,
+    cpa,
+    roas,
+    conversionAction: conversionType,
+    attribution: splitByWindow(conversionAction, valueAction, conversions, revenue),
+    secondaryConversions,
+  };
+}
+
+/**
+ * Split the conversion action (and its value) by attribution window.
+ * Returns null when the row carries no per-window values.
+ * @returns {Object<string, {conversions: number, revenue: number}>|null}
+ *   Keyed by '1d_click', '7d_click', '1d_view' and '7d_click_1d_view' (the account default, i.e. `value`)
+ */
+function splitByWindow(conversionAction, valueAction, conversions, revenue) {
+  if (!conversionAction || !ATTRIBUTION_WINDOWS.some(w => conversionAction[w] != null)) return null;
+
+  const windows = {};
+  ATTRIBUTION_WINDOWS.forEach(w => {
+    windows[w] = {
+      conversions: parseFloat(conversionAction[w]) || 0,
+      revenue: parseFloat(valueAction?.[w]) || 0,
+    };
+  });
+  windows['7d_click_1d_view'] = { conversions, revenue };
+  return windows;
+}
+
+function divide(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : null;
+}
+
+/**
+ * All action types present in a row, for the mapping picker.
+ */
+export function listActionTypes(row) {
+  return Array.isArray(row?.actions) ? [...new Set(row.actions.map(a => a.action_type))].sort() : [];
+}
@@ -63,8 +63,8 @@ export function roasTrend(dailyData) {
  * Learning Phase Score: How close an ad set is to exiting learning phase
  * Score = conversions_last_7d / 50. Score >= 1.0 = exited learning
  */
-export function learningPhaseScore(conversionsLast7d) {
-  return safeDivide(conversionsLast7d, 50, 0);
+export function learningPhaseScore(conversionsLast7d, requiredWeekly = 50) {
+  return safeDivide(conversionsLast7d, requiredWeekly, 0);
 }
 
 /**
@@ -218,6 +218,25 @@ export function weekOverWeekChange(dailyData, metric) {
   return percentChange(thisAvg, lastAvg);
 }
 
+// ─── Period Comparison ───────────────────────────────────────────────────────
+
+const COMPARISON_METRICS = ['spend', 'revenue', 'conversions', 'impressions', 'clicks', 'roas', 'cpa', 'ctr', 'cpm', 'cpc', 'frequency'];
+
+/**
+ * Percent change for each core metric between the current and comparison period.
+ * Returns null when there is no comparison data; individual metrics are null when
+ * the previous value is missing or zero.
+ */
+export function periodDeltas(current, previous) {
+  if (!current || !previous) return null;
+  return COMPARISON_METRICS.reduce((acc, metric) => {
+    acc[metric] = current[metric] != null && previous[metric] != null
+      ? percentChange(current[metric], previous[metric])
+      : null;
+    return acc;
+  }, {});
+}
+
 // ─── Budget Analysis ─────────────────────────────────────────────────────────
 
 /**
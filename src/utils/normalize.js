@@ -3,6 +3,8 @@
  * Standardizes raw GoMarble data for the decision engine and dashboard.
  */
 
+import { extractConversions } from './conversions.js';
+
 // ─── Currency Formatting ─────────────────────────────────────────────────────
 
 export function formatCurrency(value, currency = 'USD', compact = false) {
@@ -11,7 +13,7 @@ export function formatCurrency(value, currency = 'USD', compact = false) {
     const suffixes = ['', 'K', 'M', 'B'];
     const tier = Math.floor(Math.log10(Math.abs(value)) / 3);
     const scaled = value / Math.pow(10, tier * 3);
-    return `$${scaled.toFixed(tier > 0 ? 1 : 0)}${suffixes[tier]}`;
+    return `${currencySymbol(currency)}${scaled.toFixed(tier > 0 ? 1 : 0)}${suffixes[tier]}`;
   }
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
@@ -21,6 +23,37 @@ export function formatCurrency(value, currency = 'USD', compact = false) {
   }).format(value);
 }
 
+/**
+ * Whole-unit amount with the currency symbol, e.g. "$30" or "€1250" — for reason strings and chart axes.
+ */
+export function formatMoney(value, currency = 'USD') {
+  return `${currencySymbol(currency)}${Number(value || 0).toFixed(0)}`;
+}
+
+/**
+ * Symbol for an ISO currency code ("$", "€", "£", "CA$"…). Falls back to the code itself.
+ */
+export function currencySymbol(currency = 'USD') {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency })
+      .formatToParts(0)
+      .find(p => p.type === 'currency')?.value || currency;
+  } catch {
+    return `${currency} `;
+  }
+}
+
+// Meta states money in the currency's minor unit with an offset of 100, except for these,
+// which it counts in whole units (offset 1)
+const META_OFFSET_ONE_CURRENCIES = new Set(['CLP', 'COP', 'CRC', 'HUF', 'IDR', 'ISK', 'JPY', 'KRW', 'PYG', 'TWD', 'VND']);
+
+/**
+ * Meta's minor-unit offset for a currency: budgets come back as amount × offset.
+ */
+export function metaCurrencyOffset(currency = 'USD') {
+  return META_OFFSET_ONE_CURRENCIES.has(String(currency).toUpperCase()) ? 1 : 100;
+}
+
 export function formatNumber(value, decimals = 0) {
   if (value == null || isNaN(value)) return '—';
   return new Intl.NumberFormat('en-US', {
@@ -74,10 +107,117 @@ export function getDatePresetLabel(preset) {
     last_14d: 'Last 14 Days',
     last_30d: 'Last 30 Days',
     last_90d: 'Last 90 Days',
+    this_week_mon_today: 'This Week',
+    last_week_mon_sun: 'Last Week',
+    custom: 'Custom Range',
   };
   return labels[preset] || preset;
 }
 
+/**
+ * Label for a full analysis period: { datePreset, timeRange, comparison }.
+ */
+export function getPeriodLabel(period) {
+  if (!period) return '—';
+  const base = period.datePreset === 'custom' && period.timeRange
+    ? formatDateRange(period.timeRange.since, period.timeRange.until)
+    : getDatePresetLabel(period.datePreset);
+  return period.comparison && period.comparison !== 'none'
+    ? `${base} ${getComparisonLabel(period.comparison)}`
+    : base;
+}
+
+export function getComparisonLabel(mode) {
+  const labels = {
+    none: 'No comparison',
+    previous_period: 'vs Previous Period',
+    previous_year: 'vs Same Period Last Year',
+  };
+  return labels[mode] || mode;
+}
+
+/** Format a Date as YYYY-MM-DD in local time (Meta's time_range format). */
+export function toISODate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+function parseISODate(str) {
+  const [y, m, d] = str.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function shiftDays(str, days) {
+  const date = parseISODate(str);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in an IANA time zone, or in local time without one.
+ * Meta resolves date presets in the ad account's time zone, not the viewer's.
+ */
+export function todayIn(timeZone, now = new Date()) {
+  if (!timeZone) return toISODate(now);
+  try {
+    // en-CA formats as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+  } catch {
+    return toISODate(now); // unknown zone name
+  }
+}
+
+/**
+ * Resolve a date preset (or custom range) to concrete { since, until } dates.
+ * Mirrors Meta's preset semantics: last_Nd ends yesterday, weeks start on Monday, and "today"
+ * is the ad account's (pass its timeZone, e.g. timezone_name from the account details).
+ * @param {string} datePreset
+ * @param {{ since: string, until: string }|null} [timeRange] - for 'custom'
+ * @param {object} [options]
+ * @param {string|null} [options.timeZone] - IANA zone; local time when absent
+ * @param {Date} [options.now]
+ */
+export function resolveDateRange(datePreset, timeRange = null, { timeZone = null, now = new Date() } = {}) {
+  if (datePreset === 'custom' && timeRange?.since && timeRange?.until) {
+    return { since: timeRange.since, until: timeRange.until };
+  }
+  const todayStr = todayIn(timeZone, now);
+  const yesterday = shiftDays(todayStr, -1);
+  const lastN = /^last_(\d+)d$/.exec(datePreset || '');
+  if (lastN) {
+    return { since: shiftDays(yesterday, -(Number(lastN[1]) - 1)), until: yesterday };
+  }
+  const daysSinceMonday = (parseISODate(todayStr).getDay() + 6) % 7;
+  const monday = shiftDays(todayStr, -daysSinceMonday);
+  if (datePreset === 'this_week_mon_today') return { since: monday, until: todayStr };
+  if (datePreset === 'last_week_mon_sun') return { since: shiftDays(monday, -7), until: shiftDays(monday, -1) };
+  return { since: shiftDays(yesterday, -6), until: yesterday };
+}
+
+/**
+ * The range a period is compared against: the same number of days immediately before it,
+ * or the same calendar dates one year earlier. Returns null when comparison is off.
+ * Week-to-date ranges compare against the same weekdays of the previous week.
+ */
+export function getComparisonRange(range, mode, datePreset = null) {
+  if (!range || !mode || mode === 'none') return null;
+  if (mode === 'previous_period' && datePreset === 'this_week_mon_today') {
+    return { since: shiftDays(range.since, -7), until: shiftDays(range.until, -7) };
+  }
+  if (mode === 'previous_year') {
+    const shiftYear = (str) => {
+      const date = parseISODate(str);
+      date.setFullYear(date.getFullYear() - 1);
+      return toISODate(date);
+    };
+    return { since: shiftYear(range.since), until: shiftYear(range.until) };
+  }
+  const length = Math.round((parseISODate(range.until) - parseISODate(range.since)) / 86400000) + 1;
+  return { since: shiftDays(range.since, -length), until: shiftDays(range.since, -1) };
+}
+
 // ─── Safe Math ───────────────────────────────────────────────────────────────
 
 export function safeDivide(numerator, denominator, defaultVal = null) {
@@ -130,6 +270,30 @@ export function classifyCampaign(campaignName) {
   return 'prospecting'; // default
 }
 
+// Meta effective_status values that mean the entity is spending (or about to)
+const DELIVERING_STATUSES = ['ACTIVE', 'IN_PROCESS', 'WITH_ISSUES'];
+
+/**
+ * Whether an entity is currently delivering. Unknown status (null) counts as delivering
+ * so entities whose details couldn't be fetched are still evaluated.
+ */
+export function isDeliveringStatus(status) {
+  if (!status) return true;
+  return DELIVERING_STATUSES.includes(String(status).toUpperCase());
+}
+
+/**
+ * Human-readable label for a Meta effective_status value.
+ */
+export function getStatusLabel(status) {
+  if (!status) return 'Unknown';
+  return String(status)
+    .toLowerCase()
+    .split('_')
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(' ');
+}
+
 /**
  * Get the campaign type label and color
  */
@@ -146,9 +310,16 @@ export function getCampaignTypeInfo(category) {
 
 /**
  * Normalize raw insights data from GoMarble into a clean, consistent format.
+ * @param {object} raw - Parsed insights from the service layer
+ * @param {object} [options]
+ * @param {string} [options.attributionWindow] - Window that drives conversions / CPA / ROAS
+ *   ('7d_click_1d_view' | '7d_click' | '1d_click'); defaults to the account default
+ * @param {object} [options.conversionMapping] - From resolveConversionMapping(); re-derives
+ *   conversions / value from the raw action arrays when present
  */
-export function normalizeInsights(raw) {
-  if (!raw) return null;
+export function normalizeInsights(insights, { attributionWindow, conversionMapping } = {}) {
+  if (!insights) return null;
+  const raw = applyConversionMapping(insights, conversionMapping);
 
   const spend = Number(raw.spend) || 0;
   const impressions = Number(raw.impressions) || 0;
@@ -157,7 +328,7 @@ export function normalizeInsights(raw) {
   const revenue = Number(raw.revenue) || 0;
   const reach = Number(raw.reach) || 0;
 
-  return {
+  const normalized = {
     // Raw metrics
     spend,
     impressions,
@@ -171,10 +342,7 @@ export function normalizeInsights(raw) {
     ctr: raw.ctr != null ? Number(raw.ctr) : safePercent(clicks, impressions),
     cpc: raw.cpc != null ? Number(raw.cpc) : safeDivide(spend, clicks),
     cpm: raw.cpm != null ? Number(raw.cpm) : safeDivide(spend * 1000, impressions),
-    cpa: raw.cpa != null ? Number(raw.cpa)
-      : raw.cost_per_action_type?.[0]?.value
-        ? Number(raw.cost_per_action_type[0].value)
-        : safeDivide(spend, conversions),
+    cpa: raw.cpa != null ? Number(raw.cpa) : safeDivide(spend, conversions),
     roas: raw.purchase_roas != null ? Number(raw.purchase_roas)
       : raw.roas != null ? Number(raw.roas)
       : (revenue > 0 ? safeDivide(revenue, spend) : null),
@@ -187,17 +355,122 @@ export function normalizeInsights(raw) {
     dateStart: raw.date_start,
     dateStop: raw.date_stop,
 
-    // Daily breakdown for trends
+    // Daily breakdown for trends — 'meta' (real rows), 'synthetic' (opt-in estimate), 'mock' or 'none'
+    dailySource: raw.dailySource || null,
+    attribution: raw.attribution || null,
+    viewThroughShare: viewThroughShare(raw.attribution),
+    conversionAction: raw.conversionAction || null,
+    secondaryConversions: raw.secondaryConversions || {},
+    // False when the conversion mapping left daily conversions / value unknown (null)
+    dailyConversionsKnown: raw.dailyConversionsKnown !== false,
     daily: (raw.daily || []).map(d => ({
       date: d.date,
       spend: Number(d.spend) || 0,
-      conversions: Number(d.conversions) || 0,
+      impressions: Number(d.impressions) || 0,
+      clicks: Number(d.clicks) || 0,
+      reach: Number(d.reach) || 0,
+      conversions: d.conversions === null ? null : Number(d.conversions) || 0,
+      revenue: d.revenue === null ? null : Number(d.revenue) || 0,
       ctr: Number(d.ctr) || 0,
       cpm: Number(d.cpm) || 0,
       roas: d.purchase_roas != null ? Number(d.purchase_roas) : (d.roas != null ? Number(d.roas) : null),
       cpa: d.cpa != null ? Number(d.cpa) : null,
+      attribution: d.attribution || null,
     })),
   };
+
+  return applyAttributionWindow(normalized, attributionWindow);
+}
+
+// ─── Conversion Mapping ──────────────────────────────────────────────────────
+
+/**
+ * Re-derive conversions, value, CPA and ROAS from the raw action arrays under an account's mapping.
+ * Daily points without action arrays (mock, synthetic) are scaled by the period-level change.
+ * When the default mapping found none to scale from, there's no telling which days the mapped
+ * conversions fell on: those points get null conversions / value and the result is marked
+ * dailyConversionsKnown: false.
+ */
+function applyConversionMapping(raw, mapping) {
+  if (!mapping || !Array.isArray(raw.actions) || raw.actions.length === 0) return raw;
+
+  const mapped = extractConversions(raw, mapping);
+  const baseConversions = Number(raw.conversions) || 0;
+  const baseRevenue = Number(raw.revenue) || 0;
+  let dailyConversionsKnown = true;
+  const rescale = (value, mappedTotal, baseTotal) => {
+    if (baseTotal > 0) return (Number(value) || 0) * mappedTotal / baseTotal;
+    if (!(mappedTotal > 0)) return 0;
+    dailyConversionsKnown = false;
+    return null;
+  };
+
+  const daily = (raw.daily || []).map(d => {
+    const point = Array.isArray(d.actions) && d.actions.length > 0
+      ? { ...d, ...extractConversions(d, mapping) }
+      : {
+        ...d,
+        conversions: rescale(d.conversions, mapped.conversions, baseConversions),
+        revenue: rescale(d.revenue, mapped.revenue, baseRevenue),
+        attribution: null,
+      };
+    point.cpa = safeDivide(point.spend, point.conversions);
+    point.roas = point.revenue > 0 ? safeDivide(point.revenue, point.spend) : null;
+    delete point.purchase_roas;
+    return point;
+  });
+
+  return { ...raw, ...mapped, purchase_roas: mapped.roas, daily, dailyConversionsKnown };
+}
+
+// ─── Attribution Windows ─────────────────────────────────────────────────────
+
+export const ATTRIBUTION_WINDOW_OPTIONS = [
+  { value: '7d_click_1d_view', label: '7-day click + 1-day view' },
+  { value: '7d_click', label: '7-day click' },
+  { value: '1d_click', label: '1-day click' },
+];
+
+export function getAttributionWindowLabel(window) {
+  return ATTRIBUTION_WINDOW_OPTIONS.find(o => o.value === window)?.label || ATTRIBUTION_WINDOW_OPTIONS[0].label;
+}
+
+/**
+ * Share of default-window conversions that were view-through (1-day view), or null without window data.
+ */
+export function viewThroughShare(attribution) {
+  if (!attribution?.['1d_view'] || !attribution?.['7d_click']) return null;
+  const total = attribution['7d_click'].conversions + attribution['1d_view'].conversions;
+  return total > 0 ? attribution['1d_view'].conversions / total : null;
+}
+
+/**
+ * Re-derive conversions, revenue, CPA and ROAS under a different attribution window.
+ * Daily points without their own window split are scaled by the period-level ratio.
+ * Returns the metrics unchanged for the default window or when no window data is available.
+ */
+export function applyAttributionWindow(metrics, window) {
+  if (!metrics || !window || window === '7d_click_1d_view') return metrics;
+  const selected = metrics.attribution?.[window];
+  if (!selected) return metrics;
+
+  const convRatio = safeDivide(selected.conversions, metrics.conversions, 1);
+  const revenueRatio = safeDivide(selected.revenue, metrics.revenue, 1);
+  const rederive = (m, conversions, revenue) => ({
+    ...m,
+    conversions,
+    revenue,
+    cpa: safeDivide(m.spend, conversions),
+    roas: m.roas == null ? null : safeDivide(revenue, m.spend),
+  });
+
+  const result = rederive(metrics, selected.conversions, selected.revenue);
+  if (metrics.daily) {
+    result.daily = metrics.daily.map(d => (d.attribution?.[window]
+      ? rederive(d, d.attribution[window].conversions, d.attribution[window].revenue)
+      : rederive(d, d.conversions == null ? null : d.conversions * convRatio, d.revenue == null ? null : d.revenue * revenueRatio)));
+  }
+  return { ...result, attributionWindow: window };
 }
 
 // ─── Color Coding ────────────────────────────────────────────────────────────
@@ -221,6 +494,7 @@ export function getVerdictColor(verdict) {
     ITERATE: '#f59e0b',
     'NEW CONCEPT': '#8b5cf6',
     MONITOR: '#64748b',
+    'INSUFFICIENT DATA': '#94a3b8',
   };
   return colors[verdict] || '#64748b';
 }
@@ -232,6 +506,7 @@ export function getVerdictBg(verdict) {
     ITERATE: '#f59e0b18',
     'NEW CONCEPT': '#8b5cf618',
     MONITOR: '#64748b18',
+    'INSUFFICIENT DATA': '#94a3b812',
   };
   return colors[verdict] || '#64748b18';
 }
@@ -0,0 +1,250 @@
+/**
+ * Statistical confidence for ad metrics.
+ *
+ * Counts are treated as draws, not facts: conversions as Poisson (Gamma posterior on the
+ * expected count), clicks / conversions / video views as Binomial (Beta posterior on the
+ * rate), both with Jeffreys priors so zero counts still give a proper answer. A CPA of $40 on
+ * 2 conversions then reads as "somewhere between $14 and $140" (90% interval), and on 200
+ * conversions as "$36–$45".
+ *
+ * ROAS uncertainty comes from the conversion count alone (observed order value held fixed),
+ * which is the dominant term at the volumes rules look at.
+ */
+
+const DEFAULT_LEVEL = 0.9;
+
+// ─── Special Functions ───────────────────────────────────────────────────────
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+export function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  let a = 0.99999999999980993;
+  const t = z + LANCZOS.length - 0.5;
+  LANCZOS.forEach((c, i) => { a += c / (z + i + 1); });
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+/**
+ * Regularized lower incomplete gamma P(shape, x) — the Gamma(shape, 1) CDF.
+ */
+export function gammaCdf(shape, x) {
+  if (x <= 0) return 0;
+  if (!Number.isFinite(x)) return 1;
+  const lnPrefix = shape * Math.log(x) - x - logGamma(shape);
+
+  if (x < shape + 1) {
+    // Series
+    let term = 1 / shape;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (shape + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return Math.min(1, sum * Math.exp(lnPrefix));
+  }
+
+  // Continued fraction for the upper tail (Lentz)
+  let b = x + 1 - shape;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - shape);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.max(0, 1 - Math.exp(lnPrefix) * h);
+}
+
+/**
+ * Regularized incomplete beta I_x(a, b) — the Beta(a, b) CDF.
+ */
+export function betaCdf(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const lnFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  // The continued fraction converges fastest below the mean; use the symmetry above it
+  if (x > (a + 1) / (a + b + 2)) return 1 - Math.exp(lnFront) * betaFraction(b, a, 1 - x) / b;
+  return Math.exp(lnFront) * betaFraction(a, b, x) / a;
+}
+
+function betaFraction(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m < 500; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+export function normalCdf(z) {
+  // Abramowitz & Stegun 7.1.26 on erf
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Invert a monotone CDF by bisection on [lo, hi], widening hi as needed.
+ */
+function quantile(cdf, p, lo = 0, hi = 1, bounded = false) {
+  if (!bounded) while (cdf(hi) < p) hi *= 2;
+  for (let i = 0; i < 100 && hi - lo > 1e-12 * Math.max(1, hi); i++) {
+    const mid = (lo + hi) / 2;
+    if (cdf(mid) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── Posteriors ──────────────────────────────────────────────────────────────
+
+// Expected conversion count given an observed count (Jeffreys prior on a Poisson mean)
+const countShape = count => Math.max(0, count) + 0.5;
+// Rate given successes out of trials (Jeffreys prior on a Binomial proportion)
+const rateShape = (successes, trials) => {
+  const k = Math.max(0, Math.min(successes, trials));
+  return [k + 0.5, Math.max(0, trials - k) + 0.5];
+};
+
+function countBounds(count, level) {
+  const tail = (1 - level) / 2;
+  const shape = countShape(count);
+  return [quantile(x => gammaCdf(shape, x), tail, 0, shape + 10), quantile(x => gammaCdf(shape, x), 1 - tail, 0, shape + 10)];
+}
+
+// ─── Intervals ───────────────────────────────────────────────────────────────
+
+/**
+ * Credible interval for CPA: spend over the plausible range of expected conversions.
+ * @returns {{ estimate: number|null, low: number, high: number, level: number } | null}
+ */
+export function cpaInterval(spend, conversions, level = DEFAULT_LEVEL) {
+  if (!(spend > 0)) return null;
+  const [lowCount, highCount] = countBounds(conversions, level);
+  return { estimate: conversions > 0 ? spend / conversions : null, low: spend / highCount, high: spend / lowCount, level };
+}
+
+/**
+ * Credible interval for ROAS at the observed average order value.
+ */
+export function roasInterval(spend, conversions, revenue, level = DEFAULT_LEVEL) {
+  if (!(spend > 0) || !(conversions > 0) || !(revenue > 0)) return null;
+  const orderValue = revenue / conversions;
+  const [lowCount, highCount] = countBounds(conversions, level);
+  return { estimate: revenue / spend, low: lowCount * orderValue / spend, high: highCount * orderValue / spend, level };
+}
+
+/**
+ * Credible interval for a proportion (CTR, CVR, hook rate), as a fraction.
+ */
+export function rateInterval(successes, trials, level = DEFAULT_LEVEL) {
+  if (!(trials > 0)) return null;
+  const [a, b] = rateShape(successes, trials);
+  const tail = (1 - level) / 2;
+  return {
+    estimate: successes / trials,
+    low: quantile(x => betaCdf(a, b, x), tail, 0, 1, true),
+    high: quantile(x => betaCdf(a, b, x), 1 - tail, 0, 1, true),
+    level,
+  };
+}
+
+/**
+ * Credible interval for a per-day count rate (e.g. conversions/day over the last few days).
+ */
+export function dailyRateInterval(count, days, level = DEFAULT_LEVEL) {
+  if (!(days > 0)) return null;
+  const [low, high] = countBounds(count, level);
+  return { estimate: count / days, low: low / days, high: high / days, level };
+}
+
+// ─── Probabilities ───────────────────────────────────────────────────────────
+
+/**
+ * P(true CPA > value).
+ */
+export function probCpaAbove(spend, conversions, value) {
+  if (!(spend > 0) || !(value > 0)) return null;
+  // CPA > value ⇔ expected conversions < spend / value
+  return gammaCdf(countShape(conversions), spend / value);
+}
+
+/**
+ * P(true ROAS > value), at the observed average order value.
+ */
+export function probRoasAbove(spend, conversions, revenue, value) {
+  if (!(spend > 0) || !(conversions > 0) || !(revenue > 0)) return null;
+  const orderValue = revenue / conversions;
+  return 1 - gammaCdf(countShape(conversions), value * spend / orderValue);
+}
+
+/**
+ * P(true rate > value) for successes out of trials.
+ */
+export function probRateAbove(successes, trials, value) {
+  if (!(trials > 0)) return null;
+  const [a, b] = rateShape(successes, trials);
+  return 1 - betaCdf(a, b, value);
+}
+
+/**
+ * P(true count per day > value) for a count observed over `days`.
+ */
+export function probDailyRateAbove(count, days, value) {
+  if (!(days > 0)) return null;
+  return 1 - gammaCdf(countShape(count), value * days);
+}
+
+/**
+ * P(rate B / rate A − 1 < change) for two proportions — e.g. this week's CTR (B) against last
+ * week's (A) with change 0 is "CTR really fell". Normal approximation to the two Beta posteriors.
+ */
+export function probRateChangeBelow(successesA, trialsA, successesB, trialsB, change = 0) {
+  if (!(trialsA > 0) || !(trialsB > 0)) return null;
+  const [a1, b1] = rateShape(successesA, trialsA);
+  const [a2, b2] = rateShape(successesB, trialsB);
+  const meanA = a1 / (a1 + b1);
+  const meanB = a2 / (a2 + b2);
+  const varA = a1 * b1 / ((a1 + b1) ** 2 * (a1 + b1 + 1));
+  const varB = a2 * b2 / ((a2 + b2) ** 2 * (a2 + b2 + 1));
+  // B − (1 + change)·A < 0
+  const factor = 1 + change;
+  const mean = meanB - factor * meanA;
+  const sd = Math.sqrt(varB + factor * factor * varA);
+  return sd > 0 ? normalCdf(-mean / sd) : (mean < 0 ? 1 : 0);
+}
@@ -12,6 +12,25 @@ export default defineConfig({
         target: 'http://localhost:3456',
         changeOrigin: true,
       },
+      // Snapshot history store lives in the same bridge server
+      '/api/history': {
+        target: 'http://localhost:3456',
+        changeOrigin: true,
+      },
+      // Sign-in sessions and users
+      '/api/auth': {
+        target: 'http://localhost:3456',
+        changeOrigin: true,
+      },
+      // API keys and the Claude proxy — keys never reach the browser
+      '/api/secrets': {
+        target: 'http://localhost:3456',
+        changeOrigin: true,
+      },
+      '/api/ai': {
+        target: 'http://localhost:3456',
+        changeOrigin: true,
+      },
     },
   },
 })